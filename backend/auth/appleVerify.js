@@ -1,14 +1,35 @@
 const jwt = require('jsonwebtoken');
 const jwksClient = require('jwks-rsa');
 
-// In-memory cache for Apple JWKs (public keys)
-const appleJwksClient = jwksClient({
-  jwksUri: 'https://appleid.apple.com/auth/keys',
-  cache: true,
-  cacheMaxAge: 3600000, // 1 hour
-  rateLimit: true,
-  jwksRequestsPerMinute: 10
-});
+const APPLE_JWKS_URI = 'https://appleid.apple.com/auth/keys';
+
+// In-memory cache for Apple JWKs (public keys), one client per JWKS URI
+const appleJwksClients = new Map();
+
+// APPLE_JWKS_URI can point at a local key set for tests; production always
+// trusts Apple's keys, so a stray env var cannot swap in a forged key set
+function getAppleJwksUri() {
+  if (process.env.NODE_ENV === 'production') {
+    return APPLE_JWKS_URI;
+  }
+  return process.env.APPLE_JWKS_URI || APPLE_JWKS_URI;
+}
+
+function getAppleJwksClient() {
+  const jwksUri = getAppleJwksUri();
+
+  if (!appleJwksClients.has(jwksUri)) {
+    appleJwksClients.set(jwksUri, jwksClient({
+      jwksUri,
+      cache: true,
+      cacheMaxAge: 3600000, // 1 hour
+      rateLimit: true,
+      jwksRequestsPerMinute: 10
+    }));
+  }
+
+  return appleJwksClients.get(jwksUri);
+}
 
 // In-memory TTL cache for JTI replay protection
 // Map<jti, expiryTimestamp>
@@ -29,7 +50,7 @@ setInterval(() => {
  */
 function getAppleSigningKey(kid) {
   return new Promise((resolve, reject) => {
-    appleJwksClient.getSigningKey(kid, (err, key) => {
+    getAppleJwksClient().getSigningKey(kid, (err, key) => {
       if (err) {
         return reject(err);
       }
@@ -156,5 +177,6 @@ async function exchangeAppleAuthCode(code, clientId, clientSecret, redirectUri)
 
 module.exports = {
   verifyAppleIdToken,
-  exchangeAppleAuthCode
+  exchangeAppleAuthCode,
+  getAppleJwksUri
 };
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+// Token lifetimes by purpose
+const TOKEN_TTL_MS = {
+  password_reset: 60 * 60 * 1000, // 1 hour
+  email_verification: 24 * 60 * 60 * 1000 // 24 hours
+};
+
+/**
+ * Hashes a raw token for storage/lookup. Raw tokens are never persisted.
+ */
+function hashToken(rawToken) {
+  return crypto.createHash('sha256').update(rawToken).digest('hex');
+}
+
+/**
+ * Creates a one-time token for a user, invalidating any earlier unused
+ * token with the same purpose.
+ *
+ * @param {Object} pool - Database pool
+ * @param {string} userId - User ID
+ * @param {string} purpose - 'password_reset' or 'email_verification'
+ * @returns {Promise<Object>} { token, expires_at } - token is the raw value to email
+ */
+async function createEmailToken(pool, userId, purpose) {
+  const ttl = TOKEN_TTL_MS[purpose];
+  if (!ttl) {
+    throw new Error(`Unknown token purpose: ${purpose}`);
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + ttl);
+
+  await revokeEmailTokens(pool, userId, [purpose]);
+
+  await pool.query(
+    `INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, $4)`,
+    [userId, purpose, hashToken(token), expiresAt]
+  );
+
+  return { token, expires_at: expiresAt };
+}
+
+/**
+ * Invalidates a user's unused tokens, e.g. ones mailed to an address the
+ * user no longer has.
+ *
+ * @param {Object} pool - Database pool
+ * @param {string} userId - User ID
+ * @param {Array<string>} purposes - Token purposes to invalidate
+ * @returns {Promise<void>}
+ */
+async function revokeEmailTokens(pool, userId, purposes) {
+  await pool.query(
+    `UPDATE auth_tokens
+     SET used_at = NOW()
+     WHERE user_id = $1 AND purpose = ANY($2) AND used_at IS NULL`,
+    [userId, purposes]
+  );
+}
+
+/**
+ * Consumes a one-time token. Marking it used and checking expiry happen in a
+ * single UPDATE so a token cannot be redeemed twice.
+ *
+ * @param {Object} pool - Database pool (or transaction client)
+ * @param {string} rawToken - Token value from the email
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<string|null>} User ID, or null if invalid, expired, or used
+ */
+async function consumeEmailToken(pool, rawToken, purpose) {
+  const result = await pool.query(
+    `UPDATE auth_tokens
+     SET used_at = NOW()
+     WHERE token_hash = $1
+       AND purpose = $2
+       AND used_at IS NULL
+       AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(rawToken), purpose]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+module.exports = {
+  createEmailToken,
+  revokeEmailTokens,
+  consumeEmailToken
+};
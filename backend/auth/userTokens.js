@@ -0,0 +1,86 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+// Player session token lifetimes
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60; // 1 hour
+const REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+
+/**
+ * Returns the secret used to sign player session tokens.
+ * Kept separate from ADMIN_JWT_SECRET so a player token can never pass requireAdmin.
+ */
+function getUserJwtSecret() {
+  const secret = process.env.USER_JWT_SECRET;
+  if (!secret) {
+    throw new Error('USER_JWT_SECRET is not configured');
+  }
+  return secret;
+}
+
+/**
+ * Issues a signed access token and refresh token for a player. Both carry
+ * the user's token_version (ver), so bumping it ends every session.
+ *
+ * @param {Object} user - User row (must include id; token_version defaults to 0)
+ * @returns {Object} { access_token, refresh_token, token_type, expires_in }
+ */
+function issueUserTokens(user) {
+  const secret = getUserJwtSecret();
+
+  const accessToken = jwt.sign(
+    { sub: user.id, type: 'access', ver: user.token_version || 0, jti: uuidv4() },
+    secret,
+    { algorithm: 'HS256', expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+
+  const refreshToken = jwt.sign(
+    { sub: user.id, type: 'refresh', ver: user.token_version || 0, jti: uuidv4() },
+    secret,
+    { algorithm: 'HS256', expiresIn: REFRESH_TOKEN_TTL_SECONDS }
+  );
+
+  return {
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+/**
+ * Verifies a player session token and checks its type.
+ *
+ * @param {string} token - Signed JWT
+ * @param {string} expectedType - 'access' or 'refresh'
+ * @returns {Object} Decoded claims
+ * @throws {Error} If the signature, expiry, or type is invalid
+ */
+function verifyUserToken(token, expectedType) {
+  const decoded = jwt.verify(token, getUserJwtSecret(), { algorithms: ['HS256'] });
+
+  if (!decoded.sub || decoded.type !== expectedType) {
+    throw new Error(`Invalid token type: expected ${expectedType}`);
+  }
+
+  return decoded;
+}
+
+/**
+ * True when a verified token was issued under the user's current
+ * token_version, i.e. its session has not been revoked since.
+ *
+ * @param {Object} decoded - Claims from verifyUserToken
+ * @param {Object} user - User row with token_version
+ * @returns {boolean}
+ */
+function isTokenCurrent(decoded, user) {
+  return (decoded.ver || 0) === (user.token_version || 0);
+}
+
+module.exports = {
+  issueUserTokens,
+  verifyUserToken,
+  isTokenCurrent,
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_SECONDS
+};
@@ -1,10 +1,13 @@
 const jwt = require('jsonwebtoken');
+const { DEFAULT_ADMIN_ROLE, ADMIN_ROLES } = require('./adminPermissions');
+const sessionsService = require('../services/adminSessions.service');
 
 /**
  * Middleware to enforce admin-only access on protected routes.
  *
  * Verifies JWT signature, claims, and re-queries database for defense in depth.
- * Logs all authorization failures for audit purposes.
+ * Logs all authorization failures for audit purposes. Per-route role checks
+ * are done by requirePermission() in middleware/adminPermissions.js.
  */
 async function requireAdmin(req, res, next) {
   // Skip auth middleware for authentication endpoints
@@ -52,10 +55,28 @@ async function requireAdmin(req, res, next) {
       return res.status(403).json({ error: 'Forbidden: Insufficient privileges' });
     }
 
-    // Defense in depth: Re-query database to verify admin status
     const pool = req.app.locals.pool || require('../db/pool'); // Adjust import as needed
+
+    // Reject tokens whose session was revoked, expired, or rotated to a newer jti.
+    // Tokens without a session id predate admin_sessions and must sign in again.
+    const sessionActive = decoded.sid && decoded.jti &&
+      await sessionsService.isAdminAccessTokenActive(pool, decoded.sid, decoded.jti);
+
+    if (!sessionActive) {
+      console.log('[Admin Auth] Revoked or unknown session', {
+        timestamp: new Date().toISOString(),
+        userId: decoded.sub,
+        sessionId: decoded.sid,
+        jti: decoded.jti,
+        path: req.path,
+        ip: req.ip
+      });
+      return res.status(401).json({ error: 'Unauthorized: Session revoked or expired' });
+    }
+
+    // Defense in depth: Re-query database to verify admin status
     const result = await pool.query(
-      'SELECT id, apple_id, email, is_admin FROM users WHERE id = $1 LIMIT 1',
+      'SELECT id, apple_id, email, is_admin, admin_role FROM users WHERE id = $1 LIMIT 1',
       [decoded.sub]
     );
 
@@ -83,11 +104,14 @@ async function requireAdmin(req, res, next) {
     }
 
     // Attach admin user to request for downstream handlers
+    // Role is read from the database so role changes apply without re-login
     req.adminUser = {
       id: user.id,
       apple_id: user.apple_id,
       email: user.email,
-      is_admin: user.is_admin
+      is_admin: user.is_admin,
+      session_id: decoded.sid,
+      role: ADMIN_ROLES.includes(user.admin_role) ? user.admin_role : DEFAULT_ADMIN_ROLE
     };
 
     next();
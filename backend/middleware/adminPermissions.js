@@ -0,0 +1,97 @@
+/**
+ * Admin roles and permissions.
+ *
+ * Every /api/admin/* route declares the permission it needs with
+ * requirePermission(). requireAdmin must run first to populate req.adminUser.
+ */
+
+const ADMIN_PERMISSIONS = {
+  READ: 'admin:read',                 // Dashboards, diagnostics, reports
+  WEEK_MANAGE: 'week:manage',         // Lock/unlock and advance playoff weeks
+  DATA_SYNC: 'data:sync',             // ESPN/Sleeper syncs and live stat refresh
+  SETTINGS_MANAGE: 'settings:manage', // Game settings, position limits, rules and terms
+  PAYMENTS_MANAGE: 'payments:manage', // Payment status, entry amount, payment handles
+  USERS_NOTES: 'users:notes',         // Admin notes on users
+  USERS_DELETE: 'users:delete',       // Deleting users and bulk cleanup
+  ROLES_MANAGE: 'roles:manage'        // Granting and revoking admin roles
+};
+
+const ROLE_PERMISSIONS = {
+  viewer: [
+    ADMIN_PERMISSIONS.READ
+  ],
+  operator: [
+    ADMIN_PERMISSIONS.READ,
+    ADMIN_PERMISSIONS.WEEK_MANAGE,
+    ADMIN_PERMISSIONS.DATA_SYNC,
+    ADMIN_PERMISSIONS.SETTINGS_MANAGE,
+    ADMIN_PERMISSIONS.USERS_NOTES
+  ],
+  finance: [
+    ADMIN_PERMISSIONS.READ,
+    ADMIN_PERMISSIONS.PAYMENTS_MANAGE,
+    ADMIN_PERMISSIONS.USERS_NOTES
+  ],
+  superadmin: Object.values(ADMIN_PERMISSIONS)
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Admins without an explicit role get the least privileged one
+const DEFAULT_ADMIN_ROLE = 'viewer';
+
+/**
+ * Lists the permissions granted to a role.
+ *
+ * @param {string} role - Admin role
+ * @returns {string[]} Permissions (empty for unknown roles)
+ */
+function getPermissionsForRole(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Checks whether a role grants a permission.
+ *
+ * @param {string} role - Admin role
+ * @param {string} permission - Permission from ADMIN_PERMISSIONS
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return getPermissionsForRole(role).includes(permission);
+}
+
+/**
+ * Middleware factory enforcing a permission on an admin route.
+ *
+ * @param {string} permission - Permission from ADMIN_PERMISSIONS
+ * @returns {Function} Express middleware
+ */
+function requirePermission(permission) {
+  return function checkAdminPermission(req, res, next) {
+    const role = req.adminUser && req.adminUser.role;
+
+    if (!hasPermission(role, permission)) {
+      console.log('[Admin Auth] Permission denied', {
+        timestamp: new Date().toISOString(),
+        userId: req.adminUser && req.adminUser.id,
+        role,
+        permission,
+        path: req.path,
+        ip: req.ip
+      });
+      return res.status(403).json({ error: `Forbidden: Requires ${permission} permission` });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  ADMIN_PERMISSIONS,
+  ADMIN_ROLES,
+  DEFAULT_ADMIN_ROLE,
+  getPermissionsForRole,
+  hasPermission,
+  requirePermission
+};
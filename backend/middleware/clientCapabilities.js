@@ -0,0 +1,50 @@
+// ==============================================
+// CLIENT CAPABILITY DETECTION (Dual-Support)
+// ==============================================
+// Supported capability flags:
+// - leaderboard_meta: Client can handle X-Leaderboard-* response headers
+// - leaderboard_gating: Client supports pre-game gating (empty array before kickoff)
+// - tos_required_flag: Client can handle /api/me/flags TOS signaling
+// - picks_v2: Client supports /api/picks/v2 operation-based API
+// - session_tokens: Client sends a Bearer access token on player routes
+//   (clients without it fall back to the legacy userId parameter)
+
+function getClientCapabilities(req) {
+  const capabilities = new Set();
+  let clientVersion = null;
+
+  // 1. Check X-Client-Capabilities header (comma-separated tokens)
+  const capHeader = req.headers['x-client-capabilities'];
+  if (capHeader && typeof capHeader === 'string') {
+    const tokens = capHeader.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+    tokens.forEach(t => capabilities.add(t));
+  }
+
+  // 2. Check X-Client-Version header (semver string)
+  const versionHeader = req.headers['x-client-version'];
+  if (versionHeader && typeof versionHeader === 'string') {
+    clientVersion = versionHeader.trim();
+  }
+
+  // 3. Query param fallback only if headers missing
+  if (capabilities.size === 0 && !clientVersion) {
+    const qCaps = req.query.clientCapabilities;
+    if (qCaps && typeof qCaps === 'string') {
+      const tokens = qCaps.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+      tokens.forEach(t => capabilities.add(t));
+    }
+    const qVersion = req.query.clientVersion;
+    if (qVersion && typeof qVersion === 'string') {
+      clientVersion = qVersion.trim();
+    }
+  }
+
+  return {
+    capabilities,
+    clientVersion,
+    has: (cap) => capabilities.has(cap.toLowerCase()),
+    isLegacy: () => capabilities.size === 0 && !clientVersion
+  };
+}
+
+module.exports = { getClientCapabilities };
@@ -0,0 +1,154 @@
+const { verifyUserToken, isTokenCurrent } = require('../auth/userTokens');
+const { getClientCapabilities } = require('./clientCapabilities');
+
+/**
+ * Legacy clients (no session_tokens capability) may still identify themselves
+ * with a bare userId until ALLOW_LEGACY_USER_ID is set to 'false'.
+ */
+function isLegacyUserIdAllowed() {
+  return process.env.ALLOW_LEGACY_USER_ID !== 'false';
+}
+
+/**
+ * Reads the userId a route was called with (path param, body, or query).
+ */
+function getRequestedUserId(req) {
+  if (req.params && req.params.userId) {
+    return req.params.userId;
+  }
+  if (req.body && req.body.userId) {
+    return req.body.userId;
+  }
+  if (req.query && req.query.userId) {
+    return req.query.userId;
+  }
+  return null;
+}
+
+/**
+ * Middleware to authenticate players on player-facing routes.
+ *
+ * Verifies the Bearer access token issued by /api/users or /api/auth/login.
+ * Clients that do not advertise the session_tokens capability fall back to the
+ * legacy userId parameter. Attaches the authenticated user to req.user.
+ */
+async function requireUser(req, res, next) {
+  try {
+    const authHeader = req.headers.authorization;
+    const requestedUserId = getRequestedUserId(req);
+    let userId;
+    let authMethod;
+    let tokenClaims = null;
+
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+
+      let decoded;
+      try {
+        decoded = verifyUserToken(token, 'access');
+      } catch (err) {
+        console.log('[User Auth] Invalid or expired token', {
+          timestamp: new Date().toISOString(),
+          path: req.path,
+          error: err.message,
+          ip: req.ip
+        });
+        return res.status(401).json({ error: 'Unauthorized: Invalid or expired token' });
+      }
+
+      // A token only ever grants access to its own user's data
+      if (requestedUserId && requestedUserId !== decoded.sub) {
+        console.log('[User Auth] Token subject does not match requested user', {
+          timestamp: new Date().toISOString(),
+          path: req.path,
+          tokenUserId: decoded.sub,
+          requestedUserId,
+          ip: req.ip
+        });
+        return res.status(403).json({ error: 'Forbidden: Token does not match user' });
+      }
+
+      userId = decoded.sub;
+      authMethod = 'token';
+      tokenClaims = decoded;
+    } else {
+      const client = getClientCapabilities(req);
+
+      if (client.has('session_tokens') || !isLegacyUserIdAllowed() || !requestedUserId) {
+        console.log('[User Auth] Missing or invalid Authorization header', {
+          timestamp: new Date().toISOString(),
+          path: req.path,
+          ip: req.ip
+        });
+        return res.status(401).json({ error: 'Unauthorized: Missing token' });
+      }
+
+      userId = requestedUserId;
+      authMethod = 'legacy';
+    }
+
+    const pool = req.app.locals.pool;
+    const result = await pool.query(
+      'SELECT id, apple_id, email, token_version FROM users WHERE id = $1 LIMIT 1',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      console.log('[User Auth] User not found in database', {
+        timestamp: new Date().toISOString(),
+        userId,
+        authMethod,
+        path: req.path,
+        ip: req.ip
+      });
+      return res.status(401).json({ error: 'Unauthorized: User not found' });
+    }
+
+    const user = result.rows[0];
+
+    // Sessions end when token_version is bumped (password reset, sign-out)
+    if (tokenClaims && !isTokenCurrent(tokenClaims, user)) {
+      console.log('[User Auth] Token issued before the session was revoked', {
+        timestamp: new Date().toISOString(),
+        userId,
+        path: req.path,
+        ip: req.ip
+      });
+      return res.status(401).json({ error: 'Unauthorized: Invalid or expired token' });
+    }
+
+    // Attach user to request for downstream handlers
+    req.user = {
+      id: user.id,
+      apple_id: user.apple_id,
+      email: user.email,
+      auth_method: authMethod
+    };
+
+    next();
+  } catch (err) {
+    console.error('[User Auth] Unexpected error in requireUser middleware', {
+      timestamp: new Date().toISOString(),
+      error: err.message,
+      stack: err.stack,
+      path: req.path,
+      ip: req.ip
+    });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Like requireUser, but lets anonymous requests through without req.user.
+ * Used by read-only routes that add per-user fields when the caller is known.
+ */
+function optionalUser(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!(authHeader && authHeader.startsWith('Bearer ')) && !getRequestedUserId(req)) {
+    return next();
+  }
+  return requireUser(req, res, next);
+}
+
+module.exports = requireUser;
+module.exports.optionalUser = optionalUser;
@@ -0,0 +1,19 @@
+-- Role-based permissions for the web-admin
+-- Run this on production database: psql "$DATABASE_URL" < migrations/add-admin-roles.sql
+
+-- Admin role (viewer, operator, finance, superadmin). is_admin still gates admin access;
+-- admin_role decides which /api/admin/* routes the admin may call.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS admin_role VARCHAR(20);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'users_admin_role_check'
+    ) THEN
+        ALTER TABLE users ADD CONSTRAINT users_admin_role_check
+            CHECK (admin_role IS NULL OR admin_role IN ('viewer', 'operator', 'finance', 'superadmin'));
+    END IF;
+END $$;
+
+-- Existing admins keep full access until a superadmin narrows their role
+UPDATE users SET admin_role = 'superadmin' WHERE is_admin = true AND admin_role IS NULL;
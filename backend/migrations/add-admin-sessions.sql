@@ -0,0 +1,29 @@
+-- Server-side admin sessions: revocable access tokens and rotating refresh tokens
+-- Run this on production database: psql "$DATABASE_URL" < migrations/add-admin-sessions.sql
+
+CREATE TABLE IF NOT EXISTS admin_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    -- jti of the only access token currently valid for this session
+    access_jti UUID NOT NULL,
+    -- SHA-256 hashes of the current and previous refresh tokens
+    -- (a presented previous token means it was stolen and replayed)
+    refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+    previous_refresh_token_hash VARCHAR(64),
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    last_refreshed_at TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50)
+);
+
+-- One-time code the Apple redirect hands to the web-admin, exchanged by POST
+-- for the session's tokens so they never appear in a URL
+ALTER TABLE admin_sessions
+    ADD COLUMN IF NOT EXISTS login_code_hash VARCHAR(64) UNIQUE,
+    ADD COLUMN IF NOT EXISTS login_code_expires_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_user ON admin_sessions (user_id);
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_previous_refresh ON admin_sessions (previous_refresh_token_hash);
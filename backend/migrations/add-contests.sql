@@ -0,0 +1,52 @@
+-- Contests, entries and lifecycle audit (docs/architecture/contest-lifecycle.md)
+-- Run this on production database: psql "$DATABASE_URL" < migrations/add-contests.sql
+
+CREATE TABLE IF NOT EXISTS contests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'SCHEDULED'
+        CHECK (status IN ('SCHEDULED', 'LOCKED', 'LIVE', 'COMPLETE', 'CANCELLED', 'ERROR')),
+    -- Configuration
+    week_number INTEGER,
+    entry_fee NUMERIC(10,2) DEFAULT 0,
+    max_entries INTEGER,
+    -- Time fields (UTC)
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    lock_time TIMESTAMPTZ NOT NULL,
+    start_time TIMESTAMPTZ NOT NULL,
+    end_time TIMESTAMPTZ NOT NULL,
+    settle_time TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    -- Time field invariants; the service checks these first to return clear errors
+    CONSTRAINT contests_time_order CHECK (created_at < lock_time AND lock_time <= start_time AND start_time < end_time),
+    CONSTRAINT contests_settle_after_end CHECK (settle_time IS NULL OR settle_time >= end_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contests_status ON contests (status);
+
+CREATE TABLE IF NOT EXISTS contest_entries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    contest_id UUID NOT NULL REFERENCES contests(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    score NUMERIC(10,2),
+    rank INTEGER,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (contest_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contest_entries_user ON contest_entries (user_id);
+
+-- One row per lifecycle change (from_status is NULL for creation)
+CREATE TABLE IF NOT EXISTS contest_state_transitions (
+    id SERIAL PRIMARY KEY,
+    contest_id UUID NOT NULL REFERENCES contests(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    reason TEXT,
+    triggered_by VARCHAR(20) NOT NULL DEFAULT 'system' CHECK (triggered_by IN ('system', 'admin')),
+    actor_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_contest_state_transitions_contest ON contest_state_transitions (contest_id, created_at);
@@ -0,0 +1,22 @@
+-- Password reset and email verification tokens for email/password accounts
+-- Run this on production database: psql "$DATABASE_URL" < migrations/add-email-auth-tokens.sql
+
+-- When the user proved ownership of their email address (NULL = unverified)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+-- One-time tokens. Only the SHA-256 hash of the token is stored; the raw
+-- token is sent to the user by email and never persisted.
+CREATE TABLE IF NOT EXISTS auth_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_purpose ON auth_tokens (user_id, purpose);
+
+-- When true, /api/auth/login refuses email accounts that have not verified their email
+ALTER TABLE game_settings ADD COLUMN IF NOT EXISTS require_email_verification BOOLEAN DEFAULT false;
@@ -0,0 +1,48 @@
+-- Distance-based field goal scoring
+-- Run this on production database: psql "$DATABASE_URL" < migrations/add-fg-distance-bands.sql
+--
+-- Live stats now store every field goal attempt with its distance in
+-- scores.stats_json.fg_kicks ([{ distance, made }]). A scoring_rules row with
+-- a distance band scores each made kick in [min_distance, max_distance] yards
+-- (no upper bound when max_distance is null). Made kicks outside every active
+-- band, and stat lines without per-kick data, score the flat fg_made rule.
+
+BEGIN;
+
+ALTER TABLE scoring_rules ADD COLUMN IF NOT EXISTS min_distance INTEGER;
+ALTER TABLE scoring_rules ADD COLUMN IF NOT EXISTS max_distance INTEGER;
+
+ALTER TABLE scoring_rules DROP CONSTRAINT IF EXISTS scoring_rules_distance_band;
+ALTER TABLE scoring_rules ADD CONSTRAINT scoring_rules_distance_band CHECK (
+    (min_distance IS NULL AND max_distance IS NULL)
+    OR (min_distance >= 0 AND (max_distance IS NULL OR max_distance >= min_distance))
+);
+
+-- Existing band rows keep their points (flat 3 since flat-kicker-scoring.sql)
+UPDATE scoring_rules SET min_distance = 40, max_distance = 49 WHERE stat_name = 'fgm_40_49';
+UPDATE scoring_rules SET min_distance = 50, max_distance = NULL WHERE stat_name = 'fgm_50p';
+
+INSERT INTO scoring_rules (category, stat_name, points, description, min_distance, max_distance, display_order)
+SELECT 'kicking', 'fgm_0_39', COALESCE(
+    (SELECT points FROM scoring_rules WHERE stat_name = 'fg_made' AND is_active = true LIMIT 1), 3.00
+), 'Points per FG 0-39 yards', 0, 39, 5
+WHERE NOT EXISTS (SELECT 1 FROM scoring_rules WHERE stat_name = 'fgm_0_39');
+
+UPDATE scoring_rules
+SET description = 'Points per FG 40-49 yards', display_order = 6
+WHERE stat_name = 'fgm_40_49';
+
+UPDATE scoring_rules
+SET description = 'Points per FG 50+ yards', display_order = 7
+WHERE stat_name = 'fgm_50p';
+
+UPDATE scoring_rules
+SET description = 'Points per FG made outside the distance bands or without distance data'
+WHERE stat_name = 'fg_made';
+
+-- Bands are applied again, so show them again
+UPDATE scoring_rules
+SET is_active = true
+WHERE stat_name IN ('fgm_0_39', 'fgm_40_49', 'fgm_50p');
+
+COMMIT;
@@ -0,0 +1,27 @@
+-- NFL games per week, synced from the stats provider scoreboard so matchups, kickoffs and game status survive restarts
+-- Run this on production database: psql "$DATABASE_URL" < migrations/add-games.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS games (
+    -- ESPN event id
+    provider_game_id TEXT PRIMARY KEY,
+    week_number INTEGER NOT NULL,
+    name TEXT,
+    short_name TEXT,
+    -- Team abbreviations as reported by the provider
+    home_team VARCHAR(10),
+    away_team VARCHAR(10),
+    kickoff_at TIMESTAMPTZ,
+    -- Provider game state: pre, in or post
+    status VARCHAR(10) NOT NULL DEFAULT 'pre' CHECK (status IN ('pre', 'in', 'post')),
+    status_detail TEXT,
+    home_score INTEGER,
+    away_score INTEGER,
+    last_synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_games_week_number ON games(week_number);
+
+COMMIT;
@@ -0,0 +1,39 @@
+-- Private leagues with invite codes, run alongside the global pool
+-- Run this on production database: psql "$DATABASE_URL" < migrations/add-leagues.sql
+
+CREATE TABLE IF NOT EXISTS leagues (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    invite_code VARCHAR(16) NOT NULL UNIQUE,
+    commissioner_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    -- Per-league replacements for the game_settings payment fields
+    entry_amount NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (entry_amount >= 0),
+    venmo_handle VARCHAR(100),
+    cashapp_handle VARCHAR(100),
+    zelle_handle VARCHAR(100),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_leagues_commissioner ON leagues (commissioner_user_id);
+
+-- Membership only; picks stay per user, so one lineup counts in every league
+CREATE TABLE IF NOT EXISTS league_members (
+    league_id UUID NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    -- Marked by the commissioner; users.paid still tracks the global pool
+    paid BOOLEAN NOT NULL DEFAULT false,
+    joined_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (league_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_league_members_user ON league_members (user_id);
+
+-- Per-league copy of the payouts table
+CREATE TABLE IF NOT EXISTS league_payouts (
+    league_id UUID NOT NULL REFERENCES leagues(id) ON DELETE CASCADE,
+    place INTEGER NOT NULL CHECK (place > 0),
+    percentage NUMERIC(5,2) NOT NULL CHECK (percentage >= 0 AND percentage <= 100),
+    description TEXT,
+    PRIMARY KEY (league_id, place)
+);
@@ -0,0 +1,30 @@
+-- Flexible lineup slots (FLEX, SUPERFLEX)
+-- Run this on production database: psql "$DATABASE_URL" < migrations/add-lineup-slots.sql
+--
+-- A position_requirements row whose position is not a fixed position
+-- (QB/RB/WR/TE/K/DEF) is a flexible slot: any player whose position is in
+-- eligible_positions can fill it. required_count is the number of such
+-- slots in a lineup. picks.position stores the slot a pick fills.
+--
+-- FLEX (RB/WR/TE) and SUPERFLEX (QB/RB/WR/TE) are added inactive; turn them
+-- on from PUT /api/admin/position-requirements/:id.
+
+BEGIN;
+
+ALTER TABLE position_requirements
+    ADD COLUMN IF NOT EXISTS eligible_positions TEXT[];
+
+-- Fixed positions are only eligible for themselves
+UPDATE position_requirements
+SET eligible_positions = ARRAY[position]::TEXT[]
+WHERE eligible_positions IS NULL
+  AND position IN ('QB', 'RB', 'WR', 'TE', 'K', 'DEF');
+
+INSERT INTO position_requirements (position, required_count, display_name, display_order, is_active, eligible_positions)
+VALUES
+    ('FLEX', 1, 'Flex (RB/WR/TE)', 7, false, ARRAY['RB', 'WR', 'TE']),
+    ('SUPERFLEX', 1, 'Superflex (QB/RB/WR/TE)', 8, false, ARRAY['QB', 'RB', 'WR', 'TE'])
+ON CONFLICT (position) DO UPDATE
+SET eligible_positions = COALESCE(position_requirements.eligible_positions, EXCLUDED.eligible_positions);
+
+COMMIT;
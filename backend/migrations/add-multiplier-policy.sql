@@ -0,0 +1,36 @@
+-- Configurable multiplier progression policy + multiplier audit trail
+-- Run this on production database: psql "$DATABASE_URL" < migrations/add-multiplier-policy.sql
+--
+-- game_settings.multiplier_policy decides the multiplier a pick gets for
+-- each consecutive week a player is kept:
+--   { "base": 1, "increment": 1, "cap": null, "steps": null, "reset_on_swap_back": false }
+-- steps (e.g. [1, 1.5, 2, 2.5]) replaces base/increment when set; the last
+-- step repeats. cap limits the multiplier. reset_on_swap_back starts the
+-- streak over when a player is swapped out and back in during a week.
+--
+-- Every multiplier assignment (week transition, pick carry, reset) is
+-- appended to pick_multipliers with the policy that produced it. The
+-- (pick_id, week_number) unique key is dropped so re-running a transition
+-- or correcting a pick adds a row instead of overwriting the earlier one;
+-- created_at orders the history.
+
+BEGIN;
+
+ALTER TABLE game_settings
+    ADD COLUMN IF NOT EXISTS multiplier_policy JSONB NOT NULL
+        DEFAULT '{"base": 1, "increment": 1, "cap": null, "steps": null, "reset_on_swap_back": false}'::jsonb;
+
+ALTER TABLE pick_multipliers
+    ADD COLUMN IF NOT EXISTS previous_multiplier NUMERIC(3,1),
+    ADD COLUMN IF NOT EXISTS reason VARCHAR(20) NOT NULL DEFAULT 'transition',
+    ADD COLUMN IF NOT EXISTS policy JSONB;
+
+ALTER TABLE pick_multipliers
+    DROP CONSTRAINT IF EXISTS pick_multipliers_pick_id_week_number_key;
+
+-- idx_pick_multipliers_pick_week already covers lookups by pick_id
+DROP INDEX IF EXISTS idx_pick_multipliers_pick_id;
+
+CREATE INDEX IF NOT EXISTS idx_pick_multipliers_week_number ON pick_multipliers (week_number);
+
+COMMIT;
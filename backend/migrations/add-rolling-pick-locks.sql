@@ -0,0 +1,4 @@
+-- Per-game rolling pick locks: the whole-week lock now falls at the last kickoff
+-- Run this on production database: psql "$DATABASE_URL" < migrations/add-rolling-pick-locks.sql
+
+ALTER TABLE week_lock_schedule ADD COLUMN IF NOT EXISTS last_kickoff_at TIMESTAMPTZ;
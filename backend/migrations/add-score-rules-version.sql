@@ -0,0 +1,14 @@
+-- Rules version each score was computed with
+-- Run this on production database: psql "$DATABASE_URL" < migrations/add-score-rules-version.sql
+--
+-- Live scoring, stat corrections and rescores record the scoring_rule_versions
+-- row they applied, so a pick breakdown explains the score against the rules
+-- that produced it. Rows written before this column existed stay NULL and
+-- are explained against the rules in effect.
+
+BEGIN;
+
+-- No FK so scores survive version cleanup
+ALTER TABLE scores ADD COLUMN IF NOT EXISTS rules_version_id INTEGER;
+
+COMMIT;
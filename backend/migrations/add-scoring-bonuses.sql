@@ -0,0 +1,130 @@
+-- Configurable yardage and milestone bonuses
+-- Run this on production database: psql "$DATABASE_URL" < migrations/add-scoring-bonuses.sql
+--
+-- A bonus pays its points when stats[stat_name] >= threshold. Stats that are
+-- lists of plays (e.g. rush_td_yds, the length of each rushing TD) are checked
+-- play by play, so a 40-yard threshold pays once per 40+ yard touchdown.
+-- For each value, every stackable bonus that is met pays; of the exclusive
+-- bonuses on the same stat, only the highest threshold met pays.
+--
+-- The 400 passing / 150 rushing / 150 receiving yard bonus tiers move here
+-- as exclusive bonuses, and bonuses are part of every rules version.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS scoring_bonuses (
+    id SERIAL PRIMARY KEY,
+    category VARCHAR(50) NOT NULL DEFAULT 'bonus',
+    stat_name VARCHAR(100) NOT NULL,
+    threshold NUMERIC(10,2) NOT NULL,
+    points NUMERIC(6,2) NOT NULL,
+    stack_mode VARCHAR(10) NOT NULL DEFAULT 'stackable' CHECK (stack_mode IN ('stackable', 'exclusive')),
+    description TEXT,
+    is_active BOOLEAN DEFAULT true,
+    display_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_scoring_bonuses_stat_name ON scoring_bonuses (stat_name);
+
+DROP TRIGGER IF EXISTS update_scoring_bonuses_updated_at ON scoring_bonuses;
+CREATE TRIGGER update_scoring_bonuses_updated_at
+    BEFORE UPDATE ON scoring_bonuses
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Versions before this migration had no bonuses
+ALTER TABLE scoring_rule_versions ADD COLUMN IF NOT EXISTS bonuses JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+DROP FUNCTION IF EXISTS scoring_rules_snapshot();
+CREATE FUNCTION scoring_rules_snapshot(OUT rules JSONB, OUT tiers JSONB, OUT bonuses JSONB) AS $$
+BEGIN
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'id', id,
+        'category', category,
+        'stat_name', stat_name,
+        'points', points,
+        'description', description,
+        'min_distance', min_distance,
+        'max_distance', max_distance
+    ) ORDER BY id), '[]'::jsonb)
+    INTO rules
+    FROM scoring_rules
+    WHERE is_active = true;
+
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'id', id,
+        'category', category,
+        'stat_name', stat_name,
+        'min_value', min_value,
+        'max_value', max_value,
+        'points', points,
+        'description', description
+    ) ORDER BY id), '[]'::jsonb)
+    INTO tiers
+    FROM scoring_rule_tiers
+    WHERE is_active = true;
+
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'id', id,
+        'category', category,
+        'stat_name', stat_name,
+        'threshold', threshold,
+        'points', points,
+        'stack_mode', stack_mode,
+        'description', description
+    ) ORDER BY id), '[]'::jsonb)
+    INTO bonuses
+    FROM scoring_bonuses
+    WHERE is_active = true;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION record_scoring_rule_version() RETURNS TRIGGER AS $$
+DECLARE
+    snapshot RECORD;
+    latest RECORD;
+    actor TEXT;
+BEGIN
+    SELECT * INTO snapshot FROM scoring_rules_snapshot();
+    SELECT rules, tiers, bonuses INTO latest FROM scoring_rule_versions ORDER BY id DESC LIMIT 1;
+
+    IF FOUND AND latest.rules = snapshot.rules AND latest.tiers = snapshot.tiers
+        AND latest.bonuses = snapshot.bonuses THEN
+        RETURN NULL;
+    END IF;
+
+    actor := NULLIF(current_setting('scoring.actor_user_id', true), '');
+    INSERT INTO scoring_rule_versions (source, created_by, rules, tiers, bonuses)
+    VALUES (
+        CASE WHEN actor IS NULL THEN 'sql' ELSE 'admin' END,
+        actor::uuid,
+        snapshot.rules,
+        snapshot.tiers,
+        snapshot.bonuses
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS scoring_bonuses_version ON scoring_bonuses;
+CREATE CONSTRAINT TRIGGER scoring_bonuses_version
+    AFTER INSERT OR UPDATE OR DELETE ON scoring_bonuses
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION record_scoring_rule_version();
+
+-- Open-ended yardage tiers in the bonus category become exclusive bonuses
+INSERT INTO scoring_bonuses (category, stat_name, threshold, points, stack_mode, description, display_order)
+SELECT t.category, t.stat_name, t.min_value, t.points, 'exclusive', t.description, t.display_order
+FROM scoring_rule_tiers t
+WHERE t.category = 'bonus'
+  AND t.max_value IS NULL
+  AND t.is_active = true
+  AND NOT EXISTS (SELECT 1 FROM scoring_bonuses b WHERE b.stat_name = t.stat_name);
+
+DELETE FROM scoring_rule_tiers
+WHERE category = 'bonus'
+  AND max_value IS NULL
+  AND stat_name IN (SELECT stat_name FROM scoring_bonuses);
+
+COMMIT;
@@ -0,0 +1,91 @@
+-- Data-driven kicker, defense and bonus scoring
+-- Run this on production database: psql "$DATABASE_URL" < migrations/add-scoring-rule-tiers.sql
+--
+-- After this migration the scoring engine applies exactly:
+--   * every active scoring_rules row as points per unit of stats[stat_name]
+--   * every active scoring_rule_tiers row whose range contains stats[stat_name]
+-- and /api/scoring-rules returns the same rows.
+
+BEGIN;
+
+-- Range rules: points-allowed tiers, yardage bonuses, ...
+-- A tier applies when min_value <= stat <= max_value (NULL max = no upper bound)
+CREATE TABLE IF NOT EXISTS scoring_rule_tiers (
+    id SERIAL PRIMARY KEY,
+    category VARCHAR(50) NOT NULL,
+    stat_name VARCHAR(100) NOT NULL,
+    min_value NUMERIC(10,2) NOT NULL,
+    max_value NUMERIC(10,2),
+    points NUMERIC(6,2) NOT NULL,
+    description TEXT,
+    is_active BOOLEAN DEFAULT true,
+    display_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT scoring_rule_tiers_range CHECK (max_value IS NULL OR max_value >= min_value)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scoring_rule_tiers_stat_name ON scoring_rule_tiers (stat_name);
+
+DROP TRIGGER IF EXISTS update_scoring_rule_tiers_updated_at ON scoring_rule_tiers;
+CREATE TRIGGER update_scoring_rule_tiers_updated_at
+    BEFORE UPDATE ON scoring_rule_tiers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Kicker values that were hardcoded (3 per FG, 1 per XP, -1 per miss)
+INSERT INTO scoring_rules (category, stat_name, points, description, display_order)
+SELECT v.category, v.stat_name, v.points, v.description, v.display_order
+FROM (VALUES
+    ('kicking', 'fg_made', 3.00, '3 points per field goal made', 1),
+    ('kicking', 'xp_made', 1.00, '1 point per extra point made', 2),
+    ('kicking', 'fg_missed', -1.00, '-1 point per missed field goal', 3),
+    ('kicking', 'xp_missed', -1.00, '-1 point per missed extra point', 4)
+) AS v(category, stat_name, points, description, display_order)
+WHERE NOT EXISTS (SELECT 1 FROM scoring_rules sr WHERE sr.stat_name = v.stat_name);
+
+-- Defense values that fell back to inline defaults when no rule existed
+INSERT INTO scoring_rules (category, stat_name, points, description, display_order)
+SELECT v.category, v.stat_name, v.points, v.description, v.display_order
+FROM (VALUES
+    ('defense', 'def_sack', 1.00, '1 point per sack', 1),
+    ('defense', 'def_int', 2.00, '2 points per interception', 2),
+    ('defense', 'def_fum_rec', 2.00, '2 points per fumble recovery', 3),
+    ('defense', 'def_td', 6.00, '6 points per defensive touchdown', 4),
+    ('defense', 'def_safety', 2.00, '2 points per safety', 5),
+    ('defense', 'def_block', 4.00, '4 points per blocked kick', 6),
+    ('defense', 'def_ret_td', 6.00, '6 points per return touchdown', 7)
+) AS v(category, stat_name, points, description, display_order)
+WHERE NOT EXISTS (SELECT 1 FROM scoring_rules sr WHERE sr.stat_name = v.stat_name);
+
+-- Points-allowed ladder that was hardcoded (20/15/10/5/0/-1/-4)
+INSERT INTO scoring_rule_tiers (category, stat_name, min_value, max_value, points, description, display_order)
+SELECT v.category, v.stat_name, v.min_value, v.max_value, v.points, v.description, v.display_order
+FROM (VALUES
+    ('defense', 'def_pts_allowed', 0, 0, 20.00, 'Shutout (0 points allowed)', 10),
+    ('defense', 'def_pts_allowed', 1, 6, 15.00, '1-6 points allowed', 11),
+    ('defense', 'def_pts_allowed', 7, 13, 10.00, '7-13 points allowed', 12),
+    ('defense', 'def_pts_allowed', 14, 20, 5.00, '14-20 points allowed', 13),
+    ('defense', 'def_pts_allowed', 21, 27, 0.00, '21-27 points allowed', 14),
+    ('defense', 'def_pts_allowed', 28, 34, -1.00, '28-34 points allowed', 15),
+    ('defense', 'def_pts_allowed', 35, NULL, -4.00, '35+ points allowed', 16)
+) AS v(category, stat_name, min_value, max_value, points, description, display_order)
+WHERE NOT EXISTS (SELECT 1 FROM scoring_rule_tiers t WHERE t.stat_name = 'def_pts_allowed');
+
+-- Yardage bonuses had hardcoded thresholds; keep their configured points
+INSERT INTO scoring_rule_tiers (category, stat_name, min_value, max_value, points, description, display_order)
+SELECT 'bonus', v.stat_name, v.min_value, NULL, sr.points, v.description, v.display_order
+FROM (VALUES
+    ('pass_yd_bonus', 'pass_yd', 400, '400+ passing yards bonus', 1),
+    ('rush_yd_bonus', 'rush_yd', 150, '150+ rushing yards bonus', 2),
+    ('rec_yd_bonus', 'rec_yd', 150, '150+ receiving yards bonus', 3)
+) AS v(bonus_name, stat_name, min_value, description, display_order)
+JOIN scoring_rules sr ON sr.stat_name = v.bonus_name AND sr.is_active = true
+WHERE NOT EXISTS (SELECT 1 FROM scoring_rule_tiers t WHERE t.stat_name = v.stat_name);
+
+-- Rows that were displayed but not applied as written: the bonuses now live
+-- in scoring_rule_tiers, and kickers score flat per FG regardless of distance
+UPDATE scoring_rules
+SET is_active = false
+WHERE stat_name IN ('pass_yd_bonus', 'rush_yd_bonus', 'rec_yd_bonus', 'fgm_40_49', 'fgm_50p');
+
+COMMIT;
@@ -0,0 +1,111 @@
+-- Versioned scoring rules and retroactive rescoring
+-- Run this on production database: psql "$DATABASE_URL" < migrations/add-scoring-rule-versions.sql
+--
+-- Every committed change to scoring_rules or scoring_rule_tiers (admin API or
+-- direct SQL such as flat-kicker-scoring.sql) stores a snapshot of the active
+-- rules as a new scoring_rule_versions row. Admins rescore a week from the
+-- stored scores.stats_json against any version; each rescore is recorded in
+-- scoring_rescores.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS scoring_rule_versions (
+    id SERIAL PRIMARY KEY,
+    effective_from TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    source VARCHAR(20) NOT NULL DEFAULT 'sql' CHECK (source IN ('admin', 'sql', 'migration')),
+    created_by UUID,                 -- admin user for API edits; no FK so history survives deletes
+    note TEXT,
+    rules JSONB NOT NULL,            -- active scoring_rules rows, ordered by id
+    tiers JSONB NOT NULL,            -- active scoring_rule_tiers rows, ordered by id
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS scoring_rescores (
+    id SERIAL PRIMARY KEY,
+    week_number INTEGER NOT NULL,
+    version_id INTEGER NOT NULL REFERENCES scoring_rule_versions(id),
+    actor_user_id UUID,
+    rows_updated INTEGER NOT NULL,
+    users_affected INTEGER NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scoring_rescores_week ON scoring_rescores (week_number);
+
+-- Snapshot of the rules the engine applies right now
+CREATE OR REPLACE FUNCTION scoring_rules_snapshot(OUT rules JSONB, OUT tiers JSONB) AS $$
+BEGIN
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'id', id,
+        'category', category,
+        'stat_name', stat_name,
+        'points', points,
+        'description', description,
+        'min_distance', min_distance,
+        'max_distance', max_distance
+    ) ORDER BY id), '[]'::jsonb)
+    INTO rules
+    FROM scoring_rules
+    WHERE is_active = true;
+
+    SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'id', id,
+        'category', category,
+        'stat_name', stat_name,
+        'min_value', min_value,
+        'max_value', max_value,
+        'points', points,
+        'description', description
+    ) ORDER BY id), '[]'::jsonb)
+    INTO tiers
+    FROM scoring_rule_tiers
+    WHERE is_active = true;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Runs at commit (deferred), so a multi-statement edit yields one version.
+-- The admin API sets scoring.actor_user_id for the transaction.
+CREATE OR REPLACE FUNCTION record_scoring_rule_version() RETURNS TRIGGER AS $$
+DECLARE
+    snapshot RECORD;
+    latest RECORD;
+    actor TEXT;
+BEGIN
+    SELECT * INTO snapshot FROM scoring_rules_snapshot();
+    SELECT rules, tiers INTO latest FROM scoring_rule_versions ORDER BY id DESC LIMIT 1;
+
+    IF FOUND AND latest.rules = snapshot.rules AND latest.tiers = snapshot.tiers THEN
+        RETURN NULL;
+    END IF;
+
+    actor := NULLIF(current_setting('scoring.actor_user_id', true), '');
+    INSERT INTO scoring_rule_versions (source, created_by, rules, tiers)
+    VALUES (
+        CASE WHEN actor IS NULL THEN 'sql' ELSE 'admin' END,
+        actor::uuid,
+        snapshot.rules,
+        snapshot.tiers
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS scoring_rules_version ON scoring_rules;
+CREATE CONSTRAINT TRIGGER scoring_rules_version
+    AFTER INSERT OR UPDATE OR DELETE ON scoring_rules
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION record_scoring_rule_version();
+
+DROP TRIGGER IF EXISTS scoring_rule_tiers_version ON scoring_rule_tiers;
+CREATE CONSTRAINT TRIGGER scoring_rule_tiers_version
+    AFTER INSERT OR UPDATE OR DELETE ON scoring_rule_tiers
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION record_scoring_rule_version();
+
+-- Version 1: the rules in effect when versioning started
+INSERT INTO scoring_rule_versions (source, note, rules, tiers)
+SELECT 'migration', 'Rules in effect when versioning started', s.rules, s.tiers
+FROM scoring_rules_snapshot() s
+WHERE NOT EXISTS (SELECT 1 FROM scoring_rule_versions);
+
+COMMIT;
@@ -0,0 +1,54 @@
+-- Immutable contest settlement records and per-entry payouts (Settlement Model v1)
+-- Run this on production database: psql "$DATABASE_URL" < migrations/add-settlements.sql
+
+CREATE TABLE IF NOT EXISTS settlements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- One settlement per contest; a second insert fails instead of settling twice
+    contest_id UUID NOT NULL UNIQUE REFERENCES contests(id) ON DELETE CASCADE,
+    settled_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    triggered_by VARCHAR(10) NOT NULL CHECK (triggered_by IN ('system', 'admin')),
+    -- No foreign key: deleting the admin must not rewrite the record
+    actor_user_id UUID,
+    entry_fee NUMERIC(10,2) NOT NULL,
+    entry_count INTEGER NOT NULL,
+    total_pot NUMERIC(10,2) NOT NULL,
+    -- Snapshot of the payouts table (place, percentage, description) used
+    payout_structure JSONB NOT NULL,
+    weeks INTEGER[] NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS settlement_payouts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    settlement_id UUID NOT NULL REFERENCES settlements(id) ON DELETE CASCADE,
+    -- Copied rather than referenced so results survive entry or user deletion
+    contest_entry_id UUID NOT NULL,
+    user_id UUID NOT NULL,
+    username VARCHAR(255),
+    score NUMERIC(10,2) NOT NULL,
+    rank INTEGER NOT NULL,
+    -- Number of entries sharing this rank (1 = no tie)
+    tied_count INTEGER NOT NULL DEFAULT 1,
+    amount NUMERIC(10,2) NOT NULL DEFAULT 0,
+    UNIQUE (settlement_id, contest_entry_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_settlement_payouts_settlement ON settlement_payouts (settlement_id, rank);
+CREATE INDEX IF NOT EXISTS idx_settlement_payouts_user ON settlement_payouts (user_id);
+
+-- Settlement results are immutable after execution
+CREATE OR REPLACE FUNCTION reject_settlement_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Settlement records are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS settlements_immutable ON settlements;
+CREATE TRIGGER settlements_immutable
+    BEFORE UPDATE ON settlements
+    FOR EACH ROW EXECUTE FUNCTION reject_settlement_update();
+
+DROP TRIGGER IF EXISTS settlement_payouts_immutable ON settlement_payouts;
+CREATE TRIGGER settlement_payouts_immutable
+    BEFORE UPDATE ON settlement_payouts
+    FOR EACH ROW EXECUTE FUNCTION reject_settlement_update();
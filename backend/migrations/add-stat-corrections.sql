@@ -0,0 +1,31 @@
+-- Post-game stat corrections and the freeze date that stops them
+-- Run this on production database: psql "$DATABASE_URL" < migrations/add-stat-corrections.sql
+--
+-- The reconciliation job re-reads completed games for recent rounds and
+-- compares them with scores.stats_json. Every difference is recorded here
+-- with before/after values; only the affected player's score rows are
+-- rescored. Once game_settings.stat_corrections_frozen_at passes (e.g. after
+-- settlement), differences are recorded as 'frozen' and scores are left alone.
+
+BEGIN;
+
+ALTER TABLE game_settings ADD COLUMN IF NOT EXISTS stat_corrections_frozen_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS stat_corrections (
+    id SERIAL PRIMARY KEY,
+    week_number INTEGER NOT NULL,
+    player_id VARCHAR(50) NOT NULL,   -- no FK so history survives player cleanup
+    player_name TEXT,
+    -- { "<stat>": { "before": <value>, "after": <value> } } for each changed stat
+    changes JSONB NOT NULL,
+    before_stats JSONB NOT NULL,
+    after_stats JSONB NOT NULL,
+    status VARCHAR(10) NOT NULL CHECK (status IN ('applied', 'frozen')),
+    scores_updated INTEGER NOT NULL DEFAULT 0,
+    detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stat_corrections_detected ON stat_corrections (detected_at DESC);
+CREATE INDEX IF NOT EXISTS idx_stat_corrections_week_player ON stat_corrections (week_number, player_id);
+
+COMMIT;
@@ -0,0 +1,23 @@
+-- Configurable tie-breaker chain for the leaderboard and contest settlement
+-- Run this on production database: psql "$DATABASE_URL" < migrations/add-tie-breakers.sql
+--
+-- game_settings.tie_breakers lists the tie-breakers applied, in order, to
+-- entries with equal totals:
+--   best_week            - highest single-week score
+--   best_player          - highest single-player score
+--   super_bowl           - most points from the Super Bowl round
+--   earliest_submission  - earliest lineup submission
+-- Entries still equal after the chain share a rank.
+--
+-- settlements.tie_breakers records the chain a contest was paid out with.
+
+BEGIN;
+
+ALTER TABLE game_settings
+    ADD COLUMN IF NOT EXISTS tie_breakers JSONB NOT NULL
+        DEFAULT '["best_week", "best_player", "super_bowl", "earliest_submission"]'::jsonb;
+
+ALTER TABLE settlements
+    ADD COLUMN IF NOT EXISTS tie_breakers JSONB;
+
+COMMIT;
@@ -0,0 +1,10 @@
+-- Revocable player sessions: tokens carry the user's token_version and stop working once it is bumped
+-- Run this on production database: psql "$DATABASE_URL" < migrations/add-user-token-version.sql
+
+BEGIN;
+
+-- Bumped by a password reset or sign-out; access and refresh tokens issued
+-- under an older version are rejected
+ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+
+COMMIT;
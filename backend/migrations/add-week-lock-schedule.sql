@@ -0,0 +1,19 @@
+-- Scheduled pick locking per NFL week (first kickoff or admin override) and lock audit
+-- Run this on production database: psql "$DATABASE_URL" < migrations/add-week-lock-schedule.sql
+
+CREATE TABLE IF NOT EXISTS week_lock_schedule (
+    week_number INTEGER PRIMARY KEY,
+    -- Earliest scheduled kickoff, refreshed from the ESPN scoreboard
+    first_kickoff_at TIMESTAMPTZ,
+    kickoff_checked_at TIMESTAMPTZ,
+    -- Admin-set lock time; takes precedence over first_kickoff_at
+    lock_override_at TIMESTAMPTZ,
+    lock_override_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    -- When and by whom picks were actually locked for this week
+    locked_at TIMESTAMPTZ,
+    locked_by VARCHAR(20) CHECK (locked_by IN ('scheduler', 'admin')),
+    locked_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    -- Set when an admin reopens picks; the scheduler will not re-lock until a later lock time
+    manual_unlock_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
@@ -0,0 +1,179 @@
+/**
+ * Admin Contest Routes
+ *
+ * All endpoints under /api/admin/contests/*
+ * Protected by existing admin middleware (requireAdmin).
+ *
+ * Admin operations go through the same lifecycle service as automated
+ * processes; there are no overrides that bypass validation.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { requirePermission, ADMIN_PERMISSIONS } = require('../middleware/adminPermissions');
+const contestsService = require('../services/contests.service');
+const { ContestLifecycleError } = require('../services/contestLifecycle.service');
+
+function sendError(res, err, context) {
+  if (err instanceof ContestLifecycleError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`[Admin Contests] Error ${context}:`, err);
+  return res.status(500).json({ error: err.message });
+}
+
+// ============================================
+// READ
+// ============================================
+
+/**
+ * GET /api/admin/contests
+ * Lists contests, optionally filtered by ?status=.
+ */
+router.get('/', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const contests = await contestsService.listContests(pool, req.query.status);
+    res.json({
+      timestamp: new Date().toISOString(),
+      count: contests.length,
+      contests
+    });
+  } catch (err) {
+    sendError(res, err, 'listing contests');
+  }
+});
+
+/**
+ * GET /api/admin/contests/:contestId
+ * Returns the contest with derived fields.
+ */
+router.get('/:contestId', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const contest = await contestsService.getContestDetail(pool, req.params.contestId, null);
+
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+
+    res.json(contest);
+  } catch (err) {
+    sendError(res, err, 'fetching contest');
+  }
+});
+
+/**
+ * GET /api/admin/contests/:contestId/transitions
+ * Returns the lifecycle audit trail, oldest first.
+ */
+router.get('/:contestId/transitions', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const transitions = await contestsService.getContestTransitions(pool, req.params.contestId);
+    res.json({ contest_id: req.params.contestId, transitions });
+  } catch (err) {
+    sendError(res, err, 'fetching transitions');
+  }
+});
+
+/**
+ * GET /api/admin/contests/:contestId/settlement
+ * Returns the settlement record and every entry's rank and payout.
+ */
+router.get('/:contestId/settlement', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const settlement = await contestsService.getSettlement(pool, req.params.contestId);
+
+    if (!settlement) {
+      return res.status(404).json({ error: 'Contest has not been settled' });
+    }
+
+    res.json(settlement);
+  } catch (err) {
+    sendError(res, err, 'fetching settlement');
+  }
+});
+
+// ============================================
+// LIFECYCLE OPERATIONS
+// ============================================
+
+/**
+ * POST /api/admin/contests
+ * Creates a SCHEDULED contest.
+ *
+ * Body: { name, lock_time, start_time, end_time, week_number?, entry_fee?, max_entries? }
+ */
+router.post('/', requirePermission(ADMIN_PERMISSIONS.WEEK_MANAGE), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const contest = await contestsService.createContest(pool, req.body || {}, {
+      actorUserId: req.adminUser.id
+    });
+    res.status(201).json(contest);
+  } catch (err) {
+    sendError(res, err, 'creating contest');
+  }
+});
+
+/**
+ * PATCH /api/admin/contests/:contestId/times
+ * Updates lock_time, start_time and/or end_time.
+ */
+router.patch('/:contestId/times', requirePermission(ADMIN_PERMISSIONS.WEEK_MANAGE), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const contest = await contestsService.updateContestTimes(pool, req.params.contestId, req.body || {});
+    res.json(contest);
+  } catch (err) {
+    sendError(res, err, 'updating contest times');
+  }
+});
+
+/**
+ * POST /api/admin/contests/:contestId/transition
+ * Moves the contest to a new state (force-lock, cancel, resolve error, ...).
+ *
+ * Body: { status, reason? }
+ */
+router.post('/:contestId/transition', requirePermission(ADMIN_PERMISSIONS.WEEK_MANAGE), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { status, reason } = req.body || {};
+
+    if (!status) {
+      return res.status(400).json({ error: 'status is required' });
+    }
+
+    const result = await contestsService.transitionContest(pool, req.params.contestId, status, {
+      reason,
+      actorUserId: req.adminUser.id
+    });
+    res.json(result);
+  } catch (err) {
+    sendError(res, err, 'transitioning contest');
+  }
+});
+
+/**
+ * POST /api/admin/contests/:contestId/settle
+ * Settles the contest once every game is final. Safe to retry: an already
+ * settled contest returns its existing settlement with created: false.
+ */
+router.post('/:contestId/settle', requirePermission(ADMIN_PERMISSIONS.PAYMENTS_MANAGE), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const result = await contestsService.settleContest(pool, req.params.contestId, {
+      fetchEvents: req.app.locals.fetchScoreboardEvents,
+      actorUserId: req.adminUser.id
+    });
+    res.status(result.created ? 201 : 200).json(result);
+  } catch (err) {
+    sendError(res, err, 'settling contest');
+  }
+});
+
+module.exports = router;
@@ -16,6 +16,7 @@ const timelineService = require('../services/adminTimeline.service');
 const healthService = require('../services/adminHealth.service');
 const rateLimitService = require('../services/adminRateLimit.service');
 const jobsService = require('../services/adminJobs.service');
+const sessionsService = require('../services/adminSessions.service');
 
 // ============================================
 // USER ENTITLEMENT & AUTH DIAGNOSTICS
@@ -276,4 +277,27 @@ router.get('/jobs/:jobName', (req, res) => {
   }
 });
 
+// ============================================
+// ADMIN SESSIONS
+// ============================================
+
+/**
+ * GET /api/admin/diagnostics/sessions
+ * Returns admin sessions that are neither revoked nor expired.
+ */
+router.get('/sessions', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const sessions = await sessionsService.getActiveAdminSessions(pool);
+    res.json({
+      timestamp: new Date().toISOString(),
+      count: sessions.length,
+      sessions
+    });
+  } catch (err) {
+    console.error('[Admin Diagnostics] Error fetching admin sessions:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
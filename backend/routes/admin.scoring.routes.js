@@ -0,0 +1,224 @@
+/**
+ * Admin Scoring Rule Routes
+ *
+ * All endpoints under /api/admin/scoring-rules/*
+ * Protected by existing admin middleware (requireAdmin).
+ *
+ * Edits take effect on the next scoring pass; /api/scoring-rules always
+ * shows the rules the engine applies. Every committed edit is recorded as a
+ * rules version; a week can be rescored against any version.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { requirePermission, ADMIN_PERMISSIONS } = require('../middleware/adminPermissions');
+const scoringService = require('../services/scoring.service');
+const scoringVersionsService = require('../services/scoringVersions.service');
+const { ScoringRulesError } = scoringService;
+
+function sendError(res, err, context) {
+  if (err instanceof ScoringRulesError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`[Admin Scoring] Error ${context}:`, err);
+  return res.status(500).json({ error: err.message });
+}
+
+/**
+ * GET /api/admin/scoring-rules
+ * Every per-stat rule, tier and bonus, including inactive ones.
+ */
+router.get('/', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    res.json(await scoringService.getAdminRules(pool));
+  } catch (err) {
+    sendError(res, err, 'listing scoring rules');
+  }
+});
+
+/**
+ * POST /api/admin/scoring-rules
+ * Creates a per-stat rule (points per unit of the stat). With min_distance
+ * the rule scores each made field goal in that distance band instead.
+ *
+ * Body: { category, stat_name, points, description?, display_order?, min_distance?, max_distance? }
+ */
+router.post('/', requirePermission(ADMIN_PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const rule = await scoringService.createRule(pool, req.body || {}, {
+      actorUserId: req.adminUser.id
+    });
+    res.status(201).json(rule);
+  } catch (err) {
+    sendError(res, err, 'creating scoring rule');
+  }
+});
+
+/**
+ * PUT /api/admin/scoring-rules/tiers/:statName
+ * Replaces every tier for a stat. Ranges may not overlap; [] removes them.
+ *
+ * Body: { category, tiers: [{ min_value, max_value|null, points, description? }] }
+ */
+router.put('/tiers/:statName', requirePermission(ADMIN_PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const tiers = await scoringService.replaceTiers(pool, req.params.statName, req.body || {}, {
+      actorUserId: req.adminUser.id
+    });
+    res.json({ stat_name: req.params.statName, tiers });
+  } catch (err) {
+    sendError(res, err, 'replacing scoring tiers');
+  }
+});
+
+// ============================================
+// BONUSES
+// ============================================
+
+/**
+ * POST /api/admin/scoring-rules/bonuses
+ * Creates a bonus: points when a stat reaches a threshold. List stats such
+ * as rush_td_yds are checked per play (e.g. 40+ yard touchdowns).
+ *
+ * Body: { stat_name, threshold, points, stack_mode?: 'stackable'|'exclusive', category?, description?, display_order? }
+ */
+router.post('/bonuses', requirePermission(ADMIN_PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const bonus = await scoringService.createBonus(pool, req.body || {}, {
+      actorUserId: req.adminUser.id
+    });
+    res.status(201).json(bonus);
+  } catch (err) {
+    sendError(res, err, 'creating scoring bonus');
+  }
+});
+
+/**
+ * PATCH /api/admin/scoring-rules/bonuses/:bonusId
+ * Updates a bonus; is_active: false retires it.
+ *
+ * Body: { threshold?, points?, stack_mode?, description?, display_order?, is_active? }
+ */
+router.patch('/bonuses/:bonusId', requirePermission(ADMIN_PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const bonus = await scoringService.updateBonus(pool, req.params.bonusId, req.body || {}, {
+      actorUserId: req.adminUser.id
+    });
+    res.json(bonus);
+  } catch (err) {
+    sendError(res, err, 'updating scoring bonus');
+  }
+});
+
+// ============================================
+// VERSIONS AND RESCORING
+// ============================================
+
+/**
+ * GET /api/admin/scoring-rules/versions
+ * Rules versions, newest first.
+ */
+router.get('/versions', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const versions = await scoringVersionsService.listVersions(pool);
+    res.json({ versions, count: versions.length });
+  } catch (err) {
+    sendError(res, err, 'listing scoring rule versions');
+  }
+});
+
+/**
+ * GET /api/admin/scoring-rules/versions/:versionId
+ * One version with its rule snapshot.
+ */
+router.get('/versions/:versionId', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    res.json(await scoringVersionsService.getVersion(pool, req.params.versionId));
+  } catch (err) {
+    sendError(res, err, 'fetching scoring rule version');
+  }
+});
+
+/**
+ * PATCH /api/admin/scoring-rules/versions/:versionId
+ * Sets the effective date or note of a version. Live scoring applies the
+ * latest version whose effective date has passed.
+ *
+ * Body: { effective_from?, note? }
+ */
+router.patch('/versions/:versionId', requirePermission(ADMIN_PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    res.json(await scoringVersionsService.updateVersion(pool, req.params.versionId, req.body || {}));
+  } catch (err) {
+    sendError(res, err, 'updating scoring rule version');
+  }
+});
+
+/**
+ * GET /api/admin/scoring-rules/rescore/preview?weekNumber=19&versionId=3
+ * Which scores, user totals and ranks would move if the week were rescored
+ * against the version. Nothing is written.
+ */
+router.get('/rescore/preview', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const report = await scoringVersionsService.previewRescore(pool, {
+      weekNumber: req.query.weekNumber,
+      versionId: req.query.versionId
+    });
+    res.json(report);
+  } catch (err) {
+    sendError(res, err, 'previewing rescore');
+  }
+});
+
+/**
+ * POST /api/admin/scoring-rules/rescore
+ * Rescores a week from stored stats_json against a version.
+ *
+ * Body: { week_number, version_id }
+ */
+router.post('/rescore', requirePermission(ADMIN_PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { week_number: weekNumber, version_id: versionId } = req.body || {};
+    const report = await scoringVersionsService.applyRescore(pool, {
+      weekNumber,
+      versionId,
+      actorUserId: req.adminUser.id
+    });
+    console.log(`[Admin Scoring] Rescored week ${report.week_number} against version ${report.version_id}: ${report.rows_changed} rows`);
+    res.json(report);
+  } catch (err) {
+    sendError(res, err, 'rescoring week');
+  }
+});
+
+/**
+ * PATCH /api/admin/scoring-rules/:ruleId
+ * Updates a per-stat rule.
+ *
+ * Body: { points?, description?, display_order?, is_active?, min_distance?, max_distance? }
+ */
+router.patch('/:ruleId', requirePermission(ADMIN_PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const rule = await scoringService.updateRule(pool, req.params.ruleId, req.body || {}, {
+      actorUserId: req.adminUser.id
+    });
+    res.json(rule);
+  } catch (err) {
+    sendError(res, err, 'updating scoring rule');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+/**
+ * Admin Settlement Routes
+ *
+ * All endpoints under /api/admin/settlements/*
+ * Protected by existing admin middleware (requireAdmin).
+ *
+ * Read-only payout report. Settlement itself is triggered per contest via
+ * POST /api/admin/contests/:contestId/settle.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { requirePermission, ADMIN_PERMISSIONS } = require('../middleware/adminPermissions');
+const contestsService = require('../services/contests.service');
+
+/**
+ * GET /api/admin/settlements
+ * Lists settled contests, newest first, with what each winner is owed.
+ */
+router.get('/', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const settlements = await contestsService.listSettlements(pool);
+    res.json({
+      timestamp: new Date().toISOString(),
+      count: settlements.length,
+      settlements
+    });
+  } catch (err) {
+    console.error('[Admin Settlements] Error listing settlements:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+/**
+ * Admin Stat Correction Routes
+ *
+ * All endpoints under /api/admin/stat-corrections/*
+ * Protected by existing admin middleware (requireAdmin).
+ *
+ * The stat-corrections job runs on its own in production; these endpoints
+ * show what it changed, run it on demand and set the freeze date after
+ * which corrections stop changing scores.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { requirePermission, ADMIN_PERMISSIONS } = require('../middleware/adminPermissions');
+const statCorrectionsService = require('../services/statCorrections.service');
+const { StatCorrectionsError } = statCorrectionsService;
+
+function sendError(res, err, context) {
+  if (err instanceof StatCorrectionsError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`[Admin Stat Corrections] Error ${context}:`, err);
+  return res.status(500).json({ error: err.message });
+}
+
+/**
+ * GET /api/admin/stat-corrections
+ * Recent corrections, newest first, with the freeze date.
+ *
+ * Query: weekNumber? (NFL week), limit? (default 50, max 200)
+ */
+router.get('/', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const weekNumber = req.query.weekNumber ? parseInt(req.query.weekNumber, 10) || null : null;
+
+    const [freeze, corrections] = await Promise.all([
+      statCorrectionsService.getFreeze(pool),
+      statCorrectionsService.listCorrections(pool, { limit, weekNumber })
+    ]);
+    res.json({
+      timestamp: new Date().toISOString(),
+      ...freeze,
+      count: corrections.length,
+      corrections
+    });
+  } catch (err) {
+    sendError(res, err, 'listing stat corrections');
+  }
+});
+
+/**
+ * POST /api/admin/stat-corrections/run
+ * Runs reconciliation now instead of waiting for the next scheduled pass.
+ */
+router.post('/run', requirePermission(ADMIN_PERMISSIONS.DATA_SYNC), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const summary = await statCorrectionsService.runReconciliation(pool, {
+      fetchStatLines: req.app.locals.fetchFinalStatLines
+    });
+    res.json(summary);
+  } catch (err) {
+    sendError(res, err, 'running reconciliation');
+  }
+});
+
+/**
+ * PUT /api/admin/stat-corrections/freeze
+ * Sets or clears the freeze date. After it passes, corrections are logged
+ * with status 'frozen' and scores are not changed.
+ *
+ * Body: { frozen_at: ISO 8601 date | null }
+ */
+router.put('/freeze', requirePermission(ADMIN_PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const freeze = await statCorrectionsService.setFreeze(pool, req.body?.frozen_at ?? null);
+
+    console.log('[Admin Stat Corrections] Freeze date updated', {
+      adminUserId: req.adminUser.id,
+      frozenAt: freeze.frozen_at
+    });
+    res.json(freeze);
+  } catch (err) {
+    sendError(res, err, 'updating freeze date');
+  }
+});
+
+module.exports = router;
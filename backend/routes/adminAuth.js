@@ -1,7 +1,7 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
-const { v4: uuidv4 } = require('uuid');
 const { exchangeAppleAuthCode, verifyAppleIdToken } = require('../auth/appleVerify');
+const sessionsService = require('../services/adminSessions.service');
 
 const router = express.Router();
 
@@ -47,8 +47,9 @@ function generateAppleClientSecret(teamId, clientId, keyId, privateKey) {
  * 1. Verify id_token from Apple POST (signature, claims, jti replay protection)
  * 2. Lookup user by apple_id in database
  * 3. Verify is_admin = true
- * 4. Issue admin-scoped JWT
- * 5. Redirect to web-admin with token
+ * 4. Start an admin session with a one-time login code
+ * 5. Redirect to web-admin with the code, which it exchanges via
+ *    POST /api/admin/auth/exchange (tokens never go in the URL)
  *
  * Form data (from Apple POST):
  * - code: Authorization code from Apple
@@ -56,7 +57,7 @@ function generateAppleClientSecret(teamId, clientId, keyId, privateKey) {
  * - state: State parameter (should be 'web-admin')
  *
  * Response:
- * - Redirects to web-admin with token in URL
+ * - Redirects to web-admin with login_code in URL
  */
 router.post('/apple', async (req, res) => {
   const { id_token, code, state } = req.body;
@@ -141,30 +142,25 @@ router.post('/apple', async (req, res) => {
       return res.status(403).json({ error: 'Access denied: Insufficient privileges' });
     }
 
-    // Issue admin-scoped JWT
-    const adminJwtPayload = {
-      sub: user.id,
-      apple_id: user.apple_id,
-      is_admin: true,
-      role: 'admin',
-      jti: uuidv4(),
-      iat: Math.floor(Date.now() / 1000),
-      exp: Math.floor(Date.now() / 1000) + 3600 // 1 hour
-    };
-
-    const adminToken = jwt.sign(adminJwtPayload, ADMIN_JWT_SECRET, { algorithm: 'HS256' });
+    // Start admin session; the browser gets only a one-time code for it
+    const session = await sessionsService.createAdminSession(pool, user, {
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+    const loginCode = await sessionsService.createAdminLoginCode(pool, session.session_id);
 
     console.log('[Admin Auth] Admin login successful', {
       timestamp: new Date().toISOString(),
       userId: user.id,
       apple_id: user.apple_id,
       email: user.email,
+      sessionId: session.session_id,
       ip: req.ip
     });
 
-    // Redirect to web-admin login page with token
+    // Redirect to web-admin login page with the login code
     const webAdminUrl = process.env.WEB_ADMIN_URL || 'https://upbeat-analysis-production.up.railway.app';
-    const redirectUrl = `${webAdminUrl}/login?token=${adminToken}`;
+    const redirectUrl = `${webAdminUrl}/login?login_code=${loginCode}`;
 
     return res.redirect(redirectUrl);
   } catch (err) {
@@ -178,4 +174,149 @@ router.post('/apple', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/auth/exchange
+ *
+ * Exchanges the one-time login code from the Apple redirect for the
+ * session's tokens. A code works once, for one minute.
+ *
+ * Body:
+ * - login_code: Code from the /login redirect
+ *
+ * Response:
+ * - { token, refresh_token, expires_in }
+ */
+router.post('/exchange', async (req, res) => {
+  const { login_code } = req.body;
+
+  if (!login_code) {
+    return res.status(400).json({ error: 'Missing login_code' });
+  }
+
+  try {
+    const pool = req.app.locals.pool;
+    const session = await sessionsService.redeemAdminLoginCode(pool, login_code);
+
+    if (!session) {
+      console.log('[Admin Auth] Login code rejected', {
+        timestamp: new Date().toISOString(),
+        ip: req.ip
+      });
+      return res.status(401).json({ error: 'Unauthorized: Login code expired or already used' });
+    }
+
+    return res.json({
+      token: session.access_token,
+      refresh_token: session.refresh_token,
+      expires_in: session.expires_in
+    });
+  } catch (err) {
+    console.error('[Admin Auth] Unexpected error in /auth/exchange', {
+      timestamp: new Date().toISOString(),
+      error: err.message,
+      stack: err.stack,
+      ip: req.ip
+    });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/admin/auth/refresh
+ *
+ * Exchanges a refresh token for a new access token and refresh token.
+ * The presented refresh token stops working; replaying it revokes the session.
+ *
+ * Body:
+ * - refresh_token: Refresh token from sign-in or the previous refresh
+ *
+ * Response:
+ * - { token, refresh_token, expires_in }
+ */
+router.post('/refresh', async (req, res) => {
+  const { refresh_token } = req.body;
+
+  if (!refresh_token) {
+    return res.status(400).json({ error: 'Missing refresh_token' });
+  }
+
+  try {
+    const pool = req.app.locals.pool;
+    const session = await sessionsService.rotateAdminSession(pool, refresh_token);
+
+    if (!session) {
+      console.log('[Admin Auth] Refresh rejected', {
+        timestamp: new Date().toISOString(),
+        ip: req.ip
+      });
+      return res.status(401).json({ error: 'Unauthorized: Session expired or revoked' });
+    }
+
+    return res.json({
+      token: session.access_token,
+      refresh_token: session.refresh_token,
+      expires_in: session.expires_in
+    });
+  } catch (err) {
+    console.error('[Admin Auth] Unexpected error in /auth/refresh', {
+      timestamp: new Date().toISOString(),
+      error: err.message,
+      stack: err.stack,
+      ip: req.ip
+    });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/admin/auth/logout
+ *
+ * Revokes the session behind the Bearer access token. Expired access tokens
+ * are accepted here so a user can always end their session.
+ *
+ * Response:
+ * - { success: true }
+ */
+router.post('/logout', async (req, res) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Unauthorized: Missing token' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(authHeader.substring(7), process.env.ADMIN_JWT_SECRET, {
+      algorithms: ['HS256'],
+      ignoreExpiration: true
+    });
+  } catch (err) {
+    return res.status(401).json({ error: 'Unauthorized: Invalid token' });
+  }
+
+  try {
+    const pool = req.app.locals.pool;
+    if (decoded.sid) {
+      await sessionsService.revokeAdminSession(pool, decoded.sid, 'logout');
+    }
+
+    console.log('[Admin Auth] Admin logout', {
+      timestamp: new Date().toISOString(),
+      userId: decoded.sub,
+      sessionId: decoded.sid,
+      ip: req.ip
+    });
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('[Admin Auth] Unexpected error in /auth/logout', {
+      timestamp: new Date().toISOString(),
+      error: err.message,
+      stack: err.stack,
+      ip: req.ip
+    });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
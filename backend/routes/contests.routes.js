@@ -0,0 +1,60 @@
+/**
+ * Contest Routes
+ *
+ * Player-facing endpoints under /api/contests/*
+ * Lifecycle state and derived fields are computed by the backend
+ * (docs/architecture/contest-lifecycle.md); clients render them as returned.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const requireUser = require('../middleware/userAuth');
+const { optionalUser } = require('../middleware/userAuth');
+const contestsService = require('../services/contests.service');
+const { ContestLifecycleError } = require('../services/contestLifecycle.service');
+
+/**
+ * GET /api/contests/:contestId
+ * Returns the contest with derived fields. user_has_entered is included
+ * only when the caller is authenticated.
+ */
+router.get('/:contestId', optionalUser, async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const contest = await contestsService.getContestDetail(
+      pool,
+      req.params.contestId,
+      req.user ? req.user.id : null
+    );
+
+    if (!contest) {
+      return res.status(404).json({ error: 'Contest not found' });
+    }
+
+    res.json(contest);
+  } catch (err) {
+    console.error('[Contests] Error fetching contest:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/contests/:contestId/entries
+ * Enters the authenticated user. Only permitted while the contest is SCHEDULED.
+ */
+router.post('/:contestId/entries', requireUser, async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { entry, created } = await contestsService.createEntry(pool, req.params.contestId, req.user.id);
+    res.status(created ? 201 : 200).json(entry);
+  } catch (err) {
+    if (err instanceof ContestLifecycleError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('[Contests] Error creating entry:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
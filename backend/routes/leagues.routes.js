@@ -0,0 +1,197 @@
+/**
+ * League Routes
+ *
+ * Player-facing endpoints under /api/leagues/*
+ * Private leagues run alongside the global pool. League-scoped standings and
+ * payouts are served by /api/leaderboard?leagueId= and /api/payouts?leagueId=.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const requireUser = require('../middleware/userAuth');
+const leaguesService = require('../services/leagues.service');
+const { LeagueError } = leaguesService;
+
+function sendError(res, err, context) {
+  if (err instanceof LeagueError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`[Leagues] Error ${context}:`, err);
+  return res.status(500).json({ error: err.message });
+}
+
+// ============================================
+// MEMBERSHIP
+// ============================================
+
+/**
+ * GET /api/leagues
+ * Lists the leagues the caller belongs to.
+ */
+router.get('/', requireUser, async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const leagues = await leaguesService.listUserLeagues(pool, req.user.id);
+    res.json({ count: leagues.length, leagues });
+  } catch (err) {
+    sendError(res, err, 'listing leagues');
+  }
+});
+
+/**
+ * POST /api/leagues
+ * Creates a league with the caller as commissioner.
+ *
+ * Body: { name, entry_amount?, venmo_handle?, cashapp_handle?, zelle_handle? }
+ */
+router.post('/', requireUser, async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const league = await leaguesService.createLeague(pool, req.user.id, req.body || {});
+    res.status(201).json(league);
+  } catch (err) {
+    sendError(res, err, 'creating league');
+  }
+});
+
+/**
+ * GET /api/leagues/invite/:inviteCode
+ * Public preview of the league behind an invite code or link.
+ */
+router.get('/invite/:inviteCode', async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const preview = await leaguesService.getInvitePreview(pool, req.params.inviteCode);
+
+    if (!preview) {
+      return res.status(404).json({ error: 'Invite code not found' });
+    }
+
+    res.json(preview);
+  } catch (err) {
+    sendError(res, err, 'fetching invite');
+  }
+});
+
+/**
+ * POST /api/leagues/join
+ * Joins the league behind an invite code. Joining twice returns 200.
+ *
+ * Body: { invite_code }
+ */
+router.post('/join', requireUser, async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const { invite_code: inviteCode } = req.body || {};
+    const result = await leaguesService.joinLeague(pool, inviteCode, req.user.id);
+    res.status(result.joined ? 201 : 200).json(result);
+  } catch (err) {
+    sendError(res, err, 'joining league');
+  }
+});
+
+/**
+ * GET /api/leagues/:leagueId
+ * League settings, payment handles, payout table and members. Members only.
+ */
+router.get('/:leagueId', requireUser, async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const league = await leaguesService.getLeague(pool, req.params.leagueId, req.user.id);
+    res.json(league);
+  } catch (err) {
+    sendError(res, err, 'fetching league');
+  }
+});
+
+/**
+ * DELETE /api/leagues/:leagueId/members/:memberId
+ * Leaves the league (own memberId) or, for the commissioner, removes a member.
+ */
+router.delete('/:leagueId/members/:memberId', requireUser, async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    await leaguesService.removeMember(pool, req.params.leagueId, req.user.id, req.params.memberId);
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err, 'removing member');
+  }
+});
+
+// ============================================
+// COMMISSIONER
+// ============================================
+
+/**
+ * PATCH /api/leagues/:leagueId
+ * Updates name, entry_amount and payment handles.
+ */
+router.patch('/:leagueId', requireUser, async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const league = await leaguesService.updateLeague(pool, req.params.leagueId, req.user.id, req.body || {});
+    res.json(league);
+  } catch (err) {
+    sendError(res, err, 'updating league');
+  }
+});
+
+/**
+ * PUT /api/leagues/:leagueId/payouts
+ * Replaces the payout table.
+ *
+ * Body: { payouts: [{ place, percentage, description? }] }
+ */
+router.put('/:leagueId/payouts', requireUser, async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const payouts = await leaguesService.setLeaguePayouts(
+      pool,
+      req.params.leagueId,
+      req.user.id,
+      (req.body || {}).payouts
+    );
+    res.json({ payouts });
+  } catch (err) {
+    sendError(res, err, 'updating payouts');
+  }
+});
+
+/**
+ * PUT /api/leagues/:leagueId/members/:memberId/paid
+ * Marks a member as paid or unpaid.
+ *
+ * Body: { paid }
+ */
+router.put('/:leagueId/members/:memberId/paid', requireUser, async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const member = await leaguesService.setMemberPaid(
+      pool,
+      req.params.leagueId,
+      req.user.id,
+      req.params.memberId,
+      (req.body || {}).paid
+    );
+    res.json(member);
+  } catch (err) {
+    sendError(res, err, 'updating member');
+  }
+});
+
+/**
+ * POST /api/leagues/:leagueId/invite-code
+ * Issues a new invite code; the old code and link stop working.
+ */
+router.post('/:leagueId/invite-code', requireUser, async (req, res) => {
+  try {
+    const pool = req.app.locals.pool;
+    const invite = await leaguesService.rotateInviteCode(pool, req.params.leagueId, req.user.id);
+    res.json(invite);
+  } catch (err) {
+    sendError(res, err, 'rotating invite code');
+  }
+});
+
+module.exports = router;
@@ -1,3 +1,4 @@
+const path = require('path');
 const express = require('express');
 const { Pool } = require('pg');
 const pg = require('pg');
@@ -7,10 +8,42 @@ const geoip = require('geoip-lite');
 const bcrypt = require('bcrypt');
 const rateLimit = require('express-rate-limit');
 const requireAdmin = require('./middleware/adminAuth');
+const {
+  ADMIN_PERMISSIONS,
+  ADMIN_ROLES,
+  getPermissionsForRole,
+  hasPermission,
+  requirePermission
+} = require('./middleware/adminPermissions');
+const requireUser = require('./middleware/userAuth');
+const { getClientCapabilities } = require('./middleware/clientCapabilities');
+const { issueUserTokens, verifyUserToken, isTokenCurrent } = require('./auth/userTokens');
+const { verifyAppleIdToken } = require('./auth/appleVerify');
+const { createEmailToken, revokeEmailTokens, consumeEmailToken } = require('./auth/emailTokens');
+const mailService = require('./services/mail.service');
 const adminAuthRoutes = require('./routes/adminAuth');
 const adminDiagnosticsRoutes = require('./routes/admin.diagnostics.routes');
 const adminTrendsRoutes = require('./routes/admin.trends.routes');
+const adminContestsRoutes = require('./routes/admin.contests.routes');
+const adminSettlementsRoutes = require('./routes/admin.settlements.routes');
+const contestsRoutes = require('./routes/contests.routes');
+const leaguesRoutes = require('./routes/leagues.routes');
+const adminScoringRoutes = require('./routes/admin.scoring.routes');
+const adminStatCorrectionsRoutes = require('./routes/admin.statCorrections.routes');
 const jobsService = require('./services/adminJobs.service');
+const adminSessionsService = require('./services/adminSessions.service');
+const weekLockService = require('./services/weekLock.service');
+const pickLocksService = require('./services/pickLocks.service');
+const leaguesService = require('./services/leagues.service');
+const scoringService = require('./services/scoring.service');
+const statCorrectionsService = require('./services/statCorrections.service');
+const lineupSlotsService = require('./services/lineupSlots.service');
+const multiplierPolicyService = require('./services/multiplierPolicy.service');
+const tieBreakersService = require('./services/tieBreakers.service');
+const statsProviderService = require('./services/statsProvider.service');
+const gameDayReplayService = require('./services/gameDayReplay.service');
+const gamesService = require('./services/games.service');
+const httpClient = require('./services/httpClient.service');
 
 const app = express();
 app.set('trust proxy', 1);
@@ -48,14 +81,22 @@ const pool = new Pool({
 
 // Make pool available to routes
 app.locals.pool = pool;
+// Scoreboard, game summary and competitor stats source (ESPN, or recorded fixtures)
+app.locals.statsProvider = statsProviderService.createProvider();
+// Scoreboard reader for routes that check game state (contest settlement), served from the games table
+app.locals.fetchScoreboardEvents = readWeekEvents;
+// Final box score reader for on-demand stat correction runs
+app.locals.fetchFinalStatLines = fetchFinalStatLines;
 
 // In-memory cache for live stats
+// Game state itself lives in the games table; activeGameIds and activeTeams
+// are the in-progress or final games of the week being polled.
 const liveStatsCache = {
-  games: new Map(),
   playerStats: new Map(),
   lastScoreboardUpdate: null,
   lastGameUpdates: new Map(),
-  activeGameIds: new Set()
+  activeGameIds: new Set(),
+  activeTeams: new Set()
 };
 
 // Player cache
@@ -66,7 +107,6 @@ let playersCache = {
 
 // Cache duration in milliseconds
 const SCOREBOARD_CACHE_MS = 10 * 60 * 1000; // 10 minutes
-const GAME_SUMMARY_CACHE_MS = 90 * 1000; // 90 seconds
 const PLAYERS_CACHE_MS = 30 * 60 * 1000; // 30 minutes
 
 // Fallback playoff teams - used only during Wildcard if DB active_teams is not set
@@ -207,102 +247,50 @@ async function getSelectableTeams(dbPool) {
   return { teams, currentPlayoffWeek };
 }
 
-// ==============================================
-// CLIENT CAPABILITY DETECTION (Dual-Support)
-// ==============================================
-// Supported capability flags:
-// - leaderboard_meta: Client can handle X-Leaderboard-* response headers
-// - leaderboard_gating: Client supports pre-game gating (empty array before kickoff)
-// - tos_required_flag: Client can handle /api/me/flags TOS signaling
-// - picks_v2: Client supports /api/picks/v2 operation-based API
-
-function getClientCapabilities(req) {
-  const capabilities = new Set();
-  let clientVersion = null;
-
-  // 1. Check X-Client-Capabilities header (comma-separated tokens)
-  const capHeader = req.headers['x-client-capabilities'];
-  if (capHeader && typeof capHeader === 'string') {
-    const tokens = capHeader.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
-    tokens.forEach(t => capabilities.add(t));
-  }
-
-  // 2. Check X-Client-Version header (semver string)
-  const versionHeader = req.headers['x-client-version'];
-  if (versionHeader && typeof versionHeader === 'string') {
-    clientVersion = versionHeader.trim();
-  }
-
-  // 3. Query param fallback only if headers missing
-  if (capabilities.size === 0 && !clientVersion) {
-    const qCaps = req.query.clientCapabilities;
-    if (qCaps && typeof qCaps === 'string') {
-      const tokens = qCaps.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
-      tokens.forEach(t => capabilities.add(t));
-    }
-    const qVersion = req.query.clientVersion;
-    if (qVersion && typeof qVersion === 'string') {
-      clientVersion = qVersion.trim();
-    }
-  }
-
-  return {
-    capabilities,
-    clientVersion,
-    has: (cap) => capabilities.has(cap.toLowerCase()),
-    isLegacy: () => capabilities.size === 0 && !clientVersion
-  };
+// Helper: A week's games as scoreboard events, read from the games table
+// Re-synced from the stats provider when missing or stale (see games.service.js)
+async function readWeekEvents(weekNumber) {
+  return gamesService.getWeekEvents(pool, weekNumber, { fetchEvents: fetchScoreboardEvents });
 }
 
-// Helper: Check if any games have started for a given week (for leaderboard gating)
-// Uses ESPN scoreboard API with caching
-const gameStartedCache = new Map();
-const GAME_STARTED_CACHE_MS = 60 * 1000; // 1 minute cache
-
-async function hasAnyGameStartedForWeek(weekNumber) {
-  const cacheKey = `week_${weekNumber}`;
-  const cached = gameStartedCache.get(cacheKey);
-
-  if (cached && (Date.now() - cached.timestamp < GAME_STARTED_CACHE_MS)) {
-    return cached.value;
-  }
-
+// Helper: Kickoff time per team for a week (per-game pick locks and leaderboard gating)
+async function getTeamKickoffsForWeek(weekNumber) {
   try {
-    const url = getESPNScoreboardUrl(weekNumber);
-    const response = await axios.get(url, { timeout: 5000 });
-
-    if (!response.data || !response.data.events) {
-      // Fail closed for opt-in clients: treat as not started
-      gameStartedCache.set(cacheKey, { value: false, timestamp: Date.now() });
-      return false;
-    }
-
-    const now = new Date();
-    let anyStarted = false;
-
-    for (const event of response.data.events) {
-      const gameDate = event.date ? new Date(event.date) : null;
-      const status = event.status?.type?.name;
+    return pickLocksService.buildTeamKickoffs(await readWeekEvents(weekNumber), normalizeTeamAbbr);
+  } catch (err) {
+    console.error(`[pick-locks] Error fetching kickoffs for week ${weekNumber}:`, err.message);
+    // With no stored games, slots fall back to the week-level lock
+    return new Map();
+  }
+}
 
-      // Game has started if: status is not "STATUS_SCHEDULED" or game date is in the past
-      if (status && status !== 'STATUS_SCHEDULED') {
-        anyStarted = true;
-        break;
-      }
-      if (gameDate && gameDate <= now) {
-        anyStarted = true;
-        break;
+// Helper: Teams on a week's schedule; a team missing from it has been eliminated
+async function getScheduledTeams(weekNumber) {
+  const teams = new Set();
+  for (const event of await readWeekEvents(weekNumber)) {
+    const competitors = event.competitions?.[0]?.competitors || [];
+    for (const competitor of competitors) {
+      const teamAbbr = competitor.team?.abbreviation;
+      if (teamAbbr) {
+        teams.add(teamAbbr);
       }
     }
+  }
+  return teams;
+}
 
-    gameStartedCache.set(cacheKey, { value: anyStarted, timestamp: Date.now() });
-    return anyStarted;
-  } catch (err) {
-    console.error(`[leaderboard] Error checking game start for week ${weekNumber}:`, err.message);
-    // Fail closed for opt-in clients: treat as not started
-    gameStartedCache.set(cacheKey, { value: false, timestamp: Date.now() });
-    return false;
+// Helper: When the whole week locked (is_week_active = false), or null if it has not.
+// Only applies to the current week; past weeks are covered by their kickoffs.
+async function getWeekLockedAt(weekNumber) {
+  const settingsResult = await pool.query(
+    'SELECT current_playoff_week, playoff_start_week, is_week_active FROM game_settings LIMIT 1'
+  );
+  const settings = settingsResult.rows[0];
+  if (!settings || settings.is_week_active || weekLockService.getCurrentNflWeek(settings) !== weekNumber) {
+    return null;
   }
+  const schedule = await weekLockService.getWeekLockSchedule(pool, weekNumber);
+  return schedule && schedule.locked_at ? schedule.locked_at : new Date();
 }
 
 // Helper: Resolve actual NFL week number from iOS playoff index
@@ -371,16 +359,10 @@ function normalizePlayerName(name) {
   };
 }
 
-// Helper: Build ESPN scoreboard URL with correct season type for playoffs
-function getESPNScoreboardUrl(weekNumber) {
-  // Weeks 19+ are playoff weeks (seasontype=3)
-  // Regular season weeks use seasontype=2
-  if (weekNumber >= 19) {
-    const playoffWeek = weekNumber - 18; // Week 19 = playoff week 1
-    return `https://site.api.espn.com/apis/site/v2/sports/football/nfl/scoreboard?seasontype=3&week=${playoffWeek}`;
-  } else {
-    return `https://site.api.espn.com/apis/site/v2/sports/football/nfl/scoreboard?seasontype=2&week=${weekNumber}`;
-  }
+// Helper: Current stats provider (see statsProvider.service.js); read per call so
+// tests and replays can swap app.locals.statsProvider
+function statsProvider() {
+  return app.locals.statsProvider;
 }
 
 // Helper: Fetch ESPN postseason week and extract teams, skipping Pro Bowl weeks entirely.
@@ -394,17 +376,17 @@ async function fetchValidPostseasonWeek(startingNflWeek, playoffStartWeek, maxWe
   const maxNflWeek = startingNflWeek + maxWeeksToSearch;
 
   while (currentNflWeek <= maxNflWeek) {
-    const url = getESPNScoreboardUrl(currentNflWeek);
-    console.log(`[admin] Fetching ESPN postseason data for NFL week ${currentNflWeek}: ${url}`);
+    const provider = statsProvider();
+    console.log(`[admin] Fetching ${provider.name} postseason data for NFL week ${currentNflWeek}`);
 
-    let scoreboardResponse;
+    let scoreboard;
     try {
-      scoreboardResponse = await axios.get(url);
+      scoreboard = await provider.getScoreboard(currentNflWeek);
     } catch (espnErr) {
       throw new Error(`ESPN API call failed for week ${currentNflWeek}: ${espnErr.message}`);
     }
 
-    const events = scoreboardResponse.data?.events || [];
+    const events = scoreboard?.events || [];
     if (events.length === 0) {
       // No events found, try next week
       console.log(`[admin] NFL week ${currentNflWeek} has no events, advancing...`);
@@ -613,6 +595,16 @@ function convertESPNStatsToScoring(espnStats) {
   if (espnStats['kicking_LONG']) {
     scoring.fg_longest = parseInt(espnStats['kicking_LONG']) || 0;
   }
+  // Per-kick distances from play-by-play (only present when parsed)
+  if (Array.isArray(espnStats['kicking_KICKS'])) {
+    scoring.fg_kicks = espnStats['kicking_KICKS'].map(kick => ({ distance: kick.distance, made: kick.made }));
+  }
+  // Touchdown lengths from play-by-play (only present when parsed)
+  if (espnStats['touchdown_PLAYS']) {
+    for (const [statName, yards] of Object.entries(espnStats['touchdown_PLAYS'])) {
+      if (yards.length > 0) scoring[statName] = [...yards];
+    }
+  }
   if (espnStats['kicking_XP']) {
     const xpParts = espnStats['kicking_XP'].toString().split('/');
     scoring.xp_made = parseInt(xpParts[0]) || 0;
@@ -623,196 +615,6 @@ function convertESPNStatsToScoring(espnStats) {
   return scoring;
 }
 
-// Fetch individual player stats from ESPN boxscore (more reliable than summaries)
-async function fetchPlayerStats(espnId, weekNumber) {
-  try {
-    // Search through the active games for this week
-    for (const gameId of liveStatsCache.activeGameIds) {
-      try {
-        const url = `https://site.api.espn.com/apis/site/v2/sports/football/nfl/summary?event=${gameId}`;
-        const response = await axios.get(url);
-
-        if (!response.data || !response.data.boxscore) continue;
-
-        const boxscore = response.data.boxscore;
-        if (!boxscore.players) continue;
-
-        // Initialize stats object
-        const stats = {
-          pass_yd: 0,
-          pass_td: 0,
-          pass_int: 0,
-          pass_2pt: 0,
-          rush_yd: 0,
-          rush_td: 0,
-          rush_2pt: 0,
-          rec: 0,
-          rec_yd: 0,
-          rec_td: 0,
-          rec_2pt: 0,
-          fum_lost: 0
-        };
-
-        let foundPlayer = false;
-        const categoriesSeen = new Set();
-
-        // Search through both teams
-        for (const team of boxscore.players) {
-          if (!team.statistics) continue;
-
-          for (const statCategory of team.statistics) {
-            if (!statCategory.athletes) continue;
-
-            for (const athlete of statCategory.athletes) {
-              // ESPN returns IDs as strings, ensure comparison works
-              const athleteId = athlete.athlete?.id?.toString();
-              const searchId = espnId.toString();
-
-              if (athleteId === searchId) {
-                foundPlayer = true;
-                categoriesSeen.add(statCategory.name);
-              }
-            }
-          }
-        }
-
-        // Second pass: extract stats, prioritizing primary position
-        // If player has receiving stats, skip their passing stats (trick plays)
-        const skipPassing = categoriesSeen.has('receiving');
-
-        for (const team of boxscore.players) {
-          if (!team.statistics) continue;
-
-          for (const statCategory of team.statistics) {
-            if (!statCategory.athletes) continue;
-
-            for (const athlete of statCategory.athletes) {
-              const athleteId = athlete.athlete?.id?.toString();
-              const searchId = espnId.toString();
-
-              if (athleteId === searchId) {
-                // Skip passing if player is primarily a receiver
-                if (statCategory.name === 'passing' && skipPassing) {
-                  continue;
-                }
-
-                // Accumulate stats from this category
-                if (statCategory.name === 'passing' && athlete.stats) {
-                  // ESPN Format: ["C/ATT", "YDS", "AVG", "TD", "INT", "SACKS", "QBR", "RTG"]
-                  // Indices:        0       1      2      3     4       5       6      7
-                  const yards = parseFloat(athlete.stats[1]) || 0;
-                  stats.pass_yd += yards;
-                  stats.pass_td += parseFloat(athlete.stats[3]) || 0;  // Fixed: was [2], now [3]
-                  stats.pass_int += parseFloat(athlete.stats[4]) || 0; // Fixed: was [3], now [4]
-                }
-
-                if (statCategory.name === 'rushing' && athlete.stats) {
-                  // ESPN Format: ["CAR", "YDS", "AVG", "TD", "LONG"]
-                  // Indices:        0      1      2      3     4
-                  const yards = parseFloat(athlete.stats[1]) || 0;
-                  stats.rush_yd += yards;
-                  stats.rush_td += parseFloat(athlete.stats[3]) || 0;
-                }
-
-                if (statCategory.name === 'receiving' && athlete.stats) {
-                  // ESPN Format: ["REC", "YDS", "AVG", "TD", "LONG", "TGTS"]
-                  // Indices:        0      1      2      3     4       5
-                  stats.rec += parseFloat(athlete.stats[0]) || 0;
-                  stats.rec_yd += parseFloat(athlete.stats[1]) || 0;
-                  stats.rec_td += parseFloat(athlete.stats[3]) || 0;
-                }
-
-                if (statCategory.name === 'fumbles' && athlete.stats) {
-                  // ESPN Format: ["FUM", "LOST", "REC"]
-                  // Indices:        0      1      2
-                  stats.fum_lost += parseFloat(athlete.stats[1]) || 0;
-                }
-
-                if (statCategory.name === 'kicking' && athlete.stats) {
-                  // ESPN Format: ["FG", "PCT", "LONG", "XP", "PTS"]
-                  // Indices:        0     1      2       3     4
-                  // FG and XP are in "made/att" format
-                  const fgMadeAtt = athlete.stats[0] ? athlete.stats[0].split('/') : ['0', '0'];
-                  const fgMade = parseInt(fgMadeAtt[0]) || 0;
-                  const fgAtt = parseInt(fgMadeAtt[1]) || 0;
-                  const fgMissed = fgAtt - fgMade;
-                  const longest = parseInt(athlete.stats[2]) || 0;
-
-                  const patMadeAtt = athlete.stats[3] ? athlete.stats[3].split('/') : ['0', '0'];
-                  const patMade = parseInt(patMadeAtt[0]) || 0;
-                  const patAtt = parseInt(patMadeAtt[1]) || 0;
-                  const patMissed = patAtt - patMade;
-
-                  // Store kicker stats
-                  stats.fg_made = fgMade;
-                  stats.fg_missed = fgMissed;
-                  stats.fg_longest = longest;
-                  stats.xp_made = patMade;
-                  stats.xp_missed = patMissed;
-                }
-              }
-            }
-          }
-        }
-
-        if (foundPlayer) {
-          // Also check for 2-pt conversions in drives data
-          if (response.data.drives) {
-            const twoPointConversions = parse2PtConversions(response.data.drives);
-
-            // Try to match this player using ESPN ID
-            // We need to get the player name from the boxscore
-            let playerName = null;
-            for (const team of boxscore.players) {
-              if (!team.statistics) continue;
-              for (const statCategory of team.statistics) {
-                if (!statCategory.athletes) continue;
-                for (const athlete of statCategory.athletes) {
-                  if (athlete.athlete?.id?.toString() === espnId.toString()) {
-                    playerName = athlete.athlete.displayName;
-                    break;
-                  }
-                }
-                if (playerName) break;
-              }
-              if (playerName) break;
-            }
-
-            // Try to match 2-pt conversions
-            if (playerName) {
-              const playerAbbrev = playerName.split(' ').map((n, i) => i === 0 ? n[0] : n).join('.');
-              const possibleAbbrevs = [
-                playerAbbrev,
-                playerName.split(' ').map(n => n[0]).join('.'),
-                playerName.split(' ')[0][0] + '.' + playerName.split(' ').slice(-1)[0]
-              ];
-
-              for (const abbrev of possibleAbbrevs) {
-                if (twoPointConversions[abbrev]) {
-                  stats.pass_2pt = twoPointConversions[abbrev].pass_2pt || 0;
-                  stats.rush_2pt = twoPointConversions[abbrev].rush_2pt || 0;
-                  stats.rec_2pt = twoPointConversions[abbrev].rec_2pt || 0;
-                  break;
-                }
-              }
-            }
-          }
-
-          return stats;
-        }
-      } catch (err) {
-        // Continue to next game
-        continue;
-      }
-    }
-
-    return null;
-  } catch (err) {
-    console.error(`Error fetching player stats for ESPN ID ${espnId}:`, err.message);
-    return null;
-  }
-}
-
 // Simple wrapper to rescore an entire week using live stats pipeline
 async function processWeekScoring(weekNumber) {
   console.log(`[admin] processWeekScoring called for week ${weekNumber}`);
@@ -848,214 +650,314 @@ app.post('/admin/refresh-week', async (req, res) => {
   }
 });
 
-// Fetch defense stats from ESPN (LIVE + HISTORICAL SAFE)
-async function fetchDefenseStats(teamAbbrev, weekNumber) {
-  try {
-    const normalizedTeam = normalizeTeamAbbr(teamAbbrev);
+// One scoring cycle's provider reads. Each game summary and competitor
+// statistics document is fetched at most once per cycle, however many picks
+// need it; calls are counted for the live-stats-polling job.
+function createScoringCycle() {
+  const summaries = new Map();
+  const competitorStats = new Map();
+  const calls = { scoreboard: 0, summary: 0, competitor_stats: 0 };
 
-    for (const gameId of liveStatsCache.activeGameIds) {
-      try {
-        const summaryUrl =
-          `https://site.api.espn.com/apis/site/v2/sports/football/nfl/summary?event=${gameId}`;
-        const summaryRes = await axios.get(summaryUrl);
+  return {
+    calls,
+    // Active games (games rows) for the week, set by updateLiveStats
+    games: [],
+    async getGameSummary(gameId) {
+      if (!summaries.has(gameId)) {
+        calls.summary++;
+        summaries.set(gameId, statsProvider().getGameSummary(gameId));
+      }
+      return summaries.get(gameId);
+    },
+    // Resolves to null when the document is not published yet (404)
+    async getCompetitorStats(gameId, teamId) {
+      const key = `${gameId}-${teamId}`;
+      if (!competitorStats.has(key)) {
+        calls.competitor_stats++;
+        competitorStats.set(key, statsProvider().getCompetitorStats(gameId, teamId).catch(err => {
+          // Competitor stats may not be published yet early in a game; other failures propagate
+          if (err.status === 404) return null;
+          throw err;
+        }));
+      }
+      return competitorStats.get(key);
+    }
+  };
+}
 
-        if (!summaryRes.data || !summaryRes.data.boxscore) continue;
+// Helper: A team's competitor id and its opponent's score in a game summary, or null
+function findDefenseCompetitor(summary, normalizedTeam) {
+  const competition = summary.header?.competitions?.[0];
+  if (!competition?.competitors) return null;
 
-        const competition = summaryRes.data.header?.competitions?.[0];
-        if (!competition?.competitors) continue;
+  let teamId = null;
+  let opponentScore = 0;
 
-        let isInGame = false;
-        let opponentScore = 0;
-        let teamId = null;
+  // Identify team + opponent
+  for (const competitor of competition.competitors) {
+    const espnAbbr = normalizeTeamAbbr(competitor.team?.abbreviation);
+
+    if (espnAbbr === normalizedTeam) {
+      teamId = competitor.id;
+    } else {
+      opponentScore = parseInt(competitor.score) || 0;
+    }
+  }
 
-        // Identify team + opponent
-        for (const competitor of competition.competitors) {
-          const espnAbbr = normalizeTeamAbbr(competitor.team?.abbreviation);
+  return teamId ? { teamId, opponentScore } : null;
+}
 
-          if (espnAbbr === normalizedTeam) {
-            isInGame = true;
-            teamId = competitor.id;
-          } else {
-            opponentScore = parseInt(competitor.score) || 0;
-          }
-        }
+// Defense stat line for a team from its game summary and competitor statistics
+function buildDefenseStats(summary, normalizedTeam, opponentScore, compStats) {
+  const stats = {
+    def_sack: 0,
+    def_int: 0,
+    def_fum_rec: 0,
+    def_td: 0,
+    def_safety: 0,
+    def_block: 0,
+    def_ret_td: 0,
+    def_pts_allowed: opponentScore
+  };
 
-        if (!isInGame || !teamId) continue;
-
-        const stats = {
-          def_sack: 0,
-          def_int: 0,
-          def_fum_rec: 0,
-          def_td: 0,
-          def_safety: 0,
-          def_block: 0,
-          def_ret_td: 0,
-          def_pts_allowed: opponentScore
-        };
+  // ============================================================
+  // 1. Competitor defensive statistics (authoritative)
+  // ============================================================
+  if (compStats?.splits?.categories) {
+    for (const category of compStats.splits.categories) {
+      if (!category.stats) continue;
+
+      for (const stat of category.stats) {
+        switch (stat.name) {
+          case 'sacks':
+            stats.def_sack += Number(stat.value) || 0;
+            break;
 
-        // ============================================================
-        // 1. Competitor defensive statistics (authoritative)
-        // ============================================================
-        const compStatsUrl =
-          `https://sports.core.api.espn.com/v2/sports/football/leagues/nfl/events/${gameId}` +
-          `/competitions/${gameId}/competitors/${teamId}/statistics`;
+          case 'interceptions':
+            if (
+              category.name === 'defensive' ||
+              category.name === 'defensiveInterceptions'
+            ) {
+              stats.def_int += Number(stat.value) || 0;
+            }
+            break;
 
-        try {
-          const compRes = await axios.get(compStatsUrl);
-          const compStats = compRes.data;
-
-          if (compStats?.splits?.categories) {
-            for (const category of compStats.splits.categories) {
-              if (!category.stats) continue;
-
-              for (const stat of category.stats) {
-                switch (stat.name) {
-                  case 'sacks':
-                    stats.def_sack += Number(stat.value) || 0;
-                    break;
-
-                  case 'interceptions':
-                    if (
-                      category.name === 'defensive' ||
-                      category.name === 'defensiveInterceptions'
-                    ) {
-                      stats.def_int += Number(stat.value) || 0;
-                    }
-                    break;
-
-                  case 'fumblesRecovered':
-                  case 'fumbleRecoveries':
-                    if (
-                      category.name === 'defensive' ||
-                      category.name === 'defensiveInterceptions'
-                    ) {
-                      stats.def_fum_rec += Number(stat.value) || 0;
-                    }
-                    break;
-
-                  case 'defensiveTouchdowns':
-                    stats.def_td += Number(stat.value) || 0;
-                    break;
-
-                  case 'kickReturnTouchdowns':
-                  case 'puntReturnTouchdowns':
-                    stats.def_ret_td += Number(stat.value) || 0;
-                    break;
-
-                  case 'pointsAllowed':
-                    stats.def_pts_allowed = Number(stat.value) || opponentScore;
-                    break;
-
-                  case 'safeties':
-                    stats.def_safety += Number(stat.value) || 0;
-                    break;
-
-                  case 'kicksBlocked':
-                    stats.def_block += Number(stat.value) || 0;
-                    break;
-                }
-              }
+          case 'fumblesRecovered':
+          case 'fumbleRecoveries':
+            if (
+              category.name === 'defensive' ||
+              category.name === 'defensiveInterceptions'
+            ) {
+              stats.def_fum_rec += Number(stat.value) || 0;
             }
-          }
-        } catch (_) {
-          // competitor stats may fail early in games
+            break;
+
+          case 'defensiveTouchdowns':
+            stats.def_td += Number(stat.value) || 0;
+            break;
+
+          case 'kickReturnTouchdowns':
+          case 'puntReturnTouchdowns':
+            stats.def_ret_td += Number(stat.value) || 0;
+            break;
+
+          case 'pointsAllowed':
+            stats.def_pts_allowed = Number(stat.value) || opponentScore;
+            break;
+
+          case 'safeties':
+            stats.def_safety += Number(stat.value) || 0;
+            break;
+
+          case 'kicksBlocked':
+            stats.def_block += Number(stat.value) || 0;
+            break;
         }
+      }
+    }
+  }
 
-        // ============================================================
-        // 2. Supplement sacks from team boxscore
-        // ============================================================
-        const teamBox = summaryRes.data.boxscore.teams?.find(
-          t => normalizeTeamAbbr(t.team?.abbreviation) === normalizedTeam
-        );
+  // ============================================================
+  // 2. Supplement sacks from team boxscore
+  // ============================================================
+  const teamBox = summary.boxscore.teams?.find(
+    t => normalizeTeamAbbr(t.team?.abbreviation) === normalizedTeam
+  );
 
 
-        // ============================================================
-        // 3. Supplement INT + TD from defensive player boxscore
-        // ============================================================
-        const playerBox = summaryRes.data.boxscore.players;
-        if (playerBox) {
-          for (const group of playerBox) {
-            if (!group.team) continue;
+  // ============================================================
+  // 3. Supplement INT + TD from defensive player boxscore
+  // ============================================================
+  const playerBox = summary.boxscore.players;
+  if (playerBox) {
+    for (const group of playerBox) {
+      if (!group.team) continue;
 
-            const groupAbbr = normalizeTeamAbbr(group.team.abbreviation);
-            if (groupAbbr !== normalizedTeam) continue;
-            if (!group.statistics) continue;
+      const groupAbbr = normalizeTeamAbbr(group.team.abbreviation);
+      if (groupAbbr !== normalizedTeam) continue;
+      if (!group.statistics) continue;
 
-            for (const cat of group.statistics) {
-              if (cat.name === 'interceptions' && cat.athletes) {
-                for (const a of cat.athletes) {
-                  const ints = parseInt(a.stats?.[0] || '0');
-                  const td = parseInt(a.stats?.[2] || '0');
+      for (const cat of group.statistics) {
+        if (cat.name === 'interceptions' && cat.athletes) {
+          for (const a of cat.athletes) {
+            const ints = parseInt(a.stats?.[0] || '0');
+            const td = parseInt(a.stats?.[2] || '0');
 
-                  if (!isNaN(ints)) stats.def_int += ints;
-                  if (!isNaN(td)) stats.def_td += td;
-                }
-              }
-            }
+            if (!isNaN(ints)) stats.def_int += ints;
+            if (!isNaN(td)) stats.def_td += td;
           }
         }
+      }
+    }
+  }
 
-        return stats;
+  return stats;
+}
 
-      } catch (_) {
-        continue;
+// Fetch defense stats from ESPN (LIVE + HISTORICAL SAFE)
+// gameIds defaults to the games the live poller is tracking; pass the scoring
+// cycle to share its summary and competitor stats reads.
+async function fetchDefenseStats(teamAbbrev, weekNumber, gameIds = liveStatsCache.activeGameIds, cycle = createScoringCycle()) {
+  try {
+    const normalizedTeam = normalizeTeamAbbr(teamAbbrev);
+
+    for (const gameId of gameIds) {
+      let summary;
+      try {
+        summary = await cycle.getGameSummary(gameId);
+      } catch (err) {
+        // A game without a published summary is skipped; any other failed fetch propagates
+        if (err.status === 404) continue;
+        throw err;
       }
+
+      if (!summary || !summary.boxscore) continue;
+
+      const competitor = findDefenseCompetitor(summary, normalizedTeam);
+      if (!competitor) continue;
+
+      const compStats = await cycle.getCompetitorStats(gameId, competitor.teamId);
+      return buildDefenseStats(summary, normalizedTeam, competitor.opponentScore, compStats);
     }
 
     return null;
 
   } catch (err) {
     console.error(`Defense fetch failed for ${teamAbbrev}:`, err.message);
-    return null;
+    throw err;
   }
 }
 
-async function savePlayerScoresToDatabase(weekNumber) {
+// Scores rows per upsert statement
+const SCORE_UPSERT_BATCH_SIZE = 500;
+
+// Batch upsert of scores rows ({ user_id, player_id, week_number, base_points, multiplier, final_points, stats,
+// rules_version_id })
+async function upsertScores(rows) {
+  for (let i = 0; i < rows.length; i += SCORE_UPSERT_BATCH_SIZE) {
+    const batch = rows.slice(i, i + SCORE_UPSERT_BATCH_SIZE);
+    await pool.query(`
+      INSERT INTO scores (
+        id, user_id, player_id, week_number,
+        points, base_points, multiplier, final_points,
+        stats_json, rules_version_id, updated_at
+      )
+      SELECT
+        gen_random_uuid(), t.user_id, t.player_id, t.week_number,
+        t.base_points, t.base_points, t.multiplier, t.final_points,
+        t.stats_json, t.rules_version_id, NOW()
+      FROM unnest($1::uuid[], $2::varchar[], $3::int[], $4::numeric[], $5::numeric[], $6::numeric[], $7::jsonb[], $8::int[])
+        AS t(user_id, player_id, week_number, base_points, multiplier, final_points, stats_json, rules_version_id)
+      ON CONFLICT (user_id, player_id, week_number) DO UPDATE SET
+        points = EXCLUDED.points,
+        base_points = EXCLUDED.base_points,
+        multiplier = EXCLUDED.multiplier,
+        final_points = EXCLUDED.final_points,
+        stats_json = EXCLUDED.stats_json,
+        rules_version_id = EXCLUDED.rules_version_id,
+        updated_at = NOW()
+    `, [
+      batch.map(row => row.user_id),
+      batch.map(row => row.player_id),
+      batch.map(row => row.week_number),
+      batch.map(row => row.base_points),
+      batch.map(row => row.multiplier),
+      batch.map(row => row.final_points),
+      batch.map(row => JSON.stringify(row.stats)),
+      batch.map(row => row.rules_version_id ?? null)
+    ]);
+  }
+}
+
+// Scores every pick for the week in memory from the cycle's stats, then
+// writes them in batches. Player stats come from liveStatsCache.playerStats
+// (filled from this cycle's summaries); defense stats are read through the
+// cycle, once per team.
+async function savePlayerScoresToDatabase(weekNumber, cycle = createScoringCycle()) {
   try {
-    // Get teams we're tracking from picks
     // HOTFIX: Query picks at both weekNumber and weekNumber-1 to handle week cap mismatch
     // Super Bowl picks may be stored at week 22 (old cap) while scoring runs at week 23 (fixed cap)
     const weekNumbers = weekNumber === 23 ? [weekNumber, 22] : [weekNumber];
-    const weekPlaceholders = weekNumbers.map((_, i) => `$${i + 1}`).join(', ');
-
-    const trackedTeamsResult = await pool.query(`
-      SELECT DISTINCT p.team
-      FROM picks pk
-      JOIN players p ON pk.player_id = p.id::text
-      WHERE pk.week_number IN (${weekPlaceholders}) AND p.team IS NOT NULL
-    `, weekNumbers);
-    const trackedTeams = new Set(trackedTeamsResult.rows.map(r => r.team?.trim()?.toUpperCase()).filter(Boolean));
 
     const picksResult = await pool.query(`
-      SELECT pk.id as pick_id, pk.user_id, pk.player_id, pk.position, pk.multiplier
+      SELECT pk.id as pick_id, pk.user_id, pk.player_id, pk.position, pk.multiplier,
+             p.id AS found_player_id, p.espn_id, p.full_name, p.position AS player_position, p.team
       FROM picks pk
-      WHERE pk.week_number IN (${weekPlaceholders})
-    `, weekNumbers);
+      LEFT JOIN players p ON p.id::text = pk.player_id
+      WHERE pk.week_number = ANY($1)
+    `, [weekNumbers]);
 
     if (weekNumber === 23 && picksResult.rows.length > 0) {
       console.log(`[HOTFIX] Found ${picksResult.rows.length} picks across weeks [${weekNumbers.join(', ')}] for scoring`);
     }
 
-    let savedCount = 0;
+    // Teams we're tracking from picks
+    const trackedTeams = new Set(
+      picksResult.rows.map(pick => pick.team?.trim()?.toUpperCase()).filter(Boolean)
+    );
+
+    // Stat lines indexed by team for name matching when a player has no ESPN ID
+    const statsByTeam = new Map();
+    for (const [athleteId, cached] of liveStatsCache.playerStats) {
+      const team = normalizeTeamAbbr(cached.teamAbbrev);
+      if (!team) continue;
+      if (!statsByTeam.has(team)) statsByTeam.set(team, []);
+      statsByTeam.get(team).push({ athleteId, cached });
+    }
+
+    // Defense stat lines per team, computed once per cycle
+    const defenseByTeam = new Map();
+    const getDefenseStats = (team) => {
+      if (!defenseByTeam.has(team)) {
+        const normalizedTeam = normalizeTeamAbbr(team);
+        const gameIds = cycle.games
+          .filter(game => [game.home_team, game.away_team].map(normalizeTeamAbbr).includes(normalizedTeam))
+          .map(game => game.provider_game_id);
+        defenseByTeam.set(team, fetchDefenseStats(team, weekNumber, gameIds, cycle));
+      }
+      return defenseByTeam.get(team);
+    };
+
+    // One rule set for the whole cycle; scoreStats is pure
+    const ruleSet = await scoringService.getScoringRules(pool);
+
+    // Keyed by user and player so HOTFIX week 22/23 duplicates collapse to one row (last pick wins)
+    const scoreRows = new Map();
 
     for (const pick of picksResult.rows) {
-      const playerRes = await pool.query(
-        'SELECT espn_id, full_name, position, team FROM players WHERE id::text = $1',
-        [pick.player_id]
-      );
-      if (playerRes.rows.length === 0) {
+      if (!pick.found_player_id) {
         console.log(`[HOTFIX] Player not found in DB for pick player_id=${pick.player_id}, skipping but logging`);
         continue;
       }
 
-      const { espn_id: espnId, full_name: playerName, position: playerPosition, team: dbTeam } = playerRes.rows[0];
+      const { espn_id: espnId, full_name: playerName, player_position: playerPosition, team: dbTeam } = pick;
       let scoring = null;
 
       // =====================
       // DEFENSE
       // =====================
       if (playerPosition === 'DEF') {
-        const defStats = await fetchDefenseStats(pick.player_id, weekNumber);
+        const defStats = await getDefenseStats(pick.player_id);
 
         if (defStats) {
           scoring = defStats;
@@ -1071,7 +973,6 @@ async function savePlayerScoresToDatabase(weekNumber) {
       // =====================
       else {
         let playerStats = null;
-        let resolvedEspnId = espnId;
         let playerTeam = null;
 
         // Cache lookup by ESPN ID
@@ -1079,52 +980,30 @@ async function savePlayerScoresToDatabase(weekNumber) {
           const cached = liveStatsCache.playerStats.get(espnId);
           if (cached) {
             playerStats = convertESPNStatsToScoring(cached.stats);
-            playerTeam = cached.team;
+            playerTeam = cached.teamAbbrev;
           }
         }
 
-        // Name-based cache lookup with team matching for safe hydration
+        // Name-based lookup within the player's team for safe ESPN ID hydration
         if (!playerStats) {
           const normalized = normalizePlayerName(playerName);
-          const normalizedDbTeam = normalizeTeamAbbr(dbTeam);
-
-          for (const [athleteId, cached] of liveStatsCache.playerStats) {
+          const match = (statsByTeam.get(normalizeTeamAbbr(dbTeam)) || []).find(({ cached }) => {
             const cachedNormalized = normalizePlayerName(cached.athleteName);
-            const normalizedCachedTeam = normalizeTeamAbbr(cached.team);
-
-            // Match by name AND team for safe ESPN ID hydration
-            const nameMatches = normalized.firstName === cachedNormalized.firstName &&
-                                normalized.lastName === cachedNormalized.lastName;
-            const teamMatches = normalizedDbTeam && normalizedCachedTeam &&
-                                normalizedDbTeam === normalizedCachedTeam;
-
-            if (nameMatches && teamMatches) {
-              if (!espnId) {
-                await pool.query(
-                  'UPDATE players SET espn_id = $1 WHERE id::text = $2',
-                  [athleteId, pick.player_id]
-                );
-                resolvedEspnId = athleteId;
-                console.log(`[lazy-hydration] Assigned ESPN ID ${athleteId} to player ${playerName} (${dbTeam})`);
-              }
+            return normalized.firstName === cachedNormalized.firstName &&
+                   normalized.lastName === cachedNormalized.lastName;
+          });
 
-              playerStats = convertESPNStatsToScoring(cached.stats);
-              playerTeam = cached.team;
-              break;
+          if (match) {
+            if (!espnId) {
+              await pool.query(
+                'UPDATE players SET espn_id = $1 WHERE id::text = $2',
+                [match.athleteId, pick.player_id]
+              );
+              console.log(`[lazy-hydration] Assigned ESPN ID ${match.athleteId} to player ${playerName} (${dbTeam})`);
             }
-          }
-        }
-
-        // ESPN fallback
-        if (!playerStats && resolvedEspnId) {
-          const fetched = await fetchPlayerStats(resolvedEspnId, weekNumber);
-          if (fetched) {
-            playerStats = fetched;
 
-            const cached = liveStatsCache.playerStats.get(resolvedEspnId);
-            if (cached?.team) {
-              playerTeam = cached.team;
-            }
+            playerStats = convertESPNStatsToScoring(match.cached.stats);
+            playerTeam = match.cached.teamAbbrev;
           }
         }
 
@@ -1153,115 +1032,79 @@ async function savePlayerScoresToDatabase(weekNumber) {
         };
       }
 
-      const basePoints = await calculateFantasyPoints(scoring);
+      const basePoints = scoringService.scoreStats(scoring, ruleSet);
       const multiplier = pick.multiplier || 1;
-      const finalPoints = basePoints * multiplier;
-
-      await pool.query(`
-        INSERT INTO scores (
-          id, user_id, player_id, week_number,
-          points, base_points, multiplier, final_points,
-          stats_json, updated_at
-        )
-        VALUES (
-          gen_random_uuid(), $1, $2, $3,
-          $4, $4, $5, $6,
-          $7, NOW()
-        )
-        ON CONFLICT (user_id, player_id, week_number) DO UPDATE SET
-          points = $4,
-          base_points = $4,
-          multiplier = $5,
-          final_points = $6,
-          stats_json = $7,
-          updated_at = NOW()
-      `, [
-        pick.user_id,
-        pick.player_id,
-        weekNumber,
-        basePoints,
-        multiplier,
-        finalPoints,
-        JSON.stringify(scoring)
-      ]);
 
-      savedCount++;
+      scoreRows.set(`${pick.user_id}:${pick.player_id}`, {
+        user_id: pick.user_id,
+        player_id: pick.player_id,
+        week_number: weekNumber,
+        base_points: basePoints,
+        multiplier,
+        final_points: basePoints * multiplier,
+        stats: scoring,
+        rules_version_id: ruleSet.version_id
+      });
     }
 
-    console.log(`Scores persisted`, { week: weekNumber, score_count: savedCount });
-    return savedCount;
+    await upsertScores(Array.from(scoreRows.values()));
+
+    console.log(`Scores persisted`, { week: weekNumber, score_count: scoreRows.size });
+    return scoreRows.size;
   } catch (err) {
     console.error('Error persisting scores:', { week: weekNumber, error: err.message });
-    return 0;
+    throw err;
   }
 }
 
-// Fetch scoreboard to get active games
-async function fetchScoreboard(weekNumber) {
+// Track the in-progress or recently completed games; only these have stats to score
+function trackActiveGames(games) {
+  const activeGames = games.filter(game => game.status === 'in' || game.status === 'post');
+
+  liveStatsCache.activeGameIds = new Set(activeGames.map(game => game.provider_game_id));
+  // FIX: derive activeTeams from active games
+  liveStatsCache.activeTeams = new Set(
+    activeGames.flatMap(g => [g.home_team, g.away_team]).filter(Boolean)
+  );
+
+  return activeGames;
+}
+
+// Fetch scoreboard to get active games (games rows)
+async function fetchScoreboard(weekNumber, cycle = createScoringCycle()) {
   try {
     const now = Date.now();
 
-    // Check cache (include week in cache key)
-    const cacheKey = `week_${weekNumber}`;
+    // Between scoreboard fetches, game state is read back from the games table
     if (
       liveStatsCache.lastScoreboardUpdate &&
       liveStatsCache.currentCachedWeek === weekNumber &&
       (now - liveStatsCache.lastScoreboardUpdate) < SCOREBOARD_CACHE_MS
     ) {
-      console.log('Scoreboard cache hit', { cachedGames: liveStatsCache.activeGameIds.size, cacheAgeMs: now - liveStatsCache.lastScoreboardUpdate });
-      return Array.from(liveStatsCache.activeGameIds);
+      const activeGames = trackActiveGames(await gamesService.getGames(pool, weekNumber));
+      console.log('Scoreboard cache hit', { storedGames: activeGames.length, cacheAgeMs: now - liveStatsCache.lastScoreboardUpdate });
+      return activeGames;
     }
 
-    const url = getESPNScoreboardUrl(weekNumber);
-    console.log('Fetching fresh scoreboard', { url });
-    const response = await axios.get(url);
+    const provider = statsProvider();
+    console.log('Fetching fresh scoreboard', { provider: provider.name, week: weekNumber });
+    cycle.calls.scoreboard++;
+    const scoreboard = await provider.getScoreboard(weekNumber);
+
+    // Stored games drive per-game pick locks, matchups and elimination checks
+    const games = await gamesService.saveGames(pool, weekNumber, scoreboard?.events || []);
 
     // CRITICAL: Clear stale caches when week changes to prevent cross-week stat leakage
     if (liveStatsCache.currentCachedWeek !== weekNumber) {
       liveStatsCache.playerStats.clear();
-      liveStatsCache.games.clear();
       liveStatsCache.lastGameUpdates.clear();
 
       // IMPORTANT: lock cache to this week
       liveStatsCache.currentCachedWeek = weekNumber;
     }
 
-    const activeGames = [];
-
-    if (response.data && response.data.events) {
-      for (const event of response.data.events) {
-        const gameId = event.id;
-        const status = event.status?.type?.state;
-
-        // Only track in-progress or recently completed games
-        if (status === 'in' || status === 'post') {
-          activeGames.push(gameId);
-
-          liveStatsCache.games.set(gameId, {
-            id: gameId,
-            name: event.name,
-            shortName: event.shortName,
-            status: status,
-            homeTeam: event.competitions?.[0]?.competitors?.find(
-              c => c.homeAway === 'home'
-            )?.team?.abbreviation,
-            awayTeam: event.competitions?.[0]?.competitors?.find(
-              c => c.homeAway === 'away'
-            )?.team?.abbreviation
-          });
-        }
-      }
-    }
-
-    liveStatsCache.activeGameIds = new Set(activeGames);
-    console.log('Fresh scoreboard fetched', { activeGames: activeGames.length, totalEvents: response.data?.events?.length || 0 });
-
-    // FIX: derive activeTeams from active games
-    liveStatsCache.activeTeams = new Set(
-      Array.from(liveStatsCache.games.values())
-        .flatMap(g => [g.homeTeam, g.awayTeam])
-        .filter(Boolean)
-    );
+    const activeGames = trackActiveGames(games);
+    console.log('Fresh scoreboard fetched', { activeGames: activeGames.length, totalEvents: scoreboard?.events?.length || 0 });
 
     liveStatsCache.currentCachedWeek = weekNumber;
     // Only cache timestamp when games found - prevents stale empty cache blocking live game detection
@@ -1272,7 +1115,7 @@ async function fetchScoreboard(weekNumber) {
     return activeGames;
   } catch (err) {
     console.error('Error fetching scoreboard:', err.message);
-    return [];
+    throw err;
   }
 }
 
@@ -1334,59 +1177,172 @@ function parse2PtConversions(drivesData) {
   return conversions;
 }
 
-// Fetch game summary for specific game
-async function fetchGameSummary(gameId) {
-  try {
-    const now = Date.now();
-    const lastUpdate = liveStatsCache.lastGameUpdates.get(gameId);
+// Helper: Parse field goal attempts with their distance from drives data
+function parseFieldGoalKicks(drivesData) {
+  const kicks = {}; // Map of kicker name -> [{ distance, made }]
+
+  if (!drivesData || !drivesData.previous) return kicks;
+
+  for (const drive of drivesData.previous) {
+    if (!drive.plays) continue;
+
+    for (const play of drive.plays) {
+      const text = play.text || '';
+
+      // Format examples:
+      // "J.Tucker 45 yard field goal is GOOD, Center-N.Moore, Holder-J.Stout."
+      // "Ka.Fairbairn 52 yard field goal is No Good, Wide Right, Center-J.Weeks."
+      // "B.Aubrey 48 yard field goal is BLOCKED (D.Jones), Center-T.Sieg."
+      if (/no play|nullified/i.test(text)) continue;
 
-    // Check cache
-    if (lastUpdate && (now - lastUpdate) < GAME_SUMMARY_CACHE_MS) {
-      return false; // Already up to date
+      const kickMatch = text.match(/([A-Z][a-z]?\.[A-Za-z'-]+)\s+(\d+)\s+yard field goal is\s+(GOOD|NO GOOD|BLOCKED)/i);
+      if (!kickMatch) continue;
+
+      const kickerAbbrev = kickMatch[1];
+      if (!kicks[kickerAbbrev]) {
+        kicks[kickerAbbrev] = [];
+      }
+      kicks[kickerAbbrev].push({
+        distance: parseInt(kickMatch[2]),
+        made: kickMatch[3].toUpperCase() === 'GOOD'
+      });
     }
+  }
 
-    const response = await axios.get(
-      `https://site.api.espn.com/apis/site/v2/sports/football/nfl/summary?event=${gameId}`
-    );
+  return kicks;
+}
 
-    if (response.data && response.data.boxscore) {
-      const playerStats = parsePlayerStatsFromSummary(response.data.boxscore);
+// Helper: Parse the length of every offensive touchdown from drives data
+function parseTouchdownPlays(drivesData) {
+  const touchdowns = {}; // Map of player name -> { pass_td_yds, rush_td_yds, rec_td_yds }
 
-      // Parse 2-pt conversions from drives data
-      const twoPointConversions = parse2PtConversions(response.data.drives);
+  if (!drivesData || !drivesData.previous) return touchdowns;
 
-      // Update cache
-      for (const stat of playerStats) {
-        // Check if this player has 2-pt conversions
-        const playerName = stat.athleteName;
-        const playerAbbrev = playerName.split(' ').map((n, i) => i === 0 ? n[0] : n).join('.');
-
-        // Try multiple abbreviation formats
-        const possibleAbbrevs = [
-          playerAbbrev, // "J.Allen"
-          playerName.split(' ').map(n => n[0]).join('.'), // "J.A." for "Josh Allen"
-          playerName.split(' ')[0][0] + '.' + playerName.split(' ').slice(-1)[0] // "J.Allen"
-        ];
-
-        // Add 2-pt conversion stats if found
-        for (const abbrev of possibleAbbrevs) {
-          if (twoPointConversions[abbrev]) {
-            if (!stat.stats) stat.stats = {};
-
-            // Add prefixed 2-pt conversion stats
-            if (twoPointConversions[abbrev].pass_2pt > 0) {
-              stat.stats['passing_2PT'] = twoPointConversions[abbrev].pass_2pt.toString();
-            }
-            if (twoPointConversions[abbrev].rush_2pt > 0) {
-              stat.stats['rushing_2PT'] = twoPointConversions[abbrev].rush_2pt.toString();
-            }
-            if (twoPointConversions[abbrev].rec_2pt > 0) {
-              stat.stats['receiving_2PT'] = twoPointConversions[abbrev].rec_2pt.toString();
-            }
-            break;
-          }
+  const entryFor = abbrev => {
+    if (!touchdowns[abbrev]) {
+      touchdowns[abbrev] = { pass_td_yds: [], rush_td_yds: [], rec_td_yds: [] };
+    }
+    return touchdowns[abbrev];
+  };
+
+  for (const drive of drivesData.previous) {
+    if (!drive.plays) continue;
+
+    for (const play of drive.plays) {
+      const text = play.text || '';
+
+      // Format examples:
+      // "(Shotgun) J.Allen pass deep right to K.Shakir for 42 yards, TOUCHDOWN."
+      // "J.Cook up the middle for 45 yards, TOUCHDOWN."
+      // Returns, turnovers and 2-pt tries are not offensive touchdowns
+      if (!/TOUCHDOWN/.test(text)) continue;
+      if (/no play|nullified|INTERCEPTED|FUMBLES|punts|kicks|TWO-POINT/i.test(text)) continue;
+
+      const passMatch = text.match(
+        /([A-Z][a-z]?\.[A-Za-z'-]+)\s+pass\s+(?:[a-z]+\s+)*to\s+([A-Z][a-z]?\.[A-Za-z'-]+)\s+for\s+(\d+)\s+yards?,?\s+TOUCHDOWN/
+      );
+      if (passMatch) {
+        const yards = parseInt(passMatch[3]);
+        entryFor(passMatch[1]).pass_td_yds.push(yards);
+        entryFor(passMatch[2]).rec_td_yds.push(yards);
+        continue;
+      }
+
+      const rushMatch = text.match(/([A-Z][a-z]?\.[A-Za-z'-]+)\s+(?:[a-z]+\s+)*for\s+(\d+)\s+yards?,?\s+TOUCHDOWN/);
+      if (rushMatch) {
+        entryFor(rushMatch[1]).rush_td_yds.push(parseInt(rushMatch[2]));
+      }
+    }
+  }
+
+  return touchdowns;
+}
+
+// Helper: Find a player's entry in a map keyed by play-by-play name (e.g. "J.Tucker")
+function findPlayByPlayEntry(entriesByAbbrev, playerName) {
+  if (!playerName) return null;
+
+  const parts = playerName.split(' ');
+  const lastName = parts.slice(-1)[0];
+  const exact = entriesByAbbrev[`${parts[0][0]}.${lastName}`];
+  if (exact) return exact;
+
+  // Two-letter initials (e.g. "Ka.Fairbairn"): accept a unique last name match
+  const matches = Object.keys(entriesByAbbrev).filter(abbrev =>
+    abbrev.split('.').slice(-1)[0].toLowerCase() === lastName.toLowerCase()
+  );
+  return matches.length === 1 ? entriesByAbbrev[matches[0]] : null;
+}
+
+// Helper: Player stat lines from a game summary, with 2-pt conversions and
+// field goal distances from the play-by-play merged in
+function parseSummaryPlayerStats(summaryData) {
+  const playerStats = parsePlayerStatsFromSummary(summaryData.boxscore);
+
+  // Parse 2-pt conversions from drives data
+  const twoPointConversions = parse2PtConversions(summaryData.drives);
+  const fieldGoalKicks = parseFieldGoalKicks(summaryData.drives);
+  const touchdownPlays = parseTouchdownPlays(summaryData.drives);
+
+  for (const stat of playerStats) {
+    // Check if this player has 2-pt conversions
+    const playerName = stat.athleteName;
+    const playerAbbrev = playerName.split(' ').map((n, i) => i === 0 ? n[0] : n).join('.');
+
+    // Try multiple abbreviation formats
+    const possibleAbbrevs = [
+      playerAbbrev, // "J.Allen"
+      playerName.split(' ').map(n => n[0]).join('.'), // "J.A." for "Josh Allen"
+      playerName.split(' ')[0][0] + '.' + playerName.split(' ').slice(-1)[0] // "J.Allen"
+    ];
+
+    // Add 2-pt conversion stats if found
+    for (const abbrev of possibleAbbrevs) {
+      if (twoPointConversions[abbrev]) {
+        if (!stat.stats) stat.stats = {};
+
+        // Add prefixed 2-pt conversion stats
+        if (twoPointConversions[abbrev].pass_2pt > 0) {
+          stat.stats['passing_2PT'] = twoPointConversions[abbrev].pass_2pt.toString();
         }
+        if (twoPointConversions[abbrev].rush_2pt > 0) {
+          stat.stats['rushing_2PT'] = twoPointConversions[abbrev].rush_2pt.toString();
+        }
+        if (twoPointConversions[abbrev].rec_2pt > 0) {
+          stat.stats['receiving_2PT'] = twoPointConversions[abbrev].rec_2pt.toString();
+        }
+        break;
+      }
+    }
+
+    // Add each field goal attempt with its distance for distance-band scoring
+    if (stat.stats && stat.stats['kicking_FG']) {
+      const kicks = findPlayByPlayEntry(fieldGoalKicks, playerName);
+      if (kicks) {
+        stat.stats['kicking_KICKS'] = kicks;
+      }
+    }
+
+    // Add touchdown lengths for per-play bonuses (e.g. 40+ yard TDs)
+    const touchdowns = findPlayByPlayEntry(touchdownPlays, playerName);
+    if (touchdowns) {
+      if (!stat.stats) stat.stats = {};
+      stat.stats['touchdown_PLAYS'] = touchdowns;
+    }
+  }
+
+  return playerStats;
+}
+
+// Fetch game summary for specific game and index its player stats by athlete ID
+async function fetchGameSummary(gameId, cycle) {
+  try {
+    const now = Date.now();
+    const summary = await cycle.getGameSummary(gameId);
 
+    if (summary && summary.boxscore) {
+      // Update cache
+      for (const stat of parseSummaryPlayerStats(summary)) {
         liveStatsCache.playerStats.set(stat.athleteId, {
           ...stat,
           gameId: gameId,
@@ -1400,8 +1356,10 @@ async function fetchGameSummary(gameId) {
 
     return false;
   } catch (err) {
+    // No summary published yet for this game; the rest of the cycle still scores
+    if (err.status === 404) return false;
     console.error(`Error fetching game summary ${gameId}:`, err.message);
-    return false;
+    throw err;
   }
 }
 
@@ -1425,15 +1383,25 @@ async function getActiveTeamsForWeek(weekNumber) {
 // Main live stats update function
 async function updateLiveStats(weekNumber) {
   const startTime = Date.now();
+  const cycle = createScoringCycle();
+  // Provider calls and duration of this cycle, reported to the jobs registry
+  const cycleMetrics = () => ({
+    duration_ms: Date.now() - startTime,
+    scoreboard_calls: cycle.calls.scoreboard,
+    summary_calls: cycle.calls.summary,
+    competitor_stats_calls: cycle.calls.competitor_stats
+  });
+
   try {
     console.log(`Scoring job started`, { week: weekNumber });
 
     // Step 1: Get active games for this specific week
-    const activeGameIds = await fetchScoreboard(weekNumber);
-    if (activeGameIds.length === 0) {
+    const activeGames = await fetchScoreboard(weekNumber, cycle);
+    if (activeGames.length === 0) {
       console.log('No active games found', { week: weekNumber });
-      return { success: true, message: 'No active games', gamesUpdated: 0 };
+      return { success: true, message: 'No active games', gamesUpdated: 0, metrics: cycleMetrics() };
     }
+    cycle.games = activeGames;
 
     // Step 2: Get teams we care about
     let activeTeams = await getActiveTeamsForWeek(weekNumber);
@@ -1448,113 +1416,51 @@ async function updateLiveStats(weekNumber) {
     // If still no active teams, process ALL games (Super Bowl = 1 game)
     let relevantGames = [];
     if (activeTeams.length === 0) {
-      relevantGames = Array.from(activeGameIds);
+      relevantGames = activeGames.map(game => game.provider_game_id);
       console.log(`[HOTFIX] No active teams found, processing all ${relevantGames.length} games`);
     } else {
-      for (const gameId of activeGameIds) {
-        const gameInfo = liveStatsCache.games.get(gameId);
-        if (gameInfo &&
-            (activeTeams.includes(gameInfo.homeTeam) || activeTeams.includes(gameInfo.awayTeam))) {
-          relevantGames.push(gameId);
+      for (const game of activeGames) {
+        if (activeTeams.includes(game.home_team) || activeTeams.includes(game.away_team)) {
+          relevantGames.push(game.provider_game_id);
         }
       }
     }
 
-    // Step 4: Fetch summaries for relevant games
+    // Step 4: Fetch each relevant game's summary once for the cycle
     let gamesUpdated = 0;
     for (const gameId of relevantGames) {
-      const updated = await fetchGameSummary(gameId);
+      const updated = await fetchGameSummary(gameId, cycle);
       if (updated) gamesUpdated++;
 
       // Small delay to avoid rate limiting
       await new Promise(resolve => setTimeout(resolve, 500));
     }
 
-    // Step 5: Save scores to database
-    const scoreCount = await savePlayerScoresToDatabase(weekNumber);
+    // Step 5: Score every pick from the cycle's stats and save
+    const scoreCount = await savePlayerScoresToDatabase(weekNumber, cycle);
 
-    const durationMs = Date.now() - startTime;
-    console.log(`Scoring job completed successfully`, { week: weekNumber, scores_written: scoreCount, duration_ms: durationMs });
+    const metrics = { ...cycleMetrics(), scores_written: scoreCount };
+    console.log(`Scoring job completed successfully`, { week: weekNumber, ...metrics });
 
     return {
       success: true,
       message: `Updated ${gamesUpdated} games`,
       gamesUpdated: gamesUpdated,
-      totalActiveGames: activeGameIds.length,
-      relevantGames: relevantGames.length
+      totalActiveGames: activeGames.length,
+      relevantGames: relevantGames.length,
+      metrics
     };
   } catch (err) {
     console.error('Scoring job failed', { week: weekNumber, error: err.message, stack: err.stack });
-    return { success: false, error: err.message };
+    return { success: false, error: err.message, metrics: cycleMetrics() };
   }
 }
 
 // Calculate fantasy points from stats
 async function calculateFantasyPoints(stats) {
   try {
-    const rulesResult = await pool.query(
-      'SELECT stat_name, points FROM scoring_rules WHERE is_active = true'
-    );
-
-    const rules = {};
-    for (const row of rulesResult.rows) {
-      rules[row.stat_name] = parseFloat(row.points);
-    }
-
-    let points = 0;
-
-    // Passing
-    points += (stats.pass_yd || 0) * (rules.pass_yd || 0);
-    points += (stats.pass_td || 0) * (rules.pass_td || 0);
-    points += (stats.pass_int || 0) * (rules.pass_int || 0);
-    points += (stats.pass_2pt || 0) * (rules.pass_2pt || 0);
-
-    // Rushing
-    points += (stats.rush_yd || 0) * (rules.rush_yd || 0);
-    points += (stats.rush_td || 0) * (rules.rush_td || 0);
-    points += (stats.rush_2pt || 0) * (rules.rush_2pt || 0);
-
-    // Receiving
-    points += (stats.rec || 0) * (rules.rec || 0);
-    points += (stats.rec_yd || 0) * (rules.rec_yd || 0);
-    points += (stats.rec_td || 0) * (rules.rec_td || 0);
-    points += (stats.rec_2pt || 0) * (rules.rec_2pt || 0);
-
-    // Fumbles
-    points += (stats.fum_lost || 0) * (rules.fum_lost || 0);
-
-    // Kicker stats - flat scoring
-    points += (stats.fg_made || 0) * 3;
-    points += (stats.xp_made || 0) * 1;
-    points += (stats.fg_missed || 0) * -1;
-    points += (stats.xp_missed || 0) * -1;
-
-    // Defense stats
-    if (stats.def_sack !== undefined) {
-      points += (stats.def_sack || 0) * (rules.def_sack || 1);
-      points += (stats.def_int || 0) * (rules.def_int || 2);
-      points += (stats.def_fum_rec || 0) * (rules.def_fum_rec || 2);
-      points += (stats.def_td || 0) * (rules.def_td || 6);
-      points += (stats.def_safety || 0) * (rules.def_safety || 2);
-      points += (stats.def_block || 0) * (rules.def_block || 4);
-      points += (stats.def_ret_td || 0) * (rules.def_ret_td || 6);
-
-      const ptsAllowed = stats.def_pts_allowed || 0;
-      if (ptsAllowed === 0) points += 20;
-      else if (ptsAllowed <= 6) points += 15;
-      else if (ptsAllowed <= 13) points += 10;
-      else if (ptsAllowed <= 20) points += 5;
-      else if (ptsAllowed <= 27) points += 0;
-      else if (ptsAllowed <= 34) points += -1;
-      else points += -4;
-    }
-
-    // Bonuses
-    if (stats.pass_yd >= 400) points += (rules.pass_yd_bonus || 0);
-    if (stats.rush_yd >= 150) points += (rules.rush_yd_bonus || 0);
-    if (stats.rec_yd >= 150) points += (rules.rec_yd_bonus || 0);
-
-    return parseFloat(points.toFixed(2));
+    const ruleSet = await scoringService.getScoringRules(pool);
+    return scoringService.scoreStats(stats, ruleSet);
   } catch (err) {
     console.error('Error calculating points:', err);
     return 0;
@@ -1568,6 +1474,12 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Contest detail and entry routes
+app.use('/api/contests', contestsRoutes);
+
+// Private league routes
+app.use('/api/leagues', leaguesRoutes);
+
 // Admin auth routes (no protection)
 app.use('/api/admin/auth', adminAuthRoutes);
 
@@ -1575,13 +1487,35 @@ app.use('/api/admin/auth', adminAuthRoutes);
 app.use('/api/admin', requireAdmin);
 
 // Admin diagnostics routes (protected by requireAdmin above)
-app.use('/api/admin/diagnostics', adminDiagnosticsRoutes);
+app.use('/api/admin/diagnostics', requirePermission(ADMIN_PERMISSIONS.READ), adminDiagnosticsRoutes);
 
 // Admin trends routes (protected by requireAdmin above)
-app.use('/api/admin/trends', adminTrendsRoutes);
+app.use('/api/admin/trends', requirePermission(ADMIN_PERMISSIONS.READ), adminTrendsRoutes);
+
+// Admin contest lifecycle routes (per-route permissions inside the router)
+app.use('/api/admin/contests', adminContestsRoutes);
+
+// Admin settlement payout report (read-only)
+app.use('/api/admin/settlements', adminSettlementsRoutes);
+
+// Admin scoring rule editor (per-route permissions inside the router)
+app.use('/api/admin/scoring-rules', adminScoringRoutes);
+
+// Admin stat corrections log and freeze date (per-route permissions inside the router)
+app.use('/api/admin/stat-corrections', adminStatCorrectionsRoutes);
+
+// Signed-in admin's role and permissions (used by web-admin to hide actions)
+app.get('/api/admin/me', (req, res) => {
+  res.json({
+    id: req.adminUser.id,
+    email: req.adminUser.email,
+    role: req.adminUser.role,
+    permissions: getPermissionsForRole(req.adminUser.role)
+  });
+});
 
 // Update week active status (lock/unlock)
-app.post('/api/admin/update-week-status', async (req, res) => {
+app.post('/api/admin/update-week-status', requirePermission(ADMIN_PERMISSIONS.WEEK_MANAGE), async (req, res) => {
   try {
     const { is_week_active } = req.body;
 
@@ -1594,6 +1528,11 @@ app.post('/api/admin/update-week-status', async (req, res) => {
       [is_week_active]
     );
 
+    const lockWeek = weekLockService.getCurrentNflWeek(result.rows[0]);
+    if (lockWeek) {
+      await weekLockService.recordManualLockChange(pool, lockWeek, is_week_active, req.adminUser.id);
+    }
+
     console.log(`Week lock status updated: is_week_active = ${is_week_active}`);
 
     res.json({ success: true, message: is_week_active ? 'Week unlocked' : 'Week locked' });
@@ -1604,7 +1543,7 @@ app.post('/api/admin/update-week-status', async (req, res) => {
 });
 
 // Verify week lock status - provides authoritative confirmation for admin verification
-app.get('/api/admin/verify-lock-status', async (req, res) => {
+app.get('/api/admin/verify-lock-status', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
   try {
     const gameStateResult = await pool.query(
       `SELECT
@@ -1631,6 +1570,12 @@ app.get('/api/admin/verify-lock-status', async (req, res) => {
     // Test that a picks write would actually be blocked
     const lockEnforced = !is_week_active;
 
+    // Compare the scheduled lock (override or last kickoff) with the actual lock
+    const schedule = effectiveNflWeek
+      ? await weekLockService.getWeekLockSchedule(pool, effectiveNflWeek)
+      : null;
+    const lockSchedule = weekLockService.getLockDrift(schedule, is_week_active);
+
     res.json({
       success: true,
       verification: {
@@ -1639,6 +1584,7 @@ app.get('/api/admin/verify-lock-status', async (req, res) => {
         currentPlayoffWeek: current_playoff_week,
         effectiveNflWeek: effectiveNflWeek,
         lastUpdated: updated_at,
+        lockSchedule,
         message: lockEnforced
           ? 'Week is LOCKED. All pick modifications will be rejected by the API.'
           : 'Week is UNLOCKED. Users can currently modify picks.'
@@ -1650,8 +1596,46 @@ app.get('/api/admin/verify-lock-status', async (req, res) => {
   }
 });
 
+// Set or clear the scheduled lock time for the current week (null = lock at last kickoff)
+app.put('/api/admin/week-lock/override', requirePermission(ADMIN_PERMISSIONS.WEEK_MANAGE), async (req, res) => {
+  try {
+    const { lock_at } = req.body;
+
+    let lockAt = null;
+    if (lock_at !== null && lock_at !== undefined) {
+      lockAt = new Date(lock_at);
+      if (isNaN(lockAt.getTime())) {
+        return res.status(400).json({ success: false, error: 'lock_at must be a valid timestamp or null' });
+      }
+    }
+
+    const settingsResult = await pool.query(
+      'SELECT current_playoff_week, playoff_start_week, is_week_active FROM game_settings LIMIT 1'
+    );
+    const settings = settingsResult.rows[0];
+    const weekNumber = weekLockService.getCurrentNflWeek(settings);
+
+    if (!weekNumber) {
+      return res.status(400).json({ success: false, error: 'No active playoff week' });
+    }
+
+    const schedule = await weekLockService.setLockOverride(pool, weekNumber, lockAt, req.adminUser.id);
+
+    console.log(`[admin] Week ${weekNumber} lock override set to ${lockAt ? lockAt.toISOString() : 'last kickoff'}`);
+
+    res.json({
+      success: true,
+      weekNumber,
+      lockSchedule: weekLockService.getLockDrift(schedule, settings.is_week_active)
+    });
+  } catch (err) {
+    console.error('Error setting week lock override:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 // Get users with incomplete lineups for the active week
-app.get('/api/admin/incomplete-lineups', async (req, res) => {
+app.get('/api/admin/incomplete-lineups', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
   try {
     // Get current game state and position requirements
     const gameStateResult = await pool.query(
@@ -1772,7 +1756,7 @@ app.get('/api/admin/incomplete-lineups', async (req, res) => {
 });
 
 // Get all users with their lineup status (complete and incomplete)
-app.get('/api/admin/all-lineups', async (req, res) => {
+app.get('/api/admin/all-lineups', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
   try {
     // Get current game state and position requirements
     const gameStateResult = await pool.query(
@@ -1902,12 +1886,12 @@ app.get('/api/admin/all-lineups', async (req, res) => {
 });
 
 // Sync ESPN IDs from Sleeper API
-app.post('/api/admin/sync-espn-ids', async (req, res) => {
+app.post('/api/admin/sync-espn-ids', requirePermission(ADMIN_PERMISSIONS.DATA_SYNC), async (req, res) => {
   try {
     console.log('Starting ESPN ID sync from Sleeper...');
 
-    // Fetch all players from Sleeper
-    const response = await axios.get('https://api.sleeper.app/v1/players/nfl');
+    // Fetch all players from Sleeper, bypassing the response cache for this one-off pull
+    const response = await httpClient.client.get('https://api.sleeper.app/v1/players/nfl', { cacheTtlMs: 0 });
     const sleeperPlayers = response.data;
 
     // Get all players missing ESPN IDs
@@ -1971,7 +1955,7 @@ app.post('/api/admin/sync-espn-ids', async (req, res) => {
 });
 
 // Populate image URLs for all existing players
-app.post('/api/admin/populate-image-urls', async (req, res) => {
+app.post('/api/admin/populate-image-urls', requirePermission(ADMIN_PERMISSIONS.DATA_SYNC), async (req, res) => {
   try {
     console.log('Populating image URLs for all players...');
 
@@ -2005,7 +1989,7 @@ app.post('/api/admin/populate-image-urls', async (req, res) => {
 });
 
 // Update current playoff week
-app.post('/api/admin/update-current-week', async (req, res) => {
+app.post('/api/admin/update-current-week', requirePermission(ADMIN_PERMISSIONS.WEEK_MANAGE), async (req, res) => {
   try {
     const { current_playoff_week, is_week_active } = req.body;
 
@@ -2026,6 +2010,11 @@ app.post('/api/admin/update-current-week', async (req, res) => {
 
     const result = await pool.query(query, params);
 
+    const lockWeek = weekLockService.getCurrentNflWeek(result.rows[0]);
+    if (lockWeek && typeof is_week_active === 'boolean') {
+      await weekLockService.recordManualLockChange(pool, lockWeek, is_week_active, req.adminUser.id);
+    }
+
     console.log(`Current week updated to ${current_playoff_week}, is_week_active = ${is_week_active ?? 'unchanged'}`);
 
     res.json({ success: true, message: `Current week set to ${current_playoff_week}` });
@@ -2114,6 +2103,7 @@ app.get('/api/live-stats/week/:weekNumber', async (req, res) => {
     `, [weekNumber]);
 
     const picks = [];
+    const ruleSet = await scoringService.getScoringRules(pool);
 
     for (const pick of picksResult.rows) {
       let liveStats = null;
@@ -2125,7 +2115,7 @@ app.get('/api/live-stats/week/:weekNumber', async (req, res) => {
 
         if (cached) {
           const scoringStats = convertESPNStatsToScoring(cached.stats);
-          points = await calculateFantasyPoints(scoringStats);
+          points = scoringService.scoreStats(scoringStats, ruleSet);
           liveStats = scoringStats;
           isLive = true;
         }
@@ -2186,6 +2176,7 @@ app.get('/api/live-scores', async (req, res) => {
     `, [actualWeekNumber]);
 
     const picks = [];
+    const ruleSet = await scoringService.getScoringRules(pool);
 
     for (const pick of picksResult.rows) {
       let liveStats = null;
@@ -2197,7 +2188,7 @@ app.get('/api/live-scores', async (req, res) => {
 
         if (cached) {
           const scoringStats = convertESPNStatsToScoring(cached.stats);
-          points = await calculateFantasyPoints(scoringStats);
+          points = scoringService.scoreStats(scoringStats, ruleSet);
           liveStats = scoringStats;
           isLive = true;
         }
@@ -2226,7 +2217,7 @@ app.get('/api/live-scores', async (req, res) => {
 });
 
 // Admin: Trigger live stats update
-app.post('/api/admin/update-live-stats', async (req, res) => {
+app.post('/api/admin/update-live-stats', requirePermission(ADMIN_PERMISSIONS.DATA_SYNC), async (req, res) => {
   try {
     const { weekNumber } = req.body;
 
@@ -2242,10 +2233,147 @@ app.post('/api/admin/update-live-stats', async (req, res) => {
   }
 });
 
+// Game-day replay: rehearses live scoring against a recorded timeline
+// (see gameDayReplay.service.js). Off in production unless GAME_DAY_REPLAY_ENABLED=true.
+const GAME_DAY_REPLAY_DIR = process.env.GAME_DAY_REPLAY_DIR || path.join(__dirname, 'tests', 'fixtures', 'replays');
+
+function isGameDayReplayEnabled() {
+  return process.env.NODE_ENV !== 'production' || process.env.GAME_DAY_REPLAY_ENABLED === 'true';
+}
+
+// While a replay is installed the live stats, games sync and stat corrections
+// jobs skip their runs, so production data never mixes with the timeline's
+let gameDayReplayInstalled = false;
+
+// Each replay step is a fresh poll, however little real time has passed
+function expireLiveStatsCache() {
+  liveStatsCache.lastScoreboardUpdate = null;
+  liveStatsCache.lastGameUpdates.clear();
+}
+
+// Replay checks read the public endpoints over HTTP on a private port,
+// opened on first use
+function createLocalApiClient() {
+  let listening = null;
+  return {
+    async fetchJson(apiPath) {
+      listening = listening || new Promise((resolve, reject) => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+        server.once('error', reject);
+      });
+      const server = await listening;
+      const response = await axios.get(`http://127.0.0.1:${server.address().port}${apiPath}`, { timeout: 10000 });
+      return response.data;
+    },
+    async close() {
+      if (listening) (await listening).close();
+    }
+  };
+}
+
+// Starts a replay through the live polling loop; throws ReplayError synchronously
+// when a replay is already running
+function runGameDayReplay(timeline, speed) {
+  if (!jobsService.getJobStatus('game-day-replay')) {
+    jobsService.registerJob('game-day-replay', { description: 'Replays a recorded game day through live scoring' });
+  }
+  const api = createLocalApiClient();
+  const run = gameDayReplayService.startReplay({
+    pool,
+    timeline,
+    speed,
+    fetchJson: api.fetchJson,
+    poll: (week) => {
+      expireLiveStatsCache();
+      return updateLiveStats(week);
+    },
+    // The timeline's games and scores land in the games and scores tables as
+    // they are polled; the week's stored rows are put back once the replay ends
+    installProvider: async (provider) => {
+      const savedGames = await gamesService.getGames(pool, timeline.week);
+      const savedScores = await gameDayReplayService.saveWeekScores(pool, timeline.week);
+      const original = app.locals.statsProvider;
+      gameDayReplayInstalled = true;
+      app.locals.statsProvider = provider;
+      return async () => {
+        app.locals.statsProvider = original;
+        expireLiveStatsCache();
+        try {
+          await gamesService.restoreWeekGames(pool, timeline.week, savedGames);
+          await gameDayReplayService.restoreWeekScores(pool, timeline.week, savedScores);
+        } finally {
+          gameDayReplayInstalled = false;
+        }
+      };
+    }
+  });
+  jobsService.markJobRunning('game-day-replay');
+
+  return run.finally(() => api.close().catch(() => {})).then((report) => {
+    jobsService.updateJobStatus('game-day-replay', {
+      success: report.status === 'passed',
+      error: report.error || 'Replay checks failed'
+    });
+    return report;
+  });
+}
+
+// Admin: Start a game-day replay
+// Body: { timeline: "<directory name>", speed: 60, wait: false }
+// Responds 202 with the running report, or the finished report when wait is true
+app.post('/api/admin/replay', requirePermission(ADMIN_PERMISSIONS.DATA_SYNC), async (req, res) => {
+  try {
+    if (!isGameDayReplayEnabled()) {
+      return res.status(403).json({ error: 'Game-day replay is disabled in production (set GAME_DAY_REPLAY_ENABLED=true on staging)' });
+    }
+
+    const { timeline: timelineName, speed = 60, wait = false } = req.body;
+    const timeline = gameDayReplayService.loadTimeline(
+      gameDayReplayService.resolveTimelineDir(GAME_DAY_REPLAY_DIR, timelineName)
+    );
+
+    const run = runGameDayReplay(timeline, speed);
+    if (wait) {
+      return res.json(await run);
+    }
+    res.status(202).json(gameDayReplayService.getReplayStatus());
+  } catch (err) {
+    if (err instanceof gameDayReplayService.ReplayError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error starting replay:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: Report of the running or last game-day replay
+app.get('/api/admin/replay', requirePermission(ADMIN_PERMISSIONS.READ), (req, res) => {
+  res.json(gameDayReplayService.getReplayStatus() || { status: 'idle' });
+});
+
 // Get cache status
-app.get('/api/admin/cache-status', (req, res) => {
+app.get('/api/admin/cache-status', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
+  let activeGames = [];
+  if (liveStatsCache.currentCachedWeek) {
+    try {
+      const games = await gamesService.getGames(pool, liveStatsCache.currentCachedWeek);
+      activeGames = games
+        .filter(game => game.status === 'in' || game.status === 'post')
+        .map(game => ({
+          id: game.provider_game_id,
+          name: game.name,
+          shortName: game.short_name,
+          status: game.status,
+          homeTeam: game.home_team,
+          awayTeam: game.away_team
+        }));
+    } catch (err) {
+      console.error('Error reading games for cache status:', err.message);
+    }
+  }
+
   res.json({
-    activeGames: Array.from(liveStatsCache.games.values()),
+    activeGames,
     cachedPlayerCount: liveStatsCache.playerStats.size,
     lastScoreboardUpdate: liveStatsCache.lastScoreboardUpdate ?
       new Date(liveStatsCache.lastScoreboardUpdate).toISOString() : null,
@@ -2263,7 +2391,7 @@ app.get('/api/admin/cache-status', (req, res) => {
 // They are read-only and return counts/distributions for a given week.
 
 // Admin: Get pick count for a specific week
-app.get('/api/admin/picks/count', async (req, res) => {
+app.get('/api/admin/picks/count', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
   try {
     const { week } = req.query;
 
@@ -2289,7 +2417,7 @@ app.get('/api/admin/picks/count', async (req, res) => {
 });
 
 // Admin: Get score count for a specific week
-app.get('/api/admin/scores/count', async (req, res) => {
+app.get('/api/admin/scores/count', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
   try {
     const { week } = req.query;
 
@@ -2315,7 +2443,7 @@ app.get('/api/admin/scores/count', async (req, res) => {
 });
 
 // Admin: Get multiplier distribution for picks in a specific week
-app.get('/api/admin/picks/multiplier-distribution', async (req, res) => {
+app.get('/api/admin/picks/multiplier-distribution', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
   try {
     const { week } = req.query;
 
@@ -2351,8 +2479,21 @@ app.get('/api/admin/picks/multiplier-distribution', async (req, res) => {
   }
 });
 
+// Admin: Scoring breakdown for any pick (PicksExplorer)
+app.get('/api/admin/picks/:pickId/breakdown', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
+  try {
+    res.json(await scoringService.getPickBreakdown(pool, req.params.pickId));
+  } catch (err) {
+    if (err instanceof scoringService.ScoringRulesError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error fetching pick breakdown:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Admin: Manually update a player's ESPN ID
-app.put('/api/admin/players/:playerId/espn-id', async (req, res) => {
+app.put('/api/admin/players/:playerId/espn-id', requirePermission(ADMIN_PERMISSIONS.DATA_SYNC), async (req, res) => {
   try {
     const { playerId } = req.params;
     const { adminUserId, espnId } = req.body;
@@ -2390,7 +2531,7 @@ app.put('/api/admin/players/:playerId/espn-id', async (req, res) => {
 });
 
 // Debug: Check if specific ESPN IDs are in cache
-app.get('/api/admin/check-espn-ids', (req, res) => {
+app.get('/api/admin/check-espn-ids', requirePermission(ADMIN_PERMISSIONS.READ), (req, res) => {
   const { espnIds } = req.query; // Comma-separated list
 
   if (!espnIds) {
@@ -2418,7 +2559,7 @@ app.get('/api/admin/check-espn-ids', (req, res) => {
 });
 
 // Admin: Set active playoff week
-app.post('/api/admin/set-active-week', async (req, res) => {
+app.post('/api/admin/set-active-week', requirePermission(ADMIN_PERMISSIONS.WEEK_MANAGE), async (req, res) => {
   try {
     const { userId, weekNumber } = req.body;
 
@@ -2462,7 +2603,7 @@ app.post('/api/admin/set-active-week', async (req, res) => {
 
 // Admin: Preview week transition - READ-ONLY, returns ESPN data for confirmation
 // This endpoint does NOT mutate any state. It only fetches and returns preview data.
-app.get('/api/admin/preview-week-transition', async (req, res) => {
+app.get('/api/admin/preview-week-transition', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
   try {
     // Get current game state
     const gameStateResult = await pool.query(
@@ -2546,7 +2687,7 @@ app.get('/api/admin/preview-week-transition', async (req, res) => {
 // Admin: Process week transition - update multipliers for advancing players
 // CONTRACT: This endpoint is atomic. It either completes fully or leaves no partial state.
 // PRECONDITION: Caller must have confirmed preview (previewConfirmed: true)
-app.post('/api/admin/process-week-transition', async (req, res) => {
+app.post('/api/admin/process-week-transition', requirePermission(ADMIN_PERMISSIONS.WEEK_MANAGE), async (req, res) => {
   const client = await pool.connect();
 
   try {
@@ -2659,7 +2800,7 @@ app.post('/api/admin/process-week-transition', async (req, res) => {
     if (activeTeams.size === 0) {
       return res.status(400).json({
         error: `ESPN returned no active teams for NFL week ${toWeek}. Cannot proceed with empty data.`,
-        espnUrl: getESPNScoreboardUrl(toWeek)
+        espnUrl: statsProviderService.getEspnScoreboardUrl(toWeek)
       });
     }
 
@@ -2679,12 +2820,17 @@ app.post('/api/admin/process-week-transition', async (req, res) => {
     try {
       // Get all picks from the current week
       const picksResult = await client.query(`
-        SELECT pk.id, pk.user_id, pk.player_id, pk.position, pk.multiplier, pk.consecutive_weeks, p.team, p.full_name
+        SELECT pk.id, pk.user_id, pk.player_id, pk.position, pk.multiplier, pk.consecutive_weeks, p.team, p.full_name,
+               p.position AS player_position
         FROM picks pk
         JOIN players p ON pk.player_id = p.id
         WHERE pk.week_number = $1
       `, [fromWeek]);
 
+      // Picks keep their slot (e.g. FLEX) unless it is no longer offered
+      const slots = await lineupSlotsService.loadSlots(client);
+      const multiplierPolicy = await multiplierPolicyService.getPolicy(client);
+
       let advancedCount = 0;
       let eliminatedCount = 0;
       const eliminated = [];
@@ -2696,18 +2842,20 @@ app.post('/api/admin/process-week-transition', async (req, res) => {
         const isActive = activeTeams.has(playerTeam);
 
         if (isActive) {
-          // Player's team is still active - increment multiplier
-          const newMultiplier = (pick.multiplier || 1) + 1;
-          const newConsecutiveWeeks = (pick.consecutive_weeks || 1) + 1;
+          // Player's team is still active - advance the streak under the multiplier policy
+          const assignment = multiplierPolicyService.advance(multiplierPolicy, pick);
+          const slot = lineupSlotsService.carrySlot(slots, pick.position, pick.player_position);
 
-          // Create new pick for next week with incremented multiplier
-          await client.query(`
+          // Create new pick for next week with the advanced multiplier
+          const carried = await client.query(`
             INSERT INTO picks (id, user_id, player_id, week_number, position, multiplier, consecutive_weeks, locked, created_at)
             VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, false, NOW())
             ON CONFLICT (user_id, player_id, week_number) DO UPDATE SET
               multiplier = $5,
               consecutive_weeks = $6
-          `, [pick.user_id, pick.player_id, toWeek, pick.position, newMultiplier, newConsecutiveWeeks]);
+            RETURNING id, week_number
+          `, [pick.user_id, pick.player_id, toWeek, slot, assignment.multiplier, assignment.consecutive_weeks]);
+          await multiplierPolicyService.recordAssignment(client, carried.rows[0], assignment, multiplierPolicy);
 
           advancedCount++;
         } else {
@@ -2776,22 +2924,8 @@ app.get('/api/picks/eliminated/:userId/:weekNumber', async (req, res) => {
       return res.status(400).json({ error: 'userId and weekNumber required' });
     }
 
-    // Fetch scoreboard for this week to see which teams are active
-    const scoreboardResponse = await axios.get(getESPNScoreboardUrl(weekNumber));
-
-    const activeTeams = new Set();
-
-    if (scoreboardResponse.data && scoreboardResponse.data.events) {
-      for (const event of scoreboardResponse.data.events) {
-        const competitors = event.competitions?.[0]?.competitors || [];
-        for (const competitor of competitors) {
-          const teamAbbr = competitor.team?.abbreviation;
-          if (teamAbbr) {
-            activeTeams.add(teamAbbr);
-          }
-        }
-      }
-    }
+    // Teams on this week's schedule are still active
+    const activeTeams = await getScheduledTeams(parseInt(weekNumber));
 
     // Get user's picks from PREVIOUS week
     const prevWeek = parseInt(weekNumber) - 1;
@@ -2834,13 +2968,14 @@ app.get('/api/picks/eliminated/:userId/:weekNumber', async (req, res) => {
 });
 
 // Replace an eliminated player with a new player
-app.post('/api/picks/replace-player', async (req, res) => {
+app.post('/api/picks/replace-player', requireUser, async (req, res) => {
   try {
-    const { userId, oldPlayerId, newPlayerId, position, weekNumber } = req.body;
+    const userId = req.user.id;
+    const { oldPlayerId, newPlayerId, position, weekNumber } = req.body;
 
-    if (!userId || !oldPlayerId || !newPlayerId || !position || !weekNumber) {
+    if (!oldPlayerId || !newPlayerId || !position || !weekNumber) {
       return res.status(400).json({
-        error: 'userId, oldPlayerId, newPlayerId, position, and weekNumber required'
+        error: 'oldPlayerId, newPlayerId, position, and weekNumber required'
       });
     }
 
@@ -2863,21 +2998,7 @@ app.post('/api/picks/replace-player', async (req, res) => {
       : weekNumber;
 
     // Verify the old player's team is actually eliminated
-    const scoreboardResponse = await axios.get(getESPNScoreboardUrl(effectiveWeekNumber));
-
-    const activeTeams = new Set();
-
-    if (scoreboardResponse.data && scoreboardResponse.data.events) {
-      for (const event of scoreboardResponse.data.events) {
-        const competitors = event.competitions?.[0]?.competitors || [];
-        for (const competitor of competitors) {
-          const teamAbbr = competitor.team?.abbreviation;
-          if (teamAbbr) {
-            activeTeams.add(teamAbbr);
-          }
-        }
-      }
-    }
+    const activeTeams = await getScheduledTeams(effectiveWeekNumber);
 
     // Check old player's team
     const oldPlayerResult = await pool.query(
@@ -2960,22 +3081,16 @@ app.post('/api/picks/replace-player', async (req, res) => {
       [userId, oldPlayerId, effectiveWeekNumber]
     );
 
-    // Check for multiplier/consecutive_weeks carry from immediately previous playoff week
-    // If player was rostered in previous week, increment their multiplier and consecutive_weeks
-    let preservedMultiplier = 1;
-    let preservedConsecutiveWeeks = 1;
-    if (current_playoff_week > 1) {
-      const previousWeekNumber = effectiveWeekNumber - 1;
-      const prevPickResult = await pool.query(
-        'SELECT multiplier, consecutive_weeks FROM picks WHERE user_id = $1 AND player_id = $2 AND week_number = $3',
-        [userId, newPlayerId, previousWeekNumber]
-      );
-      if (prevPickResult.rows.length > 0) {
-        // Carry forward: current week = previous week + 1
-        preservedMultiplier = (prevPickResult.rows[0].multiplier || 1) + 1;
-        preservedConsecutiveWeeks = (prevPickResult.rows[0].consecutive_weeks || 1) + 1;
-        console.log(`[swap] Carrying multiplier ${preservedMultiplier} (prev ${prevPickResult.rows[0].multiplier}) and consecutive_weeks ${preservedConsecutiveWeeks} for player ${newPlayerId}`);
-      }
+    // Multiplier/consecutive_weeks carry from immediately previous playoff week (per multiplier policy)
+    const multiplierPolicy = await multiplierPolicyService.getPolicy(pool);
+    const assignment = await multiplierPolicyService.resolveAssignment(pool, multiplierPolicy, {
+      userId,
+      playerId: newPlayerId,
+      weekNumber: effectiveWeekNumber,
+      canCarry: current_playoff_week > 1
+    });
+    if (assignment.reason !== 'new') {
+      console.log(`[swap] Multiplier ${assignment.multiplier} (${assignment.reason}, prev ${assignment.previous_multiplier}) and consecutive_weeks ${assignment.consecutive_weeks} for player ${newPlayerId}`);
     }
 
     // Create new pick with carried values (or 1/1 if not found in previous week)
@@ -2987,7 +3102,8 @@ app.post('/api/picks/replace-player', async (req, res) => {
         multiplier = $5,
         consecutive_weeks = $6
       RETURNING *
-    `, [userId, newPlayerId, effectiveWeekNumber, position, preservedMultiplier, preservedConsecutiveWeeks]);
+    `, [userId, newPlayerId, effectiveWeekNumber, position, assignment.multiplier, assignment.consecutive_weeks]);
+    await multiplierPolicyService.recordAssignment(pool, newPickResult.rows[0], assignment, multiplierPolicy);
 
     // Log the swap to player_swaps table
     await pool.query(`
@@ -3070,14 +3186,32 @@ function getIPState(req) {
 
 app.post('/api/users', authLimiter, async (req, res) => {
   try {
-    const { apple_id, email, name, state, eligibility_certified, tos_version } = req.body;
+    const { identity_token, name, state, eligibility_certified, tos_version } = req.body;
 
-    console.log('POST /api/users - Received:', { apple_id, email, name, state, eligibility_certified });
+    if (!identity_token) {
+      return res.status(400).json({ error: 'identity_token is required' });
+    }
+
+    // Audience for tokens minted by the iOS app (its bundle ID)
+    const appleClientId = process.env.APPLE_IOS_CLIENT_ID;
+    if (!appleClientId) {
+      console.error('[AUTH] APPLE_IOS_CLIENT_ID is not configured');
+      return res.status(500).json({ error: 'Server configuration error' });
+    }
 
-    if (!apple_id) {
-      return res.status(400).json({ error: 'apple_id is required' });
+    // apple_id and email come only from the verified Apple claims, never the request body
+    let applePayload;
+    try {
+      applePayload = await verifyAppleIdToken(identity_token, appleClientId);
+    } catch (err) {
+      console.log('[AUTH] Apple identity token verification failed:', err.message);
+      return res.status(401).json({ error: 'Invalid Apple identity token' });
     }
 
+    const { apple_id, email } = applePayload;
+
+    console.log('POST /api/users - Received:', { apple_id, email, name, state, eligibility_certified });
+
     // Try to find existing user first (allow returning users)
     let result = await pool.query(
       'SELECT * FROM users WHERE apple_id = $1 LIMIT 1',
@@ -3100,10 +3234,10 @@ app.post('/api/users', authLimiter, async (req, res) => {
             RETURNING *`,
           [email || null, name || null, existingUser.id]
         );
-        return res.json(updateResult.rows[0]);
+        return res.json({ ...updateResult.rows[0], ...issueUserTokens(updateResult.rows[0]) });
       }
 
-      return res.json(existingUser);
+      return res.json({ ...existingUser, ...issueUserTokens(existingUser) });
     }
 
     // NEW USER SIGNUP - Compliance checks required
@@ -3170,7 +3304,7 @@ app.post('/api/users', authLimiter, async (req, res) => {
     await logSignupAttempt(apple_id, email, name, state.toUpperCase(), ipState, false, null);
 
     console.log(`[COMPLIANCE] Created new user: ${insert.rows[0].id} (State: ${state})`);
-    res.json(insert.rows[0]);
+    res.json({ ...insert.rows[0], ...issueUserTokens(insert.rows[0]) });
   } catch (err) {
     console.error('Error in /api/users:', err);
     res.status(500).json({ error: err.message });
@@ -3269,10 +3403,18 @@ app.post('/api/auth/register', authLimiter, async (req, res) => {
 
     console.log(`[AUTH] Created new email user: ${insert.rows[0].id} (State: ${state})`);
 
-    // Return user (without password_hash)
+    // Registration succeeds even if the verification email cannot be sent;
+    // the user can request another from /api/auth/verify-email/request
+    try {
+      await sendEmailVerification(insert.rows[0]);
+    } catch (mailErr) {
+      console.error('[AUTH] Failed to send verification email:', mailErr.message);
+    }
+
+    // Return user (without password_hash) with session tokens
     const user = insert.rows[0];
     delete user.password_hash;
-    res.json(user);
+    res.json({ ...user, ...issueUserTokens(user) });
   } catch (err) {
     console.error('Error in /api/auth/register:', err);
     res.status(500).json({ error: err.message });
@@ -3314,17 +3456,246 @@ app.post('/api/auth/login', authLimiter, async (req, res) => {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
+    // Optionally refuse accounts that never verified their email
+    if (!user.email_verified_at) {
+      const settingsResult = await pool.query(
+        'SELECT require_email_verification FROM game_settings LIMIT 1'
+      );
+      if (settingsResult.rows[0]?.require_email_verification) {
+        console.log(`[AUTH] Refused login for unverified email user: ${user.id}`);
+        return res.status(403).json({
+          error: 'Please verify your email address before signing in.',
+          email_verification_required: true
+        });
+      }
+    }
+
     console.log(`[AUTH] User logged in: ${user.id}`);
 
-    // Return user (without password_hash)
+    // Return user (without password_hash) with session tokens
     delete user.password_hash;
-    res.json(user);
+    res.json({ ...user, ...issueUserTokens(user) });
   } catch (err) {
     console.error('Error in /api/auth/login:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
+// Helper: Email a password reset token to an email/password user
+async function sendPasswordReset(user) {
+  // Fail before issuing a token that could never be delivered
+  mailService.getMailTransport();
+  const { token } = await createEmailToken(pool, user.id, 'password_reset');
+  await mailService.sendMail({
+    to: user.email,
+    subject: 'Reset your Playoff Challenge password',
+    text: `Use this code to reset your password: ${token}\n\n` +
+      'It expires in 1 hour and can only be used once. ' +
+      'If you did not request a reset, you can ignore this email.'
+  });
+}
+
+// Helper: Email an email verification token to a user
+async function sendEmailVerification(user) {
+  // Fail before issuing a token that could never be delivered
+  mailService.getMailTransport();
+  const { token } = await createEmailToken(pool, user.id, 'email_verification');
+  await mailService.sendMail({
+    to: user.email,
+    subject: 'Verify your Playoff Challenge email',
+    text: `Use this code to verify your email address: ${token}\n\n` +
+      'It expires in 24 hours and can only be used once.'
+  });
+}
+
+// Request a password reset email
+// Always responds the same way so the endpoint cannot be used to discover accounts
+app.post('/api/auth/password-reset/request', authLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    // Refused for every address alike when mail cannot be sent
+    mailService.getMailTransport();
+
+    const result = await pool.query(
+      'SELECT id, email, password_hash FROM users WHERE email = $1 LIMIT 1',
+      [email.toLowerCase()]
+    );
+
+    // Apple Sign In accounts have no password to reset
+    if (result.rows.length > 0 && result.rows[0].password_hash) {
+      await sendPasswordReset(result.rows[0]);
+      console.log(`[AUTH] Password reset requested for user: ${result.rows[0].id}`);
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    if (err instanceof mailService.MailError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error in /api/auth/password-reset/request:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Set a new password using a reset token
+app.post('/api/auth/password-reset/confirm', authLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+
+    const userId = await consumeEmailToken(pool, token, 'password_reset');
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const saltRounds = 10;
+    const password_hash = await bcrypt.hash(password, saltRounds);
+
+    // Receiving the reset email also proves ownership of the address.
+    // Bumping token_version signs the user out of every existing session.
+    await pool.query(
+      `UPDATE users
+        SET password_hash = $1,
+            email_verified_at = COALESCE(email_verified_at, NOW()),
+            token_version = token_version + 1,
+            updated_at = NOW()
+        WHERE id = $2`,
+      [password_hash, userId]
+    );
+
+    console.log(`[AUTH] Password reset completed for user: ${userId}`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error in /api/auth/password-reset/confirm:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Request (or re-send) an email verification email
+// Always responds the same way so the endpoint cannot be used to discover accounts
+app.post('/api/auth/verify-email/request', authLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    // Refused for every address alike when mail cannot be sent
+    mailService.getMailTransport();
+
+    const result = await pool.query(
+      'SELECT id, email, email_verified_at FROM users WHERE email = $1 LIMIT 1',
+      [email.toLowerCase()]
+    );
+
+    if (result.rows.length > 0 && !result.rows[0].email_verified_at) {
+      await sendEmailVerification(result.rows[0]);
+      console.log(`[AUTH] Email verification requested for user: ${result.rows[0].id}`);
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    if (err instanceof mailService.MailError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error in /api/auth/verify-email/request:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Confirm an email address using a verification token
+app.post('/api/auth/verify-email/confirm', authLimiter, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+
+    const userId = await consumeEmailToken(pool, token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    await pool.query(
+      `UPDATE users
+        SET email_verified_at = COALESCE(email_verified_at, NOW()),
+            updated_at = NOW()
+        WHERE id = $1`,
+      [userId]
+    );
+
+    console.log(`[AUTH] Email verified for user: ${userId}`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error in /api/auth/verify-email/confirm:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+app.post('/api/auth/refresh', authLimiter, async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'refresh_token is required' });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyUserToken(refresh_token, 'refresh');
+    } catch (err) {
+      console.log('[AUTH] Rejected refresh token:', err.message);
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const result = await pool.query(
+      'SELECT id, token_version FROM users WHERE id = $1 LIMIT 1',
+      [decoded.sub]
+    );
+
+    // A refresh token from before a password reset or sign-out is dead
+    if (result.rows.length === 0 || !isTokenCurrent(decoded, result.rows[0])) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json(issueUserTokens(result.rows[0]));
+  } catch (err) {
+    console.error('Error in /api/auth/refresh:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Sign out everywhere: every access and refresh token issued so far stops working
+app.post('/api/auth/logout', requireUser, async (req, res) => {
+  try {
+    // A bare legacy userId proves nothing, so it cannot end anyone's sessions
+    if (req.user.auth_method !== 'token') {
+      return res.status(401).json({ error: 'Unauthorized: Missing token' });
+    }
+
+    await pool.query(
+      'UPDATE users SET token_version = token_version + 1, updated_at = NOW() WHERE id = $1',
+      [req.user.id]
+    );
+    console.log(`[AUTH] Player sessions revoked for user: ${req.user.id}`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error in /api/auth/logout:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Get single user by ID
 app.get('/api/users/:userId', async (req, res) => {
   try {
@@ -3347,23 +3718,13 @@ app.get('/api/users/:userId', async (req, res) => {
 });
 
 // Update user profile (username, email, phone)
-app.put('/api/users/:userId', async (req, res) => {
+app.put('/api/users/:userId', requireUser, async (req, res) => {
   try {
-    const { userId } = req.params;
+    const userId = req.user.id;
     const { username, email, phone, name } = req.body;
 
     console.log('PUT /api/users/:userId - Updating user:', { userId, username, email, phone, name });
 
-    // Verify user exists
-    const userCheck = await pool.query(
-      'SELECT id FROM users WHERE id = $1',
-      [userId]
-    );
-
-    if (userCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
     // Check username uniqueness if username is being updated
     if (username) {
       const usernameCheck = await pool.query(
@@ -3395,12 +3756,20 @@ app.put('/api/users/:userId', async (req, res) => {
       paramCount++;
     }
 
+    // A new address is unverified until the user proves they receive mail there
+    const emailChanged = email !== undefined &&
+      (email || '').toLowerCase() !== (req.user.email || '').toLowerCase();
+
     if (email !== undefined) {
       updates.push(`email = $${paramCount}`);
       values.push(email);
       paramCount++;
     }
 
+    if (emailChanged) {
+      updates.push('email_verified_at = NULL');
+    }
+
     if (phone !== undefined) {
       updates.push(`phone = $${paramCount}`);
       values.push(phone);
@@ -3435,6 +3804,20 @@ app.put('/api/users/:userId', async (req, res) => {
 
     console.log('User updated successfully:', result.rows[0].id);
 
+    if (emailChanged) {
+      // Codes mailed to the old address must not verify or reset the new one
+      await revokeEmailTokens(pool, userId, ['email_verification', 'password_reset']);
+      if (result.rows[0].email) {
+        // The update stands even if mail cannot be sent; the user can request
+        // another code from /api/auth/verify-email/request
+        try {
+          await sendEmailVerification(result.rows[0]);
+        } catch (mailErr) {
+          console.error('[AUTH] Failed to send verification email:', mailErr.message);
+        }
+      }
+    }
+
     // Remove password_hash from response (iOS User model doesn't have this field)
     const user = result.rows[0];
     delete user.password_hash;
@@ -3447,9 +3830,9 @@ app.put('/api/users/:userId', async (req, res) => {
 });
 
 // Accept Terms of Service
-app.put('/api/users/:userId/accept-tos', async (req, res) => {
+app.put('/api/users/:userId/accept-tos', requireUser, async (req, res) => {
   try {
-    const { userId } = req.params;
+    const userId = req.user.id;
     const { tos_version } = req.body;
 
     const result = await pool.query(
@@ -3491,16 +3874,11 @@ async function deleteUserById(client, userId) {
 
 // DELETE /api/user - Permanently delete the authenticated user's account
 // This endpoint satisfies Apple App Review requirements for account deletion
-app.delete('/api/user', async (req, res) => {
+app.delete('/api/user', requireUser, async (req, res) => {
   const client = await pool.connect();
   let inTransaction = false;
   try {
-    const { userId } = req.query;
-
-    if (!userId) {
-      client.release();
-      return res.status(401).json({ error: 'Unauthorized - userId is required' });
-    }
+    const userId = req.user.id;
 
     await client.query('BEGIN');
     inTransaction = true;
@@ -3541,7 +3919,7 @@ app.delete('/api/user', async (req, res) => {
 // ==============================================
 
 // Get state distribution for compliance reporting
-app.get('/api/admin/compliance/state-distribution', async (req, res) => {
+app.get('/api/admin/compliance/state-distribution', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
   try {
     const { adminUserId } = req.query;
 
@@ -3590,7 +3968,7 @@ app.get('/api/admin/compliance/state-distribution', async (req, res) => {
 });
 
 // Get users with IP/state mismatches
-app.get('/api/admin/compliance/ip-mismatches', async (req, res) => {
+app.get('/api/admin/compliance/ip-mismatches', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT
@@ -3615,7 +3993,7 @@ app.get('/api/admin/compliance/ip-mismatches', async (req, res) => {
 });
 
 // Get all signup attempts (including blocked)
-app.get('/api/admin/compliance/signup-attempts', async (req, res) => {
+app.get('/api/admin/compliance/signup-attempts', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT
@@ -3654,9 +4032,10 @@ app.get('/api/admin/compliance/signup-attempts', async (req, res) => {
 // EXISTING ROUTES (keeping your original endpoints)
 
 // Sync players from Sleeper API (admin only)
-app.post('/api/admin/sync-players', async (req, res) => {
+app.post('/api/admin/sync-players', requirePermission(ADMIN_PERMISSIONS.DATA_SYNC), async (req, res) => {
   try {
-    const response = await axios.get('https://api.sleeper.app/v1/players/nfl');
+    // Several MB pulled once per sync; kept out of the response cache
+    const response = await httpClient.client.get('https://api.sleeper.app/v1/players/nfl', { cacheTtlMs: 0 });
     const sleeperPlayers = response.data;
 
     let inserted = 0;
@@ -3844,6 +4223,7 @@ app.get('/api/picks/v2', async (req, res) => {
         pk.multiplier,
         pk.locked,
         pk.consecutive_weeks,
+        p.position AS player_position,
         COALESCE(p.full_name, p.first_name || ' ' || p.last_name) AS full_name,
         p.team,
         p.sleeper_id,
@@ -3859,35 +4239,26 @@ app.get('/api/picks/v2', async (req, res) => {
       WHERE pk.user_id = $1
         AND pk.week_number = $2
       ORDER BY
-        CASE pk.position
-          WHEN 'QB' THEN 1
-          WHEN 'RB' THEN 2
-          WHEN 'WR' THEN 3
-          WHEN 'TE' THEN 4
-          WHEN 'K' THEN 5
-          WHEN 'DEF' THEN 6
-          ELSE 7
-        END;
+        ${lineupSlotsService.slotOrderSql('pk.position')};
     `, [userId, effectiveWeek]);
 
-    // Get position limits
-    const settingsResult = await pool.query(
-      `SELECT qb_limit, rb_limit, wr_limit, te_limit, k_limit, def_limit FROM game_settings LIMIT 1`
-    );
-    const settings = settingsResult.rows[0] || {};
+    // Each slot locks at its own game's kickoff
+    const kickoffs = await getTeamKickoffsForWeek(effectiveWeek);
+    const weekLockedAt = await getWeekLockedAt(effectiveWeek);
+    const picks = picksResult.rows.map(pick => ({
+      ...pick,
+      ...pickLocksService.getPickLock(normalizeTeamAbbr(pick.team), kickoffs, { weekLockedAt })
+    }));
+
+    // Slot limits: fixed positions plus any active flexible slots
+    const slots = await lineupSlotsService.loadSlots(pool);
 
     res.json({
       userId,
       weekNumber: effectiveWeek,
-      picks: picksResult.rows,
-      positionLimits: {
-        QB: settings.qb_limit || 1,
-        RB: settings.rb_limit || 2,
-        WR: settings.wr_limit || 2,
-        TE: settings.te_limit || 1,
-        K: settings.k_limit || 1,
-        DEF: settings.def_limit || 1
-      }
+      picks,
+      positionLimits: lineupSlotsService.getSlotLimits(slots),
+      slots
     });
   } catch (err) {
     console.error('Error in GET /api/picks/v2:', err);
@@ -3896,32 +4267,24 @@ app.get('/api/picks/v2', async (req, res) => {
 });
 
 // POST /api/picks/v2 - Operation-based lineup management
-app.post('/api/picks/v2', async (req, res) => {
+// ops: [{ action: 'add', playerId, slot? }, { action: 'remove', pickId }]
+app.post('/api/picks/v2', requireUser, async (req, res) => {
   try {
-    const { userId, weekNumber, ops } = req.body;
+    const userId = req.user.id;
+    const { weekNumber, ops } = req.body;
 
     // Require picks_v2 capability
     const client = getClientCapabilities(req);
     if (!client.has('picks_v2')) {
       return res.status(400).json({
         error: 'This endpoint requires picks_v2 capability. Use POST /api/picks instead.'
-      });
-    }
-
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
+      });
     }
 
     if (!ops || !Array.isArray(ops) || ops.length === 0) {
       return res.status(400).json({ error: 'ops array is required and must not be empty' });
     }
 
-    // User validation
-    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
-    if (userCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
     // Week lockout check
     const gameStateResult = await pool.query(
       'SELECT current_playoff_week, playoff_start_week, is_week_active FROM game_settings LIMIT 1'
@@ -3953,7 +4316,14 @@ app.post('/api/picks/v2', async (req, res) => {
     }
     const selectableTeams = selectableResult.teams;
 
-    // Build proposed operations with position info
+    // Per-game locks: slots whose game has started cannot be added or removed
+    const kickoffs = await getTeamKickoffsForWeek(effectiveWeek);
+    const now = new Date();
+
+    // Adds may name a slot (e.g. FLEX); otherwise the player fills their own position
+    const slots = await lineupSlotsService.loadSlots(pool);
+
+    // Build proposed operations with slot info
     const proposedOps = [];
     for (const op of ops) {
       if (op.action === 'add') {
@@ -3982,19 +4352,50 @@ app.post('/api/picks/v2', async (req, res) => {
           });
         }
 
-        proposedOps.push({ action: 'add', position: player.position, playerId: op.playerId });
+        const addLock = pickLocksService.getPickLock(normalizedTeam, kickoffs, { now });
+        if (addLock.is_locked) {
+          return res.status(403).json({
+            error: `${player.full_name || op.playerId}'s game has already started and can no longer be picked.`,
+            locked_at: addLock.locked_at
+          });
+        }
+
+        let slot;
+        try {
+          slot = lineupSlotsService.resolveSlot(slots, player.position, op.slot);
+        } catch (slotErr) {
+          if (slotErr instanceof lineupSlotsService.LineupSlotError) {
+            return res.status(slotErr.status).json({ error: slotErr.message });
+          }
+          throw slotErr;
+        }
+
+        proposedOps.push({ action: 'add', position: slot, playerId: op.playerId, locks_at: addLock.locks_at });
       } else if (op.action === 'remove') {
         // Get pick position AND player_id (needed for swap detection)
-        const pickResult = await pool.query('SELECT position, player_id FROM picks WHERE id = $1', [op.pickId]);
+        const pickResult = await pool.query(
+          'SELECT pk.position, pk.player_id, p.team FROM picks pk JOIN players p ON p.id = pk.player_id WHERE pk.id = $1',
+          [op.pickId]
+        );
         if (pickResult.rows.length === 0) {
           return res.status(400).json({ error: `Pick ${op.pickId} not found` });
         }
+
+        const removeLock = pickLocksService.getPickLock(normalizeTeamAbbr(pickResult.rows[0].team), kickoffs, { now });
+        if (removeLock.is_locked) {
+          return res.status(403).json({
+            error: 'This player\'s game has already started. The slot is locked.',
+            pickId: op.pickId,
+            locked_at: removeLock.locked_at
+          });
+        }
+
         proposedOps.push({ action: 'remove', position: pickResult.rows[0].position, pickId: op.pickId, playerId: pickResult.rows[0].player_id });
       }
     }
 
-    // Validate position limits
-    const validation = await validatePositionCounts(userId, effectiveWeek, proposedOps);
+    // Validate slot limits
+    const validation = await validatePositionCounts(userId, effectiveWeek, proposedOps, slots);
     if (!validation.valid) {
       return res.status(400).json({
         error: 'Position limit exceeded',
@@ -4002,6 +4403,8 @@ app.post('/api/picks/v2', async (req, res) => {
       });
     }
 
+    const multiplierPolicy = await multiplierPolicyService.getPolicy(pool);
+
     // Execute operations within a transaction (for atomicity and swap logging)
     const dbClient = await pool.connect();
     const results = [];
@@ -4014,29 +4417,28 @@ app.post('/api/picks/v2', async (req, res) => {
 
       for (const op of proposedOps) {
         if (op.action === 'add') {
-          // Check for multiplier/consecutive_weeks carry from immediately previous playoff week
-          let preservedMultiplier = 1;
-          let preservedConsecutiveWeeks = 1;
-          if (current_playoff_week > 1) {
-            const previousWeekNumber = effectiveWeek - 1;
-            const prevPickResult = await dbClient.query(
-              'SELECT multiplier, consecutive_weeks FROM picks WHERE user_id = $1 AND player_id = $2 AND week_number = $3',
-              [userId, op.playerId, previousWeekNumber]
-            );
-            if (prevPickResult.rows.length > 0) {
-              // Carry forward: current week = previous week + 1
-              preservedMultiplier = (prevPickResult.rows[0].multiplier || 1) + 1;
-              preservedConsecutiveWeeks = (prevPickResult.rows[0].consecutive_weeks || 1) + 1;
-              console.log(`[picks/v2] Carrying multiplier ${preservedMultiplier} (prev ${prevPickResult.rows[0].multiplier}) and consecutive_weeks ${preservedConsecutiveWeeks} for player ${op.playerId}`);
-            }
+          // Multiplier/consecutive_weeks carry from immediately previous playoff week (per multiplier policy)
+          const assignment = await multiplierPolicyService.resolveAssignment(dbClient, multiplierPolicy, {
+            userId,
+            playerId: op.playerId,
+            weekNumber: effectiveWeek,
+            canCarry: current_playoff_week > 1
+          });
+          if (assignment.reason !== 'new') {
+            console.log(`[picks/v2] Multiplier ${assignment.multiplier} (${assignment.reason}, prev ${assignment.previous_multiplier}) and consecutive_weeks ${assignment.consecutive_weeks} for player ${op.playerId}`);
           }
 
           const insertResult = await dbClient.query(`
             INSERT INTO picks (user_id, player_id, position, week_number, multiplier, consecutive_weeks, locked)
             VALUES ($1, $2, $3, $4, $5, $6, false)
             RETURNING *
-          `, [userId, op.playerId, op.position, effectiveWeek, preservedMultiplier, preservedConsecutiveWeeks]);
-          results.push({ action: 'add', success: true, pick: insertResult.rows[0] });
+          `, [userId, op.playerId, op.position, effectiveWeek, assignment.multiplier, assignment.consecutive_weeks]);
+          await multiplierPolicyService.recordAssignment(dbClient, insertResult.rows[0], assignment, multiplierPolicy);
+          results.push({
+            action: 'add',
+            success: true,
+            pick: { ...insertResult.rows[0], locks_at: op.locks_at, locked_at: null, is_locked: false }
+          });
 
           // Check if this add corresponds to a removal at the same position (swap detection)
           const removal = removalsByPosition.get(op.position);
@@ -4158,6 +4560,20 @@ app.get('/api/picks/user/:userId', async (req, res) => {
   }
 });
 
+// Scoring breakdown for one of the caller's picks: each rule applied, the multiplier step and the rules version
+app.get('/api/picks/:pickId/breakdown', requireUser, async (req, res) => {
+  try {
+    const breakdown = await scoringService.getPickBreakdown(pool, req.params.pickId, { userId: req.user.id });
+    res.json(breakdown);
+  } catch (err) {
+    if (err instanceof scoringService.ScoringRulesError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error fetching pick breakdown:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Get user picks
 app.get('/api/picks', async (req, res) => {
   try {
@@ -4201,20 +4617,28 @@ app.get('/api/picks', async (req, res) => {
   }
 });
 
-// Submit picks (supports single pick or batch)
-app.post('/api/picks', async (req, res) => {
-  try {
-    const { userId, playerId, weekNumber, position, multiplier, picks } = req.body;
+// Helper: The slot a v1 pick fills, checked the way /api/picks/v2 checks adds.
+// The submitted position names the slot; re-submitting a player moves their
+// existing pick rather than adding a second one.
+async function resolvePickSlot(userId, weekNumber, playerId, playerPosition, requestedSlot, slots) {
+  const slot = lineupSlotsService.resolveSlot(slots, playerPosition, requestedSlot);
 
-    // User validation
-    const userCheck = await pool.query(
-      'SELECT id FROM users WHERE id = $1',
-      [userId]
-    );
+  const existing = await pool.query(
+    'SELECT position FROM picks WHERE user_id = $1 AND player_id = $2 AND week_number = $3',
+    [userId, playerId, weekNumber]
+  );
+  const proposedOps = existing.rows.map(row => ({ action: 'remove', position: row.position }));
+  proposedOps.push({ action: 'add', position: slot });
 
-    if (userCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+  const validation = await validatePositionCounts(userId, weekNumber, proposedOps, slots);
+  return { slot, validation };
+}
+
+// Submit picks (supports single pick or batch)
+app.post('/api/picks', requireUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { playerId, weekNumber, position, multiplier, picks } = req.body;
 
     // Server-side week derivation for playoffs
     // During playoffs, ignore client weekNumber and derive from game state
@@ -4255,14 +4679,21 @@ app.post('/api/picks', async (req, res) => {
     }
     const selectableTeams = selectableResult.teams;
 
+    // Per-game locks: players whose game has started cannot be (re)submitted
+    const kickoffs = await getTeamKickoffsForWeek(effectiveWeekNumber);
+
+    // Position may name a slot (e.g. FLEX); limits are the lineup slot limits
+    const slots = await lineupSlotsService.loadSlots(pool);
+
     // Support batch submission
     if (picks && Array.isArray(picks)) {
       const results = [];
+      const multiplierPolicy = await multiplierPolicyService.getPolicy(pool);
 
       for (const pick of picks) {
         // Validate player's team is selectable and player is not on IR
         const playerCheck = await pool.query(
-          'SELECT team, injury_status, COALESCE(full_name, first_name || \' \' || last_name) AS full_name FROM players WHERE id = $1',
+          'SELECT position, team, injury_status, COALESCE(full_name, first_name || \' \' || last_name) AS full_name FROM players WHERE id = $1',
           [pick.playerId]
         );
         if (playerCheck.rows.length === 0) {
@@ -4286,54 +4717,38 @@ app.post('/api/picks', async (req, res) => {
           });
         }
 
-        // Validate position limit before inserting - read from game_settings
-        const settingsResult = await pool.query(
-          `SELECT qb_limit, rb_limit, wr_limit, te_limit, k_limit, def_limit FROM game_settings LIMIT 1`
-        );
-
-        const settings = settingsResult.rows[0] || {};
-        const positionToLimit = {
-          'QB': settings.qb_limit,
-          'RB': settings.rb_limit,
-          'WR': settings.wr_limit,
-          'TE': settings.te_limit,
-          'K': settings.k_limit,
-          'DEF': settings.def_limit
-        };
-
-        const maxPicks = positionToLimit[pick.position] || 2;
-
-        // Check current pick count for this position (excluding the current player if updating)
-        const currentCount = await pool.query(`
-          SELECT COUNT(*) as count
-          FROM picks
-          WHERE user_id = $1
-            AND week_number = $2
-            AND position = $3
-            AND player_id != $4
-        `, [userId, effectiveWeekNumber, pick.position, pick.playerId]);
+        if (pickLocksService.getPickLock(normalizedTeam, kickoffs).is_locked) {
+          return res.status(403).json({
+            error: `${player.full_name || pick.playerId}'s game has already started and can no longer be picked.`
+          });
+        }
 
-        if (parseInt(currentCount.rows[0].count) >= maxPicks) {
+        // Validate the slot and its limit before inserting
+        let slotCheck;
+        try {
+          slotCheck = await resolvePickSlot(userId, effectiveWeekNumber, pick.playerId, player.position, pick.position, slots);
+        } catch (slotErr) {
+          if (slotErr instanceof lineupSlotsService.LineupSlotError) {
+            return res.status(slotErr.status).json({ error: slotErr.message });
+          }
+          throw slotErr;
+        }
+        if (!slotCheck.validation.valid) {
           return res.status(400).json({
-            error: `Position limit exceeded for ${pick.position}. Maximum allowed: ${maxPicks}`
+            error: 'Position limit exceeded',
+            details: slotCheck.validation.errors
           });
         }
 
-        // Check for multiplier/consecutive_weeks carry from immediately previous playoff week
-        let preservedMultiplier = 1;
-        let preservedConsecutiveWeeks = 1;
-        if (current_playoff_week > 1) {
-          const previousWeekNumber = effectiveWeekNumber - 1;
-          const prevPickResult = await pool.query(
-            'SELECT multiplier, consecutive_weeks FROM picks WHERE user_id = $1 AND player_id = $2 AND week_number = $3',
-            [userId, pick.playerId, previousWeekNumber]
-          );
-          if (prevPickResult.rows.length > 0) {
-            // Carry forward: current week = previous week + 1
-            preservedMultiplier = (prevPickResult.rows[0].multiplier || 1) + 1;
-            preservedConsecutiveWeeks = (prevPickResult.rows[0].consecutive_weeks || 1) + 1;
-            console.log(`[picks] Carrying multiplier ${preservedMultiplier} (prev ${prevPickResult.rows[0].multiplier}) and consecutive_weeks ${preservedConsecutiveWeeks} for player ${pick.playerId}`);
-          }
+        // Multiplier/consecutive_weeks carry from immediately previous playoff week (per multiplier policy)
+        const assignment = await multiplierPolicyService.resolveAssignment(pool, multiplierPolicy, {
+          userId,
+          playerId: pick.playerId,
+          weekNumber: effectiveWeekNumber,
+          canCarry: current_playoff_week > 1
+        });
+        if (assignment.reason !== 'new') {
+          console.log(`[picks] Multiplier ${assignment.multiplier} (${assignment.reason}, prev ${assignment.previous_multiplier}) and consecutive_weeks ${assignment.consecutive_weeks} for player ${pick.playerId}`);
         }
 
         const result = await pool.query(`
@@ -4346,7 +4761,8 @@ app.post('/api/picks', async (req, res) => {
             consecutive_weeks = $6,
             created_at = NOW()
           RETURNING *
-        `, [userId, pick.playerId, effectiveWeekNumber, pick.position, preservedMultiplier, preservedConsecutiveWeeks]);
+        `, [userId, pick.playerId, effectiveWeekNumber, slotCheck.slot, assignment.multiplier, assignment.consecutive_weeks]);
+        await multiplierPolicyService.recordAssignment(pool, result.rows[0], assignment, multiplierPolicy);
 
         results.push(result.rows[0]);
       }
@@ -4357,7 +4773,7 @@ app.post('/api/picks', async (req, res) => {
     // Single pick submission with UPSERT
     // Validate player's team is selectable
     const playerTeamCheck = await pool.query(
-      'SELECT team FROM players WHERE id = $1',
+      'SELECT position, team FROM players WHERE id = $1',
       [playerId]
     );
     if (playerTeamCheck.rows.length === 0) {
@@ -4370,54 +4786,39 @@ app.post('/api/picks', async (req, res) => {
       });
     }
 
-    // Validate position limit before inserting - read from game_settings
-    const settingsResult = await pool.query(
-      `SELECT qb_limit, rb_limit, wr_limit, te_limit, k_limit, def_limit FROM game_settings LIMIT 1`
-    );
-
-    const settings = settingsResult.rows[0] || {};
-    const positionToLimit = {
-      'QB': settings.qb_limit,
-      'RB': settings.rb_limit,
-      'WR': settings.wr_limit,
-      'TE': settings.te_limit,
-      'K': settings.k_limit,
-      'DEF': settings.def_limit
-    };
-
-    const maxPicks = positionToLimit[position] || 2;
-
-    // Check current pick count for this position (excluding the current player if updating)
-    const currentCount = await pool.query(`
-      SELECT COUNT(*) as count
-      FROM picks
-      WHERE user_id = $1
-        AND week_number = $2
-        AND position = $3
-        AND player_id != $4
-    `, [userId, effectiveWeekNumber, position, playerId]);
+    if (pickLocksService.getPickLock(normalizedTeam, kickoffs).is_locked) {
+      return res.status(403).json({
+        error: `Player ${playerId}'s game has already started and can no longer be picked.`
+      });
+    }
 
-    if (parseInt(currentCount.rows[0].count) >= maxPicks) {
+    // Validate the slot and its limit before inserting
+    let slotCheck;
+    try {
+      slotCheck = await resolvePickSlot(userId, effectiveWeekNumber, playerId, playerTeamCheck.rows[0].position, position, slots);
+    } catch (slotErr) {
+      if (slotErr instanceof lineupSlotsService.LineupSlotError) {
+        return res.status(slotErr.status).json({ error: slotErr.message });
+      }
+      throw slotErr;
+    }
+    if (!slotCheck.validation.valid) {
       return res.status(400).json({
-        error: `Position limit exceeded for ${position}. Maximum allowed: ${maxPicks}`
+        error: 'Position limit exceeded',
+        details: slotCheck.validation.errors
       });
     }
 
-    // Check for multiplier/consecutive_weeks carry from immediately previous playoff week
-    let preservedMultiplier = 1;
-    let preservedConsecutiveWeeks = 1;
-    if (current_playoff_week > 1) {
-      const previousWeekNumber = effectiveWeekNumber - 1;
-      const prevPickResult = await pool.query(
-        'SELECT multiplier, consecutive_weeks FROM picks WHERE user_id = $1 AND player_id = $2 AND week_number = $3',
-        [userId, playerId, previousWeekNumber]
-      );
-      if (prevPickResult.rows.length > 0) {
-        // Carry forward: current week = previous week + 1
-        preservedMultiplier = (prevPickResult.rows[0].multiplier || 1) + 1;
-        preservedConsecutiveWeeks = (prevPickResult.rows[0].consecutive_weeks || 1) + 1;
-        console.log(`[picks] Carrying multiplier ${preservedMultiplier} (prev ${prevPickResult.rows[0].multiplier}) and consecutive_weeks ${preservedConsecutiveWeeks} for player ${playerId}`);
-      }
+    // Multiplier/consecutive_weeks carry from immediately previous playoff week (per multiplier policy)
+    const multiplierPolicy = await multiplierPolicyService.getPolicy(pool);
+    const assignment = await multiplierPolicyService.resolveAssignment(pool, multiplierPolicy, {
+      userId,
+      playerId,
+      weekNumber: effectiveWeekNumber,
+      canCarry: current_playoff_week > 1
+    });
+    if (assignment.reason !== 'new') {
+      console.log(`[picks] Multiplier ${assignment.multiplier} (${assignment.reason}, prev ${assignment.previous_multiplier}) and consecutive_weeks ${assignment.consecutive_weeks} for player ${playerId}`);
     }
 
     const result = await pool.query(`
@@ -4430,7 +4831,8 @@ app.post('/api/picks', async (req, res) => {
         consecutive_weeks = $6,
         created_at = NOW()
       RETURNING *
-    `, [userId, playerId, effectiveWeekNumber, position, preservedMultiplier, preservedConsecutiveWeeks]);
+    `, [userId, playerId, effectiveWeekNumber, slotCheck.slot, assignment.multiplier, assignment.consecutive_weeks]);
+    await multiplierPolicyService.recordAssignment(pool, result.rows[0], assignment, multiplierPolicy);
 
     res.json(result.rows[0]);
   } catch (err) {
@@ -4440,8 +4842,9 @@ app.post('/api/picks', async (req, res) => {
 });
 
 // Delete a pick
-app.delete('/api/picks/:pickId', async (req, res) => {
+app.delete('/api/picks/:pickId', requireUser, async (req, res) => {
   try {
+    const userId = req.user.id;
     const { pickId } = req.params;
 
     // Week lockout check - block deletions when week is locked
@@ -4455,9 +4858,26 @@ app.delete('/api/picks/:pickId', async (req, res) => {
       });
     }
 
+    const pickResult = await pool.query(
+      'SELECT pk.week_number, p.team FROM picks pk JOIN players p ON p.id = pk.player_id WHERE pk.id = $1 AND pk.user_id = $2',
+      [pickId, userId]
+    );
+    if (pickResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Pick not found' });
+    }
+
+    // Per-game locks: a slot cannot be cleared once its game has started
+    const { week_number, team } = pickResult.rows[0];
+    const kickoffs = await getTeamKickoffsForWeek(week_number);
+    if (pickLocksService.getPickLock(normalizeTeamAbbr(team), kickoffs).is_locked) {
+      return res.status(403).json({
+        error: 'This player\'s game has already started. The slot is locked.'
+      });
+    }
+
     const result = await pool.query(
-      'DELETE FROM picks WHERE id = $1 RETURNING *',
-      [pickId]
+      'DELETE FROM picks WHERE id = $1 AND user_id = $2 RETURNING *',
+      [pickId, userId]
     );
 
     if (result.rows.length === 0) {
@@ -4500,15 +4920,7 @@ app.get('/api/users/:userId/picks/:weekNumber', async (req, res) => {
         AND s.week_number = pk.week_number
       WHERE pk.user_id = $1 AND pk.week_number = $2
       ORDER BY
-        CASE pk.position
-          WHEN 'QB' THEN 1
-          WHEN 'RB' THEN 2
-          WHEN 'WR' THEN 3
-          WHEN 'TE' THEN 4
-          WHEN 'K' THEN 5
-          WHEN 'DEF' THEN 6
-          ELSE 7
-        END
+        ${lineupSlotsService.slotOrderSql('pk.position')}
     `, [userId, actualWeekNumber]);
 
     res.json({ picks: result.rows });
@@ -4541,7 +4953,7 @@ app.get('/api/settings', async (req, res) => {
 });
 
 // Update game settings (admin only)
-app.put('/api/admin/settings', async (req, res) => {
+app.put('/api/admin/settings', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
   try {
     const {
       adminUserId,
@@ -4554,7 +4966,10 @@ app.put('/api/admin/settings', async (req, res) => {
       wr_limit,
       te_limit,
       k_limit,
-      def_limit
+      def_limit,
+      require_email_verification,
+      multiplier_policy,
+      tie_breakers
     } = req.body;
 
     if (!adminUserId) {
@@ -4567,6 +4982,18 @@ app.put('/api/admin/settings', async (req, res) => {
       return res.status(403).json({ error: 'Admin access required' });
     }
 
+    // Payment fields belong to finance; everything else is game configuration
+    const paymentFields = [entry_amount, venmo_handle, cashapp_handle, zelle_handle];
+    const configFields = [qb_limit, rb_limit, wr_limit, te_limit, k_limit, def_limit, require_email_verification, multiplier_policy, tie_breakers];
+    const role = req.adminUser.role;
+
+    if (paymentFields.some(v => v !== undefined) && !hasPermission(role, ADMIN_PERMISSIONS.PAYMENTS_MANAGE)) {
+      return res.status(403).json({ error: `Forbidden: Requires ${ADMIN_PERMISSIONS.PAYMENTS_MANAGE} permission` });
+    }
+    if (configFields.some(v => v !== undefined) && !hasPermission(role, ADMIN_PERMISSIONS.SETTINGS_MANAGE)) {
+      return res.status(403).json({ error: `Forbidden: Requires ${ADMIN_PERMISSIONS.SETTINGS_MANAGE} permission` });
+    }
+
     // Build dynamic update query based on provided fields
     const updates = [];
     const values = [];
@@ -4632,6 +5059,44 @@ app.put('/api/admin/settings', async (req, res) => {
       paramCount++;
     }
 
+    if (require_email_verification !== undefined) {
+      updates.push(`require_email_verification = $${paramCount}`);
+      values.push(require_email_verification === true);
+      paramCount++;
+    }
+
+    // Multiplier progression used by week transitions and pick carry-forward
+    if (multiplier_policy !== undefined) {
+      let policy;
+      try {
+        policy = multiplierPolicyService.parsePolicy(multiplier_policy);
+      } catch (policyErr) {
+        if (policyErr instanceof multiplierPolicyService.MultiplierPolicyError) {
+          return res.status(policyErr.status).json({ error: policyErr.message });
+        }
+        throw policyErr;
+      }
+      updates.push(`multiplier_policy = $${paramCount}`);
+      values.push(JSON.stringify(policy));
+      paramCount++;
+    }
+
+    // Tie-breaker chain shared by the leaderboard and contest settlement
+    if (tie_breakers !== undefined) {
+      let chain;
+      try {
+        chain = tieBreakersService.parseChain(tie_breakers);
+      } catch (chainErr) {
+        if (chainErr instanceof tieBreakersService.TieBreakerError) {
+          return res.status(chainErr.status).json({ error: chainErr.message });
+        }
+        throw chainErr;
+      }
+      updates.push(`tie_breakers = $${paramCount}`);
+      values.push(JSON.stringify(chain));
+      paramCount++;
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({ error: 'At least one setting field is required' });
     }
@@ -4696,12 +5161,163 @@ async function startLiveStatsPolling() {
   }, LIVE_STATS_INTERVAL_MS);
 }
 
+// Locks picks at the current week's scheduled lock time (checked every minute)
+let weekLockInterval = null;
+const WEEK_LOCK_INTERVAL_MS = 60 * 1000;
+
+// Scoreboard events straight from the stats provider; readers go through readWeekEvents
+async function fetchScoreboardEvents(weekNumber) {
+  const scoreboard = await statsProvider().getScoreboard(weekNumber, { timeout: 5000 });
+  return scoreboard?.events || [];
+}
+
+async function runWeekLockWithTracking() {
+  jobsService.markJobRunning('week-lock-scheduler');
+  try {
+    await weekLockService.runScheduledLock(pool, { fetchEvents: readWeekEvents });
+    jobsService.updateJobStatus('week-lock-scheduler', { success: true });
+  } catch (err) {
+    console.error('[Week Lock Job] Error:', err.message);
+    jobsService.updateJobStatus('week-lock-scheduler', { success: false, error: err.message });
+  }
+}
+
+function startWeekLockScheduler() {
+  jobsService.registerJob('week-lock-scheduler', {
+    interval_ms: WEEK_LOCK_INTERVAL_MS,
+    description: 'Locks the week at last kickoff or the admin lock override'
+  });
+
+  runWeekLockWithTracking();
+  weekLockInterval = setInterval(runWeekLockWithTracking, WEEK_LOCK_INTERVAL_MS);
+}
+
+// Syncs the current week's games into the games table (checked every minute)
+let gamesSyncInterval = null;
+const GAMES_SYNC_INTERVAL_MS = 60 * 1000;
+
+async function runGamesSyncWithTracking() {
+  if (gameDayReplayInstalled) {
+    console.log('[Games Sync Job] Skipped while a game-day replay is running');
+    return;
+  }
+  jobsService.markJobRunning('games-sync');
+  try {
+    const settingsResult = await pool.query(
+      'SELECT current_playoff_week, playoff_start_week FROM game_settings LIMIT 1'
+    );
+    const weekNumber = weekLockService.getCurrentNflWeek(settingsResult.rows[0]);
+    if (weekNumber) {
+      await gamesService.syncWeek(pool, weekNumber, { fetchEvents: fetchScoreboardEvents });
+    }
+    jobsService.updateJobStatus('games-sync', { success: true });
+  } catch (err) {
+    console.error('[Games Sync Job] Error:', err.message);
+    jobsService.updateJobStatus('games-sync', { success: false, error: err.message });
+  }
+}
+
+function startGamesSyncJob() {
+  jobsService.registerJob('games-sync', {
+    interval_ms: GAMES_SYNC_INTERVAL_MS,
+    description: 'Stores the current week\'s games, kickoffs, scores and status from the scoreboard'
+  });
+
+  runGamesSyncWithTracking();
+  gamesSyncInterval = setInterval(runGamesSyncWithTracking, GAMES_SYNC_INTERVAL_MS);
+}
+
+// Re-checks completed games for stat corrections (see statCorrections.service.js)
+let statCorrectionsInterval = null;
+const STAT_CORRECTIONS_INTERVAL_MS = 30 * 60 * 1000; // 30 minutes
+
+// Final stat lines for a week's scored players, read from completed games only.
+// Mirrors the live matching in savePlayerScoresToDatabase without touching liveStatsCache.
+async function fetchFinalStatLines(weekNumber, players) {
+  const events = await readWeekEvents(weekNumber);
+  const finalGameIds = events
+    .filter(event => event.status?.type?.state === 'post')
+    .map(event => event.id);
+
+  const summaryStats = [];
+  for (const gameId of finalGameIds) {
+    const summary = await statsProvider().getGameSummary(gameId, { timeout: 10000 });
+    if (summary && summary.boxscore) {
+      summaryStats.push(...parseSummaryPlayerStats(summary));
+    }
+  }
+
+  const statLines = new Map();
+  for (const player of players) {
+    if (player.position === 'DEF') {
+      const defStats = await fetchDefenseStats(player.player_id, weekNumber, finalGameIds);
+      if (defStats) statLines.set(player.player_id, defStats);
+      continue;
+    }
+
+    let line = player.espn_id
+      ? summaryStats.find(stat => stat.athleteId === String(player.espn_id))
+      : null;
+
+    if (!line) {
+      const normalized = normalizePlayerName(player.full_name);
+      const normalizedTeam = normalizeTeamAbbr(player.team);
+      line = summaryStats.find(stat => {
+        const statName = normalizePlayerName(stat.athleteName);
+        return statName.firstName === normalized.firstName &&
+               statName.lastName === normalized.lastName &&
+               normalizedTeam && normalizeTeamAbbr(stat.teamAbbrev) === normalizedTeam;
+      });
+    }
+
+    if (line) {
+      statLines.set(player.player_id, convertESPNStatsToScoring(line.stats));
+    }
+  }
+
+  return statLines;
+}
+
+async function runStatCorrectionsWithTracking() {
+  if (gameDayReplayInstalled) {
+    console.log('[Stat Corrections Job] Skipped while a game-day replay is running');
+    return;
+  }
+  jobsService.markJobRunning('stat-corrections');
+  try {
+    await statCorrectionsService.runReconciliation(pool, { fetchStatLines: fetchFinalStatLines });
+    jobsService.updateJobStatus('stat-corrections', { success: true });
+  } catch (err) {
+    console.error('[Stat Corrections Job] Error:', err.message);
+    jobsService.updateJobStatus('stat-corrections', { success: false, error: err.message });
+  }
+}
+
+function startStatCorrectionsJob() {
+  jobsService.registerJob('stat-corrections', {
+    interval_ms: STAT_CORRECTIONS_INTERVAL_MS,
+    description: 'Applies NFL stat corrections from completed games of recent rounds'
+  });
+
+  runStatCorrectionsWithTracking();
+  statCorrectionsInterval = setInterval(runStatCorrectionsWithTracking, STAT_CORRECTIONS_INTERVAL_MS);
+}
+
 // Wrapper to track job status for diagnostics
 async function runLiveStatsWithTracking(week) {
+  if (gameDayReplayInstalled) {
+    console.log('[Live Stats Job] Skipped while a game-day replay is running');
+    return;
+  }
   jobsService.markJobRunning('live-stats-polling');
   try {
-    await updateLiveStats(week);
-    jobsService.updateJobStatus('live-stats-polling', { success: true });
+    // updateLiveStats reports failed fetches in its result rather than throwing
+    const result = await updateLiveStats(week);
+    jobsService.updateJobStatus('live-stats-polling', {
+      success: result.success,
+      error: result.error,
+      metrics: result.metrics
+    });
   } catch (err) {
     console.error('[Live Stats Job] Error:', err.message);
     jobsService.updateJobStatus('live-stats-polling', { success: false, error: err.message });
@@ -4713,10 +5329,10 @@ async function runLiveStatsWithTracking(week) {
 // ==============================================
 
 // Get all position requirements
-app.get('/api/admin/position-requirements', async (req, res) => {
+app.get('/api/admin/position-requirements', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT id, position, required_count, display_name, display_order, is_active
+      SELECT id, position, required_count, display_name, display_order, is_active, eligible_positions
       FROM position_requirements
       ORDER BY display_order ASC, position ASC
     `);
@@ -4728,10 +5344,10 @@ app.get('/api/admin/position-requirements', async (req, res) => {
 });
 
 // Update a specific position requirement
-app.put('/api/admin/position-requirements/:id', async (req, res) => {
+app.put('/api/admin/position-requirements/:id', requirePermission(ADMIN_PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
   try {
     const { id } = req.params;
-    const { requiredCount, isActive } = req.body;
+    const { requiredCount, isActive, eligiblePositions } = req.body;
 
     // Build dynamic SQL based on what fields are provided
     const updates = [];
@@ -4750,8 +5366,23 @@ app.put('/api/admin/position-requirements/:id', async (req, res) => {
       paramCount++;
     }
 
+    // Flexible slots (FLEX, SUPERFLEX) list the fixed positions that can fill them
+    if (eligiblePositions != null) {
+      const positions = Array.isArray(eligiblePositions)
+        ? [...new Set(eligiblePositions.map(pos => String(pos).toUpperCase()))]
+        : [];
+      if (positions.length === 0 || positions.some(pos => !lineupSlotsService.FIXED_POSITIONS.includes(pos))) {
+        return res.status(400).json({
+          error: `eligiblePositions must be a non-empty list of ${lineupSlotsService.FIXED_POSITIONS.join(', ')}`
+        });
+      }
+      updates.push(`eligible_positions = $${paramCount}`);
+      values.push(positions);
+      paramCount++;
+    }
+
     if (updates.length === 0) {
-      return res.status(400).json({ error: 'At least one of requiredCount or isActive is required' });
+      return res.status(400).json({ error: 'At least one of requiredCount, isActive or eligiblePositions is required' });
     }
 
     // Always update updated_at
@@ -4764,7 +5395,7 @@ app.put('/api/admin/position-requirements/:id', async (req, res) => {
       `UPDATE position_requirements
        SET ${updates.join(', ')}
        WHERE id = $${paramCount}
-       RETURNING id, position, required_count, display_name, display_order, is_active`,
+       RETURNING id, position, required_count, display_name, display_order, is_active, eligible_positions`,
       values
     );
 
@@ -4784,7 +5415,7 @@ app.put('/api/admin/position-requirements/:id', async (req, res) => {
 // ==============================================
 
 // Get all users (admin only)
-app.get('/api/admin/users', async (req, res) => {
+app.get('/api/admin/users', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
   try {
     // Admin verification is handled by requireAdmin middleware
     // req.adminUser is set by the middleware
@@ -4801,7 +5432,8 @@ app.get('/api/admin/users', async (req, res) => {
         is_admin,
         apple_id,
         created_at,
-        admin_notes
+        admin_notes,
+        admin_role
       FROM users
       ORDER BY username
     `);
@@ -4814,7 +5446,7 @@ app.get('/api/admin/users', async (req, res) => {
 });
 
 // Update user payment status (admin only)
-app.put('/api/admin/users/:id/payment', async (req, res) => {
+app.put('/api/admin/users/:id/payment', requirePermission(ADMIN_PERMISSIONS.PAYMENTS_MANAGE), async (req, res) => {
   try {
     const { id } = req.params;
     const { has_paid, hasPaid } = req.body;
@@ -4841,8 +5473,70 @@ app.put('/api/admin/users/:id/payment', async (req, res) => {
   }
 });
 
+// Grant, change, or revoke a user's admin role (superadmin only)
+// role: one of ADMIN_ROLES, or null to revoke admin access entirely
+app.put('/api/admin/users/:id/role', requirePermission(ADMIN_PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (role !== null && !ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of ${ADMIN_ROLES.join(', ')} or null` });
+    }
+
+    // Prevent a superadmin from locking themselves out
+    if (id === req.adminUser.id) {
+      return res.status(400).json({ error: 'You cannot change your own admin role' });
+    }
+
+    const result = await pool.query(
+      `UPDATE users
+        SET admin_role = $1,
+            is_admin = $2,
+            updated_at = NOW()
+        WHERE id = $3
+        RETURNING id, username, email, is_admin, admin_role`,
+      [role, role !== null, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Revoking admin access also ends any signed-in sessions
+    if (role === null) {
+      await adminSessionsService.revokeAllAdminSessions(pool, id, 'admin_revoked');
+    }
+
+    console.log(`[admin] ${req.adminUser.id} set admin role of ${id} to ${role}`);
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error updating admin role:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Revoke all admin sessions for a user (superadmin, or any admin for their own sessions)
+app.post('/api/admin/users/:id/sessions/revoke', requirePermission(ADMIN_PERMISSIONS.READ), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (id !== req.adminUser.id && !hasPermission(req.adminUser.role, ADMIN_PERMISSIONS.ROLES_MANAGE)) {
+      return res.status(403).json({ error: `Forbidden: Requires ${ADMIN_PERMISSIONS.ROLES_MANAGE} permission` });
+    }
+
+    const revokedCount = await adminSessionsService.revokeAllAdminSessions(pool, id, 'revoked_by_admin');
+
+    console.log(`[admin] ${req.adminUser.id} revoked ${revokedCount} session(s) for ${id}`);
+    res.json({ success: true, revokedCount });
+  } catch (err) {
+    console.error('Error revoking admin sessions:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Update user admin notes (admin only)
-app.patch('/api/admin/users/:id/notes', async (req, res) => {
+app.patch('/api/admin/users/:id/notes', requirePermission(ADMIN_PERMISSIONS.USERS_NOTES), async (req, res) => {
   try {
     const { id } = req.params;
     const { adminNotes } = req.body;
@@ -4874,7 +5568,7 @@ app.patch('/api/admin/users/:id/notes', async (req, res) => {
 });
 
 // Delete user (admin only)
-app.delete('/api/admin/users/:id', async (req, res) => {
+app.delete('/api/admin/users/:id', requirePermission(ADMIN_PERMISSIONS.USERS_DELETE), async (req, res) => {
   const client = await pool.connect();
   let inTransaction = false;
   try {
@@ -4904,7 +5598,7 @@ app.delete('/api/admin/users/:id', async (req, res) => {
 });
 
 // Bulk delete all non-admin users (preserves admin users)
-app.post('/api/admin/users/cleanup', async (req, res) => {
+app.post('/api/admin/users/cleanup', requirePermission(ADMIN_PERMISSIONS.USERS_DELETE), async (req, res) => {
   try {
     // First get count for response
     const countResult = await pool.query(
@@ -4943,7 +5637,7 @@ app.post('/api/admin/users/cleanup', async (req, res) => {
 });
 
 // Bulk delete all picks belonging to non-admin users (preserves admin picks)
-app.post('/api/admin/picks/cleanup', async (req, res) => {
+app.post('/api/admin/picks/cleanup', requirePermission(ADMIN_PERMISSIONS.USERS_DELETE), async (req, res) => {
   try {
     // First get count for response
     const countResult = await pool.query(
@@ -5030,20 +5724,15 @@ app.get('/api/scores', async (req, res) => {
   }
 });
 
-// Helper: Build a matchup map for a given week (fetches scoreboard once and caches)
+// Helper: Build a matchup map for a given week from the stored games
 async function getWeekMatchupMap(weekNumber) {
   try {
-    // Fetch ESPN scoreboard for this week
-    const response = await axios.get(getESPNScoreboardUrl(weekNumber));
-
-    if (!response.data || !response.data.events) {
-      return new Map();
-    }
+    const events = await readWeekEvents(weekNumber);
 
     // Build a map of team -> {opponent, isHome}
     const matchupMap = new Map();
 
-    for (const event of response.data.events) {
+    for (const event of events) {
       const competition = event.competitions?.[0];
       if (!competition) continue;
 
@@ -5083,14 +5772,56 @@ function getWeekNumberForRound(round) {
 }
 
 // Get leaderboard
-app.get('/api/leaderboard', async (req, res) => {
+// League-scoped standings and payouts need a signed-in member; the global pool stays public
+function requireUserForLeague(req, res, next) {
+  if (!req.query.leagueId) {
+    return next();
+  }
+  return requireUser(req, res, next);
+}
+
+// Restricts leaderboard users to a league's members. Members count as paid when
+// the commissioner marked them paid or the league is free.
+function getLeaderboardScope(leagueId, paramIndex) {
+  if (!leagueId) {
+    return { join: '', paid: 'u.paid', groupBy: '', params: [] };
+  }
+  return {
+    join: `JOIN league_members lm ON lm.user_id = u.id AND lm.league_id = $${paramIndex}
+        JOIN leagues l ON l.id = lm.league_id`,
+    paid: '(lm.paid OR l.entry_amount = 0)',
+    groupBy: ', lm.paid, l.entry_amount',
+    params: [leagueId]
+  };
+}
+
+// Orders leaderboard rows by total, then the configured tie-breaker chain, and
+// adds rank and tied_with (ids of users sharing the rank)
+async function rankLeaderboard(rows, weeks) {
+  const settingsResult = await pool.query('SELECT playoff_start_week FROM game_settings LIMIT 1');
+  const chain = await tieBreakersService.getChain(pool);
+  const stats = await tieBreakersService.loadTieBreakStats(pool, {
+    userIds: rows.map(row => row.id),
+    weeks,
+    superBowlWeek: tieBreakersService.getSuperBowlWeek(settingsResult.rows[0])
+  });
+  return tieBreakersService
+    .rankEntries(rows.map(row => ({ ...row, tiebreak: stats.get(row.id) })), chain, row => row.id)
+    .map(({ tiebreak, tied_count, ...row }) => row);
+}
+
+app.get('/api/leaderboard', requireUserForLeague, async (req, res) => {
   try {
     // Force iOS clients to bypass cached responses (CFNetwork/URLSession caching fix)
     res.set('Cache-Control', 'no-store, no-cache, must-revalidate, max-age=0');
     res.set('Pragma', 'no-cache');
     res.set('Expires', '0');
 
-    const { weekNumber, round, includePicks, mode: explicitMode } = req.query;
+    const { weekNumber, round, includePicks, mode: explicitMode, leagueId } = req.query;
+
+    if (leagueId) {
+      await leaguesService.assertMember(pool, leagueId, req.user.id);
+    }
 
     // === DUAL-SUPPORT: Client capability detection ===
     const client = getClientCapabilities(req);
@@ -5173,27 +5904,31 @@ app.get('/api/leaderboard', async (req, res) => {
     // === LEGACY BEHAVIOR: Query and return data (unchanged) ===
     let query;
     let params = [];
+    let weeks;
 
     if (actualWeekNumber) {
       // Filter by specific week - email removed from SELECT for privacy
       // NOTE: 'points' and 'score' aliases added for iOS app compatibility
+      const scope = getLeaderboardScope(leagueId, 2);
       query = `
         SELECT
           u.id,
           u.username,
           u.name,
           u.team_name,
-          u.paid as has_paid,
+          ${scope.paid} as has_paid,
           COALESCE(SUM(s.final_points), 0) as total_points,
           COALESCE(SUM(s.final_points), 0) as points,
           COALESCE(SUM(s.final_points), 0) as score
         FROM users u
+        ${scope.join}
         LEFT JOIN scores s ON u.id = s.user_id AND s.week_number = $1
-        WHERE u.paid = true
-        GROUP BY u.id, u.username, u.name, u.team_name, u.paid
+        WHERE ${scope.paid} = true
+        GROUP BY u.id, u.username, u.name, u.team_name, u.paid${scope.groupBy}
         ORDER BY total_points DESC
       `;
-      params = [actualWeekNumber];
+      params = [actualWeekNumber, ...scope.params];
+      weeks = [Number(actualWeekNumber)];
     } else {
       // All weeks (cumulative) - sum all playoff weeks dynamically based on playoff_start_week
       // NOTE: 'points' and 'score' aliases added for iOS app compatibility
@@ -5201,34 +5936,40 @@ app.get('/api/leaderboard', async (req, res) => {
       const cumulativeStartWeek = cumulativeSettingsResult.rows[0]?.playoff_start_week || 19;
       const cumulativeEndWeek = cumulativeStartWeek + 4; // 5 playoff rounds (includes Super Bowl at +4)
 
+      const scope = getLeaderboardScope(leagueId, 3);
       query = `
         SELECT
           u.id,
           u.username,
           u.name,
           u.team_name,
-          u.paid as has_paid,
+          ${scope.paid} as has_paid,
           COALESCE(SUM(s.final_points), 0) as total_points,
           COALESCE(SUM(s.final_points), 0) as points,
           COALESCE(SUM(s.final_points), 0) as score
         FROM users u
+        ${scope.join}
         LEFT JOIN scores s ON u.id = s.user_id AND s.week_number BETWEEN $1 AND $2
-        WHERE u.paid = true
-        GROUP BY u.id, u.username, u.name, u.team_name, u.paid
+        WHERE ${scope.paid} = true
+        GROUP BY u.id, u.username, u.name, u.team_name, u.paid${scope.groupBy}
         ORDER BY total_points DESC
       `;
-      params = [cumulativeStartWeek, cumulativeEndWeek];
+      params = [cumulativeStartWeek, cumulativeEndWeek, ...scope.params];
+      weeks = Array.from({ length: cumulativeEndWeek - cumulativeStartWeek + 1 }, (_, i) => cumulativeStartWeek + i);
     }
 
     const result = await pool.query(query, params);
+    result.rows = await rankLeaderboard(result.rows, weeks);
 
     // If includePicks is requested, fetch picks for each user
-    // SECURITY: Only expose picks if week is locked OR games have started
+    // SECURITY: Picks are revealed game by game - a pick is only exposed once
+    // its game has started (or the whole week is locked)
     if (includePicks === 'true' && actualWeekNumber) {
-      // Check if picks should be visible (week locked or games started)
       const lockStatusResult = await pool.query('SELECT is_week_active FROM game_settings LIMIT 1');
       const isWeekLocked = lockStatusResult.rows[0]?.is_week_active === false;
-      const gamesStarted = await hasAnyGameStartedForWeek(actualWeekNumber);
+      const kickoffs = await getTeamKickoffsForWeek(actualWeekNumber);
+      const now = new Date();
+      const gamesStarted = Array.from(kickoffs.values()).some(game => pickLocksService.hasGameStarted(game, now));
 
       // If week is unlocked AND no games have started, don't expose picks
       if (!isWeekLocked && !gamesStarted) {
@@ -5237,6 +5978,9 @@ app.get('/api/leaderboard', async (req, res) => {
         return res.json(result.rows);
       }
 
+      // A locked week reveals every pick, including games that have not kicked off
+      const weekLockedAt = isWeekLocked ? (await getWeekLockedAt(actualWeekNumber)) || now : null;
+
       // Fetch matchup map once for this week
       const matchupMap = await getWeekMatchupMap(actualWeekNumber);
 
@@ -5247,6 +5991,7 @@ app.get('/api/leaderboard', async (req, res) => {
               pk.id as pick_id,
               pk.locked,
               pk.position,
+              p.position as player_position,
               p.full_name,
               p.team,
               p.sleeper_id,
@@ -5261,22 +6006,22 @@ app.get('/api/leaderboard', async (req, res) => {
               AND s.week_number = $2
             WHERE pk.user_id = $1 AND pk.week_number IN ($2${actualWeekNumber === 23 ? ', 22' : ''})
             ORDER BY
-              CASE pk.position
-                WHEN 'QB' THEN 1
-                WHEN 'RB' THEN 2
-                WHEN 'WR' THEN 3
-                WHEN 'TE' THEN 4
-                WHEN 'K' THEN 5
-                WHEN 'DEF' THEN 6
-                ELSE 7
-              END
+              ${lineupSlotsService.slotOrderSql('pk.position')}
           `, [user.id, actualWeekNumber]);
 
-          // Add opponent matchup data to each pick
-          const picksWithMatchups = picksResult.rows.map((pick) => {
+          // Reveal only picks whose game has started, with opponent matchup data
+          const revealedPicks = picksResult.rows
+            .map((pick) => ({
+              pick,
+              lock: pickLocksService.getPickLock(normalizeTeamAbbr(pick.team), kickoffs, { now, weekLockedAt })
+            }))
+            .filter(({ lock }) => lock.is_locked);
+
+          const picksWithMatchups = revealedPicks.map(({ pick, lock }) => {
             const matchup = getTeamMatchup(pick.team, matchupMap);
             return {
               ...pick,
+              locked_at: lock.locked_at,
               opponent: matchup?.opponent || null,
               is_home: matchup?.isHome ?? null
             };
@@ -5284,7 +6029,8 @@ app.get('/api/leaderboard', async (req, res) => {
 
           return {
             ...user,
-            picks: picksWithMatchups
+            picks: picksWithMatchups,
+            hidden_pick_count: picksResult.rows.length - picksWithMatchups.length
           };
         })
       );
@@ -5294,6 +6040,9 @@ app.get('/api/leaderboard', async (req, res) => {
       res.json(result.rows);
     }
   } catch (err) {
+    if (err instanceof leaguesService.LeagueError) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error('Error fetching leaderboard:', err);
     res.status(500).json({ error: err.message });
   }
@@ -5316,7 +6065,7 @@ app.get('/api/rules', async (req, res) => {
 });
 
 // Update rules content (admin only)
-app.put('/api/admin/rules/:id', async (req, res) => {
+app.put('/api/admin/rules/:id', requirePermission(ADMIN_PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
   try {
     const { id } = req.params;
     const { adminUserId, content } = req.body;
@@ -5380,7 +6129,7 @@ app.get('/api/terms', async (req, res) => {
 });
 
 // Update Terms of Service (admin only)
-app.put('/api/admin/terms', async (req, res) => {
+app.put('/api/admin/terms', requirePermission(ADMIN_PERMISSIONS.SETTINGS_MANAGE), async (req, res) => {
   try {
     const { adminUserId, content } = req.body;
 
@@ -5419,28 +6168,52 @@ app.put('/api/admin/terms', async (req, res) => {
   }
 });
 
-// Get payouts structure
-app.get('/api/payouts', async (req, res) => {
+// Get payouts structure (global pool, or a league with ?leagueId=)
+app.get('/api/payouts', requireUserForLeague, async (req, res) => {
   try {
-    const settingsResult = await pool.query(`
-      SELECT entry_amount::float8 AS entry_amount
-      FROM game_settings
-      LIMIT 1
-    `);
-    const entryAmount = settingsResult.rows[0]?.entry_amount || 50.0;
+    const { leagueId } = req.query;
+    let entryAmount;
+    let paidUsers;
+    let payoutsResult;
+
+    if (leagueId) {
+      const league = await leaguesService.assertMember(pool, leagueId, req.user.id);
+      entryAmount = Number(league.entry_amount);
+
+      const paidResult = await pool.query(`
+        SELECT COUNT(*)::int AS count
+        FROM league_members
+        WHERE league_id = $1 AND (paid = true OR $2::numeric = 0)
+      `, [leagueId, entryAmount]);
+      paidUsers = paidResult.rows[0]?.count || 0;
+
+      payoutsResult = await pool.query(`
+        SELECT place, percentage::float8 AS percentage, description
+        FROM league_payouts
+        WHERE league_id = $1
+        ORDER BY place
+      `, [leagueId]);
+    } else {
+      const settingsResult = await pool.query(`
+        SELECT entry_amount::float8 AS entry_amount
+        FROM game_settings
+        LIMIT 1
+      `);
+      entryAmount = settingsResult.rows[0]?.entry_amount || 50.0;
 
-    const paidResult = await pool.query(`
-      SELECT COUNT(*)::int AS count
-      FROM users
-      WHERE paid = true
-    `);
-    const paidUsers = paidResult.rows[0]?.count || 0;
+      const paidResult = await pool.query(`
+        SELECT COUNT(*)::int AS count
+        FROM users
+        WHERE paid = true
+      `);
+      paidUsers = paidResult.rows[0]?.count || 0;
 
-    const payoutsResult = await pool.query(`
-      SELECT place, percentage::float8 AS percentage, description
-      FROM payouts
-      ORDER BY place
-    `);
+      payoutsResult = await pool.query(`
+        SELECT place, percentage::float8 AS percentage, description
+        FROM payouts
+        ORDER BY place
+      `);
+    }
 
     const totalPot = paidUsers * entryAmount;
     const payouts = payoutsResult.rows.map((p, index) => ({
@@ -5452,12 +6225,16 @@ app.get('/api/payouts', async (req, res) => {
     }));
 
     res.json({
+      ...(leagueId ? { league_id: leagueId } : {}),
       entry_amount: entryAmount,
       paid_users: paidUsers,
       total_pot: parseFloat(totalPot.toFixed(2)),
       payouts
     });
   } catch (err) {
+    if (err instanceof leaguesService.LeagueError) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error('Error fetching payouts:', err);
     res.json({
       entry_amount: 50.0,
@@ -5468,16 +6245,11 @@ app.get('/api/payouts', async (req, res) => {
   }
 });
 
-// Get scoring rules
+// Get scoring rules - exactly the rules calculateFantasyPoints applies
 app.get('/api/scoring-rules', async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT id, category, stat_name, points::float8 AS points, description, display_order
-      FROM scoring_rules
-      WHERE is_active = true
-      ORDER BY category, display_order, stat_name
-    `);
-    res.json(result.rows);
+    const rules = await scoringService.getPublishedRules(pool);
+    res.json(rules);
   } catch (err) {
     console.error('Error fetching scoring rules:', err);
     res.json([]);
@@ -5517,22 +6289,11 @@ async function getEffectiveWeekNumber() {
 }
 
 // Helper: Validate position counts for v2 API
-async function validatePositionCounts(userId, weekNumber, proposedOps = []) {
-  // Get current position limits from game_settings
-  const settingsResult = await pool.query(
-    `SELECT qb_limit, rb_limit, wr_limit, te_limit, k_limit, def_limit FROM game_settings LIMIT 1`
-  );
-  const settings = settingsResult.rows[0] || {};
-  const limits = {
-    'QB': settings.qb_limit || 1,
-    'RB': settings.rb_limit || 2,
-    'WR': settings.wr_limit || 2,
-    'TE': settings.te_limit || 1,
-    'K': settings.k_limit || 1,
-    'DEF': settings.def_limit || 1
-  };
+async function validatePositionCounts(userId, weekNumber, proposedOps = [], slots = null) {
+  // Slot limits: game_settings position limits plus active flexible slots
+  const lineupSlots = slots || await lineupSlotsService.loadSlots(pool);
 
-  // Get current pick counts by position
+  // Get current pick counts by slot (picks.position holds the slot)
   const currentPicks = await pool.query(`
     SELECT position, COUNT(*) as count
     FROM picks
@@ -5558,15 +6319,8 @@ async function validatePositionCounts(userId, weekNumber, proposedOps = []) {
   }
 
   // Validate against limits
-  const errors = [];
-  for (const [pos, count] of Object.entries(counts)) {
-    if (count > limits[pos]) {
-      errors.push(`${pos}: ${count} exceeds limit of ${limits[pos]}`);
-    }
-    if (count < 0) {
-      errors.push(`${pos}: cannot have negative count`);
-    }
-  }
+  const errors = lineupSlotsService.validateSlotCounts(lineupSlots, counts);
+  const limits = lineupSlotsService.getSlotLimits(lineupSlots);
 
   return { valid: errors.length === 0, errors, counts, limits };
 }
@@ -5577,19 +6331,15 @@ async function validatePositionCounts(userId, weekNumber, proposedOps = []) {
 // Signals TOS requirements to new iOS clients
 // Non-blocking - for investigative/signaling purposes only
 
-app.get('/api/me/flags', async (req, res) => {
+app.get('/api/me/flags', requireUser, async (req, res) => {
   try {
-    const { userId } = req.query;
+    const userId = req.user.id;
 
     // Require tos_required_flag capability (or allow for diagnostic purposes)
     const client = getClientCapabilities(req);
     // Note: We allow this endpoint even for legacy clients for diagnostic purposes
     // but new clients should send tos_required_flag capability
 
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
-    }
-
     // Get user's TOS status
     const userResult = await pool.query(
       'SELECT tos_accepted_at, tos_version FROM users WHERE id = $1',
@@ -5644,6 +6394,9 @@ app.listen(PORT, async () => {
   // Start live stats polling if in production
   if (process.env.NODE_ENV === 'production') {
     setTimeout(startLiveStatsPolling, 5000); // Start after 5 seconds
+    setTimeout(startWeekLockScheduler, 5000);
+    setTimeout(startStatCorrectionsJob, 5000);
+    setTimeout(startGamesSyncJob, 5000);
   }
 });
 
@@ -5651,8 +6404,21 @@ app.listen(PORT, async () => {
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, closing server...');
   if (liveStatsInterval) clearInterval(liveStatsInterval);
+  if (weekLockInterval) clearInterval(weekLockInterval);
+  if (statCorrectionsInterval) clearInterval(statCorrectionsInterval);
+  if (gamesSyncInterval) clearInterval(gamesSyncInterval);
   process.exit(0);
 });
 
 // Export for testing (does not affect production behavior)
-module.exports = { app, pool, calculateFantasyPoints };
+module.exports = {
+  app,
+  pool,
+  calculateFantasyPoints,
+  convertESPNStatsToScoring,
+  parseFieldGoalKicks,
+  parseTouchdownPlays,
+  runLiveStatsWithTracking,
+  runGamesSyncWithTracking,
+  runStatCorrectionsWithTracking
+};
@@ -6,9 +6,14 @@
  *
  * IMPORTANT: This service is strictly read-only. No mutations.
  * No retries, no blocking calls, fast-fail only.
+ *
+ * The ESPN and Sleeper checks ping directly (bypassing the shared HTTP
+ * client) and also report the client's circuit breaker for that host.
+ * An open or half-open circuit marks the provider degraded.
  */
 
 const axios = require('axios');
+const httpClient = require('./httpClient.service');
 
 // Timeout for external service checks (ms)
 const EXTERNAL_CHECK_TIMEOUT = 3000;
@@ -37,6 +42,19 @@ async function checkDatabase(pool) {
   }
 }
 
+/**
+ * Adds the shared HTTP client's circuit state for a host to a check result.
+ *
+ * @param {Object} result - Health check result
+ * @param {string} host - Host name
+ * @returns {Object} Result with circuit; healthy becomes degraded unless the circuit is closed
+ */
+function withCircuitState(result, host) {
+  const circuit = httpClient.client.getCircuitState(host);
+  const status = result.status === 'healthy' && circuit.state !== 'closed' ? 'degraded' : result.status;
+  return { ...result, status, circuit };
+}
+
 /**
  * Checks if the ESPN API is reachable (ping only).
  * Fast-fail: short timeout, no retries.
@@ -130,11 +148,13 @@ function checkApiProcess() {
  * @returns {Promise<Object>} Aggregated health check results
  */
 async function getFullHealthCheck(pool, jobStatus = null) {
-  const [dbHealth, espnHealth, sleeperHealth] = await Promise.all([
+  const [dbHealth, espnPing, sleeperPing] = await Promise.all([
     checkDatabase(pool),
     checkESPNApi(),
     checkSleeperApi()
   ]);
+  const espnHealth = withCircuitState(espnPing, 'site.api.espn.com');
+  const sleeperHealth = withCircuitState(sleeperPing, 'api.sleeper.app');
 
   const apiHealth = checkApiProcess();
 
@@ -171,5 +191,6 @@ module.exports = {
   checkESPNApi,
   checkSleeperApi,
   checkApiProcess,
+  withCircuitState,
   getFullHealthCheck
 };
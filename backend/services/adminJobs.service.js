@@ -34,6 +34,7 @@ function registerJob(jobName, initialStatus = {}) {
     failure_count: 0,
     status: 'registered',
     interval_ms: initialStatus.interval_ms || null,
+    last_run_metrics: null,
     ...initialStatus
   });
 }
@@ -46,6 +47,7 @@ function registerJob(jobName, initialStatus = {}) {
  * @param {Object} runResult - Result of the job run
  * @param {boolean} runResult.success - Whether the run succeeded
  * @param {string} [runResult.error] - Error message if failed
+ * @param {Object} [runResult.metrics] - Counters for the run (e.g. duration_ms, call counts)
  */
 function updateJobStatus(jobName, runResult) {
   const job = jobRegistry.get(jobName);
@@ -58,6 +60,7 @@ function updateJobStatus(jobName, runResult) {
   const now = new Date().toISOString();
   job.last_run_at = now;
   job.run_count += 1;
+  job.last_run_metrics = runResult.metrics || null;
 
   if (runResult.success) {
     job.last_success_at = now;
@@ -0,0 +1,300 @@
+/**
+ * Admin Sessions Service
+ *
+ * Server-side sessions behind admin JWTs.
+ * Data sources: admin_sessions, users tables
+ *
+ * Each session allows exactly one access token at a time (its access_jti).
+ * Access tokens are short-lived; the web-admin trades a refresh token for a
+ * new access/refresh pair, and every refresh rotates both. Revoking a session
+ * invalidates its access token immediately via requireAdmin.
+ *
+ * The Apple redirect sign-in never puts tokens in a URL: the callback hands
+ * the browser a one-time login code, which the web-admin exchanges by POST.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+const ADMIN_ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+const ADMIN_SESSION_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours, not extended by refresh
+const ADMIN_LOGIN_CODE_TTL_MS = 60 * 1000; // 1 minute
+
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+function signAdminAccessToken(user, sessionId, jti) {
+  const now = Math.floor(Date.now() / 1000);
+  return jwt.sign(
+    {
+      sub: user.id,
+      apple_id: user.apple_id,
+      is_admin: true,
+      role: 'admin',
+      sid: sessionId,
+      jti,
+      iat: now,
+      exp: now + ADMIN_ACCESS_TOKEN_TTL_SECONDS
+    },
+    process.env.ADMIN_JWT_SECRET,
+    { algorithm: 'HS256' }
+  );
+}
+
+/**
+ * Starts a new admin session after a successful sign-in.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {Object} user - Admin user row (id, apple_id)
+ * @param {Object} [context] - { ip, userAgent } for the session listing
+ * @returns {Promise<Object>} { session_id, access_token, refresh_token, expires_in }
+ */
+async function createAdminSession(pool, user, context = {}) {
+  const sessionId = uuidv4();
+  const accessJti = uuidv4();
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+
+  await pool.query(
+    `INSERT INTO admin_sessions (
+      id, user_id, access_jti, refresh_token_hash, ip_address, user_agent, expires_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      sessionId,
+      user.id,
+      accessJti,
+      hashRefreshToken(refreshToken),
+      context.ip || null,
+      context.userAgent || null,
+      new Date(Date.now() + ADMIN_SESSION_TTL_MS)
+    ]
+  );
+
+  return {
+    session_id: sessionId,
+    access_token: signAdminAccessToken(user, sessionId, accessJti),
+    refresh_token: refreshToken,
+    expires_in: ADMIN_ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+/**
+ * Exchanges a refresh token for a new access/refresh pair.
+ * Presenting an already-rotated refresh token revokes the whole session.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<Object|null>} New tokens, or null if the session is not usable
+ */
+async function rotateAdminSession(pool, refreshToken) {
+  const tokenHash = hashRefreshToken(refreshToken);
+
+  const reused = await pool.query(
+    `UPDATE admin_sessions
+     SET revoked_at = NOW(), revoked_reason = 'refresh_reuse'
+     WHERE previous_refresh_token_hash = $1 AND revoked_at IS NULL
+     RETURNING id, user_id`,
+    [tokenHash]
+  );
+  if (reused.rows.length > 0) {
+    console.log('[Admin Sessions] Refresh token reuse detected, session revoked', {
+      timestamp: new Date().toISOString(),
+      sessionId: reused.rows[0].id,
+      userId: reused.rows[0].user_id
+    });
+    return null;
+  }
+
+  const newJti = uuidv4();
+  const newRefreshToken = crypto.randomBytes(32).toString('hex');
+
+  // Rotation is a single conditional UPDATE so two concurrent refreshes cannot both win
+  const result = await pool.query(
+    `UPDATE admin_sessions s
+     SET access_jti = $2,
+         previous_refresh_token_hash = s.refresh_token_hash,
+         refresh_token_hash = $3,
+         last_refreshed_at = NOW()
+     FROM users u
+     WHERE s.refresh_token_hash = $1
+       AND s.user_id = u.id
+       AND s.revoked_at IS NULL
+       AND s.expires_at > NOW()
+       AND u.is_admin = true
+     RETURNING s.id, u.id AS user_id, u.apple_id`,
+    [tokenHash, newJti, hashRefreshToken(newRefreshToken)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const session = result.rows[0];
+  return {
+    session_id: session.id,
+    access_token: signAdminAccessToken({ id: session.user_id, apple_id: session.apple_id }, session.id, newJti),
+    refresh_token: newRefreshToken,
+    expires_in: ADMIN_ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+/**
+ * Attaches a one-time login code to a new session, for sign-in flows that
+ * end in a browser redirect. Only its hash is stored.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} sessionId - Session ID from createAdminSession
+ * @returns {Promise<string>} Login code to pass to the web-admin
+ */
+async function createAdminLoginCode(pool, sessionId) {
+  const code = crypto.randomBytes(32).toString('hex');
+
+  await pool.query(
+    `UPDATE admin_sessions
+     SET login_code_hash = $2, login_code_expires_at = $3
+     WHERE id = $1`,
+    [sessionId, hashRefreshToken(code), new Date(Date.now() + ADMIN_LOGIN_CODE_TTL_MS)]
+  );
+
+  return code;
+}
+
+/**
+ * Exchanges a login code for the session's access/refresh pair. The code
+ * works once and only until it expires; the tokens issued alongside the
+ * session are replaced so only the redeemed pair is valid.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} code - Login code from createAdminLoginCode
+ * @returns {Promise<Object|null>} Tokens, or null if the code is not usable
+ */
+async function redeemAdminLoginCode(pool, code) {
+  const newJti = uuidv4();
+  const newRefreshToken = crypto.randomBytes(32).toString('hex');
+
+  // Clearing the code in the same UPDATE makes a second redemption fail
+  const result = await pool.query(
+    `UPDATE admin_sessions s
+     SET access_jti = $2,
+         refresh_token_hash = $3,
+         login_code_hash = NULL,
+         login_code_expires_at = NULL
+     FROM users u
+     WHERE s.login_code_hash = $1
+       AND s.login_code_expires_at > NOW()
+       AND s.user_id = u.id
+       AND s.revoked_at IS NULL
+       AND s.expires_at > NOW()
+       AND u.is_admin = true
+     RETURNING s.id, u.id AS user_id, u.apple_id`,
+    [hashRefreshToken(code), newJti, hashRefreshToken(newRefreshToken)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const session = result.rows[0];
+  return {
+    session_id: session.id,
+    access_token: signAdminAccessToken({ id: session.user_id, apple_id: session.apple_id }, session.id, newJti),
+    refresh_token: newRefreshToken,
+    expires_in: ADMIN_ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+/**
+ * Checks that an access token is the current token of a live session.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} sessionId - sid claim
+ * @param {string} jti - jti claim
+ * @returns {Promise<boolean>}
+ */
+async function isAdminAccessTokenActive(pool, sessionId, jti) {
+  const result = await pool.query(
+    `SELECT 1 FROM admin_sessions
+     WHERE id = $1 AND access_jti = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionId, jti]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Revokes a single session (logout).
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Stored in revoked_reason
+ * @returns {Promise<Object|null>} { id, user_id } of the revoked session, or null
+ */
+async function revokeAdminSession(pool, sessionId, reason) {
+  const result = await pool.query(
+    `UPDATE admin_sessions
+     SET revoked_at = NOW(), revoked_reason = $2
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING id, user_id`,
+    [sessionId, reason]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Revokes every live session for a user.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} userId - User ID
+ * @param {string} reason - Stored in revoked_reason
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllAdminSessions(pool, userId, reason) {
+  const result = await pool.query(
+    `UPDATE admin_sessions
+     SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId, reason]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Lists sessions that are neither revoked nor expired.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @returns {Promise<Array>} Active session records (no token material)
+ */
+async function getActiveAdminSessions(pool) {
+  const result = await pool.query(`
+    SELECT
+      s.id AS session_id,
+      s.user_id,
+      u.email,
+      u.username,
+      u.admin_role,
+      s.ip_address,
+      s.user_agent,
+      s.created_at,
+      s.last_refreshed_at,
+      s.expires_at
+    FROM admin_sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.revoked_at IS NULL AND s.expires_at > NOW()
+    ORDER BY COALESCE(s.last_refreshed_at, s.created_at) DESC
+  `);
+
+  return result.rows;
+}
+
+module.exports = {
+  createAdminSession,
+  rotateAdminSession,
+  createAdminLoginCode,
+  redeemAdminLoginCode,
+  isAdminAccessTokenActive,
+  revokeAdminSession,
+  revokeAllAdminSessions,
+  getActiveAdminSessions,
+  ADMIN_ACCESS_TOKEN_TTL_SECONDS
+};
@@ -0,0 +1,176 @@
+/**
+ * Contest Lifecycle Service
+ *
+ * Pure lifecycle rules from docs/architecture/contest-lifecycle.md:
+ * states, valid transitions, time field invariants and derived fields.
+ *
+ * IMPORTANT: No database access. Persistence lives in contests.service.js.
+ */
+
+const CONTEST_STATES = {
+  SCHEDULED: 'SCHEDULED',
+  LOCKED: 'LOCKED',
+  LIVE: 'LIVE',
+  COMPLETE: 'COMPLETE',
+  CANCELLED: 'CANCELLED',
+  ERROR: 'ERROR'
+};
+
+// Valid State Transitions table. COMPLETE and CANCELLED are terminal.
+const VALID_TRANSITIONS = {
+  SCHEDULED: ['LOCKED', 'CANCELLED'],
+  LOCKED: ['LIVE', 'CANCELLED'],
+  LIVE: ['COMPLETE', 'ERROR'],
+  COMPLETE: [],
+  CANCELLED: [],
+  ERROR: ['COMPLETE', 'CANCELLED']
+};
+
+// Transitions out of ERROR are admin resolution only
+const ADMIN_ONLY_FROM = ['ERROR'];
+
+// Which time fields may be edited in which states
+const EDITABLE_TIME_FIELDS = {
+  lock_time: ['SCHEDULED'],
+  start_time: ['SCHEDULED', 'LOCKED'],
+  end_time: ['SCHEDULED', 'LOCKED', 'LIVE', 'ERROR']
+};
+
+/**
+ * Error raised when a lifecycle rule is violated. status is the HTTP status
+ * routes should respond with.
+ */
+class ContestLifecycleError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'ContestLifecycleError';
+    this.status = status;
+  }
+}
+
+/**
+ * Checks a transition against the transition table.
+ *
+ * @param {string} fromStatus - Current state
+ * @param {string} toStatus - Requested state
+ * @param {string} triggeredBy - 'system' or 'admin'
+ * @throws {ContestLifecycleError} If the transition is not permitted
+ */
+function assertTransitionAllowed(fromStatus, toStatus, triggeredBy) {
+  if (!CONTEST_STATES[toStatus]) {
+    throw new ContestLifecycleError(`Unknown contest state: ${toStatus}`, 400);
+  }
+
+  const allowed = VALID_TRANSITIONS[fromStatus] || [];
+  if (!allowed.includes(toStatus)) {
+    throw new ContestLifecycleError(`Invalid transition: ${fromStatus} → ${toStatus}`);
+  }
+
+  if (ADMIN_ONLY_FROM.includes(fromStatus) && triggeredBy !== 'admin') {
+    throw new ContestLifecycleError(`Transitions out of ${fromStatus} require an admin`, 403);
+  }
+}
+
+/**
+ * Validates the time field invariants:
+ *   created_at < lock_time ≤ start_time < end_time
+ *   end_time ≤ settle_time (when settle_time is set)
+ *
+ * @param {Object} contest - Contest with Date-compatible time fields
+ * @throws {ContestLifecycleError} If any invariant is violated
+ */
+function assertTimeInvariants(contest) {
+  const fields = ['created_at', 'lock_time', 'start_time', 'end_time'];
+  const t = {};
+
+  for (const field of fields) {
+    const value = contest[field] ? new Date(contest[field]) : null;
+    if (!value || isNaN(value.getTime())) {
+      throw new ContestLifecycleError(`${field} is required and must be a valid timestamp`, 400);
+    }
+    t[field] = value.getTime();
+  }
+
+  if (!(t.created_at < t.lock_time)) {
+    throw new ContestLifecycleError('lock_time must be after created_at', 400);
+  }
+  if (!(t.lock_time <= t.start_time)) {
+    throw new ContestLifecycleError('lock_time must be at or before start_time', 400);
+  }
+  if (!(t.start_time < t.end_time)) {
+    throw new ContestLifecycleError('start_time must be before end_time', 400);
+  }
+
+  if (contest.settle_time) {
+    const settle = new Date(contest.settle_time).getTime();
+    if (!(t.end_time <= settle)) {
+      throw new ContestLifecycleError('settle_time must be at or after end_time', 400);
+    }
+  }
+}
+
+/**
+ * Checks that each time field being changed is editable in the current state.
+ *
+ * @param {string} status - Current state
+ * @param {string[]} fields - Time fields being updated
+ * @throws {ContestLifecycleError} If a field cannot be edited now
+ */
+function assertTimeFieldsEditable(status, fields) {
+  for (const field of fields) {
+    const editableIn = EDITABLE_TIME_FIELDS[field];
+    if (!editableIn) {
+      throw new ContestLifecycleError(`${field} cannot be updated`, 400);
+    }
+    if (!editableIn.includes(status)) {
+      throw new ContestLifecycleError(`${field} cannot be updated while contest is ${status}`);
+    }
+  }
+}
+
+/**
+ * Builds the client-facing contest object with derived fields.
+ *
+ * @param {Object} contest - Contest row
+ * @param {Object} context
+ * @param {number} context.entryCount - Number of entries
+ * @param {boolean|undefined} context.userHasEntered - Omitted when the requester is unknown
+ * @param {Array|undefined} context.standings - Ordered entries (LIVE/COMPLETE only)
+ * @param {Date} [context.now] - Response time
+ * @returns {Object} Contest with derived fields
+ */
+function deriveContestFields(contest, { entryCount, userHasEntered, standings, now = new Date() }) {
+  const isLocked = contest.status !== CONTEST_STATES.SCHEDULED;
+
+  const derived = {
+    ...contest,
+    status: contest.status,
+    is_locked: isLocked,
+    is_live: contest.status === CONTEST_STATES.LIVE,
+    is_settled: contest.settle_time !== null && contest.settle_time !== undefined,
+    entry_count: entryCount,
+    time_until_lock: isLocked
+      ? null
+      : Math.max(0, Math.floor((new Date(contest.lock_time).getTime() - now.getTime()) / 1000))
+  };
+
+  if (userHasEntered !== undefined) {
+    derived.user_has_entered = userHasEntered;
+  }
+
+  if (contest.status === CONTEST_STATES.LIVE || contest.status === CONTEST_STATES.COMPLETE) {
+    derived.standings = standings || [];
+  }
+
+  return derived;
+}
+
+module.exports = {
+  CONTEST_STATES,
+  VALID_TRANSITIONS,
+  ContestLifecycleError,
+  assertTransitionAllowed,
+  assertTimeInvariants,
+  assertTimeFieldsEditable,
+  deriveContestFields
+};
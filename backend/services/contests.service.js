@@ -0,0 +1,648 @@
+/**
+ * Contests Service
+ *
+ * Persistence for contests, entries and lifecycle transitions.
+ * Data sources: contests, contest_entries, contest_state_transitions tables
+ *
+ * Lifecycle rules come from contestLifecycle.service.js; this module applies
+ * them inside transactions that lock the contest row, so state is always
+ * checked at write time and every change is recorded in the audit table.
+ * Settlement rules come from settlement.service.js and are written to the
+ * settlements and settlement_payouts tables.
+ */
+
+const { validate: isUuid } = require('uuid');
+const {
+  CONTEST_STATES,
+  ContestLifecycleError,
+  assertTransitionAllowed,
+  assertTimeInvariants,
+  assertTimeFieldsEditable,
+  deriveContestFields
+} = require('./contestLifecycle.service');
+const {
+  getContestWeeks,
+  findUnfinishedGames,
+  rankStandings,
+  allocatePayouts
+} = require('./settlement.service');
+const tieBreakersService = require('./tieBreakers.service');
+
+const TIME_FIELDS = ['lock_time', 'start_time', 'end_time'];
+
+async function recordTransition(client, contestId, fromStatus, toStatus, { reason, actorUserId }) {
+  await client.query(
+    `INSERT INTO contest_state_transitions
+       (contest_id, from_status, to_status, reason, triggered_by, actor_user_id)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [contestId, fromStatus, toStatus, reason || null, actorUserId ? 'admin' : 'system', actorUserId || null]
+  );
+}
+
+async function lockContestRow(client, contestId) {
+  if (!isUuid(contestId)) {
+    throw new ContestLifecycleError('Contest not found', 404);
+  }
+  const result = await client.query('SELECT * FROM contests WHERE id = $1 FOR UPDATE', [contestId]);
+  if (result.rows.length === 0) {
+    throw new ContestLifecycleError('Contest not found', 404);
+  }
+  return result.rows[0];
+}
+
+/**
+ * Runs fn(client) in a transaction. Lifecycle errors roll back and rethrow.
+ */
+async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Creates a contest in SCHEDULED state.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {Object} fields - name, lock_time, start_time, end_time, week_number, entry_fee, max_entries
+ * @param {Object} [options] - { actorUserId }
+ * @returns {Promise<Object>} Created contest row
+ */
+async function createContest(pool, fields, { actorUserId } = {}) {
+  if (!fields.name || typeof fields.name !== 'string') {
+    throw new ContestLifecycleError('name is required', 400);
+  }
+
+  assertTimeInvariants({ ...fields, created_at: new Date(), settle_time: null });
+
+  return withTransaction(pool, async (client) => {
+    const result = await client.query(
+      `INSERT INTO contests (name, week_number, entry_fee, max_entries, lock_time, start_time, end_time)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        fields.name,
+        fields.week_number || null,
+        fields.entry_fee || 0,
+        fields.max_entries || null,
+        fields.lock_time,
+        fields.start_time,
+        fields.end_time
+      ]
+    );
+    const contest = result.rows[0];
+
+    await recordTransition(client, contest.id, null, CONTEST_STATES.SCHEDULED, {
+      reason: 'created',
+      actorUserId
+    });
+
+    return contest;
+  });
+}
+
+/**
+ * Moves a contest to a new state.
+ *
+ * Re-requesting the current state is a no-op (idempotent retries). Locking
+ * from SCHEDULED also moves lock_time to now when it is still in the future
+ * (force-lock). If the write itself fails on a LIVE contest, the contest is
+ * moved to ERROR so the failure is never silent.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} contestId - Contest ID
+ * @param {string} toStatus - Target state
+ * @param {Object} [options] - { reason, actorUserId } (actorUserId marks an admin transition)
+ * @returns {Promise<Object>} { contest, changed }
+ */
+async function transitionContest(pool, contestId, toStatus, { reason, actorUserId } = {}) {
+  let fromStatus = null;
+
+  try {
+    return await withTransaction(pool, async (client) => {
+      const contest = await lockContestRow(client, contestId);
+      fromStatus = contest.status;
+
+      if (contest.status === toStatus) {
+        return { contest, changed: false };
+      }
+
+      assertTransitionAllowed(contest.status, toStatus, actorUserId ? 'admin' : 'system');
+
+      const updates = { status: toStatus };
+      if (toStatus === CONTEST_STATES.LOCKED && new Date(contest.lock_time) > new Date()) {
+        updates.lock_time = new Date();
+        assertTimeInvariants({ ...contest, ...updates });
+      }
+
+      const columns = Object.keys(updates);
+      const result = await client.query(
+        `UPDATE contests
+         SET ${columns.map((col, i) => `${col} = $${i + 2}`).join(', ')}, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [contestId, ...columns.map(col => updates[col])]
+      );
+
+      await recordTransition(client, contestId, contest.status, toStatus, { reason, actorUserId });
+
+      return { contest: result.rows[0], changed: true };
+    });
+  } catch (err) {
+    if (!(err instanceof ContestLifecycleError) && fromStatus === CONTEST_STATES.LIVE) {
+      await markContestError(pool, contestId, `Transition to ${toStatus} failed: ${err.message}`);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Moves a LIVE contest to ERROR after a failed operation.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} contestId - Contest ID
+ * @param {string} reason - Failure description for the audit trail
+ * @returns {Promise<boolean>} True if the contest was moved to ERROR
+ */
+async function markContestError(pool, contestId, reason) {
+  try {
+    const result = await withTransaction(pool, async (client) => {
+      const contest = await lockContestRow(client, contestId);
+      if (contest.status !== CONTEST_STATES.LIVE) {
+        return false;
+      }
+      await client.query(
+        `UPDATE contests SET status = $2, updated_at = NOW() WHERE id = $1`,
+        [contestId, CONTEST_STATES.ERROR]
+      );
+      await recordTransition(client, contestId, contest.status, CONTEST_STATES.ERROR, { reason });
+      return true;
+    });
+
+    if (result) {
+      console.log('[Contests] Contest moved to ERROR', {
+        timestamp: new Date().toISOString(),
+        contestId,
+        reason
+      });
+    }
+    return result;
+  } catch (err) {
+    console.error('[Contests] Failed to move contest to ERROR', {
+      timestamp: new Date().toISOString(),
+      contestId,
+      error: err.message
+    });
+    return false;
+  }
+}
+
+/**
+ * Updates lock_time, start_time and/or end_time, subject to the per-state
+ * edit rules and the time field invariants.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} contestId - Contest ID
+ * @param {Object} times - Any of lock_time, start_time, end_time
+ * @returns {Promise<Object>} Updated contest row
+ */
+async function updateContestTimes(pool, contestId, times) {
+  const fields = TIME_FIELDS.filter(field => times[field] !== undefined);
+  if (fields.length === 0) {
+    throw new ContestLifecycleError('No time fields to update', 400);
+  }
+
+  return withTransaction(pool, async (client) => {
+    const contest = await lockContestRow(client, contestId);
+
+    assertTimeFieldsEditable(contest.status, fields);
+
+    const updated = { ...contest };
+    for (const field of fields) {
+      updated[field] = times[field];
+    }
+    assertTimeInvariants(updated);
+
+    const result = await client.query(
+      `UPDATE contests
+       SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [contestId, ...fields.map(field => times[field])]
+    );
+
+    return result.rows[0];
+  });
+}
+
+/**
+ * Enters a user into a contest. The SCHEDULED check happens against the
+ * locked row, so an entry racing a lock is rejected.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} contestId - Contest ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { entry, created }
+ */
+async function createEntry(pool, contestId, userId) {
+  return withTransaction(pool, async (client) => {
+    const contest = await lockContestRow(client, contestId);
+
+    if (contest.status !== CONTEST_STATES.SCHEDULED) {
+      throw new ContestLifecycleError(`Contest is ${contest.status} and no longer accepts entries`);
+    }
+
+    const existing = await client.query(
+      'SELECT * FROM contest_entries WHERE contest_id = $1 AND user_id = $2',
+      [contestId, userId]
+    );
+    if (existing.rows.length > 0) {
+      return { entry: existing.rows[0], created: false };
+    }
+
+    if (contest.max_entries) {
+      const count = await client.query(
+        'SELECT COUNT(*)::int AS count FROM contest_entries WHERE contest_id = $1',
+        [contestId]
+      );
+      if (count.rows[0].count >= contest.max_entries) {
+        throw new ContestLifecycleError('Contest is full');
+      }
+    }
+
+    const result = await client.query(
+      `INSERT INTO contest_entries (contest_id, user_id)
+       VALUES ($1, $2)
+       RETURNING *`,
+      [contestId, userId]
+    );
+
+    return { entry: result.rows[0], created: true };
+  });
+}
+
+/**
+ * Returns a contest with derived fields for clients.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} contestId - Contest ID
+ * @param {string|null} userId - Requesting user (user_has_entered is omitted when null)
+ * @returns {Promise<Object|null>} Contest detail, or null if not found
+ */
+async function getContestDetail(pool, contestId, userId) {
+  if (!isUuid(contestId)) {
+    return null;
+  }
+  const result = await pool.query('SELECT * FROM contests WHERE id = $1', [contestId]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const contest = result.rows[0];
+
+  const countResult = await pool.query(
+    'SELECT COUNT(*)::int AS count FROM contest_entries WHERE contest_id = $1',
+    [contestId]
+  );
+
+  let userHasEntered;
+  if (userId) {
+    const entered = await pool.query(
+      'SELECT 1 FROM contest_entries WHERE contest_id = $1 AND user_id = $2',
+      [contestId, userId]
+    );
+    userHasEntered = entered.rows.length > 0;
+  }
+
+  let standings;
+  if (contest.status === CONTEST_STATES.LIVE || contest.status === CONTEST_STATES.COMPLETE) {
+    const standingsResult = await pool.query(
+      `SELECT ce.user_id, u.username, u.team_name, ce.score, ce.rank
+       FROM contest_entries ce
+       JOIN users u ON u.id = ce.user_id
+       WHERE ce.contest_id = $1
+       ORDER BY ce.score DESC NULLS LAST, ce.rank ASC NULLS LAST, ce.created_at ASC`,
+      [contestId]
+    );
+    standings = standingsResult.rows;
+  }
+
+  return deriveContestFields(contest, {
+    entryCount: countResult.rows[0].count,
+    userHasEntered,
+    standings
+  });
+}
+
+/**
+ * Lists contests for admins, newest first.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} [status] - Optional state filter
+ * @returns {Promise<Array>} Contest rows with entry_count
+ */
+async function listContests(pool, status) {
+  const result = await pool.query(
+    `SELECT c.*, COUNT(ce.id)::int AS entry_count
+     FROM contests c
+     LEFT JOIN contest_entries ce ON ce.contest_id = c.id
+     WHERE ($1::text IS NULL OR c.status = $1)
+     GROUP BY c.id
+     ORDER BY c.created_at DESC`,
+    [status || null]
+  );
+  return result.rows;
+}
+
+/**
+ * Returns the audit trail for a contest, oldest first.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} contestId - Contest ID
+ * @returns {Promise<Array>} Transition records
+ */
+async function getContestTransitions(pool, contestId) {
+  if (!isUuid(contestId)) {
+    return [];
+  }
+  const result = await pool.query(
+    `SELECT t.id, t.from_status, t.to_status, t.reason, t.triggered_by,
+            t.actor_user_id, u.email AS actor_email, t.created_at
+     FROM contest_state_transitions t
+     LEFT JOIN users u ON u.id = t.actor_user_id
+     WHERE t.contest_id = $1
+     ORDER BY t.created_at ASC, t.id ASC`,
+    [contestId]
+  );
+  return result.rows;
+}
+
+// ============================================
+// SETTLEMENT
+// ============================================
+
+async function getSettlementRecord(db, contestId) {
+  const settlement = await db.query(
+    `SELECT s.*, c.name AS contest_name, c.status AS contest_status
+     FROM settlements s
+     JOIN contests c ON c.id = s.contest_id
+     WHERE s.contest_id = $1`,
+    [contestId]
+  );
+  if (settlement.rows.length === 0) {
+    return null;
+  }
+
+  const payouts = await db.query(
+    `SELECT sp.contest_entry_id, sp.user_id, sp.username, u.email,
+            sp.score, sp.rank, sp.tied_count, sp.amount
+     FROM settlement_payouts sp
+     LEFT JOIN users u ON u.id = sp.user_id
+     WHERE sp.settlement_id = $1
+     ORDER BY sp.rank ASC, sp.amount DESC, sp.username ASC`,
+    [settlement.rows[0].id]
+  );
+
+  return { settlement: settlement.rows[0], payouts: payouts.rows };
+}
+
+/**
+ * Settles a contest (Settlement Model v1).
+ *
+ * Every game in the contest's weeks must be final. A LIVE contest is
+ * settled and moved to COMPLETE in one transaction; if a game is not final
+ * or the write fails, it is moved to ERROR instead. A COMPLETE contest that
+ * was resolved from ERROR without a settlement can be settled once its games
+ * are final. Settling an already settled contest returns the existing record.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} contestId - Contest ID
+ * @param {Object} options
+ * @param {Function} options.fetchEvents - async (weekNumber) => ESPN scoreboard events
+ * @param {string} [options.actorUserId] - Admin triggering settlement
+ * @param {Date} [options.now] - Settlement time
+ * @returns {Promise<Object>} { settlement, payouts, created }
+ */
+async function settleContest(pool, contestId, { fetchEvents, actorUserId, now = new Date() }) {
+  if (!isUuid(contestId)) {
+    throw new ContestLifecycleError('Contest not found', 404);
+  }
+  const contestResult = await pool.query('SELECT * FROM contests WHERE id = $1', [contestId]);
+  const contest = contestResult.rows[0];
+  if (!contest) {
+    throw new ContestLifecycleError('Contest not found', 404);
+  }
+
+  if (contest.settle_time) {
+    return { ...(await getSettlementRecord(pool, contestId)), created: false };
+  }
+  if (contest.status !== CONTEST_STATES.LIVE && contest.status !== CONTEST_STATES.COMPLETE) {
+    throw new ContestLifecycleError(`Contest is ${contest.status} and cannot be settled`);
+  }
+  if (new Date(contest.end_time) > now) {
+    throw new ContestLifecycleError('Contest cannot be settled before its end_time');
+  }
+
+  const settingsResult = await pool.query(
+    'SELECT current_playoff_week, playoff_start_week FROM game_settings LIMIT 1'
+  );
+  const weeks = getContestWeeks(contest, settingsResult.rows[0]);
+
+  // Scoreboard reads happen before the transaction so the row lock is short
+  const eventsByWeek = {};
+  for (const week of weeks) {
+    eventsByWeek[week] = await fetchEvents(week);
+  }
+  const { gameCount, unfinished } = findUnfinishedGames(eventsByWeek);
+
+  if (gameCount === 0 || unfinished.length > 0) {
+    const reason = gameCount === 0
+      ? `Settlement failed: no games found for weeks ${weeks.join(', ') || '(none)'}`
+      : `Settlement failed: ${unfinished.length} game(s) not final (${unfinished.map(g => g.game_id).join(', ')})`;
+
+    if (contest.status === CONTEST_STATES.LIVE) {
+      await markContestError(pool, contestId, reason);
+      throw new ContestLifecycleError(`${reason}; contest moved to ERROR`);
+    }
+    throw new ContestLifecycleError(reason);
+  }
+
+  try {
+    return await withTransaction(pool, async (client) => {
+      const locked = await lockContestRow(client, contestId);
+
+      // Settled or moved by a concurrent request while the scoreboard was read
+      if (locked.settle_time) {
+        return { ...(await getSettlementRecord(client, contestId)), created: false };
+      }
+      if (locked.status !== contest.status) {
+        throw new ContestLifecycleError(`Contest is ${locked.status} and cannot be settled`);
+      }
+
+      const entriesResult = await client.query(
+        `SELECT ce.id AS contest_entry_id, ce.user_id, u.username,
+                COALESCE(SUM(s.final_points), 0) AS score
+         FROM contest_entries ce
+         LEFT JOIN users u ON u.id = ce.user_id
+         LEFT JOIN scores s ON s.user_id = ce.user_id AND s.week_number = ANY($2)
+         WHERE ce.contest_id = $1
+         GROUP BY ce.id, u.username
+         ORDER BY score DESC, ce.created_at ASC, ce.id ASC`,
+        [contestId, weeks]
+      );
+      const structureResult = await client.query(
+        'SELECT place, percentage::float8 AS percentage, description FROM payouts ORDER BY place'
+      );
+
+      // Equal scores are separated by the same tie-breaker chain as the leaderboard
+      const tieBreakers = await tieBreakersService.getChain(client);
+      const tieBreakStats = await tieBreakersService.loadTieBreakStats(client, {
+        userIds: entriesResult.rows.map(entry => entry.user_id),
+        weeks,
+        superBowlWeek: tieBreakersService.getSuperBowlWeek(settingsResult.rows[0])
+      });
+      const entries = entriesResult.rows.map(entry => ({ ...entry, tiebreak: tieBreakStats.get(entry.user_id) }));
+
+      const entryCount = entriesResult.rows.length;
+      const totalPot = Number(locked.entry_fee || 0) * entryCount;
+      const results = allocatePayouts(
+        rankStandings(entries, tieBreakers),
+        structureResult.rows,
+        totalPot
+      );
+
+      const settlementResult = await client.query(
+        `INSERT INTO settlements
+           (contest_id, settled_at, triggered_by, actor_user_id, entry_fee, entry_count,
+            total_pot, payout_structure, weeks, tie_breakers)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING id`,
+        [
+          contestId,
+          now,
+          actorUserId ? 'admin' : 'system',
+          actorUserId || null,
+          locked.entry_fee || 0,
+          entryCount,
+          totalPot,
+          JSON.stringify(structureResult.rows),
+          weeks,
+          JSON.stringify(tieBreakers)
+        ]
+      );
+      const settlementId = settlementResult.rows[0].id;
+
+      for (const result of results) {
+        await client.query(
+          `INSERT INTO settlement_payouts
+             (settlement_id, contest_entry_id, user_id, username, score, rank, tied_count, amount)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+          [
+            settlementId,
+            result.contest_entry_id,
+            result.user_id,
+            result.username,
+            result.score,
+            result.rank,
+            result.tied_count,
+            result.amount
+          ]
+        );
+        await client.query(
+          'UPDATE contest_entries SET score = $2, rank = $3, updated_at = NOW() WHERE id = $1',
+          [result.contest_entry_id, result.score, result.rank]
+        );
+      }
+
+      await client.query(
+        `UPDATE contests SET status = $2, settle_time = $3, updated_at = NOW() WHERE id = $1`,
+        [contestId, CONTEST_STATES.COMPLETE, now]
+      );
+      if (locked.status === CONTEST_STATES.LIVE) {
+        await recordTransition(client, contestId, locked.status, CONTEST_STATES.COMPLETE, {
+          reason: 'settled',
+          actorUserId
+        });
+      }
+
+      return { ...(await getSettlementRecord(client, contestId)), created: true };
+    });
+  } catch (err) {
+    if (!(err instanceof ContestLifecycleError) && contest.status === CONTEST_STATES.LIVE) {
+      await markContestError(pool, contestId, `Settlement failed: ${err.message}`);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Returns the settlement record and per-entry payouts for a contest.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} contestId - Contest ID
+ * @returns {Promise<Object|null>} { settlement, payouts }, or null if not settled
+ */
+async function getSettlement(pool, contestId) {
+  if (!isUuid(contestId)) {
+    return null;
+  }
+  return getSettlementRecord(pool, contestId);
+}
+
+/**
+ * Lists settlements, newest first, with the entries owed a payout.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @returns {Promise<Array>} Settlements with winners and total_owed
+ */
+async function listSettlements(pool) {
+  const settlements = await pool.query(
+    `SELECT s.*, c.name AS contest_name
+     FROM settlements s
+     JOIN contests c ON c.id = s.contest_id
+     ORDER BY s.settled_at DESC`
+  );
+  if (settlements.rows.length === 0) {
+    return [];
+  }
+
+  const winners = await pool.query(
+    `SELECT sp.settlement_id, sp.contest_entry_id, sp.user_id, sp.username, u.email,
+            sp.score, sp.rank, sp.tied_count, sp.amount
+     FROM settlement_payouts sp
+     LEFT JOIN users u ON u.id = sp.user_id
+     WHERE sp.settlement_id = ANY($1) AND sp.amount > 0
+     ORDER BY sp.rank ASC, sp.username ASC`,
+    [settlements.rows.map(s => s.id)]
+  );
+
+  return settlements.rows.map(settlement => {
+    const owed = winners.rows.filter(w => w.settlement_id === settlement.id);
+    return {
+      ...settlement,
+      total_owed: owed.reduce((sum, w) => sum + Math.round(Number(w.amount) * 100), 0) / 100,
+      winners: owed.map(({ settlement_id: _settlementId, ...winner }) => winner)
+    };
+  });
+}
+
+module.exports = {
+  createContest,
+  transitionContest,
+  markContestError,
+  updateContestTimes,
+  createEntry,
+  getContestDetail,
+  listContests,
+  getContestTransitions,
+  settleContest,
+  getSettlement,
+  listSettlements
+};
@@ -0,0 +1,473 @@
+/**
+ * Game-Day Replay Service
+ *
+ * Rehearses a game day before it happens: replays a recorded timeline of
+ * ESPN snapshots through the live polling loop (updateLiveStats) and, after
+ * each step, checks that scores, /api/live-scores and /api/leaderboard moved
+ * the way the timeline expects.
+ *
+ * A timeline is a directory holding timeline.json and the snapshots it names:
+ *   {
+ *     "name": "PIT @ BAL Wild Card",
+ *     "week": 19,
+ *     "steps": [{
+ *       "label": "End of Q1",
+ *       "at_ms": 1500000,
+ *       "scoreboard": "scoreboard-q1.json",
+ *       "summaries": { "<gameId>": "summary-q1.json" },
+ *       "competitors": { "<gameId>-<teamId>": "competitor-q1.json" },
+ *       "expect": {
+ *         "changed": ["3916387", "BAL"],
+ *         "stats": { "3916387": { "pass_td": 1 } }
+ *       }
+ *     }]
+ *   }
+ * at_ms is the time since the first snapshot; replay waits at_ms / speed
+ * between steps. Snapshots carry over to later steps until replaced.
+ * Players are keyed by ESPN athlete id, or team abbreviation for a defense,
+ * so a timeline runs against any database with matching picks. Players
+ * named anywhere in a timeline's expectations must not change on steps that
+ * do not list them in expect.changed.
+ *
+ * The replay scores the real picks of the timeline's week, so the week's
+ * scores rows are saved before it starts and put back when it ends
+ * (saveWeekScores / restoreWeekScores).
+ *
+ * Data sources:
+ * - scores, picks, players: stored points per tracked player
+ * - /api/live-scores, /api/leaderboard: read over HTTP, as the app does
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { StatsProviderError } = require('./statsProvider.service');
+
+const TIMELINE_NAME = /^[a-z0-9][a-z0-9-]*$/;
+const POINTS_TOLERANCE = 0.01;
+
+class ReplayError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReplayError';
+    this.status = status;
+  }
+}
+
+// Latest replay report (one replay runs at a time)
+let currentReplay = null;
+
+/**
+ * Directory of a named timeline under root. Names are restricted so an
+ * admin request cannot read outside root.
+ *
+ * @param {string} root
+ * @param {string} name
+ * @returns {string}
+ * @throws {ReplayError} Invalid name
+ */
+function resolveTimelineDir(root, name) {
+  if (typeof name !== 'string' || !TIMELINE_NAME.test(name)) {
+    throw new ReplayError('timeline must be a timeline directory name (lowercase letters, digits and dashes)');
+  }
+  return path.join(root, name);
+}
+
+function readJson(dir, file) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new ReplayError(`Timeline file not found: ${file}`, 404);
+    }
+    throw new ReplayError(`Timeline file ${file} is not valid JSON: ${err.message}`);
+  }
+}
+
+function readDocuments(dir, files = {}) {
+  const documents = {};
+  for (const [key, file] of Object.entries(files)) {
+    documents[key] = readJson(dir, file);
+  }
+  return documents;
+}
+
+/**
+ * Loads a timeline and every snapshot it names.
+ *
+ * @param {string} dir - Timeline directory
+ * @returns {Object} { name, week, steps: [{ label, at_ms, scoreboard, summaries, competitors, expect }], tracked }
+ * @throws {ReplayError} Missing or invalid timeline
+ */
+function loadTimeline(dir) {
+  const manifest = readJson(dir, 'timeline.json');
+  const week = Number(manifest.week);
+  if (!Number.isInteger(week) || week < 1) {
+    throw new ReplayError('timeline.json week must be an NFL week number');
+  }
+  if (!Array.isArray(manifest.steps) || manifest.steps.length === 0) {
+    throw new ReplayError('timeline.json must have at least one step');
+  }
+
+  let previousAt = 0;
+  const tracked = new Set();
+  const steps = manifest.steps.map((step, index) => {
+    const atMs = Number(step.at_ms ?? 0);
+    if (!Number.isFinite(atMs) || atMs < previousAt) {
+      throw new ReplayError(`steps[${index}].at_ms must not be earlier than the previous step`);
+    }
+    previousAt = atMs;
+
+    const expect = { changed: step.expect?.changed || [], stats: step.expect?.stats || {} };
+    expect.changed.forEach(key => tracked.add(String(key)));
+    Object.keys(expect.stats).forEach(key => tracked.add(key));
+
+    return {
+      label: step.label || `Step ${index + 1}`,
+      at_ms: atMs,
+      scoreboard: step.scoreboard ? readJson(dir, step.scoreboard) : null,
+      summaries: readDocuments(dir, step.summaries),
+      competitors: readDocuments(dir, step.competitors),
+      expect
+    };
+  });
+
+  return { name: manifest.name || path.basename(dir), week, steps, tracked };
+}
+
+/**
+ * Stats provider serving a timeline's snapshots as of the current step.
+ * Call setStep before each poll.
+ *
+ * @param {Object} timeline - From loadTimeline
+ * @returns {Object} Provider with setStep(index)
+ */
+function createTimelineProvider(timeline) {
+  let scoreboard = null;
+  let summaries = {};
+  let competitors = {};
+
+  const found = (document, description) => {
+    if (!document) {
+      throw new StatsProviderError(`No ${description} at this point of the replay`, 404);
+    }
+    return document;
+  };
+
+  return {
+    name: 'replay',
+    setStep(index) {
+      const step = timeline.steps[index];
+      scoreboard = step.scoreboard || scoreboard;
+      summaries = { ...summaries, ...step.summaries };
+      competitors = { ...competitors, ...step.competitors };
+    },
+    getScoreboard: async (weekNumber) => found(
+      Number(weekNumber) === timeline.week ? scoreboard : null,
+      `scoreboard for week ${weekNumber}`
+    ),
+    getGameSummary: async (gameId) => found(summaries[gameId], `summary for game ${gameId}`),
+    getCompetitorStats: async (gameId, teamId) => found(
+      competitors[`${gameId}-${teamId}`],
+      `competitor stats for game ${gameId} team ${teamId}`
+    )
+  };
+}
+
+// Stored scores for tracked players, keyed by ESPN id (or team for a defense)
+async function loadTrackedScores(pool, week, tracked) {
+  const result = await pool.query(
+    `SELECT COALESCE(p.espn_id, p.id) AS player_key, pk.user_id, pk.player_id,
+            s.final_points::float8 AS final_points, s.stats_json
+     FROM picks pk
+     JOIN players p ON p.id = pk.player_id
+     LEFT JOIN scores s ON s.user_id = pk.user_id AND s.player_id = pk.player_id AND s.week_number = pk.week_number
+     WHERE pk.week_number = $1 AND COALESCE(p.espn_id, p.id) = ANY($2)`,
+    [week, Array.from(tracked)]
+  );
+  return result.rows;
+}
+
+const SCORE_COLUMNS = [
+  'id', 'user_id', 'player_id', 'week_number', 'points', 'updated_at',
+  'base_points', 'multiplier', 'final_points', 'stats_json', 'rules_version_id'
+];
+
+/**
+ * A week's scores rows, to be put back with restoreWeekScores.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {number} week - NFL week
+ * @returns {Promise<Array>} scores rows
+ */
+async function saveWeekScores(pool, week) {
+  const result = await pool.query(
+    `SELECT ${SCORE_COLUMNS.join(', ')} FROM scores WHERE week_number = $1 ORDER BY id`,
+    [week]
+  );
+  return result.rows;
+}
+
+/**
+ * Replaces a week's scores with rows saved by saveWeekScores, dropping any
+ * written since.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {number} week - NFL week
+ * @param {Array} rows - scores rows from saveWeekScores
+ * @returns {Promise<void>}
+ */
+async function restoreWeekScores(pool, week, rows) {
+  const placeholders = SCORE_COLUMNS.map((_, i) => `$${i + 1}`).join(', ');
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM scores WHERE week_number = $1', [week]);
+    for (const row of rows) {
+      await client.query(
+        `INSERT INTO scores (${SCORE_COLUMNS.join(', ')}) VALUES (${placeholders})`,
+        SCORE_COLUMNS.map(column => (column === 'stats_json' && row.stats_json !== null
+          ? JSON.stringify(row.stats_json)
+          : row[column]))
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+function scoreKey(row) {
+  return `${row.user_id}:${row.player_key}`;
+}
+
+function checkScores(step, rows, previous, tracked) {
+  const checks = [];
+  const changed = new Set(step.expect.changed.map(String));
+
+  for (const key of tracked) {
+    const playerRows = rows.filter(row => row.player_key === key);
+    if (playerRows.length === 0) {
+      checks.push({ check: 'scores', player: key, ok: false, detail: 'No picks for this player' });
+      continue;
+    }
+    const moved = playerRows.some(row => (previous.get(scoreKey(row)) ?? null) !== (row.final_points ?? null));
+    const expected = changed.has(key);
+    checks.push({
+      check: 'scores',
+      player: key,
+      ok: moved === expected,
+      detail: expected ? (moved ? 'changed' : 'expected a change, score did not move') :
+        (moved ? 'changed without being listed in expect.changed' : 'unchanged')
+    });
+  }
+
+  for (const [key, expectedStats] of Object.entries(step.expect.stats)) {
+    const playerRows = rows.filter(row => row.player_key === key);
+    const mismatches = [];
+    for (const row of playerRows) {
+      for (const [stat, value] of Object.entries(expectedStats)) {
+        const actual = row.stats_json?.[stat];
+        if (!isDeepStrictEqual(actual, value)) {
+          mismatches.push(`${stat}: expected ${JSON.stringify(value)}, got ${JSON.stringify(actual)}`);
+        }
+      }
+    }
+    checks.push({
+      check: 'stats',
+      player: key,
+      ok: playerRows.length > 0 && mismatches.length === 0,
+      detail: playerRows.length === 0 ? 'No picks for this player' : (mismatches.join('; ') || 'match')
+    });
+  }
+
+  return checks;
+}
+
+// Live points for tracked players must match what scoring stored
+async function checkLiveScores(fetchJson, week, rows) {
+  const live = await fetchJson(`/api/live-scores?weekNumber=${week}`);
+  const stored = new Map(rows.filter(row => row.stats_json).map(row => [`${row.user_id}:${row.player_id}`, row.final_points]));
+
+  const mismatches = [];
+  let compared = 0;
+  for (const pick of live.picks || []) {
+    if (!pick.isLive) continue;
+    const storedPoints = stored.get(`${pick.userId}:${pick.playerId}`);
+    if (storedPoints === undefined) continue;
+    compared++;
+    if (Math.abs(Number(pick.finalPoints) - storedPoints) > POINTS_TOLERANCE) {
+      mismatches.push(`${pick.playerName}: live ${pick.finalPoints}, stored ${storedPoints}`);
+    }
+  }
+  return {
+    check: 'live-scores',
+    ok: mismatches.length === 0,
+    detail: mismatches.join('; ') || `${compared} live picks match stored scores`
+  };
+}
+
+// Leaderboard totals for users with tracked picks must equal their stored scores
+async function checkLeaderboard(pool, fetchJson, week, rows) {
+  const settings = await pool.query('SELECT playoff_start_week FROM game_settings LIMIT 1');
+  const playoffStartWeek = settings.rows[0]?.playoff_start_week || 19;
+  // Below week 20 the leaderboard expects a playoff index (see /api/leaderboard)
+  const weekParam = week >= 20 ? week : week - playoffStartWeek + 1;
+  const leaderboard = await fetchJson(`/api/leaderboard?weekNumber=${weekParam}&mode=week`);
+
+  const userIds = [...new Set(rows.map(row => row.user_id))];
+  const totals = await pool.query(
+    `SELECT user_id, COALESCE(SUM(final_points), 0)::float8 AS total
+     FROM scores WHERE week_number = $1 AND user_id = ANY($2)
+     GROUP BY user_id`,
+    [week, userIds]
+  );
+  const expected = new Map(totals.rows.map(row => [row.user_id, row.total]));
+
+  const mismatches = [];
+  let compared = 0;
+  for (const entry of leaderboard) {
+    if (!userIds.includes(entry.id)) continue;
+    compared++;
+    const total = expected.get(entry.id) || 0;
+    if (Math.abs(Number(entry.total_points) - total) > POINTS_TOLERANCE) {
+      mismatches.push(`${entry.username}: leaderboard ${entry.total_points}, scores ${total}`);
+    }
+  }
+  const ranks = leaderboard.map(entry => entry.rank);
+  if (ranks.some((rank, i) => i > 0 && rank < ranks[i - 1])) {
+    mismatches.push('ranks are out of order');
+  }
+  return {
+    check: 'leaderboard',
+    ok: mismatches.length === 0,
+    detail: mismatches.join('; ') || `${compared} tracked users match stored scores`
+  };
+}
+
+/**
+ * Replays a timeline step by step. The caller installs provider as the
+ * stats provider for poll before calling.
+ *
+ * @param {Object} options
+ * @param {Object} options.pool
+ * @param {Object} options.timeline - From loadTimeline
+ * @param {Object} options.provider - From createTimelineProvider
+ * @param {number} options.speed - Replay speed multiplier (60 = a minute per second)
+ * @param {Function} options.poll - week → updateLiveStats result
+ * @param {Function} options.fetchJson - API path → parsed response
+ * @param {Function} [options.sleep] - ms → Promise
+ * @param {Object} [options.report] - Report to fill in as steps complete
+ * @returns {Promise<Object>} Report
+ */
+async function runReplay({ pool, timeline, provider, speed, poll, fetchJson, sleep = defaultSleep, report = {} }) {
+  report.steps = report.steps || [];
+  const snapshot = rows => new Map(rows.map(row => [scoreKey(row), row.final_points ?? null]));
+  // Changes are measured from the stored scores before the first step
+  let previous = snapshot(await loadTrackedScores(pool, timeline.week, timeline.tracked));
+  let previousAt = timeline.steps[0].at_ms;
+
+  for (let index = 0; index < timeline.steps.length; index++) {
+    const step = timeline.steps[index];
+    await sleep((step.at_ms - previousAt) / speed);
+    previousAt = step.at_ms;
+
+    provider.setStep(index);
+    const pollResult = await poll(timeline.week);
+
+    const rows = await loadTrackedScores(pool, timeline.week, timeline.tracked);
+    const checks = [
+      { check: 'poll', ok: pollResult?.success !== false, detail: pollResult?.message || pollResult?.error || null },
+      ...checkScores(step, rows, previous, timeline.tracked),
+      await checkLiveScores(fetchJson, timeline.week, rows),
+      await checkLeaderboard(pool, fetchJson, timeline.week, rows)
+    ];
+    previous = snapshot(rows);
+
+    report.steps.push({ label: step.label, at_ms: step.at_ms, ok: checks.every(c => c.ok), checks });
+  }
+
+  report.status = report.steps.every(step => step.ok) ? 'passed' : 'failed';
+  return report;
+}
+
+function defaultSleep(ms) {
+  return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+/**
+ * Starts a replay unless one is running. The returned promise resolves to
+ * the final report and never rejects; failures are recorded in the report.
+ * installProvider may be async, and so may the restore function it returns;
+ * the replay counts as running until the restore has finished.
+ *
+ * @param {Object} options - runReplay options plus installProvider (provider → restore function)
+ * @returns {Promise<Object>} Report
+ * @throws {ReplayError} A replay is already running, or invalid speed
+ */
+function startReplay({ installProvider, ...options }) {
+  if (currentReplay && !currentReplay.finished_at) {
+    throw new ReplayError(`Replay of ${currentReplay.timeline} is already running`, 409);
+  }
+  const speed = Number(options.speed);
+  if (!Number.isFinite(speed) || speed <= 0) {
+    throw new ReplayError('speed must be a positive number');
+  }
+
+  const report = {
+    timeline: options.timeline.name,
+    week: options.timeline.week,
+    speed,
+    status: 'running',
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    error: null,
+    steps: []
+  };
+  currentReplay = report;
+
+  const provider = createTimelineProvider(options.timeline);
+  return (async () => {
+    let restore = null;
+    try {
+      restore = await installProvider(provider);
+      await runReplay({ ...options, speed, provider, report });
+    } catch (err) {
+      report.status = 'error';
+      report.error = err.message;
+    }
+
+    if (restore) {
+      try {
+        await restore();
+      } catch (err) {
+        report.status = 'error';
+        report.error = report.error || `Restore failed: ${err.message}`;
+      }
+    }
+    report.finished_at = new Date().toISOString();
+    return report;
+  })();
+}
+
+/**
+ * @returns {Object|null} Report of the running or last replay
+ */
+function getReplayStatus() {
+  return currentReplay;
+}
+
+module.exports = {
+  ReplayError,
+  resolveTimelineDir,
+  loadTimeline,
+  createTimelineProvider,
+  runReplay,
+  startReplay,
+  getReplayStatus,
+  saveWeekScores,
+  restoreWeekScores
+};
@@ -0,0 +1,255 @@
+/**
+ * Games Service
+ *
+ * Stores each week's NFL games so matchups, kickoff times and game status
+ * outlive the process. A sync job and the live stats poller write the
+ * provider scoreboard here; pick locks, week locking, elimination checks,
+ * matchups and settlement read from it.
+ * Data sources: games table, stats provider scoreboard
+ *
+ * Readers get the games back as ESPN scoreboard events (gameToEvent), the
+ * shape the existing scoreboard consumers already take.
+ */
+
+// Games that are not final are re-synced on read once older than this
+const GAME_SYNC_MAX_AGE_MS = 60 * 1000; // 1 minute
+
+const GAME_STATES = ['pre', 'in', 'post'];
+
+function toScore(value) {
+  const score = parseInt(value, 10);
+  return isNaN(score) ? null : score;
+}
+
+/**
+ * Converts an ESPN scoreboard event into a games row.
+ *
+ * @param {Object} event - ESPN scoreboard event
+ * @param {number} weekNumber - NFL week
+ * @returns {Object|null} Row values, or null for an event without an id
+ */
+function eventToGame(event, weekNumber) {
+  if (!event || !event.id) return null;
+
+  const competitors = event.competitions?.[0]?.competitors || [];
+  const home = competitors.find(c => c.homeAway === 'home');
+  const away = competitors.find(c => c.homeAway === 'away');
+  const kickoff = event.date ? new Date(event.date) : null;
+  const state = event.status?.type?.state;
+
+  return {
+    provider_game_id: String(event.id),
+    week_number: weekNumber,
+    name: event.name || null,
+    short_name: event.shortName || null,
+    home_team: home?.team?.abbreviation || null,
+    away_team: away?.team?.abbreviation || null,
+    kickoff_at: kickoff && !isNaN(kickoff.getTime()) ? kickoff : null,
+    status: GAME_STATES.includes(state) ? state : 'pre',
+    status_detail: event.status?.type?.detail || null,
+    home_score: toScore(home?.score),
+    away_score: toScore(away?.score)
+  };
+}
+
+/**
+ * Converts a games row back into the ESPN scoreboard event shape.
+ *
+ * @param {Object} game - games row
+ * @returns {Object} ESPN scoreboard event
+ */
+function gameToEvent(game) {
+  const competitor = (homeAway, team, score) => ({
+    homeAway,
+    team: { abbreviation: team },
+    score: score === null || score === undefined ? undefined : String(score)
+  });
+
+  return {
+    id: game.provider_game_id,
+    name: game.name,
+    shortName: game.short_name,
+    date: game.kickoff_at ? new Date(game.kickoff_at).toISOString() : undefined,
+    status: { type: { state: game.status, detail: game.status_detail } },
+    competitions: [{
+      competitors: [
+        competitor('home', game.home_team, game.home_score),
+        competitor('away', game.away_team, game.away_score)
+      ].filter(c => c.team.abbreviation)
+    }]
+  };
+}
+
+/**
+ * Games stored for a week, in kickoff order.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {number} weekNumber - NFL week
+ * @returns {Promise<Array>} games rows
+ */
+async function getGames(pool, weekNumber) {
+  const result = await pool.query(
+    `SELECT * FROM games
+     WHERE week_number = $1
+     ORDER BY kickoff_at ASC NULLS LAST, provider_game_id ASC`,
+    [weekNumber]
+  );
+  return result.rows;
+}
+
+/**
+ * Upserts a week's scoreboard events, skipping Pro Bowl events.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {number} weekNumber - NFL week
+ * @param {Array} events - ESPN scoreboard events
+ * @param {Date} [now] - Sync time
+ * @returns {Promise<Array>} The week's games rows after the sync
+ */
+async function saveGames(pool, weekNumber, events, now = new Date()) {
+  for (const event of events || []) {
+    const game = eventToGame(event, weekNumber);
+    // Pro Bowl (AFC vs NFC) events are not part of the contest
+    if (!game || [game.home_team, game.away_team].some(abbr => abbr === 'AFC' || abbr === 'NFC')) continue;
+
+    await pool.query(
+      `INSERT INTO games (
+         provider_game_id, week_number, name, short_name, home_team, away_team,
+         kickoff_at, status, status_detail, home_score, away_score, last_synced_at
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       ON CONFLICT (provider_game_id)
+       DO UPDATE SET
+         week_number = EXCLUDED.week_number,
+         name = EXCLUDED.name,
+         short_name = EXCLUDED.short_name,
+         home_team = EXCLUDED.home_team,
+         away_team = EXCLUDED.away_team,
+         kickoff_at = EXCLUDED.kickoff_at,
+         status = EXCLUDED.status,
+         status_detail = EXCLUDED.status_detail,
+         home_score = EXCLUDED.home_score,
+         away_score = EXCLUDED.away_score,
+         last_synced_at = EXCLUDED.last_synced_at`,
+      [
+        game.provider_game_id, game.week_number, game.name, game.short_name,
+        game.home_team, game.away_team, game.kickoff_at, game.status,
+        game.status_detail, game.home_score, game.away_score, now
+      ]
+    );
+  }
+
+  return getGames(pool, weekNumber);
+}
+
+/**
+ * Puts a week's games back to a snapshot taken with getGames, dropping any
+ * game stored for the week since.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {number} weekNumber - NFL week
+ * @param {Array} games - games rows from getGames
+ * @returns {Promise<void>}
+ */
+async function restoreWeekGames(pool, weekNumber, games) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      'DELETE FROM games WHERE week_number = $1 OR provider_game_id = ANY($2)',
+      [weekNumber, games.map(game => game.provider_game_id)]
+    );
+    for (const game of games) {
+      await client.query(
+        `INSERT INTO games (
+           provider_game_id, week_number, name, short_name, home_team, away_team,
+           kickoff_at, status, status_detail, home_score, away_score, last_synced_at, created_at
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+        [
+          game.provider_game_id, game.week_number, game.name, game.short_name,
+          game.home_team, game.away_team, game.kickoff_at, game.status,
+          game.status_detail, game.home_score, game.away_score, game.last_synced_at,
+          game.created_at
+        ]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Fetches a week's scoreboard and stores its games.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {number} weekNumber - NFL week
+ * @param {Object} options
+ * @param {Function} options.fetchEvents - async (weekNumber) => ESPN scoreboard events
+ * @param {Date} [options.now] - Sync time
+ * @returns {Promise<Array>} games rows
+ */
+async function syncWeek(pool, weekNumber, { fetchEvents, now = new Date() }) {
+  const events = await fetchEvents(weekNumber);
+  return saveGames(pool, weekNumber, events, now);
+}
+
+/**
+ * True when a week has no stored games, or a game that is not final was
+ * last synced more than maxAgeMs ago.
+ *
+ * @param {Array} games - games rows
+ * @param {Date} [now]
+ * @param {number} [maxAgeMs]
+ * @returns {boolean}
+ */
+function needsSync(games, now = new Date(), maxAgeMs = GAME_SYNC_MAX_AGE_MS) {
+  if (games.length === 0) return true;
+  return games.some(game =>
+    game.status !== 'post' && now - new Date(game.last_synced_at) > maxAgeMs
+  );
+}
+
+/**
+ * A week's games as ESPN scoreboard events, re-synced first when stale.
+ * If the scoreboard is unavailable the stored games are returned as they
+ * are; with nothing stored, the fetch error is thrown.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {number} weekNumber - NFL week
+ * @param {Object} options
+ * @param {Function} options.fetchEvents - async (weekNumber) => ESPN scoreboard events
+ * @param {number} [options.maxAgeMs] - Staleness limit for games that are not final
+ * @param {Date} [options.now]
+ * @returns {Promise<Array>} ESPN scoreboard events
+ */
+async function getWeekEvents(pool, weekNumber, { fetchEvents, maxAgeMs = GAME_SYNC_MAX_AGE_MS, now = new Date() }) {
+  let games = await getGames(pool, weekNumber);
+
+  if (needsSync(games, now, maxAgeMs)) {
+    try {
+      games = await syncWeek(pool, weekNumber, { fetchEvents, now });
+    } catch (err) {
+      if (games.length === 0) throw err;
+      console.error(`[Games] Scoreboard unavailable for week ${weekNumber}, using stored games:`, err.message);
+    }
+  }
+
+  return games.map(gameToEvent);
+}
+
+module.exports = {
+  GAME_SYNC_MAX_AGE_MS,
+  eventToGame,
+  gameToEvent,
+  getGames,
+  saveGames,
+  restoreWeekGames,
+  syncWeek,
+  needsSync,
+  getWeekEvents
+};
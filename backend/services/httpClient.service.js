@@ -0,0 +1,228 @@
+/**
+ * HTTP Client Service
+ *
+ * Shared client for outbound ESPN and Sleeper calls. Each host has its own
+ * policy (timeout, retries, response cache TTL) and circuit breaker:
+ * - Network errors, timeouts, 429 and 5xx responses are retried with
+ *   exponential backoff and full jitter; other 4xx responses are not.
+ * - After FAILURE_THRESHOLD requests in a row fail, the host's circuit opens
+ *   and calls fail immediately for OPEN_MS. The next call after that is a
+ *   trial (half-open): success closes the circuit, failure reopens it.
+ * - Successful GET responses are cached by URL for the host's TTL. Expired
+ *   entries are dropped when read and whenever a new response is cached.
+ *
+ * Failures reject with HttpClientError so callers see them as errors rather
+ * than empty data. Circuit state is reported by adminHealth.service.js.
+ */
+
+const axios = require('axios');
+
+const FAILURE_THRESHOLD = 5;
+const OPEN_MS = 30 * 1000;
+const BACKOFF_BASE_MS = 250;
+const BACKOFF_MAX_MS = 4000;
+
+const DEFAULT_POLICY = { timeout: 10000, retries: 1, cacheTtlMs: 0 };
+
+const HOST_POLICIES = {
+  'site.api.espn.com': { timeout: 10000, retries: 2, cacheTtlMs: 15 * 1000 },
+  'sports.core.api.espn.com': { timeout: 10000, retries: 2, cacheTtlMs: 15 * 1000 },
+  'api.sleeper.app': { timeout: 30000, retries: 2, cacheTtlMs: 5 * 60 * 1000 }
+};
+
+class HttpClientError extends Error {
+  constructor(message, status = 502, host = null) {
+    super(message);
+    this.name = 'HttpClientError';
+    this.status = status;
+    this.host = host;
+  }
+}
+
+function isRetryable(err) {
+  const status = err.response?.status;
+  if (!status) return true; // network error or timeout
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Backoff before retry attempt n (0-based): a random delay up to
+ * BACKOFF_BASE_MS * 2^n, capped at BACKOFF_MAX_MS.
+ *
+ * @param {number} attempt
+ * @param {Function} [random] - Returns [0, 1)
+ * @returns {number} Delay in ms
+ */
+function getBackoffMs(attempt, random = Math.random) {
+  return Math.floor(random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt));
+}
+
+/**
+ * Consecutive-failure circuit breaker for one host.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.failureThreshold]
+ * @param {number} [options.openMs]
+ * @param {Function} [options.now] - Returns epoch ms
+ * @returns {Object} Breaker
+ */
+function createCircuitBreaker({ failureThreshold = FAILURE_THRESHOLD, openMs = OPEN_MS, now = Date.now } = {}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let lastError = null;
+
+  return {
+    // True when a call may go out. Once OPEN_MS has passed, one trial call
+    // is let through (half-open) while the rest keep failing fast.
+    allowRequest() {
+      if (state === 'open' && now() - openedAt >= openMs) {
+        state = 'half_open';
+        return true;
+      }
+      return state === 'closed';
+    },
+    recordSuccess() {
+      state = 'closed';
+      failures = 0;
+      openedAt = null;
+    },
+    recordFailure(err) {
+      failures++;
+      lastError = err.message;
+      if (state === 'half_open' || failures >= failureThreshold) {
+        state = 'open';
+        openedAt = now();
+      }
+    },
+    getState() {
+      return {
+        state,
+        consecutive_failures: failures,
+        opened_at: openedAt ? new Date(openedAt).toISOString() : null,
+        retry_at: state === 'open' ? new Date(openedAt + openMs).toISOString() : null,
+        last_error: lastError
+      };
+    }
+  };
+}
+
+/**
+ * Builds a client with per-host policies and breakers. get() resolves to
+ * { status, data }, so it can stand in for axios.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.policies] - Host name => { timeout, retries, cacheTtlMs }
+ * @param {Object} [options.http] - axios-compatible client
+ * @param {Function} [options.sleep] - async (ms)
+ * @param {Function} [options.random] - Returns [0, 1)
+ * @param {Function} [options.now] - Returns epoch ms
+ * @param {Object} [options.breaker] - createCircuitBreaker options
+ * @returns {Object} Client
+ */
+function createHttpClient({
+  policies = HOST_POLICIES,
+  http = axios,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+  random = Math.random,
+  now = Date.now,
+  breaker = {}
+} = {}) {
+  const breakers = new Map();
+  const cache = new Map();
+
+  const pruneCache = () => {
+    const time = now();
+    for (const [url, entry] of cache) {
+      if (time >= entry.expiresAt) cache.delete(url);
+    }
+  };
+
+  const breakerFor = (host) => {
+    if (!breakers.has(host)) {
+      breakers.set(host, createCircuitBreaker({ now, ...breaker }));
+    }
+    return breakers.get(host);
+  };
+
+  /**
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Overrides the host timeout
+   * @param {number} [options.cacheTtlMs] - Overrides the host cache TTL; 0 skips the cache
+   * @returns {Promise<Object>} { status, data }
+   * @throws {HttpClientError} Circuit open, or the request failed after retries
+   */
+  async function get(url, options = {}) {
+    const host = new URL(url).host;
+    const policy = { ...DEFAULT_POLICY, ...policies[host] };
+    for (const key of Object.keys(DEFAULT_POLICY)) {
+      if (options[key] !== undefined) policy[key] = options[key];
+    }
+
+    const cached = cache.get(url);
+    if (cached && now() >= cached.expiresAt) {
+      cache.delete(url);
+    } else if (policy.cacheTtlMs > 0 && cached) {
+      return cached.response;
+    }
+
+    const circuit = breakerFor(host);
+    if (!circuit.allowRequest()) {
+      throw new HttpClientError(`Circuit open for ${host}; skipping ${url}`, 503, host);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await http.get(url, { timeout: policy.timeout });
+        circuit.recordSuccess();
+
+        const response = { status: result.status, data: result.data };
+        if (policy.cacheTtlMs > 0) {
+          pruneCache();
+          cache.set(url, { response, expiresAt: now() + policy.cacheTtlMs });
+        }
+        return response;
+      } catch (err) {
+        const retryable = isRetryable(err);
+        if (retryable && attempt < policy.retries) {
+          await sleep(getBackoffMs(attempt, random));
+          continue;
+        }
+
+        // A 404 or other client error says nothing about the host's health
+        if (retryable) {
+          circuit.recordFailure(err);
+        } else {
+          circuit.recordSuccess();
+        }
+
+        const status = err.response?.status;
+        throw new HttpClientError(
+          `GET ${url} failed after ${attempt + 1} attempt(s): ${status ? `HTTP ${status}` : err.code || err.message}`,
+          status && !retryable ? status : 502,
+          host
+        );
+      }
+    }
+  }
+
+  return {
+    get,
+    getCircuitState: host => breakerFor(host).getState(),
+    clearCache: () => cache.clear(),
+    getCacheSize: () => cache.size
+  };
+}
+
+// Client shared by server.js and the stats providers
+const client = createHttpClient();
+
+module.exports = {
+  HttpClientError,
+  HOST_POLICIES,
+  getBackoffMs,
+  createCircuitBreaker,
+  createHttpClient,
+  client
+};
@@ -0,0 +1,498 @@
+/**
+ * Leagues Service
+ *
+ * Private leagues that run alongside the global pool.
+ * Data sources: leagues, league_members, league_payouts tables
+ *
+ * A league only scopes who is compared: picks and scores stay per user, so
+ * one lineup per round counts in the global pool and in every league the
+ * user has joined. Each league has a commissioner (its creator) who manages
+ * the entry fee, payment handles, payout table and who has paid. In a league
+ * with no entry fee every member counts as paid.
+ */
+
+const crypto = require('crypto');
+const { validate: isUuid } = require('uuid');
+
+// No 0/O or 1/I so codes survive being read aloud or typed from a screenshot
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+const MAX_CODE_ATTEMPTS = 5;
+
+const HANDLE_FIELDS = ['venmo_handle', 'cashapp_handle', 'zelle_handle'];
+
+class LeagueError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LeagueError';
+    this.status = status;
+  }
+}
+
+function generateInviteCode() {
+  let code = '';
+  for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+    code += INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Shareable join link for an invite code. LEAGUE_INVITE_URL points at the
+ * app's join screen (deep link or web page).
+ *
+ * @param {string} inviteCode
+ * @returns {string}
+ */
+function getInviteLink(inviteCode) {
+  const base = (process.env.LEAGUE_INVITE_URL || 'playoffchallenge://leagues/join').replace(/\/+$/, '');
+  return `${base}/${inviteCode}`;
+}
+
+function normalizeInviteCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+function withInviteLink(league) {
+  return { ...league, invite_link: getInviteLink(league.invite_code) };
+}
+
+/**
+ * Validates name, entry_amount and payment handles from a request body.
+ * Returns only the fields that were supplied.
+ */
+function pickLeagueFields(fields, { requireName }) {
+  const picked = {};
+
+  if (fields.name !== undefined || requireName) {
+    if (typeof fields.name !== 'string' || !fields.name.trim() || fields.name.trim().length > 100) {
+      throw new LeagueError('name is required (max 100 characters)');
+    }
+    picked.name = fields.name.trim();
+  }
+
+  if (fields.entry_amount !== undefined) {
+    const amount = Number(fields.entry_amount);
+    if (!Number.isFinite(amount) || amount < 0 || amount > 99999999) {
+      throw new LeagueError('entry_amount must be a non-negative number');
+    }
+    picked.entry_amount = Math.round(amount * 100) / 100;
+  }
+
+  for (const field of HANDLE_FIELDS) {
+    if (fields[field] === undefined) continue;
+    if (fields[field] !== null && (typeof fields[field] !== 'string' || fields[field].length > 100)) {
+      throw new LeagueError(`${field} must be a string (max 100 characters)`);
+    }
+    picked[field] = fields[field] ? fields[field].trim() : null;
+  }
+
+  return picked;
+}
+
+/**
+ * Validates a payout table: unique positive places, percentages that sum to
+ * at most 100.
+ */
+function validatePayouts(payouts) {
+  if (!Array.isArray(payouts)) {
+    throw new LeagueError('payouts must be an array of { place, percentage, description }');
+  }
+
+  const places = new Set();
+  let total = 0;
+  const rows = payouts.map(payout => {
+    const place = Number(payout.place);
+    const percentage = Number(payout.percentage);
+    if (!Number.isInteger(place) || place < 1 || places.has(place)) {
+      throw new LeagueError('Each payout needs a unique place of 1 or more');
+    }
+    if (!Number.isFinite(percentage) || percentage < 0 || percentage > 100) {
+      throw new LeagueError('Payout percentages must be between 0 and 100');
+    }
+    places.add(place);
+    total += percentage;
+    return { place, percentage, description: payout.description || null };
+  });
+
+  if (total > 100.0001) {
+    throw new LeagueError('Payout percentages add up to more than 100');
+  }
+  return rows.sort((a, b) => a.place - b.place);
+}
+
+async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function getLeagueRow(db, leagueId) {
+  if (!isUuid(leagueId)) {
+    throw new LeagueError('League not found', 404);
+  }
+  const result = await db.query('SELECT * FROM leagues WHERE id = $1', [leagueId]);
+  if (result.rows.length === 0) {
+    throw new LeagueError('League not found', 404);
+  }
+  return result.rows[0];
+}
+
+/**
+ * Loads a league the user belongs to. Non-members get a 403 so private
+ * league data (standings, payment handles) is never exposed.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} leagueId - League ID
+ * @param {string} userId - Requesting user
+ * @returns {Promise<Object>} League row
+ */
+async function assertMember(pool, leagueId, userId) {
+  const league = await getLeagueRow(pool, leagueId);
+  const member = await pool.query(
+    'SELECT 1 FROM league_members WHERE league_id = $1 AND user_id = $2',
+    [leagueId, userId]
+  );
+  if (member.rows.length === 0) {
+    throw new LeagueError('You are not a member of this league', 403);
+  }
+  return league;
+}
+
+async function assertCommissioner(db, leagueId, userId) {
+  const league = await getLeagueRow(db, leagueId);
+  if (league.commissioner_user_id !== userId) {
+    throw new LeagueError('Only the league commissioner can do this', 403);
+  }
+  return league;
+}
+
+/**
+ * Creates a league with the caller as commissioner and first member.
+ * The payout table starts as a copy of the global payouts table.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} userId - Commissioner
+ * @param {Object} fields - name, entry_amount?, venmo_handle?, cashapp_handle?, zelle_handle?
+ * @returns {Promise<Object>} League with invite_link
+ */
+async function createLeague(pool, userId, fields) {
+  const picked = pickLeagueFields(fields || {}, { requireName: true });
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await withTransaction(pool, async (client) => {
+        const result = await client.query(
+          `INSERT INTO leagues
+             (name, invite_code, commissioner_user_id, entry_amount, venmo_handle, cashapp_handle, zelle_handle)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING *`,
+          [
+            picked.name,
+            generateInviteCode(),
+            userId,
+            picked.entry_amount || 0,
+            picked.venmo_handle || null,
+            picked.cashapp_handle || null,
+            picked.zelle_handle || null
+          ]
+        );
+        const league = result.rows[0];
+
+        await client.query(
+          'INSERT INTO league_members (league_id, user_id) VALUES ($1, $2)',
+          [league.id, userId]
+        );
+        await client.query(
+          `INSERT INTO league_payouts (league_id, place, percentage, description)
+           SELECT $1, place, percentage, description FROM payouts`,
+          [league.id]
+        );
+
+        return withInviteLink(league);
+      });
+    } catch (err) {
+      // Invite code collision: retry with a new code
+      if (err.code === '23505' && err.constraint === 'leagues_invite_code_key' && attempt < MAX_CODE_ATTEMPTS) {
+        continue;
+      }
+      throw err;
+    }
+  }
+}
+
+/**
+ * Public preview of the league behind an invite code, shown before joining.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} inviteCode
+ * @returns {Promise<Object|null>} { id, name, commissioner, entry_amount, member_count }
+ */
+async function getInvitePreview(pool, inviteCode) {
+  const result = await pool.query(
+    `SELECT l.id, l.name, u.username AS commissioner, l.entry_amount::float8 AS entry_amount,
+            (SELECT COUNT(*)::int FROM league_members lm WHERE lm.league_id = l.id) AS member_count
+     FROM leagues l
+     LEFT JOIN users u ON u.id = l.commissioner_user_id
+     WHERE l.invite_code = $1`,
+    [normalizeInviteCode(inviteCode)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Joins the league behind an invite code. Joining twice is a no-op.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} inviteCode
+ * @param {string} userId
+ * @returns {Promise<Object>} { league, joined }
+ */
+async function joinLeague(pool, inviteCode, userId) {
+  const code = normalizeInviteCode(inviteCode);
+  if (!code) {
+    throw new LeagueError('invite_code is required');
+  }
+
+  const leagueResult = await pool.query('SELECT * FROM leagues WHERE invite_code = $1', [code]);
+  if (leagueResult.rows.length === 0) {
+    throw new LeagueError('Invite code not found', 404);
+  }
+  const league = leagueResult.rows[0];
+
+  const result = await pool.query(
+    `INSERT INTO league_members (league_id, user_id)
+     VALUES ($1, $2)
+     ON CONFLICT (league_id, user_id) DO NOTHING
+     RETURNING league_id`,
+    [league.id, userId]
+  );
+
+  return { league: withInviteLink(league), joined: result.rows.length > 0 };
+}
+
+/**
+ * Leagues the user belongs to, oldest membership first.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} userId
+ * @returns {Promise<Array>}
+ */
+async function listUserLeagues(pool, userId) {
+  const result = await pool.query(
+    `SELECT l.id, l.name, l.invite_code, l.entry_amount::float8 AS entry_amount,
+            l.commissioner_user_id, (l.commissioner_user_id = $1) AS is_commissioner,
+            lm.paid, lm.joined_at,
+            (SELECT COUNT(*)::int FROM league_members m WHERE m.league_id = l.id) AS member_count
+     FROM league_members lm
+     JOIN leagues l ON l.id = lm.league_id
+     WHERE lm.user_id = $1
+     ORDER BY lm.joined_at ASC`,
+    [userId]
+  );
+  return result.rows.map(withInviteLink);
+}
+
+/**
+ * League detail for a member: settings, payment handles, payout table and
+ * members.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} leagueId
+ * @param {string} userId - Requesting member
+ * @returns {Promise<Object>}
+ */
+async function getLeague(pool, leagueId, userId) {
+  const league = await assertMember(pool, leagueId, userId);
+
+  const members = await pool.query(
+    `SELECT lm.user_id, u.username, u.team_name, lm.paid, lm.joined_at,
+            (lm.user_id = $2) AS is_commissioner
+     FROM league_members lm
+     JOIN users u ON u.id = lm.user_id
+     WHERE lm.league_id = $1
+     ORDER BY lm.joined_at ASC`,
+    [leagueId, league.commissioner_user_id]
+  );
+  const payouts = await pool.query(
+    `SELECT place, percentage::float8 AS percentage, description
+     FROM league_payouts
+     WHERE league_id = $1
+     ORDER BY place`,
+    [leagueId]
+  );
+
+  return {
+    ...withInviteLink(league),
+    entry_amount: Number(league.entry_amount),
+    is_commissioner: league.commissioner_user_id === userId,
+    members: members.rows,
+    payouts: payouts.rows
+  };
+}
+
+/**
+ * Updates name, entry_amount and payment handles. Commissioner only.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} leagueId
+ * @param {string} userId - Requesting user
+ * @param {Object} fields
+ * @returns {Promise<Object>} Updated league row
+ */
+async function updateLeague(pool, leagueId, userId, fields) {
+  await assertCommissioner(pool, leagueId, userId);
+
+  const picked = pickLeagueFields(fields || {}, { requireName: false });
+  const columns = Object.keys(picked);
+  if (columns.length === 0) {
+    throw new LeagueError('No fields to update');
+  }
+
+  const result = await pool.query(
+    `UPDATE leagues
+     SET ${columns.map((col, i) => `${col} = $${i + 2}`).join(', ')}, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [leagueId, ...columns.map(col => picked[col])]
+  );
+  return withInviteLink(result.rows[0]);
+}
+
+/**
+ * Replaces the league's payout table. Commissioner only.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} leagueId
+ * @param {string} userId - Requesting user
+ * @param {Array} payouts - [{ place, percentage, description }]
+ * @returns {Promise<Array>} Saved payout rows
+ */
+async function setLeaguePayouts(pool, leagueId, userId, payouts) {
+  const rows = validatePayouts(payouts);
+
+  return withTransaction(pool, async (client) => {
+    await assertCommissioner(client, leagueId, userId);
+    await client.query('DELETE FROM league_payouts WHERE league_id = $1', [leagueId]);
+    for (const row of rows) {
+      await client.query(
+        `INSERT INTO league_payouts (league_id, place, percentage, description)
+         VALUES ($1, $2, $3, $4)`,
+        [leagueId, row.place, row.percentage, row.description]
+      );
+    }
+    return rows;
+  });
+}
+
+/**
+ * Marks a member as paid or unpaid. Commissioner only.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} leagueId
+ * @param {string} userId - Requesting user
+ * @param {string} memberId - Member to update
+ * @param {boolean} paid
+ * @returns {Promise<Object>} Member row
+ */
+async function setMemberPaid(pool, leagueId, userId, memberId, paid) {
+  if (typeof paid !== 'boolean') {
+    throw new LeagueError('paid must be true or false');
+  }
+  await assertCommissioner(pool, leagueId, userId);
+
+  const result = await pool.query(
+    `UPDATE league_members SET paid = $3
+     WHERE league_id = $1 AND user_id = $2
+     RETURNING *`,
+    [leagueId, memberId, paid]
+  );
+  if (result.rows.length === 0) {
+    throw new LeagueError('Member not found', 404);
+  }
+  return result.rows[0];
+}
+
+/**
+ * Removes a member. Members may remove themselves (leave); the commissioner
+ * may remove anyone but themselves.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} leagueId
+ * @param {string} userId - Requesting user
+ * @param {string} memberId - Member to remove
+ */
+async function removeMember(pool, leagueId, userId, memberId) {
+  const league = await assertMember(pool, leagueId, userId);
+
+  if (memberId === league.commissioner_user_id) {
+    throw new LeagueError('The commissioner cannot leave their own league', 409);
+  }
+  if (memberId !== userId && league.commissioner_user_id !== userId) {
+    throw new LeagueError('Only the league commissioner can remove other members', 403);
+  }
+
+  const result = await pool.query(
+    'DELETE FROM league_members WHERE league_id = $1 AND user_id = $2 RETURNING user_id',
+    [leagueId, memberId]
+  );
+  if (result.rows.length === 0) {
+    throw new LeagueError('Member not found', 404);
+  }
+}
+
+/**
+ * Issues a new invite code; the old code and link stop working.
+ * Commissioner only.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} leagueId
+ * @param {string} userId - Requesting user
+ * @returns {Promise<Object>} { invite_code, invite_link }
+ */
+async function rotateInviteCode(pool, leagueId, userId) {
+  await assertCommissioner(pool, leagueId, userId);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await pool.query(
+        `UPDATE leagues SET invite_code = $2, updated_at = NOW()
+         WHERE id = $1
+         RETURNING invite_code`,
+        [leagueId, generateInviteCode()]
+      );
+      const inviteCode = result.rows[0].invite_code;
+      return { invite_code: inviteCode, invite_link: getInviteLink(inviteCode) };
+    } catch (err) {
+      if (err.code === '23505' && err.constraint === 'leagues_invite_code_key' && attempt < MAX_CODE_ATTEMPTS) {
+        continue;
+      }
+      throw err;
+    }
+  }
+}
+
+module.exports = {
+  LeagueError,
+  getInviteLink,
+  assertMember,
+  createLeague,
+  getInvitePreview,
+  joinLeague,
+  listUserLeagues,
+  getLeague,
+  updateLeague,
+  setLeaguePayouts,
+  setMemberPaid,
+  removeMember,
+  rotateInviteCode
+};
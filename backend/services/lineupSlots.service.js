@@ -0,0 +1,175 @@
+/**
+ * Lineup Slots Service
+ *
+ * A lineup is a set of slots. Fixed slots (QB, RB, WR, TE, K, DEF) take
+ * only their own position and are sized by the game_settings *_limit
+ * columns. Flexible slots (FLEX, SUPERFLEX, ...) are position_requirements
+ * rows with a list of eligible_positions; required_count is how many of
+ * the slot a lineup has and is_active turns the slot on.
+ *
+ * picks.position holds the slot a pick fills, so a RB played at FLEX is
+ * stored with position 'FLEX' while players.position stays 'RB'.
+ *
+ * Data sources:
+ * - game_settings: qb_limit, rb_limit, wr_limit, te_limit, k_limit, def_limit
+ * - position_requirements: flexible slots (rows whose position is not fixed)
+ */
+
+const FIXED_POSITIONS = ['QB', 'RB', 'WR', 'TE', 'K', 'DEF'];
+
+const DEFAULT_LIMITS = { QB: 1, RB: 2, WR: 2, TE: 1, K: 1, DEF: 1 };
+
+// Display order for lineups; unknown slots sort last
+const SLOT_ORDER = ['QB', 'RB', 'WR', 'TE', 'FLEX', 'SUPERFLEX', 'K', 'DEF'];
+
+class LineupSlotError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LineupSlotError';
+    this.status = status;
+  }
+}
+
+/**
+ * Builds the lineup's slots from position limits and flexible slot rows.
+ * Inactive flexible slots and slots with no eligible positions are left out.
+ *
+ * @param {Object} settings - game_settings row (*_limit columns)
+ * @param {Array} [flexRows] - position_requirements rows
+ * @returns {Array<Object>} { slot, display_name, limit, eligible_positions, is_flex }
+ */
+function buildSlots(settings = {}, flexRows = []) {
+  const slots = FIXED_POSITIONS.map(position => ({
+    slot: position,
+    display_name: position,
+    limit: settings[`${position.toLowerCase()}_limit`] || DEFAULT_LIMITS[position],
+    eligible_positions: [position],
+    is_flex: false
+  }));
+
+  const flexSlots = flexRows
+    .filter(row => row.is_active && !FIXED_POSITIONS.includes(row.position) && row.eligible_positions?.length > 0)
+    .sort((a, b) => (a.display_order || 0) - (b.display_order || 0))
+    .map(row => ({
+      slot: row.position,
+      display_name: row.display_name || row.position,
+      limit: row.required_count,
+      eligible_positions: row.eligible_positions,
+      is_flex: true
+    }));
+
+  return [...slots, ...flexSlots];
+}
+
+/**
+ * Loads the current lineup slots.
+ *
+ * @param {Object} pool - pg pool or client
+ * @returns {Promise<Array<Object>>} Slots (see buildSlots)
+ */
+async function loadSlots(pool) {
+  const [settingsResult, flexResult] = await Promise.all([
+    pool.query('SELECT qb_limit, rb_limit, wr_limit, te_limit, k_limit, def_limit FROM game_settings LIMIT 1'),
+    pool.query(
+      `SELECT position, required_count, display_name, display_order, is_active, eligible_positions
+       FROM position_requirements
+       WHERE is_active = true`
+    )
+  ]);
+  return buildSlots(settingsResult.rows[0] || {}, flexResult.rows);
+}
+
+/**
+ * @param {Array<Object>} slots
+ * @returns {Object} slot → limit
+ */
+function getSlotLimits(slots) {
+  return Object.fromEntries(slots.map(slot => [slot.slot, slot.limit]));
+}
+
+/**
+ * Picks the slot a player is added to. Without a requested slot the player
+ * fills their own position.
+ *
+ * @param {Array<Object>} slots
+ * @param {string} playerPosition - players.position
+ * @param {string} [requestedSlot] - Slot named by the client
+ * @returns {string} Slot
+ * @throws {LineupSlotError} Unknown slot, or the player is not eligible for it
+ */
+function resolveSlot(slots, playerPosition, requestedSlot) {
+  if (!requestedSlot) return playerPosition;
+
+  const slot = slots.find(s => s.slot === String(requestedSlot).toUpperCase());
+  if (!slot) {
+    throw new LineupSlotError(`Unknown lineup slot ${requestedSlot}`);
+  }
+  if (!slot.eligible_positions.includes(playerPosition)) {
+    throw new LineupSlotError(
+      `${playerPosition} is not eligible for ${slot.slot} (${slot.eligible_positions.join('/')})`
+    );
+  }
+  return slot.slot;
+}
+
+/**
+ * The slot a carried-forward pick keeps next week. A pick stays in its slot
+ * while the slot exists and still takes the player's position; otherwise
+ * (e.g. FLEX was turned off) it falls back to the player's own position.
+ *
+ * @param {Array<Object>} slots
+ * @param {string} currentSlot - picks.position this week
+ * @param {string} playerPosition - players.position
+ * @returns {string} Slot for next week
+ */
+function carrySlot(slots, currentSlot, playerPosition) {
+  const slot = slots.find(s => s.slot === currentSlot);
+  if (slot && slot.eligible_positions.includes(playerPosition)) return currentSlot;
+  return playerPosition || currentSlot;
+}
+
+/**
+ * Checks pick counts per slot against the slot limits. Slots without a
+ * limit (e.g. a deactivated FLEX with picks already in it) are not checked.
+ *
+ * @param {Array<Object>} slots
+ * @param {Object} counts - slot → number of picks
+ * @returns {Array<string>} Errors, empty when valid
+ */
+function validateSlotCounts(slots, counts) {
+  const limits = getSlotLimits(slots);
+  const errors = [];
+  for (const [slot, count] of Object.entries(counts)) {
+    if (count > limits[slot]) {
+      errors.push(`${slot}: ${count} exceeds limit of ${limits[slot]}`);
+    }
+    if (count < 0) {
+      errors.push(`${slot}: cannot have negative count`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * SQL expression ordering picks by slot (QB, RB, WR, TE, FLEX, SUPERFLEX,
+ * K, DEF, then anything else).
+ *
+ * @param {string} column - Slot column, e.g. 'pk.position'
+ * @returns {string}
+ */
+function slotOrderSql(column) {
+  const cases = SLOT_ORDER.map((slot, index) => `WHEN '${slot}' THEN ${index + 1}`).join(' ');
+  return `CASE ${column} ${cases} ELSE ${SLOT_ORDER.length + 1} END`;
+}
+
+module.exports = {
+  FIXED_POSITIONS,
+  LineupSlotError,
+  buildSlots,
+  loadSlots,
+  getSlotLimits,
+  resolveSlot,
+  carrySlot,
+  validateSlotCounts,
+  slotOrderSql
+};
@@ -0,0 +1,140 @@
+/**
+ * Mail Service
+ *
+ * Sends transactional email (password reset, email verification) through a
+ * pluggable transport. A transport is any object with an async
+ * send({ to, subject, text }) method.
+ *
+ * Built-in transports, selected with MAIL_TRANSPORT:
+ * - console (default): logs the recipient and subject, for local development.
+ *   The body holds reset and verification codes, so it is never logged.
+ * - file: writes each message as JSON to MAIL_FILE_DIR, for local testing
+ *
+ * Production deployments register a real provider with setMailTransport().
+ * With NODE_ENV=production the built-in transports are never used: until a
+ * provider is registered, sending fails with MailError (503).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let activeTransport = null;
+
+class MailError extends Error {
+  constructor(message, status = 503) {
+    super(message);
+    this.name = 'MailError';
+    this.status = status;
+  }
+}
+
+/**
+ * Transport that logs the recipient and subject of each message.
+ *
+ * @returns {Object} Mail transport
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log('[Mail] Message (console transport, body not logged)', {
+        timestamp: new Date().toISOString(),
+        to: message.to,
+        subject: message.subject
+      });
+    }
+  };
+}
+
+/**
+ * Transport that writes each message to a JSON file.
+ *
+ * @param {string} dir - Directory to write messages into (created if missing)
+ * @returns {Object} Mail transport
+ */
+function createFileTransport(dir) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const fileName = `${Date.now()}-${Math.random().toString(36).substring(2, 8)}.json`;
+      const filePath = path.join(dir, fileName);
+      await fs.promises.writeFile(
+        filePath,
+        JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2)
+      );
+      console.log(`[Mail] Wrote message to ${filePath}`);
+    }
+  };
+}
+
+/**
+ * Builds the transport named by MAIL_TRANSPORT.
+ *
+ * @returns {Object} Mail transport
+ */
+function createTransportFromEnv() {
+  const transport = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+
+  if (transport === 'file') {
+    return createFileTransport(process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail'));
+  }
+
+  if (transport !== 'console') {
+    console.warn(`[Mail] Unknown MAIL_TRANSPORT "${transport}", falling back to console`);
+  }
+
+  return createConsoleTransport();
+}
+
+/**
+ * Replaces the active transport (e.g. with a real email provider).
+ *
+ * @param {Object|null} transport - Transport with send(), or null to reset to MAIL_TRANSPORT
+ */
+function setMailTransport(transport) {
+  if (transport && typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  activeTransport = transport;
+}
+
+/**
+ * The transport messages are sent through: the registered one, or outside
+ * production the one named by MAIL_TRANSPORT. Callers that issue a token
+ * check this first, so no token is created for a message that cannot go out.
+ *
+ * @returns {Object} Mail transport
+ * @throws {MailError} In production with no transport registered
+ */
+function getMailTransport() {
+  if (activeTransport) {
+    return activeTransport;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    console.error('[Mail] No mail transport registered; refusing to send. Register one with setMailTransport().');
+    throw new MailError('Email is not available right now. Please try again later.');
+  }
+  activeTransport = createTransportFromEnv();
+  return activeTransport;
+}
+
+/**
+ * Sends a message through the active transport.
+ *
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<void>}
+ * @throws {MailError} In production with no transport registered
+ */
+async function sendMail(message) {
+  await getMailTransport().send(message);
+}
+
+module.exports = {
+  MailError,
+  sendMail,
+  getMailTransport,
+  setMailTransport,
+  createConsoleTransport,
+  createFileTransport
+};
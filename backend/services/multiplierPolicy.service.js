@@ -0,0 +1,202 @@
+/**
+ * Multiplier Policy Service
+ *
+ * Decides the multiplier a pick earns for keeping the same player in
+ * consecutive playoff weeks, and records every assignment in
+ * pick_multipliers.
+ *
+ * Policy (game_settings.multiplier_policy):
+ *   base, increment     - week n pays base + increment * (n - 1)
+ *   steps               - explicit curve, e.g. [1, 1.5, 2, 2.5]; the last
+ *                         step repeats. Replaces base/increment when set.
+ *   cap                 - highest multiplier, or null for no cap
+ *   reset_on_swap_back  - a player swapped out and back in during a week
+ *                         starts over at week 1
+ *
+ * Multipliers are stored as NUMERIC(3,1), so values are rounded to one
+ * decimal and must stay below 100.
+ *
+ * Data sources:
+ * - game_settings: multiplier_policy
+ * - picks: previous week's multiplier and consecutive_weeks
+ * - player_swaps: swap-back detection
+ * - pick_multipliers: assignment audit trail
+ */
+
+const DEFAULT_POLICY = Object.freeze({
+  base: 1,
+  increment: 1,
+  cap: null,
+  steps: null,
+  reset_on_swap_back: false
+});
+
+const MAX_MULTIPLIER = 99.9;
+
+class MultiplierPolicyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MultiplierPolicyError';
+    this.status = status;
+  }
+}
+
+function parseMultiplier(value, field) {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number) || number <= 0 || number > MAX_MULTIPLIER) {
+    throw new MultiplierPolicyError(`${field} must be a number greater than 0 and at most ${MAX_MULTIPLIER}`);
+  }
+  return Math.round(number * 10) / 10;
+}
+
+/**
+ * Validates a policy and fills in defaults for missing fields.
+ *
+ * @param {Object} input - Partial policy
+ * @returns {Object} Complete policy
+ * @throws {MultiplierPolicyError} Invalid field
+ */
+function parsePolicy(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new MultiplierPolicyError('multiplier_policy must be an object');
+  }
+  const merged = { ...DEFAULT_POLICY, ...input };
+
+  const increment = Number(merged.increment);
+  if (!Number.isFinite(increment) || increment < 0 || increment > MAX_MULTIPLIER) {
+    throw new MultiplierPolicyError('increment must be a number of at least 0');
+  }
+
+  let steps = null;
+  if (merged.steps != null) {
+    if (!Array.isArray(merged.steps) || merged.steps.length === 0) {
+      throw new MultiplierPolicyError('steps must be a non-empty list of multipliers');
+    }
+    steps = merged.steps.map((step, index) => parseMultiplier(step, `steps[${index}]`));
+  }
+
+  return {
+    base: parseMultiplier(merged.base, 'base'),
+    increment: Math.round(increment * 10) / 10,
+    cap: merged.cap == null ? null : parseMultiplier(merged.cap, 'cap'),
+    steps,
+    reset_on_swap_back: merged.reset_on_swap_back === true
+  };
+}
+
+/**
+ * Loads the current policy. A stored policy that no longer validates falls
+ * back to the default so transitions keep working.
+ *
+ * @param {Object} pool - pg pool or client
+ * @returns {Promise<Object>} Policy
+ */
+async function getPolicy(pool) {
+  const result = await pool.query('SELECT multiplier_policy FROM game_settings LIMIT 1');
+  try {
+    return parsePolicy(result.rows[0]?.multiplier_policy || {});
+  } catch (err) {
+    console.error('[Multiplier Policy] Stored policy is invalid, using default:', err.message);
+    return { ...DEFAULT_POLICY };
+  }
+}
+
+/**
+ * The multiplier for the nth consecutive week with a player.
+ *
+ * @param {Object} policy
+ * @param {number} consecutiveWeeks - 1 for the first week
+ * @returns {number}
+ */
+function multiplierFor(policy, consecutiveWeeks) {
+  const week = Math.max(1, consecutiveWeeks || 1);
+  let multiplier = policy.steps
+    ? policy.steps[Math.min(week, policy.steps.length) - 1]
+    : policy.base + policy.increment * (week - 1);
+  if (policy.cap != null) multiplier = Math.min(multiplier, policy.cap);
+  return Math.min(Math.round(multiplier * 10) / 10, MAX_MULTIPLIER);
+}
+
+/**
+ * The next week's assignment for a pick that survives a week transition.
+ *
+ * @param {Object} policy
+ * @param {Object} previousPick - { multiplier, consecutive_weeks }
+ * @returns {Object} { multiplier, consecutive_weeks, previous_multiplier, reason }
+ */
+function advance(policy, previousPick) {
+  const consecutiveWeeks = (previousPick.consecutive_weeks || 1) + 1;
+  return {
+    multiplier: multiplierFor(policy, consecutiveWeeks),
+    consecutive_weeks: consecutiveWeeks,
+    previous_multiplier: previousPick.multiplier ?? null,
+    reason: 'transition'
+  };
+}
+
+/**
+ * The assignment for a player being added to a lineup. A player kept from
+ * the previous week continues their streak, unless the policy resets it
+ * because the player was swapped out and back in this week.
+ *
+ * @param {Object} pool - pg pool or client
+ * @param {Object} policy
+ * @param {Object} pick
+ * @param {string} pick.userId
+ * @param {string} pick.playerId
+ * @param {number} pick.weekNumber - NFL week being picked
+ * @param {boolean} pick.canCarry - false in the first playoff week
+ * @returns {Promise<Object>} { multiplier, consecutive_weeks, previous_multiplier, reason }
+ */
+async function resolveAssignment(pool, policy, { userId, playerId, weekNumber, canCarry }) {
+  const fresh = { multiplier: multiplierFor(policy, 1), consecutive_weeks: 1, previous_multiplier: null, reason: 'new' };
+  if (!canCarry) return fresh;
+
+  const previous = await pool.query(
+    'SELECT multiplier, consecutive_weeks FROM picks WHERE user_id = $1 AND player_id = $2 AND week_number = $3',
+    [userId, playerId, weekNumber - 1]
+  );
+  if (previous.rows.length === 0) return fresh;
+
+  if (policy.reset_on_swap_back) {
+    const swappedOut = await pool.query(
+      'SELECT 1 FROM player_swaps WHERE user_id = $1 AND old_player_id = $2 AND week_number = $3 LIMIT 1',
+      [userId, playerId, weekNumber]
+    );
+    if (swappedOut.rows.length > 0) {
+      return { ...fresh, previous_multiplier: previous.rows[0].multiplier, reason: 'swap_back_reset' };
+    }
+  }
+
+  return { ...advance(policy, previous.rows[0]), reason: 'carry' };
+}
+
+/**
+ * Appends an assignment to the pick_multipliers audit trail. Rows are never
+ * updated: a pick re-submitted or re-transitioned in the same week adds a
+ * new entry, ordered by created_at.
+ *
+ * @param {Object} pool - pg pool or client
+ * @param {Object} pick - picks row (id, week_number)
+ * @param {Object} assignment - From advance() or resolveAssignment()
+ * @param {Object} policy - Policy that produced it
+ */
+async function recordAssignment(pool, pick, assignment, policy) {
+  await pool.query(
+    `INSERT INTO pick_multipliers (pick_id, week_number, consecutive_weeks, multiplier, previous_multiplier, reason, policy)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [pick.id, pick.week_number, assignment.consecutive_weeks, assignment.multiplier,
+      assignment.previous_multiplier, assignment.reason, JSON.stringify(policy)]
+  );
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  MultiplierPolicyError,
+  parsePolicy,
+  getPolicy,
+  multiplierFor,
+  advance,
+  resolveAssignment,
+  recordAssignment
+};
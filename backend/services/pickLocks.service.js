@@ -0,0 +1,102 @@
+/**
+ * Pick Locks Service
+ *
+ * Per-game rolling pick locks. Each lineup slot locks at the kickoff of its
+ * player's team's game instead of when the whole week locks.
+ *
+ * IMPORTANT: No database or network access. Callers supply scoreboard events
+ * (fetched by server.js) and the team abbreviation normaliser.
+ */
+
+/**
+ * Builds a team → game map from ESPN scoreboard events.
+ * Pro Bowl (AFC vs NFC) events are ignored.
+ *
+ * @param {Array} events - ESPN scoreboard events
+ * @param {Function} [normalizeTeam] - Maps ESPN abbreviations to ours
+ * @returns {Map<string, Object>} team → { game_id, kickoff, state }
+ */
+function buildTeamKickoffs(events, normalizeTeam = abbr => abbr) {
+  const kickoffs = new Map();
+
+  for (const event of events || []) {
+    const competitors = event.competitions?.[0]?.competitors || [];
+    const teams = competitors.map(c => c.team?.abbreviation).filter(Boolean);
+    if (teams.some(abbr => abbr === 'AFC' || abbr === 'NFC')) continue;
+
+    const kickoff = event.date ? new Date(event.date) : null;
+    const game = {
+      game_id: event.id,
+      kickoff: kickoff && !isNaN(kickoff.getTime()) ? kickoff : null,
+      state: event.status?.type?.state || null
+    };
+
+    for (const abbr of teams) {
+      kickoffs.set(normalizeTeam(abbr), game);
+    }
+  }
+
+  return kickoffs;
+}
+
+/**
+ * A game has started once ESPN stops reporting it as 'pre' or its kickoff passes.
+ *
+ * @param {Object|undefined} game - Entry from buildTeamKickoffs
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+function hasGameStarted(game, now = new Date()) {
+  if (!game) return false;
+  if (game.state && game.state !== 'pre') return true;
+  return !!game.kickoff && game.kickoff <= now;
+}
+
+/**
+ * Lock details for one lineup slot.
+ *
+ * A team with no game on the scoreboard never locks on its own; the
+ * week-level lock (is_week_active) still applies to it via weekLockedAt.
+ *
+ * @param {string} team - Normalised team abbreviation of the picked player
+ * @param {Map} kickoffs - From buildTeamKickoffs
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @param {Date|null} [options.weekLockedAt] - When the whole week locked, if it has
+ * @returns {Object} { locks_at, locked_at, is_locked }
+ */
+function getPickLock(team, kickoffs, { now = new Date(), weekLockedAt = null } = {}) {
+  const game = kickoffs.get(team);
+  const locksAt = game && game.kickoff ? game.kickoff.toISOString() : null;
+
+  if (hasGameStarted(game, now)) {
+    return { locks_at: locksAt, locked_at: locksAt || now.toISOString(), is_locked: true };
+  }
+  if (weekLockedAt) {
+    return { locks_at: locksAt, locked_at: new Date(weekLockedAt).toISOString(), is_locked: true };
+  }
+  return { locks_at: locksAt, locked_at: null, is_locked: false };
+}
+
+/**
+ * Latest kickoff across the week: the time every slot is locked.
+ *
+ * @param {Map} kickoffs - From buildTeamKickoffs
+ * @returns {Date|null}
+ */
+function getLastKickoff(kickoffs) {
+  let last = null;
+  for (const game of kickoffs.values()) {
+    if (game.kickoff && (!last || game.kickoff > last)) {
+      last = game.kickoff;
+    }
+  }
+  return last;
+}
+
+module.exports = {
+  buildTeamKickoffs,
+  hasGameStarted,
+  getPickLock,
+  getLastKickoff
+};
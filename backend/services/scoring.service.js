@@ -0,0 +1,1018 @@
+/**
+ * Scoring Service
+ *
+ * Data-driven fantasy scoring.
+ * Data sources: scoring_rules, scoring_rule_tiers, scoring_bonuses,
+ * scoring_rule_versions tables
+ *
+ * The engine applies the rules version in effect, which is the snapshot of
+ * the active table rows recorded when they last changed, and
+ * /api/scoring-rules publishes that same version, so the in-app rules
+ * always match real scoring:
+ * - scoring_rules: points per unit of stats[stat_name]
+ * - scoring_rule_tiers: fixed points when stats[stat_name] falls in
+ *   [min_value, max_value] (no upper bound when max_value is null)
+ * - scoring_rules with min_distance set: points per made field goal in
+ *   stats.fg_kicks whose distance falls in the band; those kicks no longer
+ *   score the flat fg_made rule
+ * - scoring_bonuses: fixed points when stats[stat_name] >= threshold. List
+ *   stats (rush_td_yds, ...) are checked per play. Every stackable bonus met
+ *   pays; of the exclusive bonuses on a stat only the highest met pays.
+ */
+
+const crypto = require('crypto');
+const { validate: isUuid } = require('uuid');
+
+class ScoringRulesError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ScoringRulesError';
+    this.status = status;
+  }
+}
+
+/**
+ * Builds a rule set from active rule rows, live or from a stored version
+ * snapshot (scoring_rule_versions.rules/tiers). Pure.
+ *
+ * @param {Array} ruleRows - scoring_rules rows: id, category, stat_name, points, description,
+ *   min_distance, max_distance
+ * @param {Array} tierRows - scoring_rule_tiers rows: id, category, stat_name, min_value,
+ *   max_value, points, description
+ * @param {Array} [bonusRows] - scoring_bonuses rows: id, category, stat_name, threshold,
+ *   points, stack_mode, description
+ * @returns {Object} {
+ *   rules: { stat_name: points },
+ *   ruleInfo: { stat_name: { id, category, description } },
+ *   bands: [{ id, category, stat_name, min_distance, max_distance, points, description }],
+ *   tiers: [{ id, category, stat_name, min_value, max_value, points, description }],
+ *   bonuses: [{ id, category, stat_name, threshold, points, stack_mode, description }],
+ *   version: fingerprint of the rows above
+ * }
+ */
+function buildRuleSet(ruleRows, tierRows, bonusRows = []) {
+  const toNumber = value => (value === null || value === undefined ? null : Number(value));
+  const normalisedRules = [...ruleRows]
+    .sort((a, b) => a.id - b.id)
+    .map(row => ({
+      id: row.id,
+      category: row.category,
+      stat_name: row.stat_name,
+      points: Number(row.points),
+      description: row.description ?? null,
+      min_distance: toNumber(row.min_distance),
+      max_distance: toNumber(row.max_distance)
+    }));
+  const tiers = [...tierRows]
+    .sort((a, b) => a.id - b.id)
+    .map(row => ({
+      id: row.id,
+      category: row.category,
+      stat_name: row.stat_name,
+      min_value: Number(row.min_value),
+      max_value: toNumber(row.max_value),
+      points: Number(row.points),
+      description: row.description ?? null
+    }));
+  const bonuses = [...bonusRows]
+    .sort((a, b) => a.id - b.id)
+    .map(row => ({
+      id: row.id,
+      category: row.category,
+      stat_name: row.stat_name,
+      threshold: Number(row.threshold),
+      points: Number(row.points),
+      stack_mode: row.stack_mode,
+      description: row.description ?? null
+    }));
+
+  const rules = {};
+  const ruleInfo = {};
+  const bands = [];
+  for (const row of normalisedRules) {
+    if (row.min_distance === null) {
+      rules[row.stat_name] = row.points;
+      ruleInfo[row.stat_name] = { id: row.id, category: row.category, description: row.description };
+    } else {
+      bands.push(row);
+    }
+  }
+
+  const version = crypto
+    .createHash('sha256')
+    .update(JSON.stringify([normalisedRules, tiers, bonuses]))
+    .digest('hex')
+    .slice(0, 12);
+
+  return { rules, ruleInfo, bands, tiers, bonuses, version };
+}
+
+/**
+ * Builds the rule set stored by a scoring_rule_versions row.
+ *
+ * @param {Object} row - scoring_rule_versions row (id, rules, tiers, bonuses)
+ * @returns {Object} See buildRuleSet, plus version_id
+ */
+function versionRuleSet(row) {
+  return { ...buildRuleSet(row.rules, row.tiers, row.bonuses), version_id: row.id };
+}
+
+/**
+ * Loads one rules version.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool or client
+ * @param {number} versionId - scoring_rule_versions.id
+ * @returns {Promise<Object|null>} See versionRuleSet; null when there is no such version
+ */
+async function loadVersionRules(pool, versionId) {
+  const result = await pool.query(
+    'SELECT id, rules, tiers, bonuses FROM scoring_rule_versions WHERE id = $1',
+    [versionId]
+  );
+  return result.rows.length > 0 ? versionRuleSet(result.rows[0]) : null;
+}
+
+/**
+ * Loads the rules in effect: the latest version whose effective_from has
+ * passed, and when the next dated version takes over. Before any version is
+ * in effect, the active table rows are used.
+ *
+ * @returns {Promise<Object>} { ruleSet, nextEffectiveAt } (epoch ms or null)
+ */
+async function loadInEffectRules(pool) {
+  const result = await pool.query(
+    `SELECT v.id, v.rules, v.tiers, v.bonuses,
+            (SELECT MIN(effective_from) FROM scoring_rule_versions WHERE effective_from > NOW())
+              AS next_effective_from
+     FROM scoring_rule_versions v
+     WHERE v.effective_from <= NOW()
+     ORDER BY v.effective_from DESC, v.id DESC
+     LIMIT 1`
+  );
+  if (result.rows.length === 0) {
+    return { ruleSet: { ...(await loadActiveRules(pool)), version_id: null }, nextEffectiveAt: null };
+  }
+
+  const row = result.rows[0];
+  return {
+    ruleSet: versionRuleSet(row),
+    nextEffectiveAt: row.next_effective_from ? new Date(row.next_effective_from).getTime() : null
+  };
+}
+
+/**
+ * Loads the rule set in effect (see loadInEffectRules). Rule edits take
+ * effect through the version the database records for them, so a version
+ * dated in the future is not applied until its effective_from.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @returns {Promise<Object>} See buildRuleSet, plus version_id
+ */
+async function loadScoringRules(pool) {
+  return (await loadInEffectRules(pool)).ruleSet;
+}
+
+// Active table rows, as a rule set
+async function loadActiveRules(pool) {
+  const rulesResult = await pool.query(
+    `SELECT id, category, stat_name, points::float8 AS points, description, min_distance, max_distance
+     FROM scoring_rules
+     WHERE is_active = true`
+  );
+  const tiersResult = await pool.query(
+    `SELECT id, category, stat_name, min_value::float8 AS min_value, max_value::float8 AS max_value,
+            points::float8 AS points, description
+     FROM scoring_rule_tiers
+     WHERE is_active = true`
+  );
+  const bonusesResult = await pool.query(
+    `SELECT id, category, stat_name, threshold::float8 AS threshold, points::float8 AS points,
+            stack_mode, description
+     FROM scoring_bonuses
+     WHERE is_active = true`
+  );
+
+  return buildRuleSet(rulesResult.rows, tiersResult.rows, bonusesResult.rows);
+}
+
+// In-process cache of the rule set in effect, so live polling scores every
+// pick without a database read. Admin rule and version edits invalidate it;
+// the TTL bounds how long an edit made directly in SQL goes unnoticed, and a
+// version dated in the future expires the cache when it takes effect.
+const RULES_CACHE_TTL_MS = 5 * 60 * 1000;
+let rulesCache = null;
+let rulesLoad = null;
+let rulesGeneration = 0;
+
+/**
+ * The active rule set, from the cache when fresh. Concurrent callers share
+ * one load.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current time in ms (for tests)
+ * @returns {Promise<Object>} See buildRuleSet
+ */
+async function getScoringRules(pool, { now = Date.now() } = {}) {
+  if (rulesCache && now - rulesCache.loadedAt < RULES_CACHE_TTL_MS &&
+      (rulesCache.nextEffectiveAt === null || now < rulesCache.nextEffectiveAt)) {
+    return rulesCache.ruleSet;
+  }
+  if (!rulesLoad) {
+    const generation = rulesGeneration;
+    const load = loadInEffectRules(pool)
+      .then(({ ruleSet, nextEffectiveAt }) => {
+        // A load that started before an invalidation may hold old rules
+        if (generation === rulesGeneration) rulesCache = { ruleSet, nextEffectiveAt, loadedAt: now };
+        return ruleSet;
+      })
+      .finally(() => {
+        if (rulesLoad === load) rulesLoad = null;
+      });
+    rulesLoad = load;
+  }
+  return rulesLoad;
+}
+
+/**
+ * Drops the cached rule set; the next getScoringRules call reloads it.
+ */
+function invalidateScoringRules() {
+  rulesCache = null;
+  rulesLoad = null;
+  rulesGeneration++;
+}
+
+function findBand(bands, distance) {
+  return bands.find(band =>
+    distance >= band.min_distance && (band.max_distance === null || distance <= band.max_distance)
+  );
+}
+
+function roundPoints(points) {
+  return parseFloat(points.toFixed(2));
+}
+
+/**
+ * Which bonuses a stat line earns, with the values that earned each one.
+ * A list stat is one value per play.
+ *
+ * @returns {Map} bonus -> qualifying values, in rule set order
+ */
+function matchBonuses(stats, bonuses) {
+  const earned = new Map();
+  const byStat = new Map();
+  for (const bonus of bonuses) {
+    if (!byStat.has(bonus.stat_name)) byStat.set(bonus.stat_name, []);
+    byStat.get(bonus.stat_name).push(bonus);
+  }
+
+  for (const [statName, statBonuses] of byStat) {
+    const raw = stats[statName];
+    if (raw === undefined || raw === null) continue;
+    const values = Array.isArray(raw) ? raw.map(Number) : [Number(raw)];
+
+    for (const value of values) {
+      const met = statBonuses.filter(bonus => value >= bonus.threshold);
+      const exclusive = met
+        .filter(bonus => bonus.stack_mode === 'exclusive')
+        .reduce((best, bonus) => (!best || bonus.threshold > best.threshold ? bonus : best), null);
+
+      for (const bonus of met) {
+        if (bonus.stack_mode === 'exclusive' && bonus !== exclusive) continue;
+        if (!earned.has(bonus)) earned.set(bonus, []);
+        earned.get(bonus).push(value);
+      }
+    }
+  }
+
+  return new Map(bonuses.filter(bonus => earned.has(bonus)).map(bonus => [bonus, earned.get(bonus)]));
+}
+
+/**
+ * Explains a stat line against a rule set, one line item per rule that
+ * applied. Pure. scoreStats is the sum of these items, so a breakdown always
+ * matches the score.
+ *
+ * Line item types:
+ * - per_stat: value * points_per_unit
+ * - fg_distance: made field goals in a distance band (distances listed)
+ * - tier: fixed points because value fell in [min_value, max_value]
+ * - bonus: fixed points because value reached threshold; for list stats,
+ *   value is the number of qualifying plays (listed in plays)
+ *
+ * @param {Object} stats - Stat line (missing or null stats count as 0 / no tier;
+ *   fg_kicks is [{ distance, made }]; *_td_yds are touchdown lengths)
+ * @param {Object} ruleSet - From loadScoringRules
+ * @returns {Object} { line_items, total } with total rounded to 2 decimals
+ */
+function explainStats(stats, { rules, ruleInfo = {}, bands = [], tiers, bonuses = [] }) {
+  const lineItems = [];
+  let total = 0;
+  let bandedFieldGoals = 0;
+
+  if (bands.length > 0 && Array.isArray(stats.fg_kicks)) {
+    const kicksByBand = new Map();
+    for (const kick of stats.fg_kicks) {
+      if (!kick || !kick.made) continue;
+      const distance = Number(kick.distance);
+      const band = findBand(bands, distance);
+      if (!band) continue;
+
+      if (!kicksByBand.has(band)) kicksByBand.set(band, []);
+      kicksByBand.get(band).push(distance);
+      bandedFieldGoals++;
+    }
+
+    for (const [band, distances] of kicksByBand) {
+      const points = distances.length * band.points;
+      total += points;
+      lineItems.push({
+        type: 'fg_distance',
+        category: band.category,
+        stat_name: band.stat_name,
+        value: distances.length,
+        distances,
+        points_per_unit: band.points,
+        min_value: band.min_distance,
+        max_value: band.max_distance,
+        description: band.description,
+        points: roundPoints(points)
+      });
+    }
+  }
+
+  for (const [statName, perUnit] of Object.entries(rules)) {
+    let amount = Number(stats[statName]) || 0;
+    if (statName === 'fg_made') {
+      amount = Math.max(amount - bandedFieldGoals, 0);
+    }
+    if (amount === 0) continue;
+
+    const points = amount * perUnit;
+    total += points;
+    lineItems.push({
+      type: 'per_stat',
+      category: ruleInfo[statName]?.category ?? null,
+      stat_name: statName,
+      value: amount,
+      points_per_unit: perUnit,
+      description: ruleInfo[statName]?.description ?? null,
+      points: roundPoints(points)
+    });
+  }
+
+  for (const tier of tiers) {
+    const value = stats[tier.stat_name];
+    if (value === undefined || value === null) continue;
+
+    const amount = Number(value);
+    if (amount >= tier.min_value && (tier.max_value === null || amount <= tier.max_value)) {
+      total += tier.points;
+      lineItems.push({
+        type: 'tier',
+        category: tier.category ?? null,
+        stat_name: tier.stat_name,
+        value: amount,
+        min_value: tier.min_value,
+        max_value: tier.max_value,
+        description: tier.description ?? null,
+        points: tier.points
+      });
+    }
+  }
+
+  for (const [bonus, values] of matchBonuses(stats, bonuses)) {
+    const isList = Array.isArray(stats[bonus.stat_name]);
+    const points = values.length * bonus.points;
+    total += points;
+    lineItems.push({
+      type: 'bonus',
+      category: bonus.category ?? null,
+      stat_name: bonus.stat_name,
+      value: isList ? values.length : values[0],
+      ...(isList ? { plays: values } : {}),
+      threshold: bonus.threshold,
+      stack_mode: bonus.stack_mode,
+      points_per_unit: bonus.points,
+      description: bonus.description ?? null,
+      points: roundPoints(points)
+    });
+  }
+
+  return { line_items: lineItems, total: roundPoints(total) };
+}
+
+/**
+ * Scores a stat line against a rule set. Pure and synchronous, so callers
+ * scoring many picks load the rule set once and score in a loop.
+ *
+ * @param {Object} stats - Stat line (see explainStats)
+ * @param {Object} ruleSet - From loadScoringRules
+ * @returns {number} Points, rounded to 2 decimals
+ */
+function scoreStats(stats, ruleSet) {
+  return explainStats(stats, ruleSet).total;
+}
+
+/**
+ * The rules in effect (the rule set the engine scores with, see
+ * getScoringRules) in display order, in the /api/scoring-rules shape.
+ * Tier rows carry min_value/max_value and negative ids so they never
+ * collide with scoring_rules ids; field goal distance bands carry their
+ * band in min_value/max_value with rule_type 'fg_distance'. Bonuses carry
+ * their threshold in min_value, stack_mode, and ids below
+ * -BONUS_ID_OFFSET so they collide with neither. Versions do not record
+ * display order, so it is read from the current table rows.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @returns {Promise<Array>}
+ */
+async function getPublishedRules(pool) {
+  const { rules, ruleInfo, bands, tiers, bonuses } = await getScoringRules(pool);
+  const orderResult = await pool.query(`
+    SELECT 'rule' AS kind, id, display_order FROM scoring_rules
+    UNION ALL
+    SELECT 'tier', id, display_order FROM scoring_rule_tiers
+    UNION ALL
+    SELECT 'bonus', id, display_order FROM scoring_bonuses
+  `);
+  const displayOrder = new Map(orderResult.rows.map(row => [`${row.kind}:${row.id}`, row.display_order ?? 0]));
+  const orderOf = (kind, id) => displayOrder.get(`${kind}:${id}`) ?? 0;
+
+  const published = [
+    ...Object.entries(rules).map(([statName, points]) => ({
+      id: ruleInfo[statName].id,
+      category: ruleInfo[statName].category,
+      stat_name: statName,
+      points,
+      description: ruleInfo[statName].description,
+      display_order: orderOf('rule', ruleInfo[statName].id),
+      rule_type: 'per_stat',
+      min_value: null,
+      max_value: null,
+      stack_mode: null
+    })),
+    ...bands.map(band => ({
+      id: band.id,
+      category: band.category,
+      stat_name: band.stat_name,
+      points: band.points,
+      description: band.description,
+      display_order: orderOf('rule', band.id),
+      rule_type: 'fg_distance',
+      min_value: band.min_distance,
+      max_value: band.max_distance,
+      stack_mode: null
+    })),
+    ...tiers.map(tier => ({
+      id: -tier.id,
+      category: tier.category,
+      stat_name: tier.stat_name,
+      points: tier.points,
+      description: tier.description,
+      display_order: orderOf('tier', tier.id),
+      rule_type: 'tier',
+      min_value: tier.min_value,
+      max_value: tier.max_value,
+      stack_mode: null
+    })),
+    ...bonuses.map(bonus => ({
+      id: -(bonus.id + BONUS_ID_OFFSET),
+      category: bonus.category,
+      stat_name: bonus.stat_name,
+      points: bonus.points,
+      description: bonus.description,
+      display_order: orderOf('bonus', bonus.id),
+      rule_type: 'bonus',
+      min_value: bonus.threshold,
+      max_value: null,
+      stack_mode: bonus.stack_mode
+    }))
+  ];
+
+  // Same order as before: category, display order, stat, lowest bound first
+  return published.sort((a, b) =>
+    a.category.localeCompare(b.category) ||
+    a.display_order - b.display_order ||
+    a.stat_name.localeCompare(b.stat_name) ||
+    (a.min_value ?? -Infinity) - (b.min_value ?? -Infinity)
+  );
+}
+
+/**
+ * All rules, including inactive ones, for the admin editor.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @returns {Promise<Object>} { rules, tiers, bonuses }
+ */
+async function getAdminRules(pool) {
+  const rules = await pool.query(`
+    SELECT id, category, stat_name, points::float8 AS points, description, is_active,
+           min_distance, max_distance, display_order, updated_at
+    FROM scoring_rules
+    ORDER BY category, display_order, stat_name
+  `);
+  const tiers = await pool.query(`
+    SELECT id, category, stat_name, min_value::float8 AS min_value, max_value::float8 AS max_value,
+           points::float8 AS points, description, is_active, display_order, updated_at
+    FROM scoring_rule_tiers
+    ORDER BY category, stat_name, min_value
+  `);
+  const bonuses = await pool.query(`SELECT ${BONUS_COLUMNS} FROM scoring_bonuses ORDER BY stat_name, threshold, id`);
+  return { rules: rules.rows, tiers: tiers.rows, bonuses: bonuses.rows };
+}
+
+const RULE_COLUMNS = `id, category, stat_name, points::float8 AS points, description, is_active,
+  min_distance, max_distance, display_order`;
+
+const BONUS_COLUMNS = `id, category, stat_name, threshold::float8 AS threshold, points::float8 AS points,
+  stack_mode, description, is_active, display_order, updated_at`;
+
+// Published bonus ids are -(id + BONUS_ID_OFFSET)
+const BONUS_ID_OFFSET = 1000000;
+
+const STACK_MODES = ['stackable', 'exclusive'];
+
+function parsePoints(value) {
+  const points = Number(value);
+  if (value === null || value === '' || !Number.isFinite(points) || Math.abs(points) >= 1000) {
+    throw new ScoringRulesError('points must be a number');
+  }
+  return points;
+}
+
+function parseStatName(value) {
+  if (typeof value !== 'string' || !/^[a-z0-9_]{1,100}$/.test(value)) {
+    throw new ScoringRulesError('stat_name must be a lowercase stat key (e.g. pass_yd)');
+  }
+  return value;
+}
+
+function parseCategory(value) {
+  if (typeof value !== 'string' || !value.trim() || value.length > 50) {
+    throw new ScoringRulesError('category is required (max 50 characters)');
+  }
+  return value.trim();
+}
+
+/**
+ * Parses an optional field goal distance band. Returns null when neither
+ * bound is given.
+ */
+function parseBand(minDistance, maxDistance) {
+  const hasMin = minDistance !== undefined && minDistance !== null;
+  const hasMax = maxDistance !== undefined && maxDistance !== null;
+  if (!hasMin && !hasMax) return null;
+
+  const min = Number(minDistance);
+  const max = hasMax ? Number(maxDistance) : null;
+  if (!hasMin || !Number.isInteger(min) || min < 0) {
+    throw new ScoringRulesError('min_distance must be a whole number of yards');
+  }
+  if (max !== null && (!Number.isInteger(max) || max < min)) {
+    throw new ScoringRulesError('max_distance must be a whole number no lower than min_distance, or null');
+  }
+  return { min_distance: min, max_distance: max };
+}
+
+/**
+ * Rejects a band that overlaps another active band (a kick may match at most one).
+ */
+async function assertBandAvailable(pool, band, excludeId = null) {
+  const result = await pool.query(
+    `SELECT stat_name FROM scoring_rules
+     WHERE is_active = true
+       AND min_distance IS NOT NULL
+       AND ($3::int IS NULL OR id <> $3)
+       AND min_distance <= COALESCE($2::int, 2147483647)
+       AND COALESCE(max_distance, 2147483647) >= $1::int`,
+    [band.min_distance, band.max_distance, excludeId]
+  );
+  if (result.rows.length > 0) {
+    throw new ScoringRulesError(`Distance band overlaps ${result.rows[0].stat_name}`, 409);
+  }
+}
+
+/**
+ * Runs a rule write in a transaction tagged with the acting admin, so the
+ * scoring_rule_versions row recorded at commit is attributed to them.
+ */
+async function runRuleEdit(pool, actorUserId, work) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (actorUserId) {
+      await client.query("SELECT set_config('scoring.actor_user_id', $1, true)", [actorUserId]);
+    }
+    const result = await work(client);
+    await client.query('COMMIT');
+    invalidateScoringRules();
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Creates a per-stat rule. Only one active rule per stat is allowed.
+ * With min_distance (and optionally max_distance) the rule is a field goal
+ * distance band; active bands may not overlap.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {Object} fields - category, stat_name, points, description?, display_order?,
+ *   min_distance?, max_distance?
+ * @param {Object} [options]
+ * @param {string} [options.actorUserId] - Admin recorded on the new rules version
+ * @returns {Promise<Object>} Created row
+ */
+async function createRule(pool, fields, { actorUserId = null } = {}) {
+  const statName = parseStatName(fields.stat_name);
+  const category = parseCategory(fields.category);
+  const points = parsePoints(fields.points);
+  const band = parseBand(fields.min_distance, fields.max_distance);
+
+  const existing = await pool.query(
+    'SELECT id FROM scoring_rules WHERE stat_name = $1 AND is_active = true',
+    [statName]
+  );
+  if (existing.rows.length > 0) {
+    throw new ScoringRulesError(`An active rule for ${statName} already exists`, 409);
+  }
+  if (band) {
+    await assertBandAvailable(pool, band);
+  }
+
+  const result = await runRuleEdit(pool, actorUserId, client => client.query(
+    `INSERT INTO scoring_rules (category, stat_name, points, description, display_order, min_distance, max_distance)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING ${RULE_COLUMNS}`,
+    [
+      category, statName, points, fields.description || null, Number(fields.display_order) || 0,
+      band ? band.min_distance : null, band ? band.max_distance : null
+    ]
+  ));
+  return result.rows[0];
+}
+
+/**
+ * Updates points, description, display order, active flag or distance band
+ * of a per-stat rule.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {number} ruleId - scoring_rules.id
+ * @param {Object} fields - points?, description?, display_order?, is_active?,
+ *   min_distance?, max_distance? (send both; null for both removes the band)
+ * @param {Object} [options]
+ * @param {string} [options.actorUserId] - Admin recorded on the new rules version
+ * @returns {Promise<Object>} Updated row
+ */
+async function updateRule(pool, ruleId, fields, { actorUserId = null } = {}) {
+  const updates = {};
+  if (fields.points !== undefined) updates.points = parsePoints(fields.points);
+  if (fields.description !== undefined) updates.description = fields.description || null;
+  if (fields.display_order !== undefined) updates.display_order = Number(fields.display_order) || 0;
+  if (fields.is_active !== undefined) {
+    if (typeof fields.is_active !== 'boolean') {
+      throw new ScoringRulesError('is_active must be true or false');
+    }
+    updates.is_active = fields.is_active;
+  }
+  const bandChanged = fields.min_distance !== undefined || fields.max_distance !== undefined;
+  if (bandChanged) {
+    const band = parseBand(fields.min_distance, fields.max_distance);
+    updates.min_distance = band ? band.min_distance : null;
+    updates.max_distance = band ? band.max_distance : null;
+  }
+
+  const columns = Object.keys(updates);
+  if (columns.length === 0) {
+    throw new ScoringRulesError('No fields to update');
+  }
+  if (!Number.isInteger(Number(ruleId))) {
+    throw new ScoringRulesError('Scoring rule not found', 404);
+  }
+
+  const current = await pool.query(
+    'SELECT stat_name, is_active, min_distance, max_distance FROM scoring_rules WHERE id = $1',
+    [ruleId]
+  );
+  if (current.rows.length === 0) {
+    throw new ScoringRulesError('Scoring rule not found', 404);
+  }
+
+  const next = { ...current.rows[0], ...updates };
+  if (next.is_active && next.min_distance !== null && (bandChanged || updates.is_active === true)) {
+    await assertBandAvailable(pool, next, Number(ruleId));
+  }
+  if (updates.is_active === true) {
+    const duplicate = await pool.query(
+      'SELECT id FROM scoring_rules WHERE stat_name = $1 AND is_active = true AND id <> $2',
+      [current.rows[0].stat_name, ruleId]
+    );
+    if (duplicate.rows.length > 0) {
+      throw new ScoringRulesError(`An active rule for ${current.rows[0].stat_name} already exists`, 409);
+    }
+  }
+
+  const result = await runRuleEdit(pool, actorUserId, client => client.query(
+    `UPDATE scoring_rules
+     SET ${columns.map((col, i) => `${col} = $${i + 2}`).join(', ')}
+     WHERE id = $1
+     RETURNING ${RULE_COLUMNS}`,
+    [ruleId, ...columns.map(col => updates[col])]
+  ));
+  return result.rows[0];
+}
+
+/**
+ * Checks a tier set: numeric bounds, max >= min, and no overlapping ranges
+ * (a stat value may match at most one tier).
+ *
+ * @param {Array} tiers - [{ min_value, max_value, points, description? }]
+ * @returns {Array} Normalised tiers sorted by min_value
+ */
+function validateTiers(tiers) {
+  if (!Array.isArray(tiers)) {
+    throw new ScoringRulesError('tiers must be an array of { min_value, max_value, points }');
+  }
+
+  const parsed = tiers.map(tier => {
+    const min = Number(tier.min_value);
+    const max = tier.max_value === null || tier.max_value === undefined ? null : Number(tier.max_value);
+    if (tier.min_value === null || tier.min_value === undefined || !Number.isFinite(min)) {
+      throw new ScoringRulesError('Each tier needs a numeric min_value');
+    }
+    if (max !== null && (!Number.isFinite(max) || max < min)) {
+      throw new ScoringRulesError('max_value must be a number no lower than min_value, or null');
+    }
+    return { min_value: min, max_value: max, points: parsePoints(tier.points), description: tier.description || null };
+  });
+
+  parsed.sort((a, b) => a.min_value - b.min_value);
+  for (let i = 1; i < parsed.length; i++) {
+    const previous = parsed[i - 1];
+    if (previous.max_value === null || previous.max_value >= parsed[i].min_value) {
+      throw new ScoringRulesError(`Tiers overlap at ${parsed[i].min_value}`);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Replaces every tier for a stat (an empty array removes them).
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} statName - Stat the tiers apply to (e.g. def_pts_allowed)
+ * @param {Object} body - { category, tiers }
+ * @param {Object} [options]
+ * @param {string} [options.actorUserId] - Admin recorded on the new rules version
+ * @returns {Promise<Array>} Saved tiers
+ */
+async function replaceTiers(pool, statName, { category, tiers }, { actorUserId = null } = {}) {
+  const stat = parseStatName(statName);
+  const parsed = validateTiers(tiers);
+  const tierCategory = parsed.length > 0 ? parseCategory(category) : null;
+
+  return runRuleEdit(pool, actorUserId, async client => {
+    await client.query('DELETE FROM scoring_rule_tiers WHERE stat_name = $1', [stat]);
+
+    const saved = [];
+    for (let i = 0; i < parsed.length; i++) {
+      const tier = parsed[i];
+      const result = await client.query(
+        `INSERT INTO scoring_rule_tiers (category, stat_name, min_value, max_value, points, description, display_order)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id, category, stat_name, min_value::float8 AS min_value, max_value::float8 AS max_value,
+                   points::float8 AS points, description, is_active, display_order`,
+        [tierCategory, stat, tier.min_value, tier.max_value, tier.points, tier.description, i + 1]
+      );
+      saved.push(result.rows[0]);
+    }
+    return saved;
+  });
+}
+
+function parseThreshold(value) {
+  const threshold = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(threshold) || threshold < 0) {
+    throw new ScoringRulesError('threshold must be a number of at least 0');
+  }
+  return threshold;
+}
+
+function parseStackMode(value) {
+  if (!STACK_MODES.includes(value)) {
+    throw new ScoringRulesError(`stack_mode must be one of: ${STACK_MODES.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Rejects a second active bonus with the same stat, threshold and stack mode.
+ */
+async function assertBonusAvailable(pool, bonus, excludeId = null) {
+  const result = await pool.query(
+    `SELECT id FROM scoring_bonuses
+     WHERE is_active = true AND stat_name = $1 AND threshold = $2 AND stack_mode = $3
+       AND ($4::int IS NULL OR id <> $4)`,
+    [bonus.stat_name, bonus.threshold, bonus.stack_mode, excludeId]
+  );
+  if (result.rows.length > 0) {
+    throw new ScoringRulesError(
+      `An active ${bonus.stack_mode} bonus for ${bonus.stat_name} at ${bonus.threshold} already exists`,
+      409
+    );
+  }
+}
+
+/**
+ * Creates a bonus: points when stats[stat_name] reaches threshold (per play
+ * for list stats such as rush_td_yds).
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {Object} fields - stat_name, threshold, points, stack_mode? ('stackable' default),
+ *   category? ('bonus' default), description?, display_order?
+ * @param {Object} [options]
+ * @param {string} [options.actorUserId] - Admin recorded on the new rules version
+ * @returns {Promise<Object>} Created row
+ */
+async function createBonus(pool, fields, { actorUserId = null } = {}) {
+  const bonus = {
+    stat_name: parseStatName(fields.stat_name),
+    threshold: parseThreshold(fields.threshold),
+    stack_mode: parseStackMode(fields.stack_mode ?? 'stackable')
+  };
+  const category = fields.category === undefined ? 'bonus' : parseCategory(fields.category);
+  const points = parsePoints(fields.points);
+  await assertBonusAvailable(pool, bonus);
+
+  const result = await runRuleEdit(pool, actorUserId, client => client.query(
+    `INSERT INTO scoring_bonuses (category, stat_name, threshold, points, stack_mode, description, display_order)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING ${BONUS_COLUMNS}`,
+    [
+      category, bonus.stat_name, bonus.threshold, points, bonus.stack_mode,
+      fields.description || null, Number(fields.display_order) || 0
+    ]
+  ));
+  return result.rows[0];
+}
+
+/**
+ * Updates a bonus. Deactivate with is_active: false; bonuses are not deleted
+ * so rules versions can still describe them.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {number} bonusId - scoring_bonuses.id
+ * @param {Object} fields - threshold?, points?, stack_mode?, description?, display_order?, is_active?
+ * @param {Object} [options]
+ * @param {string} [options.actorUserId] - Admin recorded on the new rules version
+ * @returns {Promise<Object>} Updated row
+ */
+async function updateBonus(pool, bonusId, fields, { actorUserId = null } = {}) {
+  const updates = {};
+  if (fields.threshold !== undefined) updates.threshold = parseThreshold(fields.threshold);
+  if (fields.points !== undefined) updates.points = parsePoints(fields.points);
+  if (fields.stack_mode !== undefined) updates.stack_mode = parseStackMode(fields.stack_mode);
+  if (fields.description !== undefined) updates.description = fields.description || null;
+  if (fields.display_order !== undefined) updates.display_order = Number(fields.display_order) || 0;
+  if (fields.is_active !== undefined) {
+    if (typeof fields.is_active !== 'boolean') {
+      throw new ScoringRulesError('is_active must be true or false');
+    }
+    updates.is_active = fields.is_active;
+  }
+
+  const columns = Object.keys(updates);
+  if (columns.length === 0) {
+    throw new ScoringRulesError('No fields to update');
+  }
+  if (!Number.isInteger(Number(bonusId))) {
+    throw new ScoringRulesError('Bonus not found', 404);
+  }
+
+  const current = await pool.query(
+    'SELECT stat_name, threshold::float8 AS threshold, stack_mode, is_active FROM scoring_bonuses WHERE id = $1',
+    [bonusId]
+  );
+  if (current.rows.length === 0) {
+    throw new ScoringRulesError('Bonus not found', 404);
+  }
+
+  const next = { ...current.rows[0], ...updates };
+  if (next.is_active) {
+    await assertBonusAvailable(pool, next, Number(bonusId));
+  }
+
+  const result = await runRuleEdit(pool, actorUserId, client => client.query(
+    `UPDATE scoring_bonuses
+     SET ${columns.map((col, i) => `${col} = $${i + 2}`).join(', ')}
+     WHERE id = $1
+     RETURNING ${BONUS_COLUMNS}`,
+    [bonusId, ...columns.map(col => updates[col])]
+  ));
+  return result.rows[0];
+}
+
+/**
+ * Line-by-line scoring for one pick: every rule that applied to the stored
+ * stat line under the rules version that wrote the score (the version in
+ * effect when the score has none recorded, or no score exists yet), the
+ * multiplier step, and the stored score row for comparison (matches_stored
+ * is false when the stored numbers do not follow from that version).
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} pickId - picks.id
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Only this user's pick; anyone else's is not found
+ * @returns {Promise<Object>}
+ */
+async function getPickBreakdown(pool, pickId, { userId = null } = {}) {
+  if (!isUuid(pickId)) {
+    throw new ScoringRulesError('Pick not found', 404);
+  }
+
+  const result = await pool.query(
+    `SELECT pk.id, pk.user_id, pk.player_id, pk.week_number, pk.position AS slot,
+            pk.multiplier::float8 AS pick_multiplier,
+            p.full_name, p.position, p.team,
+            s.base_points::float8 AS stored_base_points, s.multiplier::float8 AS stored_multiplier,
+            s.final_points::float8 AS stored_final_points, s.stats_json, s.updated_at AS scored_at,
+            s.id AS score_id, s.rules_version_id
+     FROM picks pk
+     LEFT JOIN players p ON p.id = pk.player_id
+     LEFT JOIN scores s
+       ON s.user_id = pk.user_id AND s.player_id = pk.player_id AND s.week_number = pk.week_number
+     WHERE pk.id = $1 AND ($2::uuid IS NULL OR pk.user_id = $2)`,
+    [pickId, userId]
+  );
+  if (result.rows.length === 0) {
+    throw new ScoringRulesError('Pick not found', 404);
+  }
+
+  const row = result.rows[0];
+  const ruleSet = (row.rules_version_id && await loadVersionRules(pool, row.rules_version_id)) ||
+    await loadScoringRules(pool);
+  const stats = row.stats_json || {};
+  const { line_items: lineItems, total } = explainStats(stats, ruleSet);
+  const multiplier = row.score_id ? row.stored_multiplier : (row.pick_multiplier || 1);
+  const finalPoints = roundPoints(total * multiplier);
+
+  const stored = row.score_id
+    ? {
+        base_points: row.stored_base_points,
+        multiplier: row.stored_multiplier,
+        final_points: row.stored_final_points,
+        scored_at: row.scored_at
+      }
+    : null;
+
+  return {
+    pick_id: row.id,
+    user_id: row.user_id,
+    week_number: row.week_number,
+    slot: row.slot,
+    player: {
+      id: row.player_id,
+      full_name: row.full_name,
+      position: row.position,
+      team: row.team
+    },
+    rules_version: ruleSet.version,
+    rules_version_id: ruleSet.version_id,
+    has_stats: row.stats_json !== null && row.stats_json !== undefined,
+    stats,
+    line_items: lineItems,
+    base_points: total,
+    multiplier,
+    final_points: finalPoints,
+    stored,
+    matches_stored: stored
+      ? stored.base_points === total && stored.final_points === finalPoints
+      : null
+  };
+}
+
+module.exports = {
+  ScoringRulesError,
+  buildRuleSet,
+  loadScoringRules,
+  loadVersionRules,
+  getScoringRules,
+  invalidateScoringRules,
+  explainStats,
+  scoreStats,
+  getPickBreakdown,
+  getPublishedRules,
+  getAdminRules,
+  createRule,
+  updateRule,
+  validateTiers,
+  replaceTiers,
+  createBonus,
+  updateBonus
+};
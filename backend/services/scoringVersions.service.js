@@ -0,0 +1,336 @@
+/**
+ * Scoring Versions Service
+ *
+ * Rules history and retroactive rescoring.
+ * Data sources: scoring_rule_versions, scoring_rescores, scores tables
+ *
+ * A version is recorded by a database trigger whenever a committed change
+ * alters the active scoring_rules / scoring_rule_tiers / scoring_bonuses rows, so direct SQL
+ * fixes are versioned as well as admin edits. Live scoring applies the
+ * version in effect (the latest whose effective_from has passed), so moving
+ * a version's effective date changes which rules score new points.
+ * Rescoring recomputes a week's scores rows from their stored stats_json
+ * against a chosen version; ESPN is not called.
+ */
+
+const {
+  ScoringRulesError,
+  buildRuleSet,
+  scoreStats,
+  loadVersionRules,
+  invalidateScoringRules
+} = require('./scoring.service');
+const { rankStandings } = require('./settlement.service');
+
+function roundPoints(points) {
+  return parseFloat(Number(points).toFixed(2));
+}
+
+function parseVersionId(value) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new ScoringRulesError('Scoring rules version not found', 404);
+  }
+  return id;
+}
+
+function parseWeekNumber(value) {
+  const week = Number(value);
+  if (!Number.isInteger(week) || week < 1 || week > 30) {
+    throw new ScoringRulesError('week_number must be an NFL week number (e.g. 19)');
+  }
+  return week;
+}
+
+function toVersionSummary(row, ruleSet, inEffectId) {
+  return {
+    id: row.id,
+    effective_from: row.effective_from,
+    source: row.source,
+    created_by: row.created_by,
+    created_by_username: row.created_by_username,
+    note: row.note,
+    created_at: row.created_at,
+    fingerprint: ruleSet.version,
+    rule_count: row.rules.length,
+    tier_count: row.tiers.length,
+    bonus_count: row.bonuses.length,
+    in_effect: row.id === inEffectId
+  };
+}
+
+async function getInEffectVersionId(db) {
+  const result = await db.query(
+    `SELECT id FROM scoring_rule_versions
+     WHERE effective_from <= NOW()
+     ORDER BY effective_from DESC, id DESC
+     LIMIT 1`
+  );
+  return result.rows[0]?.id ?? null;
+}
+
+/**
+ * All versions, newest first. in_effect marks the latest version whose
+ * effective_from has passed.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @returns {Promise<Array>}
+ */
+async function listVersions(pool) {
+  const result = await pool.query(
+    `SELECT v.*, u.username AS created_by_username
+     FROM scoring_rule_versions v
+     LEFT JOIN users u ON u.id = v.created_by
+     ORDER BY v.id DESC`
+  );
+  const inEffectId = await getInEffectVersionId(pool);
+  return result.rows.map(row =>
+    toVersionSummary(row, buildRuleSet(row.rules, row.tiers, row.bonuses), inEffectId)
+  );
+}
+
+/**
+ * One version with its full rule snapshot.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {number} versionId - scoring_rule_versions.id
+ * @returns {Promise<Object>}
+ */
+async function getVersion(pool, versionId) {
+  const id = parseVersionId(versionId);
+  const result = await pool.query(
+    `SELECT v.*, u.username AS created_by_username
+     FROM scoring_rule_versions v
+     LEFT JOIN users u ON u.id = v.created_by
+     WHERE v.id = $1`,
+    [id]
+  );
+  if (result.rows.length === 0) {
+    throw new ScoringRulesError('Scoring rules version not found', 404);
+  }
+
+  const row = result.rows[0];
+  const inEffectId = await getInEffectVersionId(pool);
+  return {
+    ...toVersionSummary(row, buildRuleSet(row.rules, row.tiers, row.bonuses), inEffectId),
+    rules: row.rules,
+    tiers: row.tiers,
+    bonuses: row.bonuses
+  };
+}
+
+/**
+ * Sets a version's effective date or note. Live scoring picks up a new
+ * effective date immediately.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {number} versionId - scoring_rule_versions.id
+ * @param {Object} fields - effective_from?, note?
+ * @returns {Promise<Object>} Updated version
+ */
+async function updateVersion(pool, versionId, fields) {
+  const id = parseVersionId(versionId);
+  const updates = {};
+
+  if (fields.effective_from !== undefined) {
+    const effectiveFrom = new Date(fields.effective_from);
+    if (!fields.effective_from || Number.isNaN(effectiveFrom.getTime())) {
+      throw new ScoringRulesError('effective_from must be an ISO 8601 date');
+    }
+    updates.effective_from = effectiveFrom;
+  }
+  if (fields.note !== undefined) {
+    updates.note = fields.note || null;
+  }
+
+  const columns = Object.keys(updates);
+  if (columns.length === 0) {
+    throw new ScoringRulesError('No fields to update');
+  }
+
+  const result = await pool.query(
+    `UPDATE scoring_rule_versions
+     SET ${columns.map((col, i) => `${col} = $${i + 2}`).join(', ')}
+     WHERE id = $1
+     RETURNING id`,
+    [id, ...columns.map(col => updates[col])]
+  );
+  if (result.rows.length === 0) {
+    throw new ScoringRulesError('Scoring rules version not found', 404);
+  }
+  invalidateScoringRules();
+  return getVersion(pool, id);
+}
+
+async function loadVersionRuleSet(db, versionId) {
+  const id = parseVersionId(versionId);
+  const ruleSet = await loadVersionRules(db, id);
+  if (!ruleSet) {
+    throw new ScoringRulesError('Scoring rules version not found', 404);
+  }
+  return { id, ruleSet };
+}
+
+/**
+ * Recomputes a week's scores rows under a rule set and reports every row and
+ * user that would change. Rows without stats_json cannot be rescored and are
+ * counted as skipped.
+ *
+ * Totals are each user's sum of final_points over all weeks; ranks are
+ * competition ranks over every user with a score.
+ */
+async function computeRescore(db, weekNumber, ruleSet, { lockRows = false } = {}) {
+  const weekRows = await db.query(
+    `SELECT s.id, s.user_id, s.player_id, s.base_points::float8 AS base_points,
+            s.multiplier::float8 AS multiplier, s.final_points::float8 AS final_points, s.stats_json
+     FROM scores s
+     WHERE s.week_number = $1
+     ORDER BY s.id
+     ${lockRows ? 'FOR UPDATE' : ''}`,
+    [weekNumber]
+  );
+
+  const changedRows = [];
+  const deltaByUser = new Map();
+  let skipped = 0;
+
+  for (const row of weekRows.rows) {
+    if (!row.stats_json) {
+      skipped++;
+      continue;
+    }
+
+    const basePoints = scoreStats(row.stats_json, ruleSet);
+    const multiplier = row.multiplier || 1;
+    const finalPoints = roundPoints(basePoints * multiplier);
+    if (basePoints === row.base_points && finalPoints === row.final_points) continue;
+
+    changedRows.push({
+      score_id: row.id,
+      user_id: row.user_id,
+      player_id: row.player_id,
+      old_base_points: row.base_points,
+      new_base_points: basePoints,
+      multiplier,
+      old_final_points: row.final_points,
+      new_final_points: finalPoints
+    });
+    deltaByUser.set(row.user_id, (deltaByUser.get(row.user_id) || 0) + finalPoints - row.final_points);
+  }
+
+  const totalsResult = await db.query(
+    `SELECT s.user_id, u.username,
+            COALESCE(SUM(s.final_points), 0)::float8 AS total,
+            COALESCE(SUM(s.final_points) FILTER (WHERE s.week_number = $1), 0)::float8 AS week_total
+     FROM scores s
+     LEFT JOIN users u ON u.id = s.user_id
+     GROUP BY s.user_id, u.username`,
+    [weekNumber]
+  );
+
+  const before = rankStandings(totalsResult.rows.map(row => ({ user_id: row.user_id, score: row.total })));
+  const after = rankStandings(totalsResult.rows.map(row => ({
+    user_id: row.user_id,
+    score: roundPoints(row.total + (deltaByUser.get(row.user_id) || 0))
+  })));
+  const rankBefore = new Map(before.map(entry => [entry.user_id, entry.rank]));
+  const rankAfter = new Map(after.map(entry => [entry.user_id, entry.rank]));
+
+  const users = totalsResult.rows
+    .map(row => {
+      const delta = roundPoints(deltaByUser.get(row.user_id) || 0);
+      return {
+        user_id: row.user_id,
+        username: row.username,
+        old_week_total: roundPoints(row.week_total),
+        new_week_total: roundPoints(row.week_total + delta),
+        old_total: roundPoints(row.total),
+        new_total: roundPoints(row.total + delta),
+        delta,
+        old_rank: rankBefore.get(row.user_id),
+        new_rank: rankAfter.get(row.user_id)
+      };
+    })
+    .filter(user => user.delta !== 0 || user.old_rank !== user.new_rank)
+    .sort((a, b) => a.new_rank - b.new_rank);
+
+  return {
+    week_number: weekNumber,
+    rows_total: weekRows.rows.length,
+    rows_changed: changedRows.length,
+    rows_skipped: skipped,
+    users_affected: users.length,
+    users,
+    rows: changedRows
+  };
+}
+
+/**
+ * Shows what rescoring a week against a version would change, without writing.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {Object} params - { weekNumber, versionId }
+ * @returns {Promise<Object>} Rescore report (see computeRescore)
+ */
+async function previewRescore(pool, { weekNumber, versionId }) {
+  const week = parseWeekNumber(weekNumber);
+  const { id, ruleSet } = await loadVersionRuleSet(pool, versionId);
+  const report = await computeRescore(pool, week, ruleSet);
+  return { version_id: id, fingerprint: ruleSet.version, ...report };
+}
+
+/**
+ * Rescores a week against a version and records the run in scoring_rescores.
+ * Note: live stats polling rescores an active week with the version in effect.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {Object} params - { weekNumber, versionId, actorUserId }
+ * @returns {Promise<Object>} Rescore report with rescore_id
+ */
+async function applyRescore(pool, { weekNumber, versionId, actorUserId = null }) {
+  const week = parseWeekNumber(weekNumber);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { id, ruleSet } = await loadVersionRuleSet(client, versionId);
+    const report = await computeRescore(client, week, ruleSet, { lockRows: true });
+
+    for (const row of report.rows) {
+      await client.query(
+        `UPDATE scores
+         SET points = $2, base_points = $2, final_points = $3, updated_at = NOW()
+         WHERE id = $1`,
+        [row.score_id, row.new_base_points, row.new_final_points]
+      );
+    }
+
+    // Every rescored row, changed or not, now stands under this version
+    await client.query(
+      'UPDATE scores SET rules_version_id = $2 WHERE week_number = $1 AND stats_json IS NOT NULL',
+      [week, id]
+    );
+
+    const rescore = await client.query(
+      `INSERT INTO scoring_rescores (week_number, version_id, actor_user_id, rows_updated, users_affected)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [week, id, actorUserId, report.rows_changed, report.users_affected]
+    );
+
+    await client.query('COMMIT');
+    return { rescore_id: rescore.rows[0].id, version_id: id, fingerprint: ruleSet.version, ...report };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  listVersions,
+  getVersion,
+  updateVersion,
+  previewRescore,
+  applyRescore
+};
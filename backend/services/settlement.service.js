@@ -0,0 +1,131 @@
+/**
+ * Settlement Service
+ *
+ * Pure rules for Settlement Model v1 (docs/architecture/contest-lifecycle.md):
+ * which weeks a contest covers, whether all of its games are final, final
+ * standings and payout amounts.
+ *
+ * IMPORTANT: No database or network access. contests.service.js loads the
+ * data, applies these rules and writes the settlement records.
+ *
+ * Money is handled in whole cents. Tied entries share the places they
+ * occupy: the percentages of those places are added together and split
+ * evenly, with any leftover cents going to the earliest entries. Ties are
+ * only those left after the tie-breaker chain.
+ */
+
+const { rankEntries } = require('./tieBreakers.service');
+
+/**
+ * NFL weeks a contest is scored on: its own week, or every playoff week
+ * played so far when the contest spans the whole playoffs.
+ *
+ * @param {Object} contest - contests row
+ * @param {Object} settings - game_settings row (playoff_start_week, current_playoff_week)
+ * @returns {number[]} NFL weeks
+ */
+function getContestWeeks(contest, settings) {
+  if (contest.week_number) {
+    return [contest.week_number];
+  }
+  if (!settings || !(settings.current_playoff_week > 0)) {
+    return [];
+  }
+
+  const lastOffset = Math.min(settings.current_playoff_week - 1, 4);
+  const weeks = [];
+  for (let offset = 0; offset <= lastOffset; offset++) {
+    weeks.push(settings.playoff_start_week + offset);
+  }
+  return weeks;
+}
+
+/**
+ * Lists games that do not have a final score yet.
+ * Pro Bowl (AFC vs NFC) events are ignored.
+ *
+ * @param {Object} eventsByWeek - { [week]: ESPN scoreboard events }
+ * @returns {Object} { gameCount, unfinished: [{ week, game_id, state }] }
+ */
+function findUnfinishedGames(eventsByWeek) {
+  let gameCount = 0;
+  const unfinished = [];
+
+  for (const [week, events] of Object.entries(eventsByWeek)) {
+    for (const event of events || []) {
+      const competitors = event.competitions?.[0]?.competitors || [];
+      if (competitors.some(c => ['AFC', 'NFC'].includes(c.team?.abbreviation))) continue;
+
+      gameCount++;
+      const state = event.status?.type?.state || null;
+      if (state !== 'post') {
+        unfinished.push({ week: Number(week), game_id: event.id, state });
+      }
+    }
+  }
+
+  return { gameCount, unfinished };
+}
+
+function toCents(amount) {
+  return Math.round(Number(amount || 0) * 100);
+}
+
+/**
+ * Ranks entries by score, then by the tie-breaker chain (competition
+ * ranking: 1, 1, 3). Entries still equal after the chain share the rank and
+ * are kept in the order given (earliest entry first).
+ *
+ * @param {Array} entries - [{ contest_entry_id, user_id, username, score, tiebreak? }], best score first
+ * @param {Array<string>} [chain] - Tie-breakers (see tieBreakers.service.js)
+ * @returns {Array} Entries with rank, tied_count and tied_with added
+ */
+function rankStandings(entries, chain = []) {
+  return rankEntries(entries, chain, entry => entry.contest_entry_id)
+    .map(entry => ({ ...entry, score: toCents(entry.score) / 100 }));
+}
+
+/**
+ * Splits the pot across ranked entries.
+ *
+ * @param {Array} standings - From rankStandings
+ * @param {Array} payoutStructure - [{ place, percentage }]
+ * @param {number} totalPot - Pot in dollars
+ * @returns {Array} Standings with amount (dollars) added
+ */
+function allocatePayouts(standings, payoutStructure, totalPot) {
+  const potCents = toCents(totalPot);
+  const placeCents = new Map();
+  for (const { place, percentage } of payoutStructure) {
+    const basisPoints = Math.round(Number(percentage) * 100);
+    placeCents.set(Number(place), Math.floor((potCents * basisPoints) / 10000));
+  }
+
+  const amounts = new Array(standings.length).fill(0);
+  let start = 0;
+  while (start < standings.length) {
+    const { rank, tied_count: tiedCount } = standings[start];
+
+    // Tied entries occupy places rank .. rank + tiedCount - 1
+    let groupCents = 0;
+    for (let place = rank; place < rank + tiedCount; place++) {
+      groupCents += placeCents.get(place) || 0;
+    }
+
+    const share = Math.floor(groupCents / tiedCount);
+    const remainder = groupCents - share * tiedCount;
+    for (let i = 0; i < tiedCount; i++) {
+      amounts[start + i] = share + (i < remainder ? 1 : 0);
+    }
+    start += tiedCount;
+  }
+
+  return standings.map((entry, index) => ({ ...entry, amount: amounts[index] / 100 }));
+}
+
+module.exports = {
+  getContestWeeks,
+  findUnfinishedGames,
+  rankStandings,
+  allocatePayouts
+};
@@ -0,0 +1,312 @@
+/**
+ * Stat Corrections Service
+ *
+ * Post-game stat reconciliation.
+ * Data sources: stat_corrections, scores, players, game_settings tables
+ *
+ * The NFL revises box scores for days after a game, but live polling stops
+ * once a round is over. The reconciliation job re-reads completed games for
+ * the current and previous round and compares each player's line with the
+ * stored scores.stats_json. Each difference is recorded in stat_corrections
+ * with before/after values, and only that player's score rows for the week
+ * are rescored. Once game_settings.stat_corrections_frozen_at has passed,
+ * differences are still recorded (status 'frozen') but scores are left alone.
+ */
+
+const { getCurrentNflWeek } = require('./weekLock.service');
+const { loadScoringRules, scoreStats } = require('./scoring.service');
+
+// Current round plus the one before it
+const RECONCILE_ROUNDS = 2;
+
+const DEFAULT_LIST_LIMIT = 50;
+
+class StatCorrectionsError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'StatCorrectionsError';
+    this.status = status;
+  }
+}
+
+function roundPoints(points) {
+  return parseFloat(Number(points).toFixed(2));
+}
+
+/**
+ * NFL weeks the job re-checks, newest first. Never reaches back before
+ * the first playoff week.
+ *
+ * @param {Object} settings - game_settings row
+ * @returns {number[]}
+ */
+function getReconcileWeeks(settings) {
+  const currentWeek = getCurrentNflWeek(settings);
+  if (!currentWeek) return [];
+
+  const weeks = [];
+  for (let week = currentWeek; week > currentWeek - RECONCILE_ROUNDS; week--) {
+    if (week >= settings.playoff_start_week) weeks.push(week);
+  }
+  return weeks;
+}
+
+/**
+ * Compares two stats_json objects. Missing numeric stats count as 0;
+ * list stats (fg_kicks, *_td_yds) are compared as a whole.
+ *
+ * @param {Object} before - Stored stats
+ * @param {Object} after - Freshly fetched stats
+ * @returns {Object} { <stat>: { before, after } } for each stat that differs
+ */
+function diffStats(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    const oldValue = before?.[key] ?? null;
+    const newValue = after?.[key] ?? null;
+
+    const same = Array.isArray(oldValue) || Array.isArray(newValue)
+      ? JSON.stringify(oldValue || []) === JSON.stringify(newValue || [])
+      : (Number(oldValue) || 0) === (Number(newValue) || 0);
+
+    if (!same) {
+      changes[key] = { before: oldValue, after: newValue };
+    }
+  }
+
+  return changes;
+}
+
+function isFrozen(frozenAt, now) {
+  return Boolean(frozenAt) && new Date(frozenAt) <= now;
+}
+
+async function loadWeekScores(pool, weekNumber) {
+  const result = await pool.query(
+    `SELECT s.id, s.player_id, s.multiplier::float8 AS multiplier, s.stats_json,
+            p.espn_id, p.full_name, p.position, p.team
+     FROM scores s
+     JOIN players p ON p.id = s.player_id
+     WHERE s.week_number = $1 AND s.stats_json IS NOT NULL
+     ORDER BY s.id`,
+    [weekNumber]
+  );
+
+  const byPlayer = new Map();
+  for (const row of result.rows) {
+    if (!byPlayer.has(row.player_id)) {
+      byPlayer.set(row.player_id, {
+        player: {
+          player_id: row.player_id,
+          espn_id: row.espn_id,
+          full_name: row.full_name,
+          position: row.position,
+          team: row.team
+        },
+        scores: []
+      });
+    }
+    byPlayer.get(row.player_id).scores.push(row);
+  }
+  return byPlayer;
+}
+
+// While frozen the same difference is seen every run; record it once
+async function isAlreadyRecordedFrozen(pool, weekNumber, playerId, afterStats) {
+  const result = await pool.query(
+    `SELECT status, after_stats = $3::jsonb AS same_stats
+     FROM stat_corrections
+     WHERE week_number = $1 AND player_id = $2
+     ORDER BY id DESC
+     LIMIT 1`,
+    [weekNumber, playerId, JSON.stringify(afterStats)]
+  );
+  const latest = result.rows[0];
+  return Boolean(latest && latest.status === 'frozen' && latest.same_stats);
+}
+
+async function applyCorrection(pool, { weekNumber, player, staleScores, changes, afterStats, ruleSet }) {
+  const basePoints = scoreStats(afterStats, ruleSet);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    for (const score of staleScores) {
+      const finalPoints = roundPoints(basePoints * (score.multiplier || 1));
+      await client.query(
+        `UPDATE scores
+         SET stats_json = $2, points = $3, base_points = $3, final_points = $4,
+             rules_version_id = $5, updated_at = NOW()
+         WHERE id = $1`,
+        [score.id, JSON.stringify(afterStats), basePoints, finalPoints, ruleSet.version_id]
+      );
+    }
+
+    const correction = await client.query(
+      `INSERT INTO stat_corrections
+         (week_number, player_id, player_name, changes, before_stats, after_stats, status, scores_updated)
+       VALUES ($1, $2, $3, $4, $5, $6, 'applied', $7)
+       RETURNING *`,
+      [
+        weekNumber,
+        player.player_id,
+        player.full_name,
+        JSON.stringify(changes),
+        JSON.stringify(staleScores[0].stats_json),
+        JSON.stringify(afterStats),
+        staleScores.length
+      ]
+    );
+
+    await client.query('COMMIT');
+    return correction.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Re-checks recent rounds against final box scores and applies corrections.
+ * Players whose games are not final (or who have no line) are skipped.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {Object} options
+ * @param {Function} options.fetchStatLines - async (weekNumber, players) => Map of
+ *   player_id -> stats_json built from completed games only
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object>} { weeks, frozen, players_checked, corrections, scores_updated }
+ */
+async function runReconciliation(pool, { fetchStatLines, now = new Date() }) {
+  const settingsResult = await pool.query(
+    `SELECT current_playoff_week, playoff_start_week, stat_corrections_frozen_at
+     FROM game_settings LIMIT 1`
+  );
+  const settings = settingsResult.rows[0];
+  const weeks = getReconcileWeeks(settings);
+  const frozen = isFrozen(settings?.stat_corrections_frozen_at, now);
+  const summary = { weeks, frozen, players_checked: 0, corrections: 0, scores_updated: 0 };
+
+  if (weeks.length === 0) return summary;
+
+  const ruleSet = await loadScoringRules(pool);
+
+  for (const weekNumber of weeks) {
+    const byPlayer = await loadWeekScores(pool, weekNumber);
+    if (byPlayer.size === 0) continue;
+
+    const players = Array.from(byPlayer.values()).map(entry => entry.player);
+    const statLines = await fetchStatLines(weekNumber, players);
+
+    for (const [playerId, { player, scores }] of byPlayer) {
+      const afterStats = statLines.get(playerId);
+      if (!afterStats) continue;
+      summary.players_checked++;
+
+      const staleScores = scores.filter(score =>
+        Object.keys(diffStats(score.stats_json, afterStats)).length > 0
+      );
+      if (staleScores.length === 0) continue;
+
+      const changes = diffStats(staleScores[0].stats_json, afterStats);
+
+      if (frozen) {
+        if (await isAlreadyRecordedFrozen(pool, weekNumber, playerId, afterStats)) continue;
+        await pool.query(
+          `INSERT INTO stat_corrections
+             (week_number, player_id, player_name, changes, before_stats, after_stats, status)
+           VALUES ($1, $2, $3, $4, $5, $6, 'frozen')`,
+          [
+            weekNumber,
+            playerId,
+            player.full_name,
+            JSON.stringify(changes),
+            JSON.stringify(staleScores[0].stats_json),
+            JSON.stringify(afterStats)
+          ]
+        );
+        summary.corrections++;
+        continue;
+      }
+
+      await applyCorrection(pool, { weekNumber, player, staleScores, changes, afterStats, ruleSet });
+      summary.corrections++;
+      summary.scores_updated += staleScores.length;
+
+      console.log('[Stat Corrections] Applied correction', {
+        weekNumber,
+        playerId,
+        stats: Object.keys(changes),
+        scoresUpdated: staleScores.length
+      });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Recent corrections, newest first.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {Object} [options] - { limit, weekNumber }
+ * @returns {Promise<Array>}
+ */
+async function listCorrections(pool, { limit = DEFAULT_LIST_LIMIT, weekNumber = null } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM stat_corrections
+     WHERE ($1::int IS NULL OR week_number = $1)
+     ORDER BY detected_at DESC, id DESC
+     LIMIT $2`,
+    [weekNumber, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Current freeze date and whether it has passed.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} { frozen_at, is_frozen }
+ */
+async function getFreeze(pool, now = new Date()) {
+  const result = await pool.query('SELECT stat_corrections_frozen_at FROM game_settings LIMIT 1');
+  const frozenAt = result.rows[0]?.stat_corrections_frozen_at || null;
+  return { frozen_at: frozenAt, is_frozen: isFrozen(frozenAt, now) };
+}
+
+/**
+ * Sets or clears the date after which corrections stop changing scores.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string|null} frozenAt - ISO 8601 date, or null to clear
+ * @returns {Promise<Object>} { frozen_at, is_frozen }
+ */
+async function setFreeze(pool, frozenAt) {
+  let value = null;
+  if (frozenAt !== null && frozenAt !== undefined && frozenAt !== '') {
+    value = new Date(frozenAt);
+    if (Number.isNaN(value.getTime())) {
+      throw new StatCorrectionsError('frozen_at must be an ISO 8601 date or null');
+    }
+  }
+
+  await pool.query('UPDATE game_settings SET stat_corrections_frozen_at = $1', [value]);
+  return getFreeze(pool);
+}
+
+module.exports = {
+  StatCorrectionsError,
+  RECONCILE_ROUNDS,
+  getReconcileWeeks,
+  diffStats,
+  runReconciliation,
+  listCorrections,
+  getFreeze,
+  setFreeze
+};
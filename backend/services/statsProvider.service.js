@@ -0,0 +1,178 @@
+/**
+ * Stats Provider Service
+ *
+ * Source of NFL game data for live scoring, pick locks, week transitions,
+ * stat corrections and settlement. server.js reads every scoreboard, game
+ * summary and competitor statistics document through a provider, so the
+ * pipeline can run against recorded data instead of the live ESPN APIs.
+ *
+ * Provider interface (each method resolves to the parsed JSON document):
+ * - getScoreboard(weekNumber, options)        - ESPN scoreboard shape ({ events })
+ * - getGameSummary(gameId, options)           - ESPN game summary shape ({ header, boxscore, drives })
+ * - getCompetitorStats(gameId, teamId, options) - ESPN core competitor statistics ({ splits })
+ * options.timeout is passed to the HTTP client; fixtures ignore it.
+ *
+ * Implementations (STATS_PROVIDER):
+ * - espn (default): live ESPN site and core APIs. With STATS_RECORD_DIR set,
+ *   every response is also written to that directory in the fixture layout.
+ * - fixture: recorded JSON from STATS_FIXTURE_DIR:
+ *     scoreboard-week-<nflWeek>.json
+ *     summary-<gameId>.json
+ *     competitor-<gameId>-<teamId>.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const httpClient = require('./httpClient.service');
+
+const ESPN_SITE_URL = 'https://site.api.espn.com/apis/site/v2/sports/football/nfl';
+const ESPN_CORE_URL = 'https://sports.core.api.espn.com/v2/sports/football/leagues/nfl';
+
+class StatsProviderError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'StatsProviderError';
+    this.status = status;
+  }
+}
+
+/**
+ * ESPN scoreboard URL with the correct season type for playoffs.
+ * Weeks 19+ are playoff weeks (seasontype=3, week 19 = playoff week 1).
+ *
+ * @param {number} weekNumber - NFL week
+ * @returns {string}
+ */
+function getEspnScoreboardUrl(weekNumber) {
+  if (weekNumber >= 19) {
+    return `${ESPN_SITE_URL}/scoreboard?seasontype=3&week=${weekNumber - 18}`;
+  }
+  return `${ESPN_SITE_URL}/scoreboard?seasontype=2&week=${weekNumber}`;
+}
+
+function scoreboardFile(weekNumber) {
+  return `scoreboard-week-${Number(weekNumber)}.json`;
+}
+
+function summaryFile(gameId) {
+  return `summary-${gameId}.json`;
+}
+
+function competitorFile(gameId, teamId) {
+  return `competitor-${gameId}-${teamId}.json`;
+}
+
+/**
+ * Live ESPN adapter. Requests go through the shared HTTP client (timeouts,
+ * retries, circuit breaker, response cache); failures reject.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.http] - axios-compatible client
+ * @returns {Object} Provider
+ */
+function createEspnProvider({ http = httpClient.client } = {}) {
+  const get = async (url, options = {}) => {
+    const response = await http.get(url, options.timeout ? { timeout: options.timeout } : undefined);
+    return response.data;
+  };
+
+  return {
+    name: 'espn',
+    getScoreboard: (weekNumber, options) => get(getEspnScoreboardUrl(weekNumber), options),
+    getGameSummary: (gameId, options) => get(`${ESPN_SITE_URL}/summary?event=${gameId}`, options),
+    getCompetitorStats: (gameId, teamId, options) => get(
+      `${ESPN_CORE_URL}/events/${gameId}/competitions/${gameId}/competitors/${teamId}/statistics`,
+      options
+    )
+  };
+}
+
+/**
+ * Serves recorded JSON from disk. A document that was not recorded rejects
+ * with a 404 StatsProviderError, the same way a failed ESPN request rejects.
+ *
+ * @param {string} dir - Fixture directory
+ * @returns {Object} Provider
+ */
+function createFixtureProvider(dir) {
+  const root = path.resolve(dir);
+  const read = async (file) => {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(path.join(root, file), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        throw new StatsProviderError(`No recorded ${file} in ${root}`, 404);
+      }
+      throw err;
+    }
+    return JSON.parse(contents);
+  };
+
+  return {
+    name: 'fixture',
+    getScoreboard: (weekNumber) => read(scoreboardFile(weekNumber)),
+    getGameSummary: (gameId) => read(summaryFile(gameId)),
+    getCompetitorStats: (gameId, teamId) => read(competitorFile(gameId, teamId))
+  };
+}
+
+/**
+ * Wraps a provider and writes every document it returns to dir in the
+ * fixture layout, for replaying later with createFixtureProvider.
+ *
+ * @param {Object} provider
+ * @param {string} dir
+ * @returns {Object} Provider
+ */
+function createRecordingProvider(provider, dir) {
+  const root = path.resolve(dir);
+  const record = async (file, data) => {
+    await fs.promises.mkdir(root, { recursive: true });
+    await fs.promises.writeFile(path.join(root, file), JSON.stringify(data, null, 2));
+    return data;
+  };
+
+  return {
+    name: `${provider.name}+recording`,
+    getScoreboard: async (weekNumber, options) =>
+      record(scoreboardFile(weekNumber), await provider.getScoreboard(weekNumber, options)),
+    getGameSummary: async (gameId, options) =>
+      record(summaryFile(gameId), await provider.getGameSummary(gameId, options)),
+    getCompetitorStats: async (gameId, teamId, options) =>
+      record(competitorFile(gameId, teamId), await provider.getCompetitorStats(gameId, teamId, options))
+  };
+}
+
+/**
+ * Builds the provider selected by the environment.
+ *
+ * @param {Object} [env] - STATS_PROVIDER, STATS_FIXTURE_DIR, STATS_RECORD_DIR
+ * @returns {Object} Provider
+ * @throws {StatsProviderError} Unknown provider or missing fixture directory
+ */
+function createProvider(env = process.env) {
+  const kind = env.STATS_PROVIDER || 'espn';
+
+  if (kind === 'fixture') {
+    if (!env.STATS_FIXTURE_DIR) {
+      throw new StatsProviderError('STATS_FIXTURE_DIR is required when STATS_PROVIDER=fixture', 500);
+    }
+    return createFixtureProvider(env.STATS_FIXTURE_DIR);
+  }
+  if (kind !== 'espn') {
+    throw new StatsProviderError(`Unknown STATS_PROVIDER: ${kind}`, 500);
+  }
+
+  const espn = createEspnProvider();
+  return env.STATS_RECORD_DIR ? createRecordingProvider(espn, env.STATS_RECORD_DIR) : espn;
+}
+
+module.exports = {
+  StatsProviderError,
+  getEspnScoreboardUrl,
+  createEspnProvider,
+  createFixtureProvider,
+  createRecordingProvider,
+  createProvider
+};
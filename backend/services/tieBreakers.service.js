@@ -0,0 +1,203 @@
+/**
+ * Tie-Breakers Service
+ *
+ * Orders entries with equal totals by a configurable chain of tie-breakers,
+ * used by both /api/leaderboard and contest settlement so the standings a
+ * user sees are the standings that get paid.
+ *
+ * Tie-breakers (game_settings.tie_breakers, applied in order):
+ * - best_week: highest single-week score
+ * - best_player: highest single-player score (final_points of one pick)
+ * - super_bowl: most points from the Super Bowl round
+ * - earliest_submission: earliest lineup submission (first pick created)
+ *
+ * Entries still equal after the whole chain share a rank (competition
+ * ranking: 1, 1, 3) and list each other in tied_with.
+ *
+ * Data sources:
+ * - game_settings: tie_breakers, playoff_start_week
+ * - scores: weekly totals and single-pick scores
+ * - picks: lineup submission times
+ */
+
+const TIE_BREAKERS = ['best_week', 'best_player', 'super_bowl', 'earliest_submission'];
+
+const DEFAULT_CHAIN = [...TIE_BREAKERS];
+
+// Super Bowl is playoff round 5 (the Pro Bowl week is skipped)
+const SUPER_BOWL_OFFSET = 4;
+
+class TieBreakerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TieBreakerError';
+    this.status = status;
+  }
+}
+
+/**
+ * Validates a tie-breaker chain.
+ *
+ * @param {Array<string>} input
+ * @returns {Array<string>} Chain without duplicates
+ * @throws {TieBreakerError} Not a list, or an unknown tie-breaker
+ */
+function parseChain(input) {
+  if (!Array.isArray(input)) {
+    throw new TieBreakerError(`tie_breakers must be a list of ${TIE_BREAKERS.join(', ')}`);
+  }
+  const unknown = input.filter(key => !TIE_BREAKERS.includes(key));
+  if (unknown.length > 0) {
+    throw new TieBreakerError(`Unknown tie-breaker: ${unknown.join(', ')}`);
+  }
+  return [...new Set(input)];
+}
+
+/**
+ * Loads the configured chain. An invalid stored chain falls back to the
+ * default so standings can always be computed.
+ *
+ * @param {Object} pool - pg pool or client
+ * @returns {Promise<Array<string>>}
+ */
+async function getChain(pool) {
+  const result = await pool.query('SELECT tie_breakers FROM game_settings LIMIT 1');
+  try {
+    return parseChain(result.rows[0]?.tie_breakers ?? DEFAULT_CHAIN);
+  } catch (err) {
+    console.error('[Tie-Breakers] Stored chain is invalid, using default:', err.message);
+    return [...DEFAULT_CHAIN];
+  }
+}
+
+/**
+ * @param {Object} settings - game_settings row (playoff_start_week)
+ * @returns {number} NFL week of the Super Bowl
+ */
+function getSuperBowlWeek(settings) {
+  return (settings?.playoff_start_week || 19) + SUPER_BOWL_OFFSET;
+}
+
+/**
+ * Loads tie-breaker values per user over the given weeks.
+ *
+ * @param {Object} pool - pg pool or client
+ * @param {Object} scope
+ * @param {Array<string>} scope.userIds
+ * @param {Array<number>} scope.weeks - NFL weeks the standings cover
+ * @param {number} scope.superBowlWeek
+ * @returns {Promise<Map<string, Object>>} user_id → { best_week, best_player, super_bowl, earliest_submission }
+ */
+async function loadTieBreakStats(pool, { userIds, weeks, superBowlWeek }) {
+  const stats = new Map();
+  if (userIds.length === 0) return stats;
+
+  const scoresResult = await pool.query(
+    `SELECT w.user_id,
+            MAX(w.week_total)::float8 AS best_week,
+            MAX(w.best_player)::float8 AS best_player,
+            COALESCE(SUM(w.week_total) FILTER (WHERE w.week_number = $3), 0)::float8 AS super_bowl
+     FROM (
+       SELECT user_id, week_number, SUM(final_points) AS week_total, MAX(final_points) AS best_player
+       FROM scores
+       WHERE user_id = ANY($1) AND week_number = ANY($2)
+       GROUP BY user_id, week_number
+     ) w
+     GROUP BY w.user_id`,
+    [userIds, weeks, superBowlWeek]
+  );
+  const picksResult = await pool.query(
+    `SELECT user_id, MIN(created_at) AS earliest_submission
+     FROM picks
+     WHERE user_id = ANY($1) AND week_number = ANY($2)
+     GROUP BY user_id`,
+    [userIds, weeks]
+  );
+
+  for (const row of scoresResult.rows) {
+    stats.set(row.user_id, {
+      best_week: row.best_week,
+      best_player: row.best_player,
+      super_bowl: row.super_bowl,
+      earliest_submission: null
+    });
+  }
+  for (const row of picksResult.rows) {
+    const entry = stats.get(row.user_id) || { best_week: 0, best_player: 0, super_bowl: 0 };
+    stats.set(row.user_id, { ...entry, earliest_submission: row.earliest_submission });
+  }
+  return stats;
+}
+
+function toCents(amount) {
+  return Math.round(Number(amount || 0) * 100);
+}
+
+function toTime(value) {
+  if (!value) return Infinity;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? Infinity : time;
+}
+
+// Negative when a ranks ahead of b on this tie-breaker
+function compareTieBreaker(key, a, b) {
+  if (key === 'earliest_submission') {
+    const diff = toTime(a?.earliest_submission) - toTime(b?.earliest_submission);
+    return Number.isNaN(diff) ? 0 : diff;
+  }
+  return toCents(b?.[key]) - toCents(a?.[key]);
+}
+
+/**
+ * Ranks entries by score, then by the tie-breaker chain. Pure.
+ * Entries still equal after the chain keep the order given.
+ *
+ * @param {Array<Object>} entries - Each with score and tiebreak ({ best_week, ... })
+ * @param {Array<string>} chain
+ * @param {Function} getId - Entry → id listed in other entries' tied_with
+ * @returns {Array<Object>} Entries in rank order with rank, tied_count and tied_with
+ */
+function rankEntries(entries, chain, getId) {
+  const compare = (a, b) => {
+    const byScore = toCents(b.score) - toCents(a.score);
+    if (byScore !== 0) return byScore;
+    for (const key of chain) {
+      const result = compareTieBreaker(key, a.tiebreak, b.tiebreak);
+      if (result !== 0) return result;
+    }
+    return 0;
+  };
+
+  const sorted = [...entries].sort(compare);
+
+  const ranked = [];
+  let start = 0;
+  while (start < sorted.length) {
+    let end = start + 1;
+    while (end < sorted.length && compare(sorted[start], sorted[end]) === 0) end++;
+
+    const group = sorted.slice(start, end);
+    const ids = group.map(getId);
+    group.forEach((entry, index) => {
+      ranked.push({
+        ...entry,
+        rank: start + 1,
+        tied_count: group.length,
+        tied_with: ids.filter((_, i) => i !== index)
+      });
+    });
+    start = end;
+  }
+  return ranked;
+}
+
+module.exports = {
+  TIE_BREAKERS,
+  DEFAULT_CHAIN,
+  TieBreakerError,
+  parseChain,
+  getChain,
+  getSuperBowlWeek,
+  loadTieBreakStats,
+  rankEntries
+};
@@ -0,0 +1,331 @@
+/**
+ * Week Lock Service
+ *
+ * Locks picks automatically at each week's scheduled lock time.
+ * Data sources: game_settings, week_lock_schedule tables
+ *
+ * Individual lineup slots lock at their own game's kickoff (see
+ * pickLocks.service.js), so the whole-week lock is only needed once every
+ * game has started. The scheduled lock time is the admin override when set,
+ * otherwise the last kickoff on the ESPN scoreboard. The scheduler flips
+ * game_settings.is_week_active to false once that time passes and records
+ * who or what locked the week so verify-lock-status can report drift.
+ */
+
+const { buildTeamKickoffs, getLastKickoff } = require('./pickLocks.service');
+
+// Re-read the scoreboard periodically so flexed kickoffs are picked up
+const KICKOFF_REFRESH_MS = 15 * 60 * 1000; // 15 minutes
+
+// The scheduler runs every minute; locks within this window count as on time
+const LOCK_DRIFT_TOLERANCE_SECONDS = 120;
+
+/**
+ * Derives the NFL week (19-23) for the current playoff round.
+ * Cap offset at 4 (round 5 = Super Bowl = offset 4 = NFL week 23).
+ *
+ * @param {Object} settings - game_settings row
+ * @returns {number|null} NFL week, or null before the playoffs start
+ */
+function getCurrentNflWeek(settings) {
+  if (!settings || !(settings.current_playoff_week > 0)) {
+    return null;
+  }
+  return settings.playoff_start_week + Math.min(settings.current_playoff_week - 1, 4);
+}
+
+/**
+ * Finds the earliest kickoff among scoreboard events, ignoring Pro Bowl
+ * (AFC vs NFC) events.
+ *
+ * @param {Array} events - ESPN scoreboard events
+ * @returns {Date|null} Earliest kickoff, or null if none are scheduled
+ */
+function getFirstKickoff(events) {
+  let first = null;
+
+  for (const event of events || []) {
+    const competitors = event.competitions?.[0]?.competitors || [];
+    const isProBowlEvent = competitors.some(c => {
+      const abbr = c.team?.abbreviation;
+      return abbr === 'AFC' || abbr === 'NFC';
+    });
+    if (isProBowlEvent || !event.date) continue;
+
+    const kickoff = new Date(event.date);
+    if (isNaN(kickoff.getTime())) continue;
+
+    if (!first || kickoff < first) {
+      first = kickoff;
+    }
+  }
+
+  return first;
+}
+
+/**
+ * Returns the time picks should lock for a schedule row.
+ *
+ * @param {Object|null} schedule - week_lock_schedule row
+ * @returns {Date|null}
+ */
+function getScheduledLockTime(schedule) {
+  if (!schedule) return null;
+  if (schedule.lock_override_at) return new Date(schedule.lock_override_at);
+  if (schedule.last_kickoff_at) return new Date(schedule.last_kickoff_at);
+  return null;
+}
+
+/**
+ * Compares the scheduled lock time with when the week actually locked.
+ *
+ * @param {Object|null} schedule - week_lock_schedule row
+ * @param {boolean} isWeekActive - game_settings.is_week_active
+ * @param {Date} [now] - Current time
+ * @returns {Object} { status, scheduled_lock_at, actual_lock_at, drift_seconds, locked_by }
+ */
+function getLockDrift(schedule, isWeekActive, now = new Date()) {
+  const scheduled = getScheduledLockTime(schedule);
+  const actual = schedule && schedule.locked_at ? new Date(schedule.locked_at) : null;
+
+  const report = {
+    scheduled_lock_at: scheduled ? scheduled.toISOString() : null,
+    lock_source: schedule && schedule.lock_override_at ? 'override' : (scheduled ? 'last_kickoff' : null),
+    actual_lock_at: actual ? actual.toISOString() : null,
+    locked_by: schedule ? schedule.locked_by : null,
+    locked_by_user_id: schedule ? schedule.locked_by_user_id : null,
+    drift_seconds: null,
+    status: 'unscheduled'
+  };
+
+  if (!scheduled) {
+    return report;
+  }
+
+  if (isWeekActive) {
+    report.status = scheduled <= now ? 'missed' : 'pending';
+    if (report.status === 'missed') {
+      report.drift_seconds = Math.round((now - scheduled) / 1000);
+    }
+    return report;
+  }
+
+  if (!actual) {
+    // Locked without a recorded lock (e.g. before scheduling existed)
+    report.status = 'unrecorded';
+    return report;
+  }
+
+  report.drift_seconds = Math.round((actual - scheduled) / 1000);
+  if (Math.abs(report.drift_seconds) <= LOCK_DRIFT_TOLERANCE_SECONDS) {
+    report.status = 'on_schedule';
+  } else {
+    report.status = report.drift_seconds > 0 ? 'late' : 'early';
+  }
+  return report;
+}
+
+/**
+ * Gets the schedule row for a week.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {number} weekNumber - NFL week
+ * @returns {Promise<Object|null>}
+ */
+async function getWeekLockSchedule(pool, weekNumber) {
+  const result = await pool.query(
+    'SELECT * FROM week_lock_schedule WHERE week_number = $1',
+    [weekNumber]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Refreshes first_kickoff_at and last_kickoff_at from the scoreboard when
+ * they are missing or stale.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {number} weekNumber - NFL week
+ * @param {Function} fetchEvents - async (weekNumber) => ESPN scoreboard events
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} Schedule row
+ */
+async function refreshKickoffs(pool, weekNumber, fetchEvents, now = new Date()) {
+  const existing = await getWeekLockSchedule(pool, weekNumber);
+  const checkedAt = existing && existing.kickoff_checked_at ? new Date(existing.kickoff_checked_at) : null;
+
+  if (existing && existing.last_kickoff_at && checkedAt && now - checkedAt < KICKOFF_REFRESH_MS) {
+    return existing;
+  }
+
+  let firstKickoff;
+  let lastKickoff;
+  try {
+    const events = await fetchEvents(weekNumber);
+    firstKickoff = getFirstKickoff(events);
+    lastKickoff = getLastKickoff(buildTeamKickoffs(events));
+  } catch (err) {
+    // Keep locking on the last known kickoff if the scoreboard is unavailable
+    if (existing && existing.last_kickoff_at) {
+      console.error(`[Week Lock] Scoreboard unavailable for week ${weekNumber}, using stored kickoff:`, err.message);
+      return existing;
+    }
+    throw err;
+  }
+
+  const result = await pool.query(
+    `INSERT INTO week_lock_schedule (week_number, first_kickoff_at, last_kickoff_at, kickoff_checked_at, updated_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (week_number)
+     DO UPDATE SET
+       first_kickoff_at = COALESCE(EXCLUDED.first_kickoff_at, week_lock_schedule.first_kickoff_at),
+       last_kickoff_at = COALESCE(EXCLUDED.last_kickoff_at, week_lock_schedule.last_kickoff_at),
+       kickoff_checked_at = EXCLUDED.kickoff_checked_at,
+       updated_at = NOW()
+     RETURNING *`,
+    [weekNumber, firstKickoff, lastKickoff, now]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Sets or clears the admin lock time for a week.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {number} weekNumber - NFL week
+ * @param {Date|null} lockAt - Override time, or null to fall back to last kickoff
+ * @param {string} adminUserId - Admin making the change
+ * @returns {Promise<Object>} Schedule row
+ */
+async function setLockOverride(pool, weekNumber, lockAt, adminUserId) {
+  const result = await pool.query(
+    `INSERT INTO week_lock_schedule (week_number, lock_override_at, lock_override_by, updated_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (week_number)
+     DO UPDATE SET
+       lock_override_at = EXCLUDED.lock_override_at,
+       lock_override_by = EXCLUDED.lock_override_by,
+       updated_at = NOW()
+     RETURNING *`,
+    [weekNumber, lockAt, lockAt ? adminUserId : null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Records a manual lock or unlock from the admin endpoints.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {number} weekNumber - NFL week
+ * @param {boolean} isWeekActive - New is_week_active value
+ * @param {string} adminUserId - Admin making the change
+ */
+async function recordManualLockChange(pool, weekNumber, isWeekActive, adminUserId) {
+  if (isWeekActive) {
+    await pool.query(
+      `INSERT INTO week_lock_schedule (week_number, manual_unlock_at, updated_at)
+       VALUES ($1, NOW(), NOW())
+       ON CONFLICT (week_number)
+       DO UPDATE SET
+         locked_at = NULL,
+         locked_by = NULL,
+         locked_by_user_id = NULL,
+         manual_unlock_at = NOW(),
+         updated_at = NOW()`,
+      [weekNumber]
+    );
+    return;
+  }
+
+  // Keep the first recorded lock; re-locking an already locked week changes nothing
+  await pool.query(
+    `INSERT INTO week_lock_schedule (week_number, locked_at, locked_by, locked_by_user_id, updated_at)
+     VALUES ($1, NOW(), 'admin', $2, NOW())
+     ON CONFLICT (week_number)
+     DO UPDATE SET
+       locked_at = COALESCE(week_lock_schedule.locked_at, NOW()),
+       locked_by = COALESCE(week_lock_schedule.locked_by, 'admin'),
+       locked_by_user_id = CASE WHEN week_lock_schedule.locked_at IS NULL
+                                THEN $2 ELSE week_lock_schedule.locked_by_user_id END,
+       updated_at = NOW()`,
+    [weekNumber, adminUserId]
+  );
+}
+
+/**
+ * One scheduler pass: refresh the current week's kickoff and lock picks if
+ * the scheduled lock time has passed.
+ *
+ * An admin unlock after the lock time is respected; the scheduler only locks
+ * again once a later lock time (e.g. a new override) passes.
+ *
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {Object} options
+ * @param {Function} options.fetchEvents - async (weekNumber) => ESPN scoreboard events
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object>} { week_number, scheduled_lock_at, action }
+ */
+async function runScheduledLock(pool, { fetchEvents, now = new Date() }) {
+  const settingsResult = await pool.query(
+    'SELECT current_playoff_week, playoff_start_week, is_week_active FROM game_settings LIMIT 1'
+  );
+  const settings = settingsResult.rows[0];
+  const weekNumber = getCurrentNflWeek(settings);
+
+  if (!weekNumber) {
+    return { week_number: null, scheduled_lock_at: null, action: 'no_active_week' };
+  }
+
+  const schedule = await refreshKickoffs(pool, weekNumber, fetchEvents, now);
+  const lockAt = getScheduledLockTime(schedule);
+  const summary = {
+    week_number: weekNumber,
+    scheduled_lock_at: lockAt ? lockAt.toISOString() : null
+  };
+
+  if (!settings.is_week_active) {
+    return { ...summary, action: 'already_locked' };
+  }
+  if (!lockAt || lockAt > now) {
+    return { ...summary, action: 'waiting' };
+  }
+  if (schedule.manual_unlock_at && new Date(schedule.manual_unlock_at) >= lockAt) {
+    return { ...summary, action: 'manually_unlocked' };
+  }
+
+  // Conditional update so a concurrent admin change is never overwritten
+  const locked = await pool.query(
+    'UPDATE game_settings SET is_week_active = false WHERE is_week_active = true RETURNING id'
+  );
+  if (locked.rows.length === 0) {
+    return { ...summary, action: 'already_locked' };
+  }
+
+  await pool.query(
+    `UPDATE week_lock_schedule
+     SET locked_at = $2, locked_by = 'scheduler', locked_by_user_id = NULL, updated_at = NOW()
+     WHERE week_number = $1`,
+    [weekNumber, now]
+  );
+
+  console.log('[Week Lock] Picks locked by scheduler', {
+    timestamp: now.toISOString(),
+    weekNumber,
+    scheduledLockAt: summary.scheduled_lock_at
+  });
+
+  return { ...summary, action: 'locked' };
+}
+
+module.exports = {
+  getCurrentNflWeek,
+  getFirstKickoff,
+  getScheduledLockTime,
+  getLockDrift,
+  getWeekLockSchedule,
+  refreshKickoffs,
+  setLockOverride,
+  recordManualLockChange,
+  runScheduledLock,
+  LOCK_DRIFT_TOLERANCE_SECONDS
+};
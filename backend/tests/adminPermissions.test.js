@@ -0,0 +1,121 @@
+/**
+ * Admin Permission Tests
+ *
+ * Purpose: Verify /api/admin/* routes enforce the signed-in admin's role
+ * - viewer can read but not act
+ * - finance can change payment status but not run week operations
+ * - contest settlement (payouts) needs payments:manage, not week:manage
+ * - only superadmin can grant roles
+ * - /api/admin/me reports the role's permissions
+ */
+
+const request = require('supertest');
+const { app, pool } = require('../server');
+const { createTestAdmin } = require('./helpers/admin');
+
+describe('Admin Role Permissions', () => {
+  const stamp = Date.now();
+  const users = {};
+  const tokens = {};
+
+  function tokenFor(userId) {
+    return tokens[userId];
+  }
+
+  beforeAll(async () => {
+    for (const role of ['viewer', 'operator', 'finance', 'superadmin']) {
+      const admin = await createTestAdmin(pool, `perm_${role}_${stamp}`, role);
+      users[role] = admin.id;
+      tokens[admin.id] = admin.token;
+    }
+
+    const player = await pool.query(
+      'INSERT INTO users (id, username, paid) VALUES (gen_random_uuid(), $1, false) RETURNING id',
+      [`perm_player_${stamp}`]
+    );
+    users.player = player.rows[0].id;
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM users WHERE id = ANY($1)', [Object.values(users)]);
+  });
+
+  it('GET /api/admin/me should list the permissions for the role', async () => {
+    const response = await request(app)
+      .get('/api/admin/me')
+      .set('Authorization', `Bearer ${tokenFor(users.viewer)}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.role).toBe('viewer');
+    expect(response.body.permissions).toEqual(['admin:read']);
+  });
+
+  it('viewer should read but not change payment status or advance weeks', async () => {
+    const token = tokenFor(users.viewer);
+
+    const read = await request(app)
+      .get('/api/admin/cache-status')
+      .set('Authorization', `Bearer ${token}`);
+    expect(read.status).toBe(200);
+
+    const payment = await request(app)
+      .put(`/api/admin/users/${users.player}/payment`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ has_paid: true });
+    expect(payment.status).toBe(403);
+
+    const transition = await request(app)
+      .post('/api/admin/process-week-transition')
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+    expect(transition.status).toBe(403);
+  });
+
+  it('finance should change payment status but not week state', async () => {
+    const token = tokenFor(users.finance);
+
+    const payment = await request(app)
+      .put(`/api/admin/users/${users.player}/payment`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ has_paid: true });
+    expect(payment.status).toBe(200);
+    expect(payment.body.paid).toBe(true);
+
+    const weekStatus = await request(app)
+      .post('/api/admin/update-week-status')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ is_week_active: false });
+    expect(weekStatus.status).toBe(403);
+  });
+
+  it('operator should not settle contest payouts; finance should', async () => {
+    const contestId = '00000000-0000-0000-0000-000000000000';
+
+    const asOperator = await request(app)
+      .post(`/api/admin/contests/${contestId}/settle`)
+      .set('Authorization', `Bearer ${tokenFor(users.operator)}`);
+    expect(asOperator.status).toBe(403);
+
+    // Past the permission check, the missing contest is a 404
+    const asFinance = await request(app)
+      .post(`/api/admin/contests/${contestId}/settle`)
+      .set('Authorization', `Bearer ${tokenFor(users.finance)}`);
+    expect(asFinance.status).toBe(404);
+  });
+
+  it('only superadmin should grant admin roles', async () => {
+    const denied = await request(app)
+      .put(`/api/admin/users/${users.player}/role`)
+      .set('Authorization', `Bearer ${tokenFor(users.finance)}`)
+      .send({ role: 'viewer' });
+    expect(denied.status).toBe(403);
+
+    const granted = await request(app)
+      .put(`/api/admin/users/${users.player}/role`)
+      .set('Authorization', `Bearer ${tokenFor(users.superadmin)}`)
+      .send({ role: 'operator' });
+    expect(granted.status).toBe(200);
+    expect(granted.body.is_admin).toBe(true);
+    expect(granted.body.admin_role).toBe('operator');
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Admin Session Tests
+ *
+ * Purpose: Verify admin JWTs are backed by revocable server-side sessions
+ * - Tokens without a session are rejected
+ * - Logout and revoke-all invalidate access tokens immediately
+ * - Refresh rotates tokens; replaying an old refresh token revokes the session
+ * - The Apple redirect's one-time login code is exchanged once for tokens
+ * - Active sessions are listed on the diagnostics API
+ */
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { app, pool } = require('../server');
+const { createAdminSession, createAdminLoginCode } = require('../services/adminSessions.service');
+const { createTestAdmin } = require('./helpers/admin');
+
+describe('Admin Sessions', () => {
+  const stamp = Date.now();
+  let adminId;
+
+  beforeAll(async () => {
+    adminId = (await createTestAdmin(pool, `session_admin_${stamp}`, 'superadmin')).id;
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM users WHERE id = $1', [adminId]);
+  });
+
+  function getCacheStatus(token) {
+    return request(app)
+      .get('/api/admin/cache-status')
+      .set('Authorization', `Bearer ${token}`);
+  }
+
+  it('should reject a validly signed token that has no session', async () => {
+    const token = jwt.sign(
+      { sub: adminId, is_admin: true, role: 'admin' },
+      process.env.ADMIN_JWT_SECRET,
+      { expiresIn: '5m' }
+    );
+
+    const response = await getCacheStatus(token);
+    expect(response.status).toBe(401);
+  });
+
+  it('should reject the access token after logout', async () => {
+    const session = await createAdminSession(pool, { id: adminId, apple_id: null });
+    expect((await getCacheStatus(session.access_token)).status).toBe(200);
+
+    const logout = await request(app)
+      .post('/api/admin/auth/logout')
+      .set('Authorization', `Bearer ${session.access_token}`);
+    expect(logout.status).toBe(200);
+
+    expect((await getCacheStatus(session.access_token)).status).toBe(401);
+  });
+
+  it('should rotate tokens on refresh and revoke the session on refresh reuse', async () => {
+    const session = await createAdminSession(pool, { id: adminId, apple_id: null });
+
+    const refreshed = await request(app)
+      .post('/api/admin/auth/refresh')
+      .send({ refresh_token: session.refresh_token });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.refresh_token).not.toBe(session.refresh_token);
+
+    // Old access token is superseded, new one works
+    expect((await getCacheStatus(session.access_token)).status).toBe(401);
+    expect((await getCacheStatus(refreshed.body.token)).status).toBe(200);
+
+    // Replaying the old refresh token kills the session
+    const replay = await request(app)
+      .post('/api/admin/auth/refresh')
+      .send({ refresh_token: session.refresh_token });
+    expect(replay.status).toBe(401);
+    expect((await getCacheStatus(refreshed.body.token)).status).toBe(401);
+  });
+
+  it('should exchange a login code for tokens exactly once', async () => {
+    const session = await createAdminSession(pool, { id: adminId, apple_id: null });
+    const loginCode = await createAdminLoginCode(pool, session.session_id);
+
+    const exchanged = await request(app)
+      .post('/api/admin/auth/exchange')
+      .send({ login_code: loginCode });
+    expect(exchanged.status).toBe(200);
+    expect(exchanged.body.refresh_token).toBeDefined();
+
+    // Only the exchanged pair is valid for the session
+    expect((await getCacheStatus(session.access_token)).status).toBe(401);
+    expect((await getCacheStatus(exchanged.body.token)).status).toBe(200);
+
+    const reused = await request(app)
+      .post('/api/admin/auth/exchange')
+      .send({ login_code: loginCode });
+    expect(reused.status).toBe(401);
+  });
+
+  it('should reject an expired login code', async () => {
+    const session = await createAdminSession(pool, { id: adminId, apple_id: null });
+    const loginCode = await createAdminLoginCode(pool, session.session_id);
+    await pool.query(
+      "UPDATE admin_sessions SET login_code_expires_at = NOW() - INTERVAL '1 second' WHERE id = $1",
+      [session.session_id]
+    );
+
+    const response = await request(app)
+      .post('/api/admin/auth/exchange')
+      .send({ login_code: loginCode });
+    expect(response.status).toBe(401);
+  });
+
+  it('should list active sessions and revoke all of them for a user', async () => {
+    const first = await createAdminSession(pool, { id: adminId, apple_id: null }, { ip: '10.0.0.1' });
+    const second = await createAdminSession(pool, { id: adminId, apple_id: null });
+
+    const listed = await request(app)
+      .get('/api/admin/diagnostics/sessions')
+      .set('Authorization', `Bearer ${first.access_token}`);
+    expect(listed.status).toBe(200);
+    const sessionIds = listed.body.sessions.map(s => s.session_id);
+    expect(sessionIds).toEqual(expect.arrayContaining([first.session_id, second.session_id]));
+
+    const revoked = await request(app)
+      .post(`/api/admin/users/${adminId}/sessions/revoke`)
+      .set('Authorization', `Bearer ${first.access_token}`);
+    expect(revoked.status).toBe(200);
+    expect(revoked.body.revokedCount).toBeGreaterThanOrEqual(2);
+
+    expect((await getCacheStatus(first.access_token)).status).toBe(401);
+    expect((await getCacheStatus(second.access_token)).status).toBe(401);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Apple Signup Tests
+ *
+ * Purpose: Verify POST /api/users only trusts verified Apple identity tokens
+ * - Requests without identity_token are rejected
+ * - Tokens signed by an unknown key are rejected
+ * - apple_id and email are taken from the verified claims, not the body
+ * - The APPLE_JWKS_URI override is ignored in production
+ *
+ * Tokens are signed with a locally generated RSA key served from a stand-in
+ * JWKS endpoint (APPLE_JWKS_URI), so no calls reach appleid.apple.com.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { app, pool } = require('../server');
+const { getAppleJwksUri } = require('../auth/appleVerify');
+
+const CLIENT_ID = 'com.test.playoffchallenge';
+const KID = 'test-apple-key';
+
+describe('Apple Signup - POST /api/users', () => {
+  const appleId = `test-apple-${Date.now()}`;
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  let jwksServer;
+
+  function signAppleToken(claims = {}, key = privateKey) {
+    return jwt.sign(
+      { sub: appleId, email: 'apple-signup@test.com', jti: crypto.randomUUID(), ...claims },
+      key,
+      { algorithm: 'RS256', keyid: KID, issuer: 'https://appleid.apple.com', audience: CLIENT_ID, expiresIn: 600 }
+    );
+  }
+
+  beforeAll(async () => {
+    const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' };
+
+    jwksServer = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ keys: [jwk] }));
+    });
+    await new Promise(resolve => jwksServer.listen(0, '127.0.0.1', resolve));
+
+    process.env.APPLE_JWKS_URI = `http://127.0.0.1:${jwksServer.address().port}/auth/keys`;
+    process.env.APPLE_IOS_CLIENT_ID = CLIENT_ID;
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM signup_attempts WHERE apple_id = $1', [appleId]);
+    await pool.query('DELETE FROM users WHERE apple_id = $1', [appleId]);
+    await new Promise(resolve => jwksServer.close(resolve));
+  });
+
+  it('should reject requests without identity_token', async () => {
+    const response = await request(app)
+      .post('/api/users')
+      .send({ apple_id: appleId, state: 'TX', eligibility_certified: true });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should reject tokens signed by an unknown key', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    const response = await request(app)
+      .post('/api/users')
+      .send({ identity_token: signAppleToken({}, otherKey), state: 'TX', eligibility_certified: true });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should create the user from verified claims and ignore body apple_id', async () => {
+    const response = await request(app)
+      .post('/api/users')
+      .send({
+        identity_token: signAppleToken(),
+        apple_id: 'someone-else',
+        email: 'spoofed@test.com',
+        state: 'TX',
+        eligibility_certified: true
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.apple_id).toBe(appleId);
+    expect(response.body.email).toBe('apple-signup@test.com');
+    expect(typeof response.body.access_token).toBe('string');
+  });
+
+  it('should return the existing user on subsequent sign-in', async () => {
+    const existing = await pool.query('SELECT id FROM users WHERE apple_id = $1', [appleId]);
+
+    const response = await request(app)
+      .post('/api/users')
+      .send({ identity_token: signAppleToken() });
+
+    expect(response.status).toBe(200);
+    expect(response.body.id).toBe(existing.rows[0].id);
+  });
+
+  it('should reject a replayed identity token', async () => {
+    const token = signAppleToken();
+
+    const first = await request(app).post('/api/users').send({ identity_token: token });
+    const replay = await request(app).post('/api/users').send({ identity_token: token });
+
+    expect(first.status).toBe(200);
+    expect(replay.status).toBe(401);
+  });
+
+  it('should ignore the APPLE_JWKS_URI override in production', () => {
+    expect(getAppleJwksUri()).toBe(process.env.APPLE_JWKS_URI);
+
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      expect(getAppleJwksUri()).toBe('https://appleid.apple.com/auth/keys');
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+});
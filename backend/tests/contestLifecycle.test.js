@@ -0,0 +1,210 @@
+/**
+ * Contest Lifecycle Tests
+ *
+ * Purpose: Verify contests follow docs/architecture/contest-lifecycle.md
+ * - Only the documented transitions are allowed; re-triggering is a no-op
+ * - Time field invariants hold on create and on admin time edits
+ * - Every transition is recorded in contest_state_transitions
+ * - Contest detail returns backend-derived fields
+ */
+
+const request = require('supertest');
+const { app, pool } = require('../server');
+const { issueUserTokens } = require('../auth/userTokens');
+const { createTestAdmin } = require('./helpers/admin');
+const contestsService = require('../services/contests.service');
+const {
+  ContestLifecycleError,
+  assertTransitionAllowed,
+  assertTimeInvariants
+} = require('../services/contestLifecycle.service');
+
+const HOUR = 60 * 60 * 1000;
+
+function futureTimes() {
+  const now = Date.now();
+  return {
+    lock_time: new Date(now + HOUR).toISOString(),
+    start_time: new Date(now + 2 * HOUR).toISOString(),
+    end_time: new Date(now + 5 * HOUR).toISOString()
+  };
+}
+
+describe('Contest Lifecycle Rules', () => {
+  it('should allow only the documented transitions', () => {
+    expect(() => assertTransitionAllowed('SCHEDULED', 'LOCKED', 'system')).not.toThrow();
+    expect(() => assertTransitionAllowed('LOCKED', 'LIVE', 'system')).not.toThrow();
+    expect(() => assertTransitionAllowed('LIVE', 'COMPLETE', 'system')).not.toThrow();
+    expect(() => assertTransitionAllowed('ERROR', 'CANCELLED', 'admin')).not.toThrow();
+
+    expect(() => assertTransitionAllowed('SCHEDULED', 'LIVE', 'system')).toThrow(ContestLifecycleError);
+    expect(() => assertTransitionAllowed('COMPLETE', 'CANCELLED', 'admin')).toThrow(ContestLifecycleError);
+    expect(() => assertTransitionAllowed('ERROR', 'COMPLETE', 'system')).toThrow(ContestLifecycleError);
+  });
+
+  it('should reject time fields out of order', () => {
+    const created = new Date();
+    const times = futureTimes();
+
+    expect(() => assertTimeInvariants({ ...times, created_at: created })).not.toThrow();
+    expect(() => assertTimeInvariants({ ...times, created_at: created, start_time: times.lock_time })).not.toThrow();
+    expect(() => assertTimeInvariants({ ...times, created_at: created, lock_time: times.end_time })).toThrow(/lock_time/);
+    expect(() => assertTimeInvariants({ ...times, created_at: created, end_time: times.start_time })).toThrow(/end_time/);
+  });
+});
+
+describe('Contest Lifecycle API', () => {
+  const stamp = Date.now();
+  let playerId;
+  let adminId;
+  let adminToken;
+  let playerToken;
+  const contestIds = [];
+
+  async function newContest(name) {
+    const contest = await contestsService.createContest(pool, { name, ...futureTimes() });
+    contestIds.push(contest.id);
+    return contest;
+  }
+
+  beforeAll(async () => {
+    const player = await pool.query(
+      `INSERT INTO users (id, username) VALUES (gen_random_uuid(), $1) RETURNING id`,
+      [`contest_player_${stamp}`]
+    );
+    playerId = player.rows[0].id;
+    playerToken = issueUserTokens({ id: playerId }).access_token;
+
+    const admin = await createTestAdmin(pool, `contest_admin_${stamp}`);
+    adminId = admin.id;
+    adminToken = admin.token;
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM contests WHERE id = ANY($1)', [contestIds]);
+    await pool.query('DELETE FROM users WHERE id = ANY($1)', [[playerId, adminId]]);
+  });
+
+  it('should create a SCHEDULED contest and audit its creation', async () => {
+    const response = await request(app)
+      .post('/api/admin/contests')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: `Lifecycle ${stamp}`, ...futureTimes() });
+
+    expect(response.status).toBe(201);
+    expect(response.body.status).toBe('SCHEDULED');
+    contestIds.push(response.body.id);
+
+    const audit = await request(app)
+      .get(`/api/admin/contests/${response.body.id}/transitions`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(audit.body.transitions).toHaveLength(1);
+    expect(audit.body.transitions[0].from_status).toBeNull();
+    expect(audit.body.transitions[0].triggered_by).toBe('admin');
+  });
+
+  it('should reject a contest whose lock_time is after start_time', async () => {
+    const times = futureTimes();
+    const response = await request(app)
+      .post('/api/admin/contests')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: `Bad times ${stamp}`, ...times, lock_time: times.end_time });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should return derived fields and accept entries only while SCHEDULED', async () => {
+    const contest = await newContest(`Entries ${stamp}`);
+
+    const anonymous = await request(app).get(`/api/contests/${contest.id}`);
+    expect(anonymous.status).toBe(200);
+    expect(anonymous.body.is_locked).toBe(false);
+    expect(anonymous.body.entry_count).toBe(0);
+    expect(anonymous.body.time_until_lock).toBeGreaterThan(0);
+    expect(anonymous.body).not.toHaveProperty('user_has_entered');
+    expect(anonymous.body).not.toHaveProperty('standings');
+
+    const entry = await request(app)
+      .post(`/api/contests/${contest.id}/entries`)
+      .set('Authorization', `Bearer ${playerToken}`);
+    expect(entry.status).toBe(201);
+
+    const detail = await request(app)
+      .get(`/api/contests/${contest.id}`)
+      .set('Authorization', `Bearer ${playerToken}`);
+    expect(detail.body.entry_count).toBe(1);
+    expect(detail.body.user_has_entered).toBe(true);
+
+    await contestsService.transitionContest(pool, contest.id, 'LOCKED', { reason: 'lock_time reached' });
+
+    const late = await request(app)
+      .post(`/api/contests/${contest.id}/entries`)
+      .set('Authorization', `Bearer ${playerToken}`);
+    expect(late.status).toBe(409);
+
+    const locked = await request(app).get(`/api/contests/${contest.id}`);
+    expect(locked.body.is_locked).toBe(true);
+    expect(locked.body.time_until_lock).toBeNull();
+  });
+
+  it('should force-lock to now, ignore repeats and reject invalid transitions', async () => {
+    const contest = await newContest(`Force lock ${stamp}`);
+
+    const locked = await request(app)
+      .post(`/api/admin/contests/${contest.id}/transition`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'LOCKED', reason: 'force-lock' });
+    expect(locked.status).toBe(200);
+    expect(locked.body.changed).toBe(true);
+    expect(new Date(locked.body.contest.lock_time).getTime()).toBeLessThanOrEqual(Date.now());
+
+    const repeated = await request(app)
+      .post(`/api/admin/contests/${contest.id}/transition`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'LOCKED' });
+    expect(repeated.status).toBe(200);
+    expect(repeated.body.changed).toBe(false);
+
+    const invalid = await request(app)
+      .post(`/api/admin/contests/${contest.id}/transition`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'COMPLETE' });
+    expect(invalid.status).toBe(409);
+
+    const transitions = await contestsService.getContestTransitions(pool, contest.id);
+    expect(transitions.map(t => t.to_status)).toEqual(['SCHEDULED', 'LOCKED']);
+    expect(transitions[1].actor_user_id).toBe(adminId);
+  });
+
+  it('should only allow lock_time edits while SCHEDULED', async () => {
+    const contest = await newContest(`Time edits ${stamp}`);
+    await contestsService.transitionContest(pool, contest.id, 'LOCKED');
+
+    const response = await request(app)
+      .patch(`/api/admin/contests/${contest.id}/times`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ lock_time: new Date(Date.now() + HOUR).toISOString() });
+    expect(response.status).toBe(409);
+
+    const endTime = new Date(Date.now() + 6 * HOUR).toISOString();
+    const allowed = await request(app)
+      .patch(`/api/admin/contests/${contest.id}/times`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ end_time: endTime });
+    expect(allowed.status).toBe(200);
+    expect(new Date(allowed.body.end_time).toISOString()).toBe(endTime);
+  });
+
+  it('should include standings once the contest is LIVE', async () => {
+    const contest = await newContest(`Standings ${stamp}`);
+    await contestsService.createEntry(pool, contest.id, playerId);
+    await contestsService.transitionContest(pool, contest.id, 'LOCKED');
+    await contestsService.transitionContest(pool, contest.id, 'LIVE');
+
+    const response = await request(app).get(`/api/contests/${contest.id}`);
+    expect(response.body.is_live).toBe(true);
+    expect(response.body.is_settled).toBe(false);
+    expect(response.body.standings).toHaveLength(1);
+    expect(response.body.standings[0].user_id).toBe(playerId);
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Email Account Recovery Tests
+ *
+ * Purpose: Verify password reset and email verification tokens
+ * - Reset requests do not reveal whether an account exists
+ * - Tokens are single-use and expire
+ * - Login refuses unverified accounts when require_email_verification is on
+ * - Changing the email address clears verification and mails a new code
+ * - Production refuses to send without a registered transport, and the
+ *   console transport never logs tokens
+ *
+ * Outgoing mail is captured with an in-memory transport.
+ */
+
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const { app, pool } = require('../server');
+const mailService = require('../services/mail.service');
+const { createEmailToken } = require('../auth/emailTokens');
+const { issueUserTokens } = require('../auth/userTokens');
+
+describe('Email Account Recovery', () => {
+  const stamp = Date.now();
+  const resetEmail = `reset-test-${stamp}@test.com`;
+  const verifyEmail = `verify-test-${stamp}@test.com`;
+  const sentMail = [];
+  let resetUserId;
+  let verifyUserId;
+  let originalRequireVerification;
+
+  function lastTokenSentTo(email) {
+    const message = sentMail.filter(m => m.to === email).pop();
+    return message ? message.text.match(/code to [^:]+: ([a-f0-9]+)/)[1] : null;
+  }
+
+  beforeAll(async () => {
+    mailService.setMailTransport({ send: async (message) => { sentMail.push(message); } });
+
+    const passwordHash = await bcrypt.hash('old-password', 4);
+    const users = await pool.query(
+      `INSERT INTO users (id, email, password_hash, username, auth_method)
+       VALUES (gen_random_uuid(), $1, $3, $4, 'email'),
+              (gen_random_uuid(), $2, $3, $5, 'email')
+       RETURNING id, email`,
+      [resetEmail, verifyEmail, passwordHash, `reset_test_${stamp}`, `verify_test_${stamp}`]
+    );
+    resetUserId = users.rows.find(u => u.email === resetEmail).id;
+    verifyUserId = users.rows.find(u => u.email === verifyEmail).id;
+
+    const settings = await pool.query('SELECT require_email_verification FROM game_settings LIMIT 1');
+    originalRequireVerification = settings.rows[0].require_email_verification;
+  });
+
+  afterAll(async () => {
+    mailService.setMailTransport(null);
+    await pool.query(
+      'UPDATE game_settings SET require_email_verification = $1',
+      [originalRequireVerification]
+    );
+    await pool.query('DELETE FROM users WHERE id = ANY($1)', [[resetUserId, verifyUserId]]);
+  });
+
+  it('should accept reset requests for unknown emails without sending mail', async () => {
+    const response = await request(app)
+      .post('/api/auth/password-reset/request')
+      .send({ email: `nobody-${stamp}@test.com` });
+
+    expect(response.status).toBe(200);
+    expect(sentMail).toHaveLength(0);
+  });
+
+  it('should reset the password once with an emailed token', async () => {
+    const requested = await request(app)
+      .post('/api/auth/password-reset/request')
+      .send({ email: resetEmail });
+    expect(requested.status).toBe(200);
+
+    const token = lastTokenSentTo(resetEmail);
+    expect(token).toBeTruthy();
+
+    const stored = await pool.query('SELECT token_hash FROM auth_tokens WHERE user_id = $1', [resetUserId]);
+    expect(stored.rows[0].token_hash).not.toBe(token);
+
+    const confirmed = await request(app)
+      .post('/api/auth/password-reset/confirm')
+      .send({ token, password: 'new-password' });
+    expect(confirmed.status).toBe(200);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: resetEmail, password: 'new-password' });
+    expect(login.status).toBe(200);
+
+    const reused = await request(app)
+      .post('/api/auth/password-reset/confirm')
+      .send({ token, password: 'another-password' });
+    expect(reused.status).toBe(400);
+  });
+
+  it('should reject expired reset tokens', async () => {
+    const { token } = await createEmailToken(pool, resetUserId, 'password_reset');
+    await pool.query(
+      `UPDATE auth_tokens SET expires_at = NOW() - INTERVAL '1 minute'
+       WHERE user_id = $1 AND used_at IS NULL`,
+      [resetUserId]
+    );
+
+    const response = await request(app)
+      .post('/api/auth/password-reset/confirm')
+      .send({ token, password: 'too-late' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should refuse unverified logins when required, until the email is verified', async () => {
+    await pool.query('UPDATE game_settings SET require_email_verification = true');
+
+    const refused = await request(app)
+      .post('/api/auth/login')
+      .send({ email: verifyEmail, password: 'old-password' });
+    expect(refused.status).toBe(403);
+    expect(refused.body.email_verification_required).toBe(true);
+
+    await request(app)
+      .post('/api/auth/verify-email/request')
+      .send({ email: verifyEmail });
+
+    const confirmed = await request(app)
+      .post('/api/auth/verify-email/confirm')
+      .send({ token: lastTokenSentTo(verifyEmail) });
+    expect(confirmed.status).toBe(200);
+
+    const user = await pool.query('SELECT email_verified_at FROM users WHERE id = $1', [verifyUserId]);
+    expect(user.rows[0].email_verified_at).not.toBeNull();
+  });
+
+  it('should require the new address to be verified after an email change', async () => {
+    // From another address, clear of this suite's auth rate limit
+    const ip = '203.0.113.8';
+    const newEmail = `verify-changed-${stamp}@test.com`;
+    const { token: oldCode } = await createEmailToken(pool, verifyUserId, 'email_verification');
+    const { access_token } = issueUserTokens({ id: verifyUserId });
+
+    const updated = await request(app)
+      .put(`/api/users/${verifyUserId}`)
+      .set('Authorization', `Bearer ${access_token}`)
+      .send({ email: newEmail });
+    expect(updated.status).toBe(200);
+    expect(updated.body.email_verified_at).toBeNull();
+
+    const refused = await request(app)
+      .post('/api/auth/login')
+      .set('X-Forwarded-For', ip)
+      .send({ email: newEmail, password: 'old-password' });
+    expect(refused.status).toBe(403);
+
+    // A code mailed before the change no longer verifies anything
+    const stale = await request(app)
+      .post('/api/auth/verify-email/confirm')
+      .set('X-Forwarded-For', ip)
+      .send({ token: oldCode });
+    expect(stale.status).toBe(400);
+
+    const confirmed = await request(app)
+      .post('/api/auth/verify-email/confirm')
+      .set('X-Forwarded-For', ip)
+      .send({ token: lastTokenSentTo(newEmail) });
+    expect(confirmed.status).toBe(200);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .set('X-Forwarded-For', ip)
+      .send({ email: newEmail, password: 'old-password' });
+    expect(login.status).toBe(200);
+  });
+
+  it('should refuse reset requests in production until a transport is registered', async () => {
+    const originalEnv = process.env.NODE_ENV;
+    mailService.setMailTransport(null);
+    process.env.NODE_ENV = 'production';
+    try {
+      const before = await pool.query('SELECT COUNT(*)::int AS n FROM auth_tokens WHERE user_id = $1', [resetUserId]);
+
+      // From another address, clear of this suite's auth rate limit
+      for (const email of [resetEmail, `nobody-${stamp}@test.com`]) {
+        const response = await request(app)
+          .post('/api/auth/password-reset/request')
+          .set('X-Forwarded-For', '203.0.113.7')
+          .send({ email });
+        expect(response.status).toBe(503);
+      }
+
+      const after = await pool.query('SELECT COUNT(*)::int AS n FROM auth_tokens WHERE user_id = $1', [resetUserId]);
+      expect(after.rows[0].n).toBe(before.rows[0].n);
+    } finally {
+      process.env.NODE_ENV = originalEnv;
+      mailService.setMailTransport({ send: async (message) => { sentMail.push(message); } });
+    }
+  });
+
+  it('should not log message bodies from the console transport', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      await mailService.createConsoleTransport().send({
+        to: resetEmail,
+        subject: 'Reset your Playoff Challenge password',
+        text: 'Use this code to reset your password: abc123secret'
+      });
+      expect(JSON.stringify(log.mock.calls)).not.toContain('abc123secret');
+    } finally {
+      log.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Game-Day Replay Tests
+ *
+ * Purpose: Verify the game-day replay simulator
+ * - Timelines load with their snapshots; snapshots carry over between steps
+ * - A recorded PIT @ BAL timeline (tests/fixtures/replays/pit-bal-wild-card)
+ *   replays through the live polling loop, and scores, /api/live-scores and
+ *   /api/leaderboard change as the timeline expects at every step
+ * - The week's stored games and scores are put back and the live stats,
+ *   games sync and stat corrections jobs skip their runs while a replay is
+ *   installed
+ * - A step whose expected change does not happen fails the replay
+ */
+
+const path = require('path');
+const request = require('supertest');
+const {
+  app,
+  pool,
+  runLiveStatsWithTracking,
+  runGamesSyncWithTracking,
+  runStatCorrectionsWithTracking
+} = require('../server');
+const { createTestAdmin } = require('./helpers/admin');
+const gameDayReplayService = require('../services/gameDayReplay.service');
+const jobsService = require('../services/adminJobs.service');
+
+const REPLAY_DIR = path.join(__dirname, 'fixtures', 'replays');
+const TIMELINE = 'pit-bal-wild-card';
+
+describe('Replay Timelines', () => {
+  const { loadTimeline, resolveTimelineDir, createTimelineProvider } = gameDayReplayService;
+
+  it('should load every step with its snapshots', () => {
+    const timeline = loadTimeline(resolveTimelineDir(REPLAY_DIR, TIMELINE));
+    expect(timeline.week).toBe(19);
+    expect(timeline.steps.map(step => step.label)).toEqual(['Pregame', 'End of Q1', 'Halftime', 'Final']);
+    expect(Array.from(timeline.tracked).sort()).toEqual(['15683', '3043078', '3916387', 'BAL']);
+  });
+
+  it('should serve snapshots as of the current step', async () => {
+    const provider = createTimelineProvider(loadTimeline(resolveTimelineDir(REPLAY_DIR, TIMELINE)));
+
+    provider.setStep(0);
+    expect((await provider.getScoreboard(19)).events[0].status.type.state).toBe('pre');
+    await expect(provider.getGameSummary('401671790')).rejects.toMatchObject({ status: 404 });
+
+    provider.setStep(1);
+    provider.setStep(2);
+    expect((await provider.getScoreboard(19)).events[0].competitions[0].competitors[0].score).toBe('22');
+    expect((await provider.getCompetitorStats('401671790', '33')).splits.categories[0].stats[1].value).toBe(7);
+    await expect(provider.getScoreboard(20)).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('should reject timeline names outside the replay directory', () => {
+    expect(() => resolveTimelineDir(REPLAY_DIR, '../stats')).toThrow(gameDayReplayService.ReplayError);
+    expect(() => loadTimeline(resolveTimelineDir(REPLAY_DIR, 'missing-timeline'))).toThrow('not found');
+  });
+});
+
+describe('Game-Day Replay', () => {
+  const stamp = Date.now();
+  const players = [
+    { id: `replay_qb_${stamp}`, espn_id: '3916387', position: 'QB', full_name: 'Lamar Jackson', multiplier: 2 },
+    { id: `replay_rb_${stamp}`, espn_id: '3043078', position: 'RB', full_name: 'Derrick Henry', multiplier: 1 },
+    { id: `replay_k_${stamp}`, espn_id: '15683', position: 'K', full_name: 'Justin Tucker', multiplier: 1 },
+    { id: 'BAL', espn_id: null, position: 'DEF', full_name: 'Baltimore Ravens', multiplier: 1 }
+  ];
+  const createdPlayerIds = [];
+  let userId;
+  let adminId;
+  let adminToken;
+
+  beforeAll(async () => {
+    const admin = await createTestAdmin(pool, `replay_admin_${stamp}`);
+    adminId = admin.id;
+    adminToken = admin.token;
+
+    const user = await pool.query(
+      'INSERT INTO users (id, username, paid) VALUES (gen_random_uuid(), $1, true) RETURNING id',
+      [`replay_user_${stamp}`]
+    );
+    userId = user.rows[0].id;
+
+    for (const player of players) {
+      const inserted = await pool.query(
+        `INSERT INTO players (id, espn_id, position, team, full_name)
+         VALUES ($1, $2, $3, 'BAL', $4)
+         ON CONFLICT (id) DO NOTHING
+         RETURNING id`,
+        [player.id, player.espn_id, player.position, player.full_name]
+      );
+      if (inserted.rows.length > 0) createdPlayerIds.push(player.id);
+
+      await pool.query(
+        `INSERT INTO picks (user_id, player_id, week_number, position, multiplier)
+         VALUES ($1, $2, 19, $3, $4)`,
+        [userId, player.id, player.position, player.multiplier]
+      );
+    }
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM games WHERE provider_game_id = ANY($1)', [['401671790']]);
+    await pool.query('DELETE FROM scores WHERE user_id = $1', [userId]);
+    await pool.query('DELETE FROM picks WHERE user_id = $1', [userId]);
+    await pool.query('DELETE FROM players WHERE id = ANY($1)', [createdPlayerIds]);
+    await pool.query('DELETE FROM users WHERE id = ANY($1)', [[userId, adminId]]);
+  });
+
+  it('should replay the timeline through live scoring and pass every check', async () => {
+    const originalProvider = app.locals.statsProvider;
+
+    const response = await request(app)
+      .post('/api/admin/replay')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ timeline: TIMELINE, speed: 1000000, wait: true });
+    expect(response.status).toBe(200);
+
+    const failed = response.body.steps.flatMap(step => step.checks.filter(c => !c.ok).map(c => ({ step: step.label, ...c })));
+    expect(failed).toEqual([]);
+    expect(response.body.status).toBe('passed');
+    expect(response.body.steps).toHaveLength(4);
+
+    const checks = response.body.steps[3].checks.map(c => c.check);
+    expect(checks).toEqual(expect.arrayContaining(['poll', 'scores', 'stats', 'live-scores', 'leaderboard']));
+    expect(response.body.steps[3].checks.find(c => c.check === 'live-scores').detail).toMatch(/^3 live picks/);
+    expect(response.body.steps[3].checks.find(c => c.check === 'leaderboard').detail).toMatch(/^1 tracked users/);
+
+    // The live provider is restored once the replay ends
+    expect(app.locals.statsProvider).toBe(originalProvider);
+
+    const status = await request(app)
+      .get('/api/admin/replay')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(status.body).toMatchObject({ timeline: 'PIT @ BAL Wild Card', status: 'passed' });
+    expect(status.body.finished_at).not.toBeNull();
+  });
+
+  it('should put back the week\'s games and pause background jobs during a replay', async () => {
+    const jobs = ['live-stats-polling', 'games-sync', 'stat-corrections'];
+    for (const job of jobs) jobsService.registerJob(job);
+
+    await pool.query(
+      `INSERT INTO games (provider_game_id, week_number, name, home_team, away_team, status)
+       VALUES ('401671790', 19, 'Stored before replay', 'BAL', 'PIT', 'pre')
+       ON CONFLICT (provider_game_id) DO UPDATE SET name = EXCLUDED.name, status = EXCLUDED.status`
+    );
+    const before = await pool.query('SELECT * FROM games WHERE week_number = 19 ORDER BY provider_game_id');
+
+    // Run every background job during each replay poll
+    const startReplay = gameDayReplayService.startReplay;
+    const replayStatuses = [];
+    const spy = jest.spyOn(gameDayReplayService, 'startReplay').mockImplementation(options => startReplay({
+      ...options,
+      poll: async (week) => {
+        const result = await options.poll(week);
+        await runLiveStatsWithTracking(week);
+        await runGamesSyncWithTracking();
+        await runStatCorrectionsWithTracking();
+        const stored = await pool.query('SELECT status FROM games WHERE provider_game_id = $1', ['401671790']);
+        replayStatuses.push(stored.rows[0].status);
+        return result;
+      }
+    }));
+
+    try {
+      const response = await request(app)
+        .post('/api/admin/replay')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ timeline: TIMELINE, speed: 1000000, wait: true });
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('passed');
+    } finally {
+      spy.mockRestore();
+    }
+
+    // The replay's own games were stored while it ran
+    expect(replayStatuses[replayStatuses.length - 1]).toBe('post');
+    for (const job of jobs) {
+      expect(jobsService.getJobStatus(job).run_count).toBe(0);
+    }
+
+    const after = await pool.query('SELECT * FROM games WHERE week_number = 19 ORDER BY provider_game_id');
+    expect(after.rows).toEqual(before.rows);
+  });
+
+  it('should put back the week\'s stored scores after a replay', async () => {
+    const other = await pool.query(
+      'INSERT INTO users (id, username, paid) VALUES (gen_random_uuid(), $1, true) RETURNING id',
+      [`replay_other_${stamp}`]
+    );
+    const otherUserId = other.rows[0].id;
+    const otherPlayerId = `replay_wr_${stamp}`;
+
+    try {
+      await pool.query(
+        `INSERT INTO players (id, position, team, full_name) VALUES ($1, 'WR', 'BAL', 'Zay Flowers')`,
+        [otherPlayerId]
+      );
+      await pool.query(
+        `INSERT INTO picks (user_id, player_id, week_number, position, multiplier)
+         VALUES ($1, $2, 19, 'WR', 2)`,
+        [otherUserId, otherPlayerId]
+      );
+      await pool.query(
+        `INSERT INTO scores (user_id, player_id, week_number, points, base_points, multiplier, final_points, stats_json)
+         VALUES ($1, $2, 19, 21, 21, 2, 42, $3)`,
+        [otherUserId, otherPlayerId, JSON.stringify({ rec: 7, rec_yd: 90, rec_td: 1 })]
+      );
+      const before = await pool.query('SELECT * FROM scores WHERE week_number = 19 ORDER BY id');
+
+      const response = await request(app)
+        .post('/api/admin/replay')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ timeline: TIMELINE, speed: 1000000, wait: true });
+      expect(response.status).toBe(200);
+      expect(response.body.steps.length).toBeGreaterThan(0);
+
+      const after = await pool.query('SELECT * FROM scores WHERE week_number = 19 ORDER BY id');
+      expect(after.rows).toEqual(before.rows);
+    } finally {
+      await pool.query('DELETE FROM scores WHERE user_id = $1', [otherUserId]);
+      await pool.query('DELETE FROM picks WHERE user_id = $1', [otherUserId]);
+      await pool.query('DELETE FROM players WHERE id = $1', [otherPlayerId]);
+      await pool.query('DELETE FROM users WHERE id = $1', [otherUserId]);
+    }
+  });
+
+  it('should fail a step whose expected change did not happen', async () => {
+    const timeline = gameDayReplayService.loadTimeline(gameDayReplayService.resolveTimelineDir(REPLAY_DIR, TIMELINE));
+    const report = await gameDayReplayService.runReplay({
+      pool,
+      timeline: { ...timeline, steps: [timeline.steps[1]] },
+      provider: gameDayReplayService.createTimelineProvider(timeline),
+      speed: 1,
+      poll: async () => ({ success: true, message: 'skipped' }),
+      fetchJson: async (apiPath) => (apiPath.startsWith('/api/live-scores') ? { picks: [] } : [])
+    });
+
+    expect(report.status).toBe('failed');
+    const henry = report.steps[0].checks.find(c => c.check === 'scores' && c.player === '3043078');
+    expect(henry).toMatchObject({ ok: false, detail: 'expected a change, score did not move' });
+  });
+
+  it('should validate replay requests', async () => {
+    const badSpeed = await request(app)
+      .post('/api/admin/replay')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ timeline: TIMELINE, speed: 0 });
+    expect(badSpeed.status).toBe(400);
+
+    const badName = await request(app)
+      .post('/api/admin/replay')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ timeline: '../../server' });
+    expect(badName.status).toBe(400);
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Games Table Tests
+ *
+ * Purpose: Verify games are stored instead of held in memory
+ * - Scoreboard events round-trip through games rows unchanged for the
+ *   scoreboard consumers (kickoffs, matchups, settlement)
+ * - Stored games are served without a scoreboard fetch while fresh, re-synced
+ *   when stale, and still served when the scoreboard is unavailable
+ * - The live poller writes the games it sees, and elimination checks read
+ *   them back with no provider available (as after a restart mid-game)
+ */
+
+const path = require('path');
+const request = require('supertest');
+const { app, pool } = require('../server');
+const { createTestAdmin } = require('./helpers/admin');
+const gamesService = require('../services/games.service');
+const statsProviderService = require('../services/statsProvider.service');
+const { buildTeamKickoffs } = require('../services/pickLocks.service');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'stats', 'wild-card-weekend');
+const FIXTURE_GAME_IDS = ['401671789', '401671790'];
+
+function event(id, home, away, state, date = '2026-01-17T21:30Z') {
+  return {
+    id,
+    date,
+    status: { type: { state } },
+    competitions: [{
+      competitors: [
+        { homeAway: 'home', team: { abbreviation: home }, score: '0' },
+        { homeAway: 'away', team: { abbreviation: away }, score: '0' }
+      ]
+    }]
+  };
+}
+
+describe('Game Rows', () => {
+  it('should round-trip scoreboard events through games rows', async () => {
+    const { events } = await statsProviderService.createFixtureProvider(FIXTURE_DIR).getScoreboard(19);
+    const games = events.map(e => gamesService.eventToGame(e, 19));
+
+    expect(games[1]).toMatchObject({
+      provider_game_id: '401671790',
+      home_team: 'BAL',
+      away_team: 'PIT',
+      status: 'post',
+      home_score: 28,
+      away_score: 14
+    });
+
+    const roundTripped = games.map(gamesService.gameToEvent);
+    expect(buildTeamKickoffs(roundTripped)).toEqual(buildTeamKickoffs(events));
+  });
+
+  it('should re-sync only games that are not final and have gone stale', () => {
+    const now = new Date('2026-01-17T22:00:00Z');
+    const synced = ago => new Date(now.getTime() - ago);
+
+    expect(gamesService.needsSync([], now)).toBe(true);
+    expect(gamesService.needsSync([{ status: 'in', last_synced_at: synced(10 * 1000) }], now)).toBe(false);
+    expect(gamesService.needsSync([{ status: 'in', last_synced_at: synced(5 * 60 * 1000) }], now)).toBe(true);
+    expect(gamesService.needsSync([{ status: 'post', last_synced_at: synced(60 * 60 * 1000) }], now)).toBe(false);
+  });
+});
+
+describe('Stored Games', () => {
+  const stamp = Date.now();
+  const WEEK = 20;
+  const gameIds = [`games_a_${stamp}`, `games_b_${stamp}`, `games_probowl_${stamp}`];
+  const originalProvider = app.locals.statsProvider;
+  const createdPlayerIds = [];
+  let userId;
+  let adminId;
+  let adminToken;
+
+  const unavailable = async () => {
+    throw new statsProviderService.StatsProviderError('scoreboard unavailable');
+  };
+
+  beforeAll(async () => {
+    const admin = await createTestAdmin(pool, `games_admin_${stamp}`);
+    adminId = admin.id;
+    adminToken = admin.token;
+
+    const user = await pool.query(
+      'INSERT INTO users (id, username) VALUES (gen_random_uuid(), $1) RETURNING id',
+      [`games_user_${stamp}`]
+    );
+    userId = user.rows[0].id;
+  });
+
+  afterEach(() => {
+    app.locals.statsProvider = originalProvider;
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM games WHERE provider_game_id = ANY($1)', [[...gameIds, ...FIXTURE_GAME_IDS]]);
+    await pool.query('DELETE FROM scores WHERE user_id = $1', [userId]);
+    await pool.query('DELETE FROM picks WHERE user_id = $1', [userId]);
+    await pool.query('DELETE FROM players WHERE id = ANY($1)', [createdPlayerIds]);
+    await pool.query('DELETE FROM users WHERE id = ANY($1)', [[userId, adminId]]);
+  });
+
+  it('should store a synced week and skip Pro Bowl events', async () => {
+    const games = await gamesService.syncWeek(pool, WEEK, {
+      fetchEvents: async () => [
+        event(gameIds[0], 'BUF', 'KC', 'pre'),
+        event(gameIds[1], 'DET', 'PHI', 'pre', '2026-01-18T01:15Z'),
+        event(gameIds[2], 'AFC', 'NFC', 'pre')
+      ]
+    });
+
+    expect(games.map(g => g.provider_game_id)).toEqual(gameIds.slice(0, 2));
+    expect(games[0]).toMatchObject({ week_number: WEEK, home_team: 'BUF', away_team: 'KC', status: 'pre' });
+  });
+
+  it('should serve fresh games without fetching the scoreboard', async () => {
+    const fetchEvents = jest.fn(unavailable);
+    const events = await gamesService.getWeekEvents(pool, WEEK, { fetchEvents });
+
+    expect(fetchEvents).not.toHaveBeenCalled();
+    expect(events.map(e => e.id)).toEqual(gameIds.slice(0, 2));
+  });
+
+  it('should re-sync stale games, and keep them when the scoreboard is unavailable', async () => {
+    const later = new Date(Date.now() + 5 * 60 * 1000);
+
+    const kept = await gamesService.getWeekEvents(pool, WEEK, { fetchEvents: unavailable, now: later });
+    expect(kept.map(e => e.status.type.state)).toEqual(['pre', 'pre']);
+
+    const synced = await gamesService.getWeekEvents(pool, WEEK, {
+      now: later,
+      fetchEvents: async () => [
+        event(gameIds[0], 'BUF', 'KC', 'in'),
+        event(gameIds[1], 'DET', 'PHI', 'pre', '2026-01-18T01:15Z')
+      ]
+    });
+    expect(synced.map(e => e.status.type.state)).toEqual(['in', 'pre']);
+
+    await expect(gamesService.getWeekEvents(pool, 99, { fetchEvents: unavailable })).rejects.toThrow('unavailable');
+  });
+
+  it('should store the games the live poller sees', async () => {
+    app.locals.statsProvider = statsProviderService.createFixtureProvider(FIXTURE_DIR);
+
+    const response = await request(app)
+      .post('/api/admin/update-live-stats')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ weekNumber: 19 });
+    expect(response.status).toBe(200);
+
+    const games = await gamesService.getGames(pool, 19);
+    const stored = games.filter(g => FIXTURE_GAME_IDS.includes(g.provider_game_id));
+    expect(stored.map(g => [g.short_name, g.status])).toEqual([['LAC @ HOU', 'post'], ['PIT @ BAL', 'post']]);
+  });
+
+  it('should report eliminated players from stored games with no provider available', async () => {
+    app.locals.statsProvider = {
+      name: 'offline',
+      getScoreboard: unavailable,
+      getGameSummary: unavailable,
+      getCompetitorStats: unavailable
+    };
+
+    // Week 19 picks on a team still playing in week 20 and on one that is not
+    for (const [team, position] of [['BUF', 'QB'], ['HOU', 'WR']]) {
+      const playerId = `games_${team.toLowerCase()}_${stamp}`;
+      await pool.query(
+        `INSERT INTO players (id, position, team, full_name) VALUES ($1, $2, $3, $4)`,
+        [playerId, position, team, `Games ${team}`]
+      );
+      createdPlayerIds.push(playerId);
+      await pool.query(
+        'INSERT INTO picks (user_id, player_id, week_number, position, multiplier) VALUES ($1, $2, 19, $3, 1)',
+        [userId, playerId, position]
+      );
+    }
+
+    const response = await request(app).get(`/api/picks/eliminated/${userId}/${WEEK}`);
+    expect(response.status).toBe(200);
+    expect(response.body.activeTeams.sort()).toEqual(['BUF', 'DET', 'KC', 'PHI']);
+    expect(response.body.eliminated.map(p => p.team)).toEqual(['HOU']);
+  });
+});
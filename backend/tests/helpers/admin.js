@@ -0,0 +1,28 @@
+/**
+ * Admin Test Helper
+ *
+ * Creates an admin user with a live admin session, for suites that call
+ * /api/admin/* routes. The caller deletes the user in its afterAll.
+ */
+
+const { createAdminSession } = require('../../services/adminSessions.service');
+
+/**
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} username - Unique per run (suites append their stamp)
+ * @param {string} [role] - admin_role
+ * @returns {Promise<Object>} { id, token } with token an admin access token
+ */
+async function createTestAdmin(pool, username, role = 'operator') {
+  const result = await pool.query(
+    `INSERT INTO users (id, username, is_admin, admin_role)
+     VALUES (gen_random_uuid(), $1, true, $2)
+     RETURNING id`,
+    [username, role]
+  );
+  const id = result.rows[0].id;
+  const session = await createAdminSession(pool, { id, apple_id: null });
+  return { id, token: session.access_token };
+}
+
+module.exports = { createTestAdmin };
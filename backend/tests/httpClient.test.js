@@ -0,0 +1,265 @@
+/**
+ * HTTP Client Tests
+ *
+ * Purpose: Verify the shared outbound HTTP client
+ * - Network errors and 5xx responses are retried with jittered backoff;
+ *   other 4xx responses are not
+ * - The circuit opens after repeated failures, fails fast, and closes again
+ *   after a successful half-open trial
+ * - Responses are cached by URL for the host TTL; expired entries are pruned
+ * - The health check reports circuit state
+ * - A failed provider fetch fails the scoring job instead of writing scores
+ */
+
+const path = require('path');
+const request = require('supertest');
+const { app, pool } = require('../server');
+const { createTestAdmin } = require('./helpers/admin');
+const httpClientService = require('../services/httpClient.service');
+const healthService = require('../services/adminHealth.service');
+const statsProviderService = require('../services/statsProvider.service');
+
+const URL_A = 'https://stats.example.com/a';
+
+function httpError(status) {
+  const err = new Error(status ? `Request failed with status code ${status}` : 'socket hang up');
+  if (status) err.response = { status };
+  else err.code = 'ECONNRESET';
+  return err;
+}
+
+// Fake axios: answers each call with the next queued result
+function fakeHttp(results) {
+  const http = {
+    calls: [],
+    get: jest.fn(async (url, options) => {
+      http.calls.push({ url, options });
+      const next = results.shift();
+      if (next instanceof Error) throw next;
+      return { status: 200, data: next };
+    })
+  };
+  return http;
+}
+
+describe('HTTP Client', () => {
+  const policies = { 'stats.example.com': { timeout: 1234, retries: 2, cacheTtlMs: 0 } };
+  let clock;
+  const now = () => clock;
+
+  beforeEach(() => {
+    clock = 1000000;
+  });
+
+  it('should retry network errors and 5xx responses with jittered backoff', async () => {
+    const http = fakeHttp([httpError(), httpError(503), { ok: true }]);
+    const sleep = jest.fn(async () => {});
+    const client = httpClientService.createHttpClient({ policies, http, sleep, random: () => 0.5, now });
+
+    const response = await client.get(URL_A);
+
+    expect(response.data).toEqual({ ok: true });
+    expect(http.calls).toHaveLength(3);
+    expect(http.calls[0].options).toEqual({ timeout: 1234 });
+    expect(sleep.mock.calls.map(call => call[0])).toEqual([125, 250]);
+  });
+
+  it('should not retry a 404 and report its status', async () => {
+    const http = fakeHttp([httpError(404)]);
+    const client = httpClientService.createHttpClient({ policies, http, sleep: async () => {}, now });
+
+    await expect(client.get(URL_A)).rejects.toMatchObject({ name: 'HttpClientError', status: 404 });
+    expect(http.calls).toHaveLength(1);
+    expect(client.getCircuitState('stats.example.com').state).toBe('closed');
+  });
+
+  it('should open the circuit after repeated failures and close it after a successful trial', async () => {
+    const http = fakeHttp([httpError(500), httpError(500), { ok: true }]);
+    const client = httpClientService.createHttpClient({
+      policies: { 'stats.example.com': { retries: 0 } },
+      http,
+      sleep: async () => {},
+      now,
+      breaker: { failureThreshold: 2, openMs: 5000 }
+    });
+
+    await expect(client.get(URL_A)).rejects.toMatchObject({ status: 502 });
+    await expect(client.get(URL_A)).rejects.toMatchObject({ status: 502 });
+    expect(client.getCircuitState('stats.example.com')).toMatchObject({ state: 'open', consecutive_failures: 2 });
+
+    // Fails fast without calling the host
+    await expect(client.get(URL_A)).rejects.toThrow('Circuit open');
+    expect(http.calls).toHaveLength(2);
+
+    clock += 5000;
+    expect((await client.get(URL_A)).data).toEqual({ ok: true });
+    expect(client.getCircuitState('stats.example.com').state).toBe('closed');
+  });
+
+  it('should cache responses by URL for the TTL', async () => {
+    const http = fakeHttp([{ n: 1 }, { n: 2 }, { n: 3 }]);
+    const client = httpClientService.createHttpClient({
+      policies: { 'stats.example.com': { cacheTtlMs: 1000 } },
+      http,
+      now
+    });
+
+    expect((await client.get(URL_A)).data).toEqual({ n: 1 });
+    expect((await client.get(URL_A)).data).toEqual({ n: 1 });
+    expect((await client.get(`${URL_A}?week=2`)).data).toEqual({ n: 2 });
+
+    clock += 1000;
+    expect((await client.get(URL_A)).data).toEqual({ n: 3 });
+  });
+
+  it('should drop expired responses and skip the cache when the TTL is 0', async () => {
+    const http = fakeHttp([{ n: 1 }, { n: 2 }, { n: 3 }, { n: 4 }]);
+    const client = httpClientService.createHttpClient({
+      policies: { 'stats.example.com': { cacheTtlMs: 1000 } },
+      http,
+      now
+    });
+
+    await client.get(URL_A);
+    await client.get(`${URL_A}?week=2`);
+    expect(client.getCacheSize()).toBe(2);
+
+    // Read stale: the entry is removed before refetching
+    clock += 1000;
+    expect((await client.get(URL_A, { cacheTtlMs: 0 })).data).toEqual({ n: 3 });
+    expect(client.getCacheSize()).toBe(1);
+
+    // Caching a new response sweeps the other expired entry
+    await client.get(`${URL_A}?week=3`);
+    expect(client.getCacheSize()).toBe(1);
+  });
+
+  it('should report an open circuit as degraded in the health check', () => {
+    const host = 'health.example.com';
+    const breaker = httpClientService.client;
+    const original = breaker.getCircuitState;
+    breaker.getCircuitState = () => ({ state: 'open', consecutive_failures: 5 });
+    try {
+      const result = healthService.withCircuitState({ status: 'healthy', latency_ms: 12 }, host);
+      expect(result).toMatchObject({ status: 'degraded', circuit: { state: 'open' } });
+    } finally {
+      breaker.getCircuitState = original;
+    }
+
+    expect(healthService.withCircuitState({ status: 'healthy' }, host)).toMatchObject({
+      status: 'healthy',
+      circuit: { state: 'closed' }
+    });
+  });
+});
+
+describe('Scoring Job Fetch Failures', () => {
+  const stamp = Date.now();
+  const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'stats', 'wild-card-weekend');
+  const originalProvider = app.locals.statsProvider;
+  let userId;
+  let adminId;
+  let adminToken;
+  let createdDefense = false;
+
+  beforeAll(async () => {
+    const admin = await createTestAdmin(pool, `http_admin_${stamp}`);
+    adminId = admin.id;
+    adminToken = admin.token;
+
+    const user = await pool.query(
+      'INSERT INTO users (id, username) VALUES (gen_random_uuid(), $1) RETURNING id',
+      [`http_user_${stamp}`]
+    );
+    userId = user.rows[0].id;
+
+    const defense = await pool.query(
+      `INSERT INTO players (id, position, team, full_name)
+       VALUES ('HOU', 'DEF', 'HOU', 'Houston Texans')
+       ON CONFLICT (id) DO NOTHING
+       RETURNING id`
+    );
+    createdDefense = defense.rows.length > 0;
+    await pool.query(
+      `INSERT INTO picks (user_id, player_id, week_number, position, multiplier)
+       VALUES ($1, 'HOU', 19, 'DEF', 1)`,
+      [userId]
+    );
+  });
+
+  afterAll(async () => {
+    app.locals.statsProvider = originalProvider;
+    await pool.query('DELETE FROM games WHERE provider_game_id = ANY($1)', [['401671789', '401671790']]);
+    await pool.query('DELETE FROM scores WHERE user_id = $1', [userId]);
+    await pool.query('DELETE FROM picks WHERE user_id = $1', [userId]);
+    if (createdDefense) await pool.query("DELETE FROM players WHERE id = 'HOU'");
+    await pool.query('DELETE FROM users WHERE id = ANY($1)', [[userId, adminId]]);
+  });
+
+  it('should fail the scoring job instead of writing zero-point scores', async () => {
+    const fixtures = statsProviderService.createFixtureProvider(FIXTURE_DIR);
+    app.locals.statsProvider = {
+      ...fixtures,
+      getCompetitorStats: async () => {
+        throw new httpClientService.HttpClientError('GET competitor stats failed after 3 attempt(s): timeout of 10000ms exceeded');
+      }
+    };
+
+    const response = await request(app)
+      .post('/api/admin/update-live-stats')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ weekNumber: 19 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(false);
+    expect(response.body.error).toMatch(/timeout/);
+
+    const scores = await pool.query('SELECT 1 FROM scores WHERE user_id = $1', [userId]);
+    expect(scores.rows).toHaveLength(0);
+  });
+
+  it('should skip a game whose summary is not published yet and score the rest', async () => {
+    const qbId = `http_qb_${stamp}`;
+    await pool.query(
+      `INSERT INTO players (id, espn_id, position, team, full_name)
+       VALUES ($1, '3916387', 'QB', 'BAL', 'Lamar Jackson')`,
+      [qbId]
+    );
+    await pool.query(
+      `INSERT INTO picks (user_id, player_id, week_number, position, multiplier)
+       VALUES ($1, $2, 19, 'QB', 1)`,
+      [userId, qbId]
+    );
+
+    try {
+      const fixtures = statsProviderService.createFixtureProvider(FIXTURE_DIR);
+      app.locals.statsProvider = {
+        ...fixtures,
+        getGameSummary: async (gameId) => {
+          if (gameId === '401671789') {
+            throw new httpClientService.HttpClientError(`GET summary ${gameId} failed after 1 attempt(s): HTTP 404`, 404);
+          }
+          return fixtures.getGameSummary(gameId);
+        }
+      };
+
+      const response = await request(app)
+        .post('/api/admin/update-live-stats')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ weekNumber: 19 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+
+      const scores = await pool.query(
+        'SELECT final_points::float8 AS final_points FROM scores WHERE user_id = $1 AND player_id = $2',
+        [userId, qbId]
+      );
+      expect(scores.rows[0].final_points).toBeGreaterThan(0);
+    } finally {
+      await pool.query('DELETE FROM scores WHERE player_id = $1', [qbId]);
+      await pool.query('DELETE FROM picks WHERE player_id = $1', [qbId]);
+      await pool.query('DELETE FROM players WHERE id = $1', [qbId]);
+    }
+  });
+});
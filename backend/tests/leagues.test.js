@@ -0,0 +1,184 @@
+/**
+ * Private League Tests
+ *
+ * Purpose: Verify leagues run alongside the global pool
+ * - Users join with an invite code; joining twice is a no-op
+ * - Only the commissioner manages settings, payouts and paid status
+ * - /api/leaderboard and /api/payouts are scoped by ?leagueId= to members
+ * - One lineup (scores) counts in the global pool and every league
+ */
+
+const request = require('supertest');
+const { app, pool } = require('../server');
+const { issueUserTokens } = require('../auth/userTokens');
+
+// Scores are stored by NFL week; the leaderboard takes the playoff round (1 = week 19)
+const WEEK = 19;
+const ROUND = 1;
+
+describe('Private Leagues', () => {
+  const stamp = Date.now();
+  const playerId = `league_${stamp}`;
+  const users = {};
+  const tokens = {};
+  let league;
+
+  async function createUser(key, points) {
+    const user = await pool.query(
+      `INSERT INTO users (id, username, paid) VALUES (gen_random_uuid(), $1, true) RETURNING id`,
+      [`league_${key}_${stamp}`]
+    );
+    users[key] = user.rows[0].id;
+    tokens[key] = issueUserTokens({ id: users[key] }).access_token;
+    await pool.query(
+      'INSERT INTO scores (user_id, player_id, week_number, final_points) VALUES ($1, $2, $3, $4)',
+      [users[key], playerId, WEEK, points]
+    );
+  }
+
+  beforeAll(async () => {
+    await pool.query(
+      `INSERT INTO players (id, position, team, full_name) VALUES ($1, 'QB', 'BUF', 'League Test')`,
+      [playerId]
+    );
+    await createUser('commissioner', 40);
+    await createUser('member', 75);
+    await createUser('outsider', 90);
+  });
+
+  afterAll(async () => {
+    if (league) {
+      await pool.query('DELETE FROM leagues WHERE id = $1', [league.id]);
+    }
+    await pool.query('DELETE FROM scores WHERE user_id = ANY($1)', [Object.values(users)]);
+    await pool.query('DELETE FROM users WHERE id = ANY($1)', [Object.values(users)]);
+    await pool.query('DELETE FROM players WHERE id = $1', [playerId]);
+  });
+
+  it('should create a league with the caller as commissioner', async () => {
+    const response = await request(app)
+      .post('/api/leagues')
+      .set('Authorization', `Bearer ${tokens.commissioner}`)
+      .send({ name: `Office ${stamp}`, entry_amount: 20, venmo_handle: '@office' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.commissioner_user_id).toBe(users.commissioner);
+    expect(response.body.invite_code).toMatch(/^[A-Z2-9]{8}$/);
+    expect(response.body.invite_link).toContain(response.body.invite_code);
+    league = response.body;
+  });
+
+  it('should join with an invite code once', async () => {
+    const preview = await request(app).get(`/api/leagues/invite/${league.invite_code.toLowerCase()}`);
+    expect(preview.status).toBe(200);
+    expect(preview.body.name).toBe(league.name);
+
+    const joined = await request(app)
+      .post('/api/leagues/join')
+      .set('Authorization', `Bearer ${tokens.member}`)
+      .send({ invite_code: league.invite_code });
+    expect(joined.status).toBe(201);
+
+    const again = await request(app)
+      .post('/api/leagues/join')
+      .set('Authorization', `Bearer ${tokens.member}`)
+      .send({ invite_code: league.invite_code });
+    expect(again.status).toBe(200);
+    expect(again.body.joined).toBe(false);
+
+    const detail = await request(app)
+      .get(`/api/leagues/${league.id}`)
+      .set('Authorization', `Bearer ${tokens.member}`);
+    expect(detail.body.members).toHaveLength(2);
+    expect(detail.body.venmo_handle).toBe('@office');
+    expect(detail.body.is_commissioner).toBe(false);
+  });
+
+  it('should keep league data from non-members and non-commissioners', async () => {
+    const outsider = await request(app)
+      .get(`/api/leagues/${league.id}`)
+      .set('Authorization', `Bearer ${tokens.outsider}`);
+    expect(outsider.status).toBe(403);
+
+    const anonymous = await request(app).get(`/api/leaderboard?leagueId=${league.id}`);
+    expect(anonymous.status).toBe(401);
+
+    const outsiderBoard = await request(app)
+      .get(`/api/leaderboard?leagueId=${league.id}`)
+      .set('Authorization', `Bearer ${tokens.outsider}`);
+    expect(outsiderBoard.status).toBe(403);
+
+    const memberEdit = await request(app)
+      .patch(`/api/leagues/${league.id}`)
+      .set('Authorization', `Bearer ${tokens.member}`)
+      .send({ entry_amount: 0 });
+    expect(memberEdit.status).toBe(403);
+  });
+
+  it('should scope the leaderboard and payouts to paid league members', async () => {
+    await request(app)
+      .put(`/api/leagues/${league.id}/members/${users.member}/paid`)
+      .set('Authorization', `Bearer ${tokens.commissioner}`)
+      .send({ paid: true })
+      .expect(200);
+    await request(app)
+      .put(`/api/leagues/${league.id}/payouts`)
+      .set('Authorization', `Bearer ${tokens.commissioner}`)
+      .send({ payouts: [{ place: 1, percentage: 100, description: 'Winner' }] })
+      .expect(200);
+
+    const board = await request(app)
+      .get(`/api/leaderboard?leagueId=${league.id}&weekNumber=${ROUND}`)
+      .set('Authorization', `Bearer ${tokens.commissioner}`);
+    expect(board.status).toBe(200);
+    expect(board.body.map(row => row.id)).toEqual([users.member]);
+    expect(Number(board.body[0].total_points)).toBe(75);
+
+    // The same lineup also counts in the global pool
+    const global = await request(app).get(`/api/leaderboard?weekNumber=${ROUND}`);
+    const ids = global.body.map(row => row.id);
+    expect(ids).toEqual(expect.arrayContaining([users.commissioner, users.member, users.outsider]));
+
+    const payouts = await request(app)
+      .get(`/api/payouts?leagueId=${league.id}`)
+      .set('Authorization', `Bearer ${tokens.member}`);
+    expect(payouts.status).toBe(200);
+    expect(payouts.body.entry_amount).toBe(20);
+    expect(payouts.body.paid_users).toBe(1);
+    expect(payouts.body.total_pot).toBe(20);
+    expect(payouts.body.payouts).toEqual([
+      { id: 1, place: 1, percentage: 100, description: 'Winner', amount: 20 }
+    ]);
+  });
+
+  it('should stop accepting the old code after rotation', async () => {
+    const rotated = await request(app)
+      .post(`/api/leagues/${league.id}/invite-code`)
+      .set('Authorization', `Bearer ${tokens.commissioner}`);
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.invite_code).not.toBe(league.invite_code);
+
+    const stale = await request(app)
+      .post('/api/leagues/join')
+      .set('Authorization', `Bearer ${tokens.outsider}`)
+      .send({ invite_code: league.invite_code });
+    expect(stale.status).toBe(404);
+  });
+
+  it('should let members leave but not the commissioner', async () => {
+    const commissionerLeaves = await request(app)
+      .delete(`/api/leagues/${league.id}/members/${users.commissioner}`)
+      .set('Authorization', `Bearer ${tokens.commissioner}`);
+    expect(commissionerLeaves.status).toBe(409);
+
+    const memberLeaves = await request(app)
+      .delete(`/api/leagues/${league.id}/members/${users.member}`)
+      .set('Authorization', `Bearer ${tokens.member}`);
+    expect(memberLeaves.status).toBe(200);
+
+    const list = await request(app)
+      .get('/api/leagues')
+      .set('Authorization', `Bearer ${tokens.member}`);
+    expect(list.body.count).toBe(0);
+  });
+});
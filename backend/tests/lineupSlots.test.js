@@ -0,0 +1,212 @@
+/**
+ * Lineup Slot Tests
+ *
+ * Purpose: Verify flexible lineup slots
+ * - FLEX/SUPERFLEX slots take any of their eligible positions
+ * - Adds fill the player's own position unless a slot is named
+ * - Slot counts are checked against fixed and flexible limits
+ * - Carried-forward picks keep their slot while it is still offered
+ * - Admins turn flexible slots on and set their eligible positions
+ * - POST /api/picks (v1) applies the same slot rules as /api/picks/v2
+ */
+
+const request = require('supertest');
+const { app, pool } = require('../server');
+const { createTestAdmin } = require('./helpers/admin');
+const { issueUserTokens } = require('../auth/userTokens');
+const statsProviderService = require('../services/statsProvider.service');
+const lineupSlotsService = require('../services/lineupSlots.service');
+
+describe('Lineup Slot Rules', () => {
+  const settings = { qb_limit: 1, rb_limit: 2, wr_limit: 3, te_limit: 1, k_limit: 1, def_limit: 1 };
+  const flexRows = [
+    { position: 'SUPERFLEX', required_count: 1, display_order: 8, is_active: true, eligible_positions: ['QB', 'RB', 'WR', 'TE'] },
+    { position: 'FLEX', required_count: 2, display_order: 7, is_active: true, eligible_positions: ['RB', 'WR', 'TE'] },
+    { position: 'IDP', required_count: 1, display_order: 9, is_active: false, eligible_positions: ['LB'] }
+  ];
+  const slots = lineupSlotsService.buildSlots(settings, flexRows);
+
+  it('should build fixed slots from position limits and active flexible slots in order', () => {
+    expect(slots.map(slot => slot.slot)).toEqual(['QB', 'RB', 'WR', 'TE', 'K', 'DEF', 'FLEX', 'SUPERFLEX']);
+    expect(lineupSlotsService.getSlotLimits(slots)).toMatchObject({ WR: 3, FLEX: 2, SUPERFLEX: 1 });
+  });
+
+  it('should resolve the slot an add fills', () => {
+    expect(lineupSlotsService.resolveSlot(slots, 'RB')).toBe('RB');
+    expect(lineupSlotsService.resolveSlot(slots, 'RB', 'flex')).toBe('FLEX');
+    expect(lineupSlotsService.resolveSlot(slots, 'QB', 'SUPERFLEX')).toBe('SUPERFLEX');
+    expect(() => lineupSlotsService.resolveSlot(slots, 'QB', 'FLEX')).toThrow(lineupSlotsService.LineupSlotError);
+    expect(() => lineupSlotsService.resolveSlot(slots, 'RB', 'WR')).toThrow('not eligible');
+    expect(() => lineupSlotsService.resolveSlot(slots, 'LB', 'IDP')).toThrow('Unknown lineup slot');
+  });
+
+  it('should check counts per slot', () => {
+    expect(lineupSlotsService.validateSlotCounts(slots, { RB: 2, FLEX: 2, SUPERFLEX: 1 })).toEqual([]);
+    expect(lineupSlotsService.validateSlotCounts(slots, { FLEX: 3 })).toEqual(['FLEX: 3 exceeds limit of 2']);
+
+    // Picks already in a slot that was turned off are not rejected
+    expect(lineupSlotsService.validateSlotCounts(slots, { IDP: 1 })).toEqual([]);
+  });
+
+  it('should keep a carried-forward pick in its slot while it is offered', () => {
+    expect(lineupSlotsService.carrySlot(slots, 'FLEX', 'WR')).toBe('FLEX');
+    expect(lineupSlotsService.carrySlot(slots, 'WR', 'WR')).toBe('WR');
+
+    const withoutFlex = lineupSlotsService.buildSlots(settings, []);
+    expect(lineupSlotsService.carrySlot(withoutFlex, 'FLEX', 'WR')).toBe('WR');
+  });
+
+  it('should order flexible slots after TE and before K', () => {
+    const sql = lineupSlotsService.slotOrderSql('pk.position');
+    expect(sql).toContain("WHEN 'FLEX' THEN 5");
+    expect(sql).toContain("WHEN 'DEF' THEN 8 ELSE 9 END");
+  });
+});
+
+describe('Admin Flexible Slots', () => {
+  const stamp = Date.now();
+  let adminId;
+  let adminToken;
+  let flex;
+
+  beforeAll(async () => {
+    const admin = await createTestAdmin(pool, `slots_admin_${stamp}`);
+    adminId = admin.id;
+    adminToken = admin.token;
+
+    const result = await pool.query("SELECT * FROM position_requirements WHERE position = 'FLEX'");
+    flex = result.rows[0];
+  });
+
+  afterAll(async () => {
+    await pool.query(
+      'UPDATE position_requirements SET is_active = $1, eligible_positions = $2 WHERE id = $3',
+      [flex.is_active, flex.eligible_positions, flex.id]
+    );
+    await pool.query('DELETE FROM users WHERE id = $1', [adminId]);
+  });
+
+  it('should add FLEX as an inactive RB/WR/TE slot', () => {
+    expect(flex.eligible_positions).toEqual(['RB', 'WR', 'TE']);
+    expect(flex.is_active).toBe(false);
+  });
+
+  it('should turn FLEX on and change its eligible positions', async () => {
+    const response = await request(app)
+      .put(`/api/admin/position-requirements/${flex.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ isActive: true, eligiblePositions: ['wr', 'TE'] });
+    expect(response.status).toBe(200);
+    expect(response.body.eligible_positions).toEqual(['WR', 'TE']);
+
+    const slots = await lineupSlotsService.loadSlots(pool);
+    const slot = slots.find(s => s.slot === 'FLEX');
+    expect(slot).toMatchObject({ is_flex: true, eligible_positions: ['WR', 'TE'] });
+    expect(() => lineupSlotsService.resolveSlot(slots, 'RB', 'FLEX')).toThrow('not eligible');
+  });
+
+  it('should reject eligible positions that are not fixed positions', async () => {
+    const response = await request(app)
+      .put(`/api/admin/position-requirements/${flex.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ eligiblePositions: ['FLEX'] });
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('V1 Pick Slots', () => {
+  const stamp = Date.now();
+  const originalProvider = app.locals.statsProvider;
+  const players = {
+    qb: { id: `v1slots_qb_${stamp}`, position: 'QB' },
+    wr: { id: `v1slots_wr_${stamp}`, position: 'WR' },
+    k1: { id: `v1slots_k1_${stamp}`, position: 'K' },
+    k2: { id: `v1slots_k2_${stamp}`, position: 'K' }
+  };
+  let userId;
+  let token;
+  let flex;
+  let originalWeekActive;
+
+  const submit = (playerId, position) => request(app)
+    .post('/api/picks')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ playerId, position });
+
+  beforeAll(async () => {
+    // No stored or fetchable games, so no player's game has started
+    app.locals.statsProvider = {
+      name: 'offline',
+      getScoreboard: async () => {
+        throw new statsProviderService.StatsProviderError('scoreboard unavailable');
+      }
+    };
+
+    const settings = await pool.query('SELECT is_week_active FROM game_settings LIMIT 1');
+    originalWeekActive = settings.rows[0].is_week_active;
+    await pool.query('UPDATE game_settings SET is_week_active = true');
+
+    const result = await pool.query("SELECT * FROM position_requirements WHERE position = 'FLEX'");
+    flex = result.rows[0];
+    await pool.query('UPDATE position_requirements SET is_active = false WHERE id = $1', [flex.id]);
+
+    const user = await pool.query(
+      'INSERT INTO users (id, username) VALUES (gen_random_uuid(), $1) RETURNING id',
+      [`v1slots_user_${stamp}`]
+    );
+    userId = user.rows[0].id;
+    token = issueUserTokens({ id: userId }).access_token;
+
+    for (const player of Object.values(players)) {
+      await pool.query(
+        'INSERT INTO players (id, position, team, full_name) VALUES ($1, $2, $3, $4)',
+        [player.id, player.position, 'DEN', `V1 Slots ${player.position}`]
+      );
+    }
+  });
+
+  afterAll(async () => {
+    app.locals.statsProvider = originalProvider;
+    await pool.query('UPDATE game_settings SET is_week_active = $1', [originalWeekActive]);
+    await pool.query(
+      'UPDATE position_requirements SET is_active = $1, eligible_positions = $2 WHERE id = $3',
+      [flex.is_active, flex.eligible_positions, flex.id]
+    );
+    await pool.query('DELETE FROM picks WHERE user_id = $1', [userId]);
+    await pool.query('DELETE FROM players WHERE id = ANY($1)', [Object.values(players).map(p => p.id)]);
+    await pool.query('DELETE FROM users WHERE id = $1', [userId]);
+  });
+
+  it('should reject slots that are not offered', async () => {
+    expect((await submit(players.wr.id, 'FLEX')).status).toBe(400);
+    expect((await submit(players.wr.id, 'MADEUP')).status).toBe(400);
+  });
+
+  it('should only fill a flexible slot with an eligible position', async () => {
+    await pool.query(
+      "UPDATE position_requirements SET is_active = true, eligible_positions = ARRAY['RB','WR','TE'] WHERE id = $1",
+      [flex.id]
+    );
+
+    const qb = await submit(players.qb.id, 'FLEX');
+    expect(qb.status).toBe(400);
+    expect(qb.body.error).toMatch('not eligible');
+
+    const wr = await submit(players.wr.id, 'FLEX');
+    expect(wr.status).toBe(200);
+    expect(wr.body.position).toBe('FLEX');
+  });
+
+  it('should hold fixed slots to their limit, counting a re-submitted player once', async () => {
+    expect((await submit(players.k1.id, 'K')).status).toBe(200);
+
+    const second = await submit(players.k2.id, 'K');
+    expect(second.status).toBe(400);
+    expect(second.body.error).toBe('Position limit exceeded');
+
+    expect((await submit(players.k1.id, 'K')).status).toBe(200);
+
+    const picks = await pool.query('SELECT player_id FROM picks WHERE user_id = $1 AND position = $2', [userId, 'K']);
+    expect(picks.rows.map(p => p.player_id)).toEqual([players.k1.id]);
+  });
+});
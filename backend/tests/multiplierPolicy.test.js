@@ -0,0 +1,153 @@
+/**
+ * Multiplier Policy Tests
+ *
+ * Purpose: Verify configurable multiplier progression
+ * - Linear, stepped and capped curves
+ * - Picks kept from last week continue their streak; a swap-back resets it
+ *   when the policy says so
+ * - Assignments are written to pick_multipliers
+ * - The policy is validated when saved through admin settings
+ */
+
+const request = require('supertest');
+const { app, pool } = require('../server');
+const { createTestAdmin } = require('./helpers/admin');
+const multiplierPolicyService = require('../services/multiplierPolicy.service');
+
+describe('Multiplier Policy Curves', () => {
+  const { parsePolicy, multiplierFor, advance } = multiplierPolicyService;
+
+  it('should keep the +1 per week default', () => {
+    const policy = parsePolicy({});
+    expect([1, 2, 3, 4].map(week => multiplierFor(policy, week))).toEqual([1, 2, 3, 4]);
+    expect(advance(policy, { multiplier: 2, consecutive_weeks: 2 }))
+      .toEqual({ multiplier: 3, consecutive_weeks: 3, previous_multiplier: 2, reason: 'transition' });
+  });
+
+  it('should follow explicit steps and repeat the last one', () => {
+    const policy = parsePolicy({ steps: [1, 1.5, 2, 2.5] });
+    expect([1, 2, 3, 4, 5].map(week => multiplierFor(policy, week))).toEqual([1, 1.5, 2, 2.5, 2.5]);
+  });
+
+  it('should cap the multiplier', () => {
+    const policy = parsePolicy({ cap: 3 });
+    expect([3, 4, 5].map(week => multiplierFor(policy, week))).toEqual([3, 3, 3]);
+    expect(multiplierFor(parsePolicy({ increment: 0.5, cap: 2 }), 2)).toBe(1.5);
+  });
+
+  it('should reject invalid policies', () => {
+    expect(() => parsePolicy({ steps: [] })).toThrow(multiplierPolicyService.MultiplierPolicyError);
+    expect(() => parsePolicy({ steps: [1, 0] })).toThrow('steps[1]');
+    expect(() => parsePolicy({ cap: 100 })).toThrow('cap');
+    expect(() => parsePolicy({ increment: -1 })).toThrow('increment');
+    expect(() => parsePolicy([1, 2])).toThrow('must be an object');
+  });
+});
+
+describe('Multiplier Assignment', () => {
+  const stamp = Date.now();
+  const playerId = `multiplier_${stamp}`;
+  const otherPlayerId = `multiplier_other_${stamp}`;
+  const weekNumber = 20;
+  let userId;
+  let adminId;
+  let adminToken;
+  let originalPolicy;
+
+  beforeAll(async () => {
+    const settings = await pool.query('SELECT multiplier_policy FROM game_settings LIMIT 1');
+    originalPolicy = settings.rows[0].multiplier_policy;
+
+    const admin = await createTestAdmin(pool, `multiplier_admin_${stamp}`);
+    adminId = admin.id;
+    adminToken = admin.token;
+
+    const user = await pool.query(
+      'INSERT INTO users (id, username) VALUES (gen_random_uuid(), $1) RETURNING id',
+      [`multiplier_user_${stamp}`]
+    );
+    userId = user.rows[0].id;
+
+    await pool.query(
+      `INSERT INTO players (id, position, team, full_name)
+       VALUES ($1, 'RB', 'BUF', 'Multiplier Test'), ($2, 'RB', 'BUF', 'Multiplier Other')`,
+      [playerId, otherPlayerId]
+    );
+    await pool.query(
+      `INSERT INTO picks (user_id, player_id, week_number, position, multiplier, consecutive_weeks)
+       VALUES ($1, $2, $3, 'RB', 2, 2)`,
+      [userId, playerId, weekNumber - 1]
+    );
+  });
+
+  afterAll(async () => {
+    await pool.query('UPDATE game_settings SET multiplier_policy = $1', [JSON.stringify(originalPolicy)]);
+    await pool.query('DELETE FROM player_swaps WHERE user_id = $1', [userId]);
+    await pool.query('DELETE FROM picks WHERE user_id = $1', [userId]);
+    await pool.query('DELETE FROM players WHERE id = ANY($1)', [[playerId, otherPlayerId]]);
+    await pool.query('DELETE FROM users WHERE id = ANY($1)', [[userId, adminId]]);
+  });
+
+  const resolve = (policy) => multiplierPolicyService.resolveAssignment(pool, policy, {
+    userId, playerId, weekNumber, canCarry: true
+  });
+
+  it('should save the policy through admin settings', async () => {
+    const response = await request(app)
+      .put('/api/admin/settings')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ adminUserId: adminId, multiplier_policy: { steps: [1, 1.5, 2, 2.5], reset_on_swap_back: true } });
+    expect(response.status).toBe(200);
+    expect(response.body.multiplier_policy).toEqual({
+      base: 1, increment: 1, cap: null, steps: [1, 1.5, 2, 2.5], reset_on_swap_back: true
+    });
+
+    const invalid = await request(app)
+      .put('/api/admin/settings')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ adminUserId: adminId, multiplier_policy: { cap: 'high' } });
+    expect(invalid.status).toBe(400);
+  });
+
+  it('should continue the streak from last week and audit the assignment', async () => {
+    const policy = await multiplierPolicyService.getPolicy(pool);
+    const assignment = await resolve(policy);
+    expect(assignment).toEqual({ multiplier: 2, consecutive_weeks: 3, previous_multiplier: 2, reason: 'carry' });
+
+    const pick = await pool.query(
+      `INSERT INTO picks (user_id, player_id, week_number, position, multiplier, consecutive_weeks)
+       VALUES ($1, $2, $3, 'RB', $4, $5) RETURNING *`,
+      [userId, playerId, weekNumber, assignment.multiplier, assignment.consecutive_weeks]
+    );
+    await multiplierPolicyService.recordAssignment(pool, pick.rows[0], assignment, policy);
+
+    const audit = await pool.query('SELECT * FROM pick_multipliers WHERE pick_id = $1', [pick.rows[0].id]);
+    expect(audit.rows).toHaveLength(1);
+    expect(audit.rows[0]).toMatchObject({ week_number: weekNumber, multiplier: 2, previous_multiplier: 2, reason: 'carry' });
+    expect(audit.rows[0].policy.steps).toEqual([1, 1.5, 2, 2.5]);
+
+    // Re-submitting the pick keeps the earlier entry and appends a new one
+    await multiplierPolicyService.recordAssignment(pool, pick.rows[0], { ...assignment, reason: 'swap_back_reset' }, policy);
+    const resubmitted = await pool.query(
+      'SELECT reason FROM pick_multipliers WHERE pick_id = $1 ORDER BY created_at, id',
+      [pick.rows[0].id]
+    );
+    expect(resubmitted.rows.map(r => r.reason)).toEqual(['carry', 'swap_back_reset']);
+
+    await pool.query('DELETE FROM picks WHERE id = $1', [pick.rows[0].id]);
+  });
+
+  it('should reset the streak when a player is swapped back in', async () => {
+    await pool.query(
+      `INSERT INTO player_swaps (user_id, old_player_id, new_player_id, position, week_number)
+       VALUES ($1, $2, $3, 'RB', $4)`,
+      [userId, playerId, otherPlayerId, weekNumber]
+    );
+
+    const policy = await multiplierPolicyService.getPolicy(pool);
+    expect(await resolve(policy)).toEqual({
+      multiplier: 1, consecutive_weeks: 1, previous_multiplier: 2, reason: 'swap_back_reset'
+    });
+    expect((await resolve({ ...policy, reset_on_swap_back: false })).reason).toBe('carry');
+  });
+});
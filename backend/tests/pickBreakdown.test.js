@@ -0,0 +1,175 @@
+/**
+ * Pick Scoring Breakdown Tests
+ *
+ * Purpose: Verify GET /api/picks/:pickId/breakdown explains a score
+ * - One line item per rule applied, summing to base points
+ * - Multiplier step and rules version are included
+ * - Scores are explained against the rules version that wrote them
+ * - Stored score rows that do not follow from their rules are flagged
+ * - Players only see their own picks; admins see any pick
+ */
+
+const request = require('supertest');
+const { app, pool, calculateFantasyPoints } = require('../server');
+const { issueUserTokens } = require('../auth/userTokens');
+const { createTestAdmin } = require('./helpers/admin');
+const scoringService = require('../services/scoring.service');
+
+const WEEK = 19;
+
+describe('Pick Scoring Breakdown', () => {
+  const stamp = Date.now();
+  const playerId = `breakdown_${stamp}`;
+  const stats = {
+    pass_yd: 410,
+    pass_td: 3,
+    pass_int: 1,
+    rush_yd: 0
+  };
+  let userId;
+  let otherUserId;
+  let pickId;
+  let token;
+  let adminId;
+  let adminToken;
+  let oldVersionId;
+
+  const getBreakdown = (id, bearer = token) => request(app)
+    .get(`/api/picks/${id}/breakdown`)
+    .set('Authorization', `Bearer ${bearer}`);
+
+  beforeAll(async () => {
+    const admin = await createTestAdmin(pool, `breakdown_admin_${stamp}`);
+    adminId = admin.id;
+    adminToken = admin.token;
+
+    const other = await pool.query(
+      `INSERT INTO users (id, username) VALUES (gen_random_uuid(), $1) RETURNING id`,
+      [`breakdown_other_${stamp}`]
+    );
+    otherUserId = other.rows[0].id;
+
+    const user = await pool.query(
+      `INSERT INTO users (id, username) VALUES (gen_random_uuid(), $1) RETURNING id`,
+      [`breakdown_${stamp}`]
+    );
+    userId = user.rows[0].id;
+    token = issueUserTokens({ id: userId }).access_token;
+
+    await pool.query(
+      `INSERT INTO players (id, position, team, full_name) VALUES ($1, 'QB', 'BUF', 'Breakdown Test')`,
+      [playerId]
+    );
+    const pick = await pool.query(
+      `INSERT INTO picks (user_id, player_id, week_number, position, multiplier)
+       VALUES ($1, $2, $3, 'QB', 2.0)
+       RETURNING id`,
+      [userId, playerId, WEEK]
+    );
+    pickId = pick.rows[0].id;
+
+    const basePoints = await calculateFantasyPoints(stats);
+    await pool.query(
+      `INSERT INTO scores (user_id, player_id, week_number, points, base_points, multiplier, final_points, stats_json)
+       VALUES ($1, $2, $3, $4, $4, 2.0, $5, $6)`,
+      [userId, playerId, WEEK, basePoints, basePoints * 2, JSON.stringify(stats)]
+    );
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM scores WHERE user_id = $1', [userId]);
+    await pool.query('DELETE FROM picks WHERE user_id = $1', [userId]);
+    await pool.query('DELETE FROM players WHERE id = $1', [playerId]);
+    await pool.query('DELETE FROM users WHERE id = ANY($1)', [[userId, otherUserId, adminId]]);
+    if (oldVersionId) await pool.query('DELETE FROM scoring_rule_versions WHERE id = $1', [oldVersionId]);
+  });
+
+  it('should list every rule applied and match the stored score', async () => {
+    const response = await getBreakdown(pickId);
+
+    expect(response.status).toBe(200);
+    expect(response.body.player.full_name).toBe('Breakdown Test');
+    expect(response.body.rules_version).toMatch(/^[0-9a-f]{12}$/);
+
+    const items = response.body.line_items;
+    const passYards = items.find(item => item.type === 'per_stat' && item.stat_name === 'pass_yd');
+    expect(passYards.value).toBe(410);
+    expect(passYards.points).toBeCloseTo(410 * passYards.points_per_unit, 2);
+
+    // 400+ passing yards bonus
+    const bonus = items.find(item => item.type === 'bonus' && item.stat_name === 'pass_yd');
+    expect(bonus.threshold).toBe(400);
+
+    // Zero stats produce no line
+    expect(items.find(item => item.stat_name === 'rush_yd' && item.type === 'per_stat')).toBeUndefined();
+
+    const sum = items.reduce((total, item) => total + item.points, 0);
+    expect(response.body.base_points).toBeCloseTo(sum, 2);
+    expect(response.body.multiplier).toBe(2);
+    expect(response.body.final_points).toBeCloseTo(response.body.base_points * 2, 2);
+    expect(response.body.matches_stored).toBe(true);
+  });
+
+  it('should flag a stored score that no longer matches', async () => {
+    await pool.query(
+      'UPDATE scores SET base_points = 1, final_points = 2 WHERE user_id = $1 AND player_id = $2',
+      [userId, playerId]
+    );
+
+    const response = await getBreakdown(pickId);
+    expect(response.status).toBe(200);
+    expect(response.body.stored.base_points).toBe(1);
+    expect(response.body.matches_stored).toBe(false);
+  });
+
+  it('should return 404 for unknown picks', async () => {
+    const unknown = await getBreakdown('00000000-0000-0000-0000-000000000000');
+    expect(unknown.status).toBe(404);
+
+    const malformed = await getBreakdown('not-a-pick');
+    expect(malformed.status).toBe(404);
+  });
+
+  it('should explain a score against the rules version that wrote it', async () => {
+    // An older version where passing TDs were worth 10
+    const current = await scoringService.getScoringRules(pool);
+    const snapshot = await pool.query('SELECT rules, tiers, bonuses FROM scoring_rule_versions WHERE id = $1', [current.version_id]);
+    const rules = snapshot.rows[0].rules.map(rule => (rule.stat_name === 'pass_td' ? { ...rule, points: 10 } : rule));
+    const version = await pool.query(
+      `INSERT INTO scoring_rule_versions (effective_from, source, note, rules, tiers, bonuses)
+       VALUES ('2000-01-01', 'sql', 'breakdown test', $1, $2, $3)
+       RETURNING id`,
+      [JSON.stringify(rules), JSON.stringify(snapshot.rows[0].tiers), JSON.stringify(snapshot.rows[0].bonuses)]
+    );
+    oldVersionId = version.rows[0].id;
+
+    const oldRules = await scoringService.loadVersionRules(pool, oldVersionId);
+    const basePoints = scoringService.scoreStats(stats, oldRules);
+    await pool.query(
+      `UPDATE scores SET base_points = $1, final_points = $2, rules_version_id = $3
+       WHERE user_id = $4 AND player_id = $5`,
+      [basePoints, basePoints * 2, oldVersionId, userId, playerId]
+    );
+
+    const response = await getBreakdown(pickId);
+    expect(response.status).toBe(200);
+    expect(response.body.rules_version_id).toBe(oldVersionId);
+    expect(response.body.rules_version).toBe(oldRules.version);
+    expect(response.body.line_items.find(item => item.stat_name === 'pass_td').points).toBe(30);
+    expect(response.body.matches_stored).toBe(true);
+  });
+
+  it('should only show players their own picks', async () => {
+    const anonymous = await request(app).get(`/api/picks/${pickId}/breakdown`);
+    expect(anonymous.status).toBe(401);
+
+    const other = await getBreakdown(pickId, issueUserTokens({ id: otherUserId }).access_token);
+    expect(other.status).toBe(404);
+
+    const admin = await request(app)
+      .get(`/api/admin/picks/${pickId}/breakdown`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(admin.status).toBe(200);
+    expect(admin.body.pick_id).toBe(pickId);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Per-Game Pick Lock Tests
+ *
+ * Purpose: Verify lineup slots lock at their own game's kickoff
+ * - Kickoffs are mapped per team from scoreboard events (Pro Bowl ignored)
+ * - A slot is locked once its game is in progress or its kickoff has passed
+ * - A locked week locks every slot, including games not yet started
+ * - The whole-week lock time is the last kickoff
+ */
+
+const {
+  buildTeamKickoffs,
+  getPickLock,
+  getLastKickoff
+} = require('../services/pickLocks.service');
+
+function event(id, date, state, home, away) {
+  return {
+    id,
+    date,
+    status: { type: { state } },
+    competitions: [{ competitors: [{ team: { abbreviation: home } }, { team: { abbreviation: away } }] }]
+  };
+}
+
+describe('Per-Game Pick Locks', () => {
+  const now = new Date('2026-01-10T23:00:00Z');
+  const kickoffs = buildTeamKickoffs(
+    [
+      event('1', '2026-01-10T21:30:00Z', 'in', 'HOU', 'LAC'),
+      event('2', '2026-01-12T01:15:00Z', 'pre', 'WSH', 'PHI'),
+      event('3', '2026-01-10T18:00:00Z', 'pre', 'AFC', 'NFC')
+    ],
+    abbr => (abbr === 'WSH' ? 'WAS' : abbr)
+  );
+
+  it('should lock slots whose game has started and leave later games open', () => {
+    const started = getPickLock('HOU', kickoffs, { now });
+    expect(started.is_locked).toBe(true);
+    expect(started.locked_at).toBe('2026-01-10T21:30:00.000Z');
+
+    const later = getPickLock('WAS', kickoffs, { now });
+    expect(later.is_locked).toBe(false);
+    expect(later.locked_at).toBeNull();
+    expect(later.locks_at).toBe('2026-01-12T01:15:00.000Z');
+  });
+
+  it('should ignore Pro Bowl events and leave teams without a game to the week lock', () => {
+    expect(kickoffs.has('AFC')).toBe(false);
+    expect(getPickLock('BUF', kickoffs, { now }).is_locked).toBe(false);
+
+    const weekLocked = getPickLock('BUF', kickoffs, { now, weekLockedAt: now });
+    expect(weekLocked.is_locked).toBe(true);
+    expect(weekLocked.locked_at).toBe(now.toISOString());
+  });
+
+  it('should lock a game whose kickoff passed even if the scoreboard still says pre', () => {
+    const afterKickoff = new Date('2026-01-12T01:16:00Z');
+    expect(getPickLock('PHI', kickoffs, { now: afterKickoff }).is_locked).toBe(true);
+  });
+
+  it('should report the last kickoff as the whole-week lock time', () => {
+    expect(getLastKickoff(kickoffs).toISOString()).toBe('2026-01-12T01:15:00.000Z');
+  });
+});
@@ -4,14 +4,15 @@
  * Purpose: Protect scoring behavior during refactors
  * - Tests calculateFantasyPoints function only
  * - Uses fixed stat payloads with expected outputs
- * - Does NOT write to database
+ * - Does NOT write to database (field goal band tests read the rules in effect)
  * - Does NOT modify scoring rules
  *
  * These tests act as a behavioral snapshot to detect
  * unintended changes in scoring output.
  */
 
-const { calculateFantasyPoints } = require('../server');
+const { calculateFantasyPoints, pool } = require('../server');
+const scoringService = require('../services/scoring.service');
 
 describe('Scoring Guardrail - calculateFantasyPoints', () => {
 
@@ -125,24 +126,31 @@ describe('Scoring Guardrail - calculateFantasyPoints', () => {
       expect(points).toBeGreaterThan(0);
     });
 
-    it('should apply 50+ yard FG bonus', async () => {
-      const shortFG = { fg_made: 2, fg_longest: 39, xp_made: 1 };
-      const longFG = { fg_made: 2, fg_longest: 50, xp_made: 1 };
+    // Made kicks in fg_kicks score their distance band instead of fg_made
+    const kicks = (...distances) => distances.map(distance => ({ distance, made: true }));
+    const bandFor = (bands, distance) => bands.find(band =>
+      distance >= band.min_distance && (band.max_distance === null || distance <= band.max_distance)
+    );
 
-      const pointsShort = await calculateFantasyPoints(shortFG);
-      const pointsLong = await calculateFantasyPoints(longFG);
+    it('should score 50+ yard FGs at the 50+ band', async () => {
+      const { rules, bands } = await scoringService.getScoringRules(pool);
+      expect(bandFor(bands, 50).stat_name).toBe('fgm_50p');
 
-      expect(pointsLong).toBeGreaterThan(pointsShort);
+      const longFG = { fg_made: 2, fg_kicks: kicks(30, 50), xp_made: 1 };
+      const points = await calculateFantasyPoints(longFG);
+
+      expect(points).toBeCloseTo(bandFor(bands, 30).points + bandFor(bands, 50).points + rules.xp_made, 2);
     });
 
-    it('should apply 40-49 yard FG bonus', async () => {
-      const shortFG = { fg_made: 2, fg_longest: 39, xp_made: 1 };
-      const medFG = { fg_made: 2, fg_longest: 45, xp_made: 1 };
+    it('should score 40-49 yard FGs at the 40-49 band', async () => {
+      const { rules, bands } = await scoringService.getScoringRules(pool);
+      expect(bandFor(bands, 45).stat_name).toBe('fgm_40_49');
+      expect(bandFor(bands, 49).stat_name).toBe('fgm_40_49');
 
-      const pointsShort = await calculateFantasyPoints(shortFG);
-      const pointsMed = await calculateFantasyPoints(medFG);
+      const medFG = { fg_made: 2, fg_kicks: kicks(39, 45), xp_made: 1 };
+      const points = await calculateFantasyPoints(medFG);
 
-      expect(pointsMed).toBeGreaterThan(pointsShort);
+      expect(points).toBeCloseTo(bandFor(bands, 39).points + bandFor(bands, 45).points + rules.xp_made, 2);
     });
 
     it('should penalize missed FGs', async () => {
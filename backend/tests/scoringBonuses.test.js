@@ -0,0 +1,176 @@
+/**
+ * Scoring Bonus Tests
+ *
+ * Purpose: Verify configurable yardage and milestone bonuses
+ * - A bonus pays when a stat reaches its threshold
+ * - Stackable bonuses all pay; only the highest exclusive bonus pays
+ * - List stats (touchdown lengths) are checked per play
+ * - Admin bonus edits are validated, versioned and change scoring
+ */
+
+const request = require('supertest');
+const { app, pool, calculateFantasyPoints, convertESPNStatsToScoring, parseTouchdownPlays } = require('../server');
+const { createTestAdmin } = require('./helpers/admin');
+const { buildRuleSet, explainStats } = require('../services/scoring.service');
+
+describe('Scoring Bonus Engine', () => {
+  const bonus = (id, stat_name, threshold, points, stack_mode) =>
+    ({ id, category: 'bonus', stat_name, threshold, points, stack_mode });
+
+  it('should stack stackable bonuses and pay only the highest exclusive one', () => {
+    const stackable = buildRuleSet([], [], [
+      bonus(1, 'rush_yd', 100, 1, 'stackable'),
+      bonus(2, 'rush_yd', 150, 2, 'stackable'),
+      bonus(3, 'rush_yd', 200, 3, 'stackable')
+    ]);
+    expect(explainStats({ rush_yd: 160 }, stackable).total).toBe(3);
+    expect(explainStats({ rush_yd: 210 }, stackable).total).toBe(6);
+
+    const exclusive = buildRuleSet([], [], [
+      bonus(1, 'rush_yd', 100, 1, 'exclusive'),
+      bonus(2, 'rush_yd', 150, 2, 'exclusive'),
+      bonus(3, 'rush_yd', 200, 3, 'exclusive')
+    ]);
+    const { line_items: items, total } = explainStats({ rush_yd: 210 }, exclusive);
+    expect(total).toBe(3);
+    expect(items).toEqual([expect.objectContaining({ type: 'bonus', threshold: 200, value: 210, points: 3 })]);
+    expect(explainStats({ rush_yd: 99 }, exclusive).line_items).toEqual([]);
+  });
+
+  it('should check list stats play by play', () => {
+    const ruleSet = buildRuleSet([], [], [bonus(1, 'rush_td_yds', 40, 2, 'stackable')]);
+    const { line_items: items, total } = explainStats({ rush_td_yds: [45, 12, 61] }, ruleSet);
+
+    expect(total).toBe(4);
+    expect(items[0].value).toBe(2);
+    expect(items[0].plays).toEqual([45, 61]);
+  });
+
+  it('should fingerprint bonuses along with rules and tiers', () => {
+    const rules = [{ id: 1, category: 'passing', stat_name: 'pass_td', points: 4 }];
+    const withBonus = buildRuleSet(rules, [], [bonus(1, 'pass_yd', 300, 2, 'stackable')]);
+    expect(withBonus.version).not.toBe(buildRuleSet(rules, []).version);
+    expect(withBonus.version)
+      .not.toBe(buildRuleSet(rules, [], [bonus(1, 'pass_yd', 300, 3, 'stackable')]).version);
+  });
+});
+
+describe('Touchdown Length Ingestion', () => {
+  const drives = {
+    previous: [
+      {
+        plays: [
+          { text: '(Shotgun) J.Allen pass deep right to K.Shakir for 42 yards, TOUCHDOWN.' },
+          { text: 'J.Cook up the middle for 45 yards, TOUCHDOWN.' },
+          { text: 'J.Cook left end for 1 yard, TOUCHDOWN.' }
+        ]
+      },
+      {
+        plays: [
+          { text: 'P.Mahomes pass short left intended for T.Kelce INTERCEPTED by T.Bernard at KC 30. T.Bernard for 30 yards, TOUCHDOWN.' },
+          { text: 'J.Cook right tackle for 12 yards, TOUCHDOWN. PENALTY on BUF-D.Dawkins, Holding, NULLIFIED by penalty.' }
+        ]
+      }
+    ]
+  };
+
+  it('should credit passer, receiver and rusher with each touchdown length', () => {
+    const touchdowns = parseTouchdownPlays(drives);
+
+    expect(touchdowns['J.Allen'].pass_td_yds).toEqual([42]);
+    expect(touchdowns['K.Shakir'].rec_td_yds).toEqual([42]);
+    expect(touchdowns['J.Cook'].rush_td_yds).toEqual([45, 1]);
+    expect(touchdowns['T.Bernard']).toBeUndefined();
+  });
+
+  it('should carry touchdown lengths into the stored stat line', () => {
+    const scoring = convertESPNStatsToScoring({
+      rushing_TD: '2',
+      touchdown_PLAYS: { pass_td_yds: [], rush_td_yds: [45, 1], rec_td_yds: [] }
+    });
+
+    expect(scoring.rush_td_yds).toEqual([45, 1]);
+    expect(scoring.pass_td_yds).toBeUndefined();
+  });
+});
+
+describe('Admin Scoring Bonuses', () => {
+  const stamp = Date.now();
+  let adminId;
+  let adminToken;
+  let firstVersionId;
+  const createdIds = [];
+
+  beforeAll(async () => {
+    const admin = await createTestAdmin(pool, `bonuses_admin_${stamp}`);
+    adminId = admin.id;
+    adminToken = admin.token;
+
+    const latest = await pool.query('SELECT id FROM scoring_rule_versions ORDER BY id DESC LIMIT 1');
+    firstVersionId = latest.rows[0].id;
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM scoring_bonuses WHERE id = ANY($1)', [createdIds]);
+    await pool.query('DELETE FROM scoring_rule_versions WHERE id > $1', [firstVersionId]);
+    await pool.query('DELETE FROM users WHERE id = $1', [adminId]);
+  });
+
+  it('should create a bonus that scores, is published and is versioned', async () => {
+    const before = await calculateFantasyPoints({ rush_td_yds: [52] });
+
+    const response = await request(app)
+      .post('/api/admin/scoring-rules/bonuses')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ stat_name: 'rush_td_yds', threshold: 40, points: 2, description: '40+ yard rushing TD' });
+    expect(response.status).toBe(201);
+    expect(response.body.stack_mode).toBe('stackable');
+    createdIds.push(response.body.id);
+
+    expect(await calculateFantasyPoints({ rush_td_yds: [52] })).toBe(before + 2);
+
+    const published = await request(app).get('/api/scoring-rules');
+    const rule = published.body.find(row => row.rule_type === 'bonus' && row.stat_name === 'rush_td_yds');
+    expect(rule.min_value).toBe(40);
+
+    const versions = await pool.query('SELECT * FROM scoring_rule_versions WHERE id > $1', [firstVersionId]);
+    expect(versions.rows).toHaveLength(1);
+    expect(versions.rows[0].source).toBe('admin');
+    expect(versions.rows[0].bonuses.some(row => row.stat_name === 'rush_td_yds')).toBe(true);
+  });
+
+  it('should validate bonuses', async () => {
+    const duplicate = await request(app)
+      .post('/api/admin/scoring-rules/bonuses')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ stat_name: 'rush_td_yds', threshold: 40, points: 3 });
+    expect(duplicate.status).toBe(409);
+
+    const badMode = await request(app)
+      .post('/api/admin/scoring-rules/bonuses')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ stat_name: 'rush_yd', threshold: 100, points: 1, stack_mode: 'sometimes' });
+    expect(badMode.status).toBe(400);
+
+    const missing = await request(app)
+      .patch('/api/admin/scoring-rules/bonuses/999999')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ points: 1 });
+    expect(missing.status).toBe(404);
+  });
+
+  it('should stop paying a deactivated bonus', async () => {
+    const response = await request(app)
+      .patch(`/api/admin/scoring-rules/bonuses/${createdIds[0]}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ is_active: false });
+    expect(response.status).toBe(200);
+    expect(response.body.is_active).toBe(false);
+
+    const admin = await request(app)
+      .get('/api/admin/scoring-rules')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(admin.body.bonuses.find(row => row.id === createdIds[0]).is_active).toBe(false);
+    expect(await calculateFantasyPoints({ rush_td_yds: [52] })).toBe(0);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Scoring Cycle Tests
+ *
+ * Purpose: Verify one live scoring cycle reads each document once
+ * - Each relevant game summary and each defense's competitor stats are
+ *   fetched once per cycle, however many picks need them
+ * - Every pick is scored and written with the rules version applied,
+ *   including players matched by name within their team when they have no
+ *   ESPN ID
+ * - Call counts and duration are returned with the cycle result
+ */
+
+const path = require('path');
+const request = require('supertest');
+const { app, pool } = require('../server');
+const { createTestAdmin } = require('./helpers/admin');
+const statsProviderService = require('../services/statsProvider.service');
+const scoringService = require('../services/scoring.service');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'stats', 'wild-card-weekend');
+const WEEK = 19;
+const USER_COUNT = 12;
+
+// Fixture provider that counts calls per document
+function countingProvider() {
+  const fixtures = statsProviderService.createFixtureProvider(FIXTURE_DIR);
+  const calls = {};
+  const count = (key, read) => {
+    calls[key] = (calls[key] || 0) + 1;
+    return read();
+  };
+
+  return {
+    calls,
+    provider: {
+      name: 'counting',
+      getScoreboard: week => count(`scoreboard-${week}`, () => fixtures.getScoreboard(week)),
+      getGameSummary: gameId => count(`summary-${gameId}`, () => fixtures.getGameSummary(gameId)),
+      getCompetitorStats: (gameId, teamId) =>
+        count(`competitor-${gameId}-${teamId}`, () => fixtures.getCompetitorStats(gameId, teamId))
+    }
+  };
+}
+
+describe('Scoring Cycle', () => {
+  const stamp = Date.now();
+  const originalProvider = app.locals.statsProvider;
+  const players = [
+    { id: `cycle_qb_${stamp}`, espn_id: '3916387', position: 'QB', team: 'BAL', full_name: 'Lamar Jackson' },
+    { id: `cycle_rb_${stamp}`, espn_id: '3043078', position: 'RB', team: 'BAL', full_name: 'Derrick Henry' },
+    // No ESPN ID: matched by name within HOU and hydrated
+    { id: `cycle_wr_${stamp}`, espn_id: null, position: 'WR', team: 'HOU', full_name: 'Nico Collins' },
+    { id: 'HOU', espn_id: null, position: 'DEF', team: 'HOU', full_name: 'Houston Texans' },
+    { id: 'BAL', espn_id: null, position: 'DEF', team: 'BAL', full_name: 'Baltimore Ravens' }
+  ];
+  const createdPlayerIds = [];
+  const userIds = [];
+  let adminId;
+  let adminToken;
+
+  beforeAll(async () => {
+    const admin = await createTestAdmin(pool, `cycle_admin_${stamp}`);
+    adminId = admin.id;
+    adminToken = admin.token;
+
+    for (const player of players) {
+      const inserted = await pool.query(
+        `INSERT INTO players (id, espn_id, position, team, full_name)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (id) DO NOTHING
+         RETURNING id`,
+        [player.id, player.espn_id, player.position, player.team, player.full_name]
+      );
+      if (inserted.rows.length > 0) createdPlayerIds.push(player.id);
+    }
+
+    for (let i = 0; i < USER_COUNT; i++) {
+      const user = await pool.query(
+        'INSERT INTO users (id, username) VALUES (gen_random_uuid(), $1) RETURNING id',
+        [`cycle_user_${i}_${stamp}`]
+      );
+      userIds.push(user.rows[0].id);
+
+      for (const player of players) {
+        await pool.query(
+          `INSERT INTO picks (user_id, player_id, week_number, position, multiplier)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [user.rows[0].id, player.id, WEEK, player.position, 1 + (i % 3)]
+        );
+      }
+    }
+  });
+
+  afterAll(async () => {
+    app.locals.statsProvider = originalProvider;
+    await pool.query('DELETE FROM games WHERE provider_game_id = ANY($1)', [['401671789', '401671790']]);
+    await pool.query('DELETE FROM scores WHERE user_id = ANY($1)', [userIds]);
+    await pool.query('DELETE FROM picks WHERE user_id = ANY($1)', [userIds]);
+    await pool.query('DELETE FROM players WHERE id = ANY($1)', [createdPlayerIds]);
+    await pool.query('DELETE FROM users WHERE id = ANY($1)', [[...userIds, adminId]]);
+  });
+
+  it('should fetch each summary and competitor stats document once per cycle', async () => {
+    const { provider, calls } = countingProvider();
+    app.locals.statsProvider = provider;
+
+    const response = await request(app)
+      .post('/api/admin/update-live-stats')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ weekNumber: WEEK });
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+
+    expect(calls).toEqual({
+      'scoreboard-19': 1,
+      'summary-401671789': 1,
+      'summary-401671790': 1,
+      'competitor-401671789-34': 1,
+      'competitor-401671790-33': 1
+    });
+    expect(response.body.metrics).toMatchObject({
+      scoreboard_calls: 1,
+      summary_calls: 2,
+      competitor_stats_calls: 2
+    });
+    expect(response.body.metrics.scores_written).toBeGreaterThanOrEqual(USER_COUNT * players.length);
+    expect(response.body.metrics.duration_ms).toBeGreaterThanOrEqual(0);
+  });
+
+  it('should score and write every pick', async () => {
+    const result = await pool.query(
+      `SELECT user_id, player_id, base_points::float8 AS base_points,
+              multiplier::float8 AS multiplier, final_points::float8 AS final_points, rules_version_id
+       FROM scores WHERE user_id = ANY($1) AND week_number = $2`,
+      [userIds, WEEK]
+    );
+    expect(result.rows).toHaveLength(USER_COUNT * players.length);
+
+    const { version_id: versionId } = await scoringService.getScoringRules(pool);
+    for (const score of result.rows) {
+      expect(score.final_points).toBeCloseTo(score.base_points * score.multiplier, 2);
+      expect(score.rules_version_id).toBe(versionId);
+    }
+
+    // Every user's line for a player is scored from the same stats
+    const basePoints = player => new Set(result.rows.filter(r => r.player_id === player).map(r => r.base_points));
+    for (const player of players) {
+      expect(basePoints(player.id).size).toBe(1);
+    }
+    expect([...basePoints(`cycle_wr_${stamp}`)][0]).toBeGreaterThan(0);
+  });
+
+  it('should hydrate the ESPN ID of a player matched by name within their team', async () => {
+    const result = await pool.query('SELECT espn_id FROM players WHERE id = $1', [`cycle_wr_${stamp}`]);
+    expect(result.rows[0].espn_id).toBe('4258173');
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Scoring Performance Tests
+ *
+ * Purpose: Verify scoring does not read the database per pick
+ * - The active rule set is cached in-process and shared by concurrent callers
+ * - Admin rule edits invalidate the cache
+ * - Benchmark: pure scoring throughput for a few thousand picks
+ */
+
+const request = require('supertest');
+const { app, pool, calculateFantasyPoints } = require('../server');
+const { createTestAdmin } = require('./helpers/admin');
+const scoringService = require('../services/scoring.service');
+
+// Stat lines shaped like a playoff week: QBs, skill players, kickers, defenses
+function sampleStatLines(count) {
+  const lines = [];
+  for (let i = 0; i < count; i++) {
+    switch (i % 4) {
+      case 0:
+        lines.push({ pass_yd: 180 + (i % 250), pass_td: i % 4, pass_int: i % 2, rush_yd: i % 30 });
+        break;
+      case 1:
+        lines.push({ rush_yd: i % 170, rush_td: i % 3, rec: i % 9, rec_yd: i % 160, rush_td_yds: [i % 60] });
+        break;
+      case 2:
+        lines.push({ fg_made: 2, xp_made: 3, fg_kicks: [{ distance: 30 + (i % 25), made: true }, { distance: 47, made: true }] });
+        break;
+      default:
+        lines.push({ def_sack: i % 5, def_int: i % 2, def_pts_allowed: i % 35, def_yds_allowed: 250 + (i % 200) });
+    }
+  }
+  return lines;
+}
+
+describe('Scoring Rules Cache', () => {
+  const stamp = Date.now();
+  let adminId;
+  let adminToken;
+  let firstVersionId;
+  let rule;
+
+  beforeAll(async () => {
+    const admin = await createTestAdmin(pool, `cache_admin_${stamp}`);
+    adminId = admin.id;
+    adminToken = admin.token;
+
+    const result = await pool.query(
+      "SELECT id, points::float8 AS points FROM scoring_rules WHERE stat_name = 'pass_td' AND is_active = true"
+    );
+    rule = result.rows[0];
+
+    const latest = await pool.query('SELECT id FROM scoring_rule_versions ORDER BY id DESC LIMIT 1');
+    firstVersionId = latest.rows[0].id;
+  });
+
+  afterAll(async () => {
+    await request(app)
+      .patch(`/api/admin/scoring-rules/${rule.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ points: rule.points });
+    await pool.query('DELETE FROM scoring_rule_versions WHERE id > $1', [firstVersionId]);
+    await pool.query('DELETE FROM users WHERE id = $1', [adminId]);
+  });
+
+  it('should score repeated calls without querying the database', async () => {
+    scoringService.invalidateScoringRules();
+    await calculateFantasyPoints({ pass_td: 1 });
+
+    const querySpy = jest.spyOn(pool, 'query');
+    try {
+      for (let i = 0; i < 50; i++) {
+        await calculateFantasyPoints({ pass_td: 1, pass_yd: i });
+      }
+      expect(querySpy).not.toHaveBeenCalled();
+    } finally {
+      querySpy.mockRestore();
+    }
+  });
+
+  it('should share one load between concurrent callers', async () => {
+    scoringService.invalidateScoringRules();
+    const querySpy = jest.spyOn(pool, 'query');
+    try {
+      const ruleSets = await Promise.all([1, 2, 3].map(() => scoringService.getScoringRules(pool)));
+      expect(new Set(ruleSets).size).toBe(1);
+      expect(querySpy).toHaveBeenCalledTimes(1); // the version in effect
+    } finally {
+      querySpy.mockRestore();
+    }
+  });
+
+  it('should reload after the TTL', async () => {
+    const cached = await scoringService.getScoringRules(pool);
+    expect(await scoringService.getScoringRules(pool)).toBe(cached);
+    const later = await scoringService.getScoringRules(pool, { now: Date.now() + 6 * 60 * 1000 });
+    expect(later).not.toBe(cached);
+    expect(later.version).toBe(cached.version);
+  });
+
+  it('should pick up an admin rule edit immediately', async () => {
+    const before = await calculateFantasyPoints({ pass_td: 1 });
+    expect(before).toBe(rule.points);
+
+    const response = await request(app)
+      .patch(`/api/admin/scoring-rules/${rule.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ points: rule.points + 1 });
+    expect(response.status).toBe(200);
+
+    expect(await calculateFantasyPoints({ pass_td: 1 })).toBe(rule.points + 1);
+  });
+});
+
+describe('Scoring Throughput Benchmark', () => {
+  it('should score a few thousand picks quickly with a loaded rule set', async () => {
+    const ruleSet = await scoringService.getScoringRules(pool);
+    const lines = sampleStatLines(5000);
+
+    const started = process.hrtime.bigint();
+    let total = 0;
+    for (const stats of lines) {
+      total += scoringService.scoreStats(stats, ruleSet);
+    }
+    const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+    console.log(`[benchmark] scored ${lines.length} stat lines in ${elapsedMs.toFixed(1)} ms ` +
+      `(${Math.round(lines.length / (elapsedMs / 1000))} picks/s)`);
+    expect(total).toBeGreaterThan(0);
+    // Generous bound for slow CI machines; a database read per pick would take seconds
+    expect(elapsedMs).toBeLessThan(2000);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Data-Driven Scoring Rule Tests
+ *
+ * Purpose: Verify kicker, defense and bonus scoring come from the database
+ * - Tiers apply fixed points when a stat falls in [min_value, max_value]
+ * - The migrated rules reproduce the previous hardcoded values
+ * - /api/scoring-rules lists exactly the rules the engine applies
+ * - Admin tier edits are validated and change scoring
+ * - Field goals score by distance band from per-kick play data
+ */
+
+const request = require('supertest');
+const {
+  app,
+  pool,
+  calculateFantasyPoints,
+  convertESPNStatsToScoring,
+  parseFieldGoalKicks
+} = require('../server');
+const { createTestAdmin } = require('./helpers/admin');
+const { scoreStats, validateTiers } = require('../services/scoring.service');
+
+describe('Scoring Rule Engine', () => {
+  const ruleSet = {
+    rules: { def_sack: 1 },
+    tiers: [
+      { stat_name: 'def_pts_allowed', min_value: 0, max_value: 0, points: 20 },
+      { stat_name: 'def_pts_allowed', min_value: 1, max_value: 6, points: 15 },
+      { stat_name: 'def_pts_allowed', min_value: 35, max_value: null, points: -4 }
+    ]
+  };
+
+  it('should apply the tier whose range contains the stat', () => {
+    expect(scoreStats({ def_sack: 2, def_pts_allowed: 0 }, ruleSet)).toBe(22);
+    expect(scoreStats({ def_sack: 2, def_pts_allowed: 6 }, ruleSet)).toBe(17);
+    expect(scoreStats({ def_sack: 0, def_pts_allowed: 48 }, ruleSet)).toBe(-4);
+  });
+
+  it('should skip tiers when the stat is missing', () => {
+    expect(scoreStats({ def_sack: 1 }, ruleSet)).toBe(1);
+  });
+
+  it('should score made kicks by distance band and the rest flat', () => {
+    const kickerRules = {
+      rules: { fg_made: 3, fg_missed: -1 },
+      bands: [
+        { stat_name: 'fgm_40_49', min_distance: 40, max_distance: 49, points: 4 },
+        { stat_name: 'fgm_50p', min_distance: 50, max_distance: null, points: 5 }
+      ],
+      tiers: []
+    };
+    const fg_kicks = [
+      { distance: 20, made: true },
+      { distance: 45, made: true },
+      { distance: 55, made: true },
+      { distance: 58, made: false }
+    ];
+
+    expect(scoreStats({ fg_made: 3, fg_missed: 1, fg_kicks }, kickerRules)).toBe(3 + 4 + 5 - 1);
+    // Without per-kick data every made field goal scores flat
+    expect(scoreStats({ fg_made: 3, fg_missed: 1 }, kickerRules)).toBe(8);
+  });
+
+  it('should reject overlapping tiers', () => {
+    expect(() => validateTiers([
+      { min_value: 0, max_value: 10, points: 5 },
+      { min_value: 10, max_value: null, points: 1 }
+    ])).toThrow(/overlap/);
+    expect(() => validateTiers([
+      { min_value: 20, max_value: null, points: 1 },
+      { min_value: 0, max_value: 19, points: 5 }
+    ])).not.toThrow();
+  });
+});
+
+describe('Scoring Rules From the Database', () => {
+  const stamp = Date.now();
+  let adminId;
+  let adminToken;
+  let originalTiers;
+
+  beforeAll(async () => {
+    const admin = await createTestAdmin(pool, `scoring_admin_${stamp}`);
+    adminId = admin.id;
+    adminToken = admin.token;
+
+    const tiers = await pool.query(
+      `SELECT category, min_value, max_value, points, description
+       FROM scoring_rule_tiers WHERE stat_name = 'def_pts_allowed' ORDER BY min_value`
+    );
+    originalTiers = tiers.rows;
+  });
+
+  afterAll(async () => {
+    await request(app)
+      .put('/api/admin/scoring-rules/tiers/def_pts_allowed')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ category: 'defense', tiers: originalTiers });
+    await pool.query('DELETE FROM users WHERE id = $1', [adminId]);
+  });
+
+  it('should reproduce the previous kicker and defense values', async () => {
+    expect(await calculateFantasyPoints({ fg_made: 2, xp_made: 3, fg_missed: 1, xp_missed: 1 })).toBe(7);
+
+    const ladder = [[0, 20], [6, 15], [13, 10], [20, 5], [27, 0], [34, -1], [35, -4]];
+    for (const [allowed, expected] of ladder) {
+      expect(await calculateFantasyPoints({ def_sack: 0, def_pts_allowed: allowed })).toBe(expected);
+    }
+  });
+
+  it('should publish exactly the applied rules', async () => {
+    const response = await request(app).get('/api/scoring-rules');
+    expect(response.status).toBe(200);
+
+    const stats = response.body.map(rule => rule.stat_name);
+    expect(stats).toEqual(expect.arrayContaining(['fg_made', 'xp_missed', 'def_pts_allowed', 'pass_yd']));
+    expect(stats).not.toContain('pass_yd_bonus');
+
+    const fiftyPlus = response.body.find(rule => rule.stat_name === 'fgm_50p');
+    expect(fiftyPlus.rule_type).toBe('fg_distance');
+    expect(fiftyPlus.min_value).toBe(50);
+    expect(fiftyPlus.max_value).toBeNull();
+
+    const passBonus = response.body.find(rule => rule.rule_type === 'bonus' && rule.stat_name === 'pass_yd');
+    expect(passBonus.min_value).toBe(400);
+    expect(passBonus.stack_mode).toBe('exclusive');
+    expect(passBonus.id).toBeLessThan(0);
+  });
+
+  it('should validate and apply admin tier edits', async () => {
+    const overlapping = await request(app)
+      .put('/api/admin/scoring-rules/tiers/def_pts_allowed')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        category: 'defense',
+        tiers: [{ min_value: 0, max_value: 10, points: 10 }, { min_value: 5, max_value: null, points: 0 }]
+      });
+    expect(overlapping.status).toBe(400);
+
+    const saved = await request(app)
+      .put('/api/admin/scoring-rules/tiers/def_pts_allowed')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        category: 'defense',
+        tiers: [{ min_value: 0, max_value: 10, points: 12 }, { min_value: 11, max_value: null, points: 2 }]
+      });
+    expect(saved.status).toBe(200);
+    expect(saved.body.tiers).toHaveLength(2);
+
+    expect(await calculateFantasyPoints({ def_sack: 0, def_pts_allowed: 7 })).toBe(12);
+  });
+
+  it('should reject overlapping distance bands', async () => {
+    const response = await request(app)
+      .post('/api/admin/scoring-rules')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ category: 'kicking', stat_name: 'fgm_45p', points: 6, min_distance: 45 });
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toMatch(/fgm_40_49/);
+  });
+});
+
+describe('Field Goal Distance Ingestion', () => {
+  const drives = {
+    previous: [
+      {
+        plays: [
+          { text: 'J.Tucker 45 yard field goal is GOOD, Center-N.Moore, Holder-J.Stout.' },
+          { text: 'J.Tucker 23 yard field goal is GOOD, Center-N.Moore, Holder-J.Stout.' }
+        ]
+      },
+      {
+        plays: [
+          { text: 'Ka.Fairbairn 52 yard field goal is No Good, Wide Right, Center-J.Weeks.' },
+          { text: 'J.Tucker 61 yard field goal is GOOD. PENALTY on BAL-R.Stanley, False Start, NULLIFIED by penalty.' },
+          { text: 'J.Tucker extra point is GOOD, Center-N.Moore, Holder-J.Stout.' }
+        ]
+      }
+    ]
+  };
+
+  it('should parse every field goal attempt with its distance', () => {
+    const kicks = parseFieldGoalKicks(drives);
+
+    expect(kicks['J.Tucker']).toEqual([
+      { distance: 45, made: true },
+      { distance: 23, made: true }
+    ]);
+    expect(kicks['Ka.Fairbairn']).toEqual([{ distance: 52, made: false }]);
+  });
+
+  it('should carry per-kick data into the stored stat line', () => {
+    const scoring = convertESPNStatsToScoring({
+      kicking_FG: '2/3',
+      kicking_LONG: '45',
+      kicking_KICKS: [{ distance: 45, made: true }, { distance: 23, made: true }, { distance: 52, made: false }]
+    });
+
+    expect(scoring.fg_made).toBe(2);
+    expect(scoring.fg_kicks).toHaveLength(3);
+    expect(convertESPNStatsToScoring({ kicking_FG: '1/1' }).fg_kicks).toBeUndefined();
+  });
+
+  it('should apply the configured distance bands', async () => {
+    const fg_kicks = [{ distance: 30, made: true }, { distance: 44, made: true }, { distance: 53, made: true }];
+    const bands = await pool.query(
+      `SELECT stat_name, points::float8 AS points FROM scoring_rules
+       WHERE stat_name IN ('fgm_0_39', 'fgm_40_49', 'fgm_50p') AND is_active = true`
+    );
+    const byStat = Object.fromEntries(bands.rows.map(row => [row.stat_name, row.points]));
+
+    expect(await calculateFantasyPoints({ fg_made: 3, fg_kicks })).toBe(
+      byStat.fgm_0_39 + byStat.fgm_40_49 + byStat.fgm_50p
+    );
+  });
+});
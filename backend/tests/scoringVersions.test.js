@@ -0,0 +1,237 @@
+/**
+ * Scoring Rule Version Tests
+ *
+ * Purpose: Verify scoring rule history and retroactive rescoring
+ * - Admin edits and direct SQL changes each record one version
+ * - Rescore preview reports moved totals and ranks without writing
+ * - Applying a rescore rewrites the week from stored stats_json
+ * - Live scoring applies the version in effect, so a version dated in the
+ *   future is not applied before its effective date; /api/scoring-rules
+ *   publishes that same version
+ */
+
+const request = require('supertest');
+const { app, pool } = require('../server');
+const { createTestAdmin } = require('./helpers/admin');
+const scoringService = require('../services/scoring.service');
+
+// A week no other suite writes scores for
+const WEEK = 27;
+
+describe('Scoring Rule Versions', () => {
+  const stamp = Date.now();
+  const playerId = `versions_${stamp}`;
+  const users = {};
+  let adminId;
+  let adminToken;
+  let firstVersionId;
+  let passTd;
+
+  async function latestVersion() {
+    const result = await pool.query('SELECT * FROM scoring_rule_versions ORDER BY id DESC LIMIT 1');
+    return result.rows[0];
+  }
+
+  async function versionsAfter(versionId) {
+    const result = await pool.query('SELECT * FROM scoring_rule_versions WHERE id > $1 ORDER BY id', [versionId]);
+    return result.rows;
+  }
+
+  beforeAll(async () => {
+    const admin = await createTestAdmin(pool, `versions_admin_${stamp}`);
+    adminId = admin.id;
+    adminToken = admin.token;
+
+    firstVersionId = (await latestVersion()).id;
+    const rule = await pool.query(
+      `SELECT id, points::float8 AS points, description FROM scoring_rules WHERE stat_name = 'pass_td' AND is_active = true`
+    );
+    passTd = rule.rows[0];
+
+    await pool.query(
+      `INSERT INTO players (id, position, team, full_name) VALUES ($1, 'QB', 'BUF', 'Versions Test')`,
+      [playerId]
+    );
+
+    // Stored points as of the first version: yardage = 13, passing TDs = 3 * pass_td
+    const lines = {
+      yardage: { stats: { pass_yd: 325 }, points: 13 },
+      touchdowns: { stats: { pass_td: 3 }, points: 3 * passTd.points }
+    };
+    for (const [key, line] of Object.entries(lines)) {
+      const user = await pool.query(
+        `INSERT INTO users (id, username) VALUES (gen_random_uuid(), $1) RETURNING id`,
+        [`versions_${key}_${stamp}`]
+      );
+      users[key] = user.rows[0].id;
+      await pool.query(
+        `INSERT INTO scores (user_id, player_id, week_number, points, base_points, multiplier, final_points, stats_json)
+         VALUES ($1, $2, $3, $4, $4, 1.0, $4, $5)`,
+        [users[key], playerId, WEEK, line.points, JSON.stringify(line.stats)]
+      );
+    }
+  });
+
+  afterAll(async () => {
+    await pool.query(
+      'UPDATE scoring_rules SET points = $1, description = $2 WHERE id = $3',
+      [passTd.points, passTd.description, passTd.id]
+    );
+    await pool.query('DELETE FROM scoring_rescores WHERE week_number = $1', [WEEK]);
+    await pool.query('DELETE FROM scoring_rule_versions WHERE id > $1', [firstVersionId]);
+    await pool.query('DELETE FROM scores WHERE week_number = $1', [WEEK]);
+    await pool.query('DELETE FROM players WHERE id = $1', [playerId]);
+    await pool.query('DELETE FROM users WHERE id = ANY($1)', [[adminId, ...Object.values(users)]]);
+  });
+
+  it('should record one attributed version per admin edit', async () => {
+    const response = await request(app)
+      .patch(`/api/admin/scoring-rules/${passTd.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ points: passTd.points + 2 });
+    expect(response.status).toBe(200);
+
+    const created = await versionsAfter(firstVersionId);
+    expect(created).toHaveLength(1);
+    const version = created[0];
+    expect(version.source).toBe('admin');
+    expect(version.created_by).toBe(adminId);
+    expect(version.rules.find(rule => rule.stat_name === 'pass_td').points).toBe(passTd.points + 2);
+  });
+
+  it('should version direct SQL changes once per transaction', async () => {
+    const before = await latestVersion();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`UPDATE scoring_rules SET description = 'changed' WHERE id = $1`, [passTd.id]);
+      await client.query(`UPDATE scoring_rules SET description = 'changed twice' WHERE id = $1`, [passTd.id]);
+      await client.query('COMMIT');
+    } finally {
+      client.release();
+    }
+
+    const created = await versionsAfter(before.id);
+    expect(created).toHaveLength(1);
+    expect(created[0].source).toBe('sql');
+
+    // Touching a row without changing the active rules records nothing
+    await pool.query('UPDATE scoring_rules SET display_order = display_order WHERE id = $1', [passTd.id]);
+    expect((await latestVersion()).id).toBe(created[0].id);
+  });
+
+  it('should preview moved totals and ranks without writing', async () => {
+    const version = await latestVersion();
+    const response = await request(app)
+      .get(`/api/admin/scoring-rules/rescore/preview?weekNumber=${WEEK}&versionId=${version.id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.rows_changed).toBe(1);
+
+    const touchdowns = response.body.users.find(user => user.user_id === users.touchdowns);
+    expect(touchdowns.delta).toBe(6);
+    expect(touchdowns.new_week_total).toBe(3 * (passTd.points + 2));
+    expect(touchdowns.new_rank).toBeLessThan(touchdowns.old_rank);
+
+    const yardage = response.body.users.find(user => user.user_id === users.yardage);
+    expect(yardage.delta).toBe(0);
+    expect(yardage.new_rank).toBeGreaterThan(yardage.old_rank);
+
+    const stored = await pool.query(
+      'SELECT final_points::float8 AS final_points FROM scores WHERE user_id = $1 AND week_number = $2',
+      [users.touchdowns, WEEK]
+    );
+    expect(stored.rows[0].final_points).toBe(3 * passTd.points);
+  });
+
+  it('should rescore the week against the chosen version', async () => {
+    const version = await latestVersion();
+    const applied = await request(app)
+      .post('/api/admin/scoring-rules/rescore')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ week_number: WEEK, version_id: version.id });
+
+    expect(applied.status).toBe(200);
+    expect(applied.body.rows_changed).toBe(1);
+
+    const stored = await pool.query(
+      'SELECT final_points::float8 AS final_points FROM scores WHERE user_id = $1 AND week_number = $2',
+      [users.touchdowns, WEEK]
+    );
+    expect(stored.rows[0].final_points).toBe(3 * (passTd.points + 2));
+
+    // Every rescored row records the version it now stands under
+    const recorded = await pool.query('SELECT DISTINCT rules_version_id FROM scores WHERE week_number = $1', [WEEK]);
+    expect(recorded.rows).toEqual([{ rules_version_id: version.id }]);
+
+    // Back to the first version restores the original numbers
+    const restored = await request(app)
+      .post('/api/admin/scoring-rules/rescore')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ week_number: WEEK, version_id: firstVersionId });
+    expect(restored.body.rows_changed).toBe(1);
+
+    const runs = await pool.query('SELECT version_id FROM scoring_rescores WHERE week_number = $1 ORDER BY id', [WEEK]);
+    expect(runs.rows.map(run => run.version_id)).toEqual([version.id, firstVersionId]);
+  });
+
+  it('should score with the version in effect, not one dated in the future', async () => {
+    const latest = await latestVersion();
+    const current = await scoringService.getScoringRules(pool);
+    expect(current.version_id).toBe(latest.id);
+    expect(current.rules.pass_td).toBe(passTd.points + 2);
+
+    // Push every later version into the future: the first version is in effect again
+    const later = await versionsAfter(firstVersionId);
+    const future = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    for (const version of later) {
+      const moved = await request(app)
+        .patch(`/api/admin/scoring-rules/versions/${version.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ effective_from: future });
+      expect(moved.status).toBe(200);
+      expect(moved.body.in_effect).toBe(false);
+    }
+
+    const inEffect = await scoringService.getScoringRules(pool);
+    expect(inEffect.version_id).toBe(firstVersionId);
+    expect(inEffect.rules.pass_td).toBe(passTd.points);
+    expect(scoringService.scoreStats({ pass_td: 1 }, inEffect)).toBe(passTd.points);
+
+    // Players see the rules in effect, not the edited table row
+    const published = await request(app).get('/api/scoring-rules');
+    expect(published.status).toBe(200);
+    const publishedPassTd = published.body.find(rule => rule.rule_type === 'per_stat' && rule.stat_name === 'pass_td');
+    expect(publishedPassTd).toMatchObject({ id: passTd.id, points: passTd.points });
+
+    for (const version of later) {
+      await request(app)
+        .patch(`/api/admin/scoring-rules/versions/${version.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ effective_from: version.effective_from });
+    }
+    expect((await scoringService.getScoringRules(pool)).version_id).toBe(latest.id);
+  });
+
+  it('should list versions and validate input', async () => {
+    const list = await request(app)
+      .get('/api/admin/scoring-rules/versions')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(list.status).toBe(200);
+    expect(list.body.versions[0].in_effect).toBe(true);
+    expect(list.body.versions[0].fingerprint).toMatch(/^[0-9a-f]{12}$/);
+
+    const missing = await request(app)
+      .get(`/api/admin/scoring-rules/rescore/preview?weekNumber=${WEEK}&versionId=999999`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(missing.status).toBe(404);
+
+    const badWeek = await request(app)
+      .post('/api/admin/scoring-rules/rescore')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ week_number: 'x', version_id: firstVersionId });
+    expect(badWeek.status).toBe(400);
+  });
+});
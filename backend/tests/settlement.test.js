@@ -0,0 +1,228 @@
+/**
+ * Contest Settlement Tests
+ *
+ * Purpose: Verify Settlement Model v1 (docs/architecture/contest-lifecycle.md)
+ * - Tied entries share the places they occupy, split evenly to the cent
+ * - Settlement fails and a LIVE contest moves to ERROR if a game is not final
+ * - Settlement writes one immutable record and payout rows, exactly once
+ * - The admin report lists what each winner is owed
+ *
+ * The scoreboard is supplied as a function, so no ESPN calls are made.
+ */
+
+const request = require('supertest');
+const { app, pool } = require('../server');
+const { createTestAdmin } = require('./helpers/admin');
+const contestsService = require('../services/contests.service');
+const {
+  findUnfinishedGames,
+  rankStandings,
+  allocatePayouts
+} = require('../services/settlement.service');
+
+const HOUR = 60 * 60 * 1000;
+const WEEK = 19;
+
+function game(id, state, home = 'BUF', away = 'KC') {
+  return {
+    id,
+    status: { type: { state } },
+    competitions: [{ competitors: [{ team: { abbreviation: home } }, { team: { abbreviation: away } }] }]
+  };
+}
+
+describe('Settlement Rules', () => {
+  it('should rank ties together and split their places evenly', () => {
+    const standings = rankStandings([
+      { contest_entry_id: 'a', score: '100.00' },
+      { contest_entry_id: 'b', score: '100.00' },
+      { contest_entry_id: 'c', score: '80.50' },
+      { contest_entry_id: 'd', score: '50.00' }
+    ]);
+    expect(standings.map(s => s.rank)).toEqual([1, 1, 3, 4]);
+    expect(standings[0].tied_count).toBe(2);
+
+    const payouts = allocatePayouts(
+      standings,
+      [{ place: 1, percentage: 50 }, { place: 2, percentage: 30 }, { place: 3, percentage: 20 }],
+      40
+    );
+    expect(payouts.map(p => p.amount)).toEqual([16, 16, 8, 0]);
+  });
+
+  it('should give leftover cents to the earliest tied entries', () => {
+    const standings = rankStandings([
+      { contest_entry_id: 'a', score: 10 },
+      { contest_entry_id: 'b', score: 10 },
+      { contest_entry_id: 'c', score: 10 }
+    ]);
+    const payouts = allocatePayouts(standings, [{ place: 1, percentage: 100 }], 10);
+
+    expect(payouts.map(p => p.amount)).toEqual([3.34, 3.33, 3.33]);
+  });
+
+  it('should report games without a final score and ignore the Pro Bowl', () => {
+    const result = findUnfinishedGames({
+      [WEEK]: [game('1', 'post'), game('2', 'in'), game('3', 'pre', 'AFC', 'NFC')]
+    });
+
+    expect(result.gameCount).toBe(2);
+    expect(result.unfinished).toEqual([{ week: WEEK, game_id: '2', state: 'in' }]);
+  });
+});
+
+describe('Contest Settlement', () => {
+  const stamp = Date.now();
+  const originalFetchEvents = app.locals.fetchScoreboardEvents;
+  const finalEvents = async () => [game('401', 'post'), game('402', 'post', 'HOU', 'LAC')];
+  const userIds = [];
+  const contestIds = [];
+  let originalPayouts;
+  let adminToken;
+
+  // A LIVE contest for WEEK whose end_time has passed
+  async function liveContest(name, playerIds) {
+    const now = Date.now();
+    const contest = await contestsService.createContest(pool, {
+      name,
+      week_number: WEEK,
+      entry_fee: 10,
+      lock_time: new Date(now + HOUR).toISOString(),
+      start_time: new Date(now + 2 * HOUR).toISOString(),
+      end_time: new Date(now + 3 * HOUR).toISOString()
+    });
+    contestIds.push(contest.id);
+
+    for (const playerId of playerIds) {
+      await contestsService.createEntry(pool, contest.id, playerId);
+    }
+    await contestsService.transitionContest(pool, contest.id, 'LOCKED');
+    await contestsService.transitionContest(pool, contest.id, 'LIVE');
+
+    await pool.query(
+      `UPDATE contests
+       SET created_at = $2, lock_time = $3, start_time = $3, end_time = $4
+       WHERE id = $1`,
+      [contest.id, new Date(now - 5 * HOUR), new Date(now - 4 * HOUR), new Date(now - HOUR)]
+    );
+    return contest;
+  }
+
+  beforeAll(async () => {
+    const payouts = await pool.query('SELECT place, percentage, description FROM payouts ORDER BY place');
+    originalPayouts = payouts.rows;
+    await pool.query('DELETE FROM payouts');
+    await pool.query(
+      `INSERT INTO payouts (place, percentage, description)
+       VALUES (1, 50, '1st'), (2, 30, '2nd'), (3, 20, '3rd')`
+    );
+
+    await pool.query(
+      `INSERT INTO players (id, position, team, full_name) VALUES ($1, 'QB', 'BUF', 'Settlement Test')`,
+      [`settle_${stamp}`]
+    );
+
+    const scores = [100, 100, 80, 50];
+    for (let i = 0; i < scores.length; i++) {
+      const user = await pool.query(
+        `INSERT INTO users (id, username) VALUES (gen_random_uuid(), $1) RETURNING id`,
+        [`settle_player_${i}_${stamp}`]
+      );
+      userIds.push(user.rows[0].id);
+      await pool.query(
+        `INSERT INTO scores (user_id, player_id, week_number, final_points)
+         VALUES ($1, $2, $3, $4)`,
+        [user.rows[0].id, `settle_${stamp}`, WEEK, scores[i]]
+      );
+    }
+
+    const admin = await createTestAdmin(pool, `settle_admin_${stamp}`, 'finance');
+    userIds.push(admin.id);
+    adminToken = admin.token;
+  });
+
+  afterEach(() => {
+    app.locals.fetchScoreboardEvents = originalFetchEvents;
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM contests WHERE id = ANY($1)', [contestIds]);
+    await pool.query('DELETE FROM scores WHERE user_id = ANY($1)', [userIds]);
+    await pool.query('DELETE FROM users WHERE id = ANY($1)', [userIds]);
+    await pool.query('DELETE FROM players WHERE id = $1', [`settle_${stamp}`]);
+    await pool.query('DELETE FROM payouts');
+    for (const payout of originalPayouts) {
+      await pool.query(
+        'INSERT INTO payouts (place, percentage, description) VALUES ($1, $2, $3)',
+        [payout.place, payout.percentage, payout.description]
+      );
+    }
+  });
+
+  it('should move a LIVE contest to ERROR when a game is not final', async () => {
+    const contest = await liveContest(`Unfinished ${stamp}`, userIds.slice(0, 2));
+    app.locals.fetchScoreboardEvents = async () => [game('401', 'post'), game('402', 'in')];
+
+    const response = await request(app)
+      .post(`/api/admin/contests/${contest.id}/settle`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(response.status).toBe(409);
+    expect(response.body.error).toMatch(/402/);
+
+    const after = await pool.query('SELECT status, settle_time FROM contests WHERE id = $1', [contest.id]);
+    expect(after.rows[0].status).toBe('ERROR');
+    expect(after.rows[0].settle_time).toBeNull();
+  });
+
+  it('should settle once, complete the contest and split tied payouts', async () => {
+    const contest = await liveContest(`Settle ${stamp}`, userIds.slice(0, 4));
+    app.locals.fetchScoreboardEvents = finalEvents;
+
+    const settled = await request(app)
+      .post(`/api/admin/contests/${contest.id}/settle`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(settled.status).toBe(201);
+    expect(settled.body.created).toBe(true);
+    expect(Number(settled.body.settlement.total_pot)).toBe(40);
+    expect(settled.body.payouts.map(p => [p.rank, Number(p.amount)])).toEqual([
+      [1, 16], [1, 16], [3, 8], [4, 0]
+    ]);
+
+    const repeated = await request(app)
+      .post(`/api/admin/contests/${contest.id}/settle`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(repeated.status).toBe(200);
+    expect(repeated.body.created).toBe(false);
+    expect(repeated.body.settlement.id).toBe(settled.body.settlement.id);
+
+    const row = await pool.query('SELECT status, settle_time FROM contests WHERE id = $1', [contest.id]);
+    expect(row.rows[0].status).toBe('COMPLETE');
+    expect(new Date(row.rows[0].settle_time).toISOString()).toBe(settled.body.settlement.settled_at);
+
+    const transitions = await contestsService.getContestTransitions(pool, contest.id);
+    expect(transitions[transitions.length - 1]).toMatchObject({ from_status: 'LIVE', to_status: 'COMPLETE' });
+  });
+
+  it('should reject changes to settlement records', async () => {
+    const contest = contestIds[contestIds.length - 1];
+    await expect(
+      pool.query(
+        `UPDATE settlement_payouts SET amount = 0
+         WHERE settlement_id = (SELECT id FROM settlements WHERE contest_id = $1)`,
+        [contest]
+      )
+    ).rejects.toThrow(/immutable/);
+  });
+
+  it('should list what each winner is owed', async () => {
+    const response = await request(app)
+      .get('/api/admin/settlements')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(response.status).toBe(200);
+
+    const report = response.body.settlements.find(s => s.contest_id === contestIds[contestIds.length - 1]);
+    expect(report.total_owed).toBe(40);
+    expect(report.winners).toHaveLength(3);
+    expect(report.winners[0].username).toMatch(/^settle_player_/);
+  });
+});
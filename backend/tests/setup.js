@@ -16,6 +16,16 @@ if (!process.env.DATABASE_URL) {
   process.exit(1);
 }
 
+// Player session tokens need a signing secret; use a throwaway one if unset
+if (!process.env.USER_JWT_SECRET) {
+  process.env.USER_JWT_SECRET = 'test-user-jwt-secret';
+}
+
+// Same for admin session tokens (see helpers/admin.js)
+if (!process.env.ADMIN_JWT_SECRET) {
+  process.env.ADMIN_JWT_SECRET = 'test-admin-jwt-secret';
+}
+
 // Suppress console.log during tests (comment out for debugging)
 const originalLog = console.log;
 const originalError = console.error;
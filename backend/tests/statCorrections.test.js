@@ -0,0 +1,198 @@
+/**
+ * Stat Correction Tests
+ *
+ * Purpose: Verify post-game stat corrections
+ * - Differences between stored stats_json and final box scores are recorded
+ *   with before/after values
+ * - Only the corrected player's score rows are rescored
+ * - After the freeze date, corrections are logged but scores are not changed
+ *
+ * Final stat lines are supplied as a function, so no ESPN calls are made.
+ */
+
+const request = require('supertest');
+const { app, pool, calculateFantasyPoints } = require('../server');
+const { createTestAdmin } = require('./helpers/admin');
+const statCorrectionsService = require('../services/statCorrections.service');
+
+describe('Stat Correction Rules', () => {
+  it('should report only stats that changed', () => {
+    const changes = statCorrectionsService.diffStats(
+      { pass_yd: 250, pass_td: 2, rush_yd: 0 },
+      { pass_yd: 262, pass_td: 2, fg_kicks: [] }
+    );
+    expect(changes).toEqual({ pass_yd: { before: 250, after: 262 } });
+
+    const kicks = statCorrectionsService.diffStats(
+      { fg_made: 1, fg_kicks: [{ distance: 48, made: true }] },
+      { fg_made: 1, fg_kicks: [{ distance: 49, made: true }] }
+    );
+    expect(Object.keys(kicks)).toEqual(['fg_kicks']);
+  });
+
+  it('should check the current and previous round only', () => {
+    const weeks = statCorrectionsService.getReconcileWeeks({ current_playoff_week: 3, playoff_start_week: 19 });
+    expect(weeks).toEqual([21, 20]);
+    expect(statCorrectionsService.getReconcileWeeks({ current_playoff_week: 1, playoff_start_week: 19 })).toEqual([19]);
+    expect(statCorrectionsService.getReconcileWeeks({ current_playoff_week: 0, playoff_start_week: 19 })).toEqual([]);
+  });
+});
+
+describe('Stat Correction Job', () => {
+  const stamp = Date.now();
+  const playerId = `corrections_${stamp}`;
+  const otherPlayerId = `corrections_other_${stamp}`;
+  const storedStats = { pass_yd: 250, pass_td: 2 };
+  const users = [];
+  let originalSettings;
+  let weekNumber;
+  let adminId;
+  let adminToken;
+  let finalLines;
+
+  const fetchStatLines = async (week, players) => {
+    const lines = new Map();
+    for (const player of players) {
+      if (finalLines[player.player_id]) lines.set(player.player_id, finalLines[player.player_id]);
+    }
+    return lines;
+  };
+
+  async function playerScores(id) {
+    const result = await pool.query(
+      `SELECT user_id, stats_json, base_points::float8 AS base_points, final_points::float8 AS final_points
+       FROM scores WHERE player_id = $1 AND week_number = $2 ORDER BY multiplier`,
+      [id, weekNumber]
+    );
+    return result.rows;
+  }
+
+  async function playerCorrections() {
+    const result = await pool.query(
+      'SELECT * FROM stat_corrections WHERE player_id = $1 ORDER BY id',
+      [playerId]
+    );
+    return result.rows;
+  }
+
+  beforeAll(async () => {
+    const settings = await pool.query(
+      'SELECT current_playoff_week, stat_corrections_frozen_at FROM game_settings LIMIT 1'
+    );
+    originalSettings = settings.rows[0];
+    await pool.query('UPDATE game_settings SET current_playoff_week = 1, stat_corrections_frozen_at = NULL');
+    const current = await pool.query('SELECT current_playoff_week, playoff_start_week FROM game_settings LIMIT 1');
+    weekNumber = statCorrectionsService.getReconcileWeeks(current.rows[0])[0];
+
+    const admin = await createTestAdmin(pool, `corrections_admin_${stamp}`);
+    adminId = admin.id;
+    adminToken = admin.token;
+
+    await pool.query(
+      `INSERT INTO players (id, position, team, full_name)
+       VALUES ($1, 'QB', 'BUF', 'Corrections Test'), ($2, 'WR', 'BUF', 'Corrections Other')`,
+      [playerId, otherPlayerId]
+    );
+
+    const basePoints = await calculateFantasyPoints(storedStats);
+    for (const multiplier of [1, 2]) {
+      const user = await pool.query(
+        `INSERT INTO users (id, username) VALUES (gen_random_uuid(), $1) RETURNING id`,
+        [`corrections_${multiplier}_${stamp}`]
+      );
+      users.push(user.rows[0].id);
+      await pool.query(
+        `INSERT INTO scores (user_id, player_id, week_number, points, base_points, multiplier, final_points, stats_json)
+         VALUES ($1, $2, $3, $4, $4, $5, $6, $7), ($1, $8, $3, 5, 5, $5, $9, '{"rec": 5}')`,
+        [user.rows[0].id, playerId, weekNumber, basePoints, multiplier, basePoints * multiplier,
+          JSON.stringify(storedStats), otherPlayerId, 5 * multiplier]
+      );
+    }
+  });
+
+  afterAll(async () => {
+    await pool.query(
+      'UPDATE game_settings SET current_playoff_week = $1, stat_corrections_frozen_at = $2',
+      [originalSettings.current_playoff_week, originalSettings.stat_corrections_frozen_at]
+    );
+    await pool.query('DELETE FROM stat_corrections WHERE player_id = ANY($1)', [[playerId, otherPlayerId]]);
+    await pool.query('DELETE FROM scores WHERE user_id = ANY($1)', [users]);
+    await pool.query('DELETE FROM players WHERE id = ANY($1)', [[playerId, otherPlayerId]]);
+    await pool.query('DELETE FROM users WHERE id = ANY($1)', [[adminId, ...users]]);
+  });
+
+  it('should record a correction and rescore only that player', async () => {
+    const correctedStats = { pass_yd: 262, pass_td: 2 };
+    finalLines = { [playerId]: correctedStats, [otherPlayerId]: { rec: 5 } };
+
+    const summary = await statCorrectionsService.runReconciliation(pool, { fetchStatLines });
+    expect(summary.frozen).toBe(false);
+    expect(summary.scores_updated).toBeGreaterThanOrEqual(2);
+
+    const corrections = await playerCorrections();
+    expect(corrections).toHaveLength(1);
+    expect(corrections[0].status).toBe('applied');
+    expect(corrections[0].scores_updated).toBe(2);
+    expect(corrections[0].changes).toEqual({ pass_yd: { before: 250, after: 262 } });
+    expect(corrections[0].before_stats).toEqual(storedStats);
+
+    const expected = await calculateFantasyPoints(correctedStats);
+    const [single, doubled] = await playerScores(playerId);
+    expect(single.stats_json).toEqual(correctedStats);
+    expect(single.base_points).toBe(expected);
+    expect(doubled.final_points).toBeCloseTo(expected * 2, 2);
+
+    const others = await playerScores(otherPlayerId);
+    expect(others.map(row => row.final_points)).toEqual([5, 10]);
+
+    // Nothing left to correct on the next pass
+    await statCorrectionsService.runReconciliation(pool, { fetchStatLines });
+    expect(await playerCorrections()).toHaveLength(1);
+  });
+
+  it('should log but not apply corrections after the freeze date', async () => {
+    const freeze = await request(app)
+      .put('/api/admin/stat-corrections/freeze')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ frozen_at: new Date(Date.now() - 60 * 1000).toISOString() });
+    expect(freeze.status).toBe(200);
+    expect(freeze.body.is_frozen).toBe(true);
+
+    const before = await playerScores(playerId);
+    finalLines = { [playerId]: { pass_yd: 262, pass_td: 3 } };
+
+    const summary = await statCorrectionsService.runReconciliation(pool, { fetchStatLines });
+    expect(summary.frozen).toBe(true);
+    expect(await playerScores(playerId)).toEqual(before);
+
+    // The same frozen difference is logged once
+    await statCorrectionsService.runReconciliation(pool, { fetchStatLines });
+    const corrections = await playerCorrections();
+    expect(corrections).toHaveLength(2);
+    expect(corrections[1].status).toBe('frozen');
+    expect(corrections[1].scores_updated).toBe(0);
+    expect(corrections[1].changes).toEqual({ pass_td: { before: 2, after: 3 } });
+  });
+
+  it('should list corrections and validate the freeze date', async () => {
+    const list = await request(app)
+      .get(`/api/admin/stat-corrections?weekNumber=${weekNumber}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(list.status).toBe(200);
+    expect(list.body.is_frozen).toBe(true);
+    const mine = list.body.corrections.filter(correction => correction.player_id === playerId);
+    expect(mine.map(correction => correction.status)).toEqual(['frozen', 'applied']);
+
+    const invalid = await request(app)
+      .put('/api/admin/stat-corrections/freeze')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ frozen_at: 'not-a-date' });
+    expect(invalid.status).toBe(400);
+
+    const cleared = await request(app)
+      .put('/api/admin/stat-corrections/freeze')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ frozen_at: null });
+    expect(cleared.body).toEqual({ frozen_at: null, is_frozen: false });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Stats Provider Tests
+ *
+ * Purpose: Verify the pluggable stats provider layer
+ * - The fixture provider serves recorded scoreboards, summaries and
+ *   competitor stats, and rejects documents that were not recorded
+ * - The recording provider writes documents in the fixture layout
+ * - The live scoring pipeline runs end to end against a recorded Wild Card
+ *   weekend (tests/fixtures/stats/wild-card-weekend), with no network access
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { app, pool, calculateFantasyPoints } = require('../server');
+const { createTestAdmin } = require('./helpers/admin');
+const statsProviderService = require('../services/statsProvider.service');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'stats', 'wild-card-weekend');
+const WEEK = 19;
+
+describe('Stats Providers', () => {
+  const fixtures = statsProviderService.createFixtureProvider(FIXTURE_DIR);
+
+  it('should serve recorded documents', async () => {
+    const scoreboard = await fixtures.getScoreboard(WEEK);
+    expect(scoreboard.events.map(event => event.shortName)).toEqual(['LAC @ HOU', 'PIT @ BAL']);
+
+    const summary = await fixtures.getGameSummary('401671790');
+    expect(summary.boxscore.players[0].team.abbreviation).toBe('BAL');
+
+    const competitor = await fixtures.getCompetitorStats('401671789', '34');
+    expect(competitor.splits.categories[0].name).toBe('defensive');
+  });
+
+  it('should reject documents that were not recorded', async () => {
+    await expect(fixtures.getScoreboard(20)).rejects.toMatchObject({
+      name: 'StatsProviderError',
+      status: 404
+    });
+  });
+
+  it('should record documents in the fixture layout', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stats-recording-'));
+    try {
+      const recording = statsProviderService.createRecordingProvider(fixtures, dir);
+      const summary = await recording.getGameSummary('401671789');
+
+      const replayed = await statsProviderService.createFixtureProvider(dir).getGameSummary('401671789');
+      expect(replayed).toEqual(summary);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should pick the provider from the environment', () => {
+    expect(statsProviderService.createProvider({}).name).toBe('espn');
+    expect(statsProviderService.createProvider({ STATS_PROVIDER: 'fixture', STATS_FIXTURE_DIR: FIXTURE_DIR }).name)
+      .toBe('fixture');
+    expect(() => statsProviderService.createProvider({ STATS_PROVIDER: 'fixture' })).toThrow('STATS_FIXTURE_DIR');
+    expect(() => statsProviderService.createProvider({ STATS_PROVIDER: 'sleeper' })).toThrow('Unknown STATS_PROVIDER');
+  });
+});
+
+describe('Scoring Pipeline Replay', () => {
+  const stamp = Date.now();
+  const originalProvider = app.locals.statsProvider;
+  const players = [
+    { id: `replay_qb_${stamp}`, espn_id: '3916387', position: 'QB', team: 'BAL', full_name: 'Lamar Jackson', multiplier: 1 },
+    { id: `replay_rb_${stamp}`, espn_id: '3043078', position: 'RB', team: 'BAL', full_name: 'Derrick Henry', multiplier: 2 },
+    { id: `replay_wr_${stamp}`, espn_id: '4258173', position: 'WR', team: 'HOU', full_name: 'Nico Collins', multiplier: 1 },
+    { id: `replay_k_${stamp}`, espn_id: '4566192', position: 'K', team: 'HOU', full_name: "Ka'imi Fairbairn", multiplier: 1 },
+    { id: 'HOU', espn_id: null, position: 'DEF', team: 'HOU', full_name: 'Houston Texans', multiplier: 1 }
+  ];
+  const createdPlayerIds = [];
+  let userId;
+  let adminId;
+  let adminToken;
+
+  beforeAll(async () => {
+    app.locals.statsProvider = statsProviderService.createFixtureProvider(FIXTURE_DIR);
+
+    const admin = await createTestAdmin(pool, `replay_admin_${stamp}`);
+    adminId = admin.id;
+    adminToken = admin.token;
+
+    const user = await pool.query(
+      'INSERT INTO users (id, username) VALUES (gen_random_uuid(), $1) RETURNING id',
+      [`replay_user_${stamp}`]
+    );
+    userId = user.rows[0].id;
+
+    for (const player of players) {
+      const inserted = await pool.query(
+        `INSERT INTO players (id, espn_id, position, team, full_name)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (id) DO NOTHING
+         RETURNING id`,
+        [player.id, player.espn_id, player.position, player.team, player.full_name]
+      );
+      if (inserted.rows.length > 0) createdPlayerIds.push(player.id);
+
+      await pool.query(
+        `INSERT INTO picks (user_id, player_id, week_number, position, multiplier)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [userId, player.id, WEEK, player.position, player.multiplier]
+      );
+    }
+  });
+
+  afterAll(async () => {
+    app.locals.statsProvider = originalProvider;
+    await pool.query('DELETE FROM games WHERE provider_game_id = ANY($1)', [['401671789', '401671790']]);
+    await pool.query('DELETE FROM scores WHERE user_id = $1', [userId]);
+    await pool.query('DELETE FROM picks WHERE user_id = $1', [userId]);
+    await pool.query('DELETE FROM players WHERE id = ANY($1)', [createdPlayerIds]);
+    await pool.query('DELETE FROM users WHERE id = ANY($1)', [[userId, adminId]]);
+  });
+
+  async function scoreFor(playerId) {
+    const result = await pool.query(
+      `SELECT base_points::float8 AS base_points, multiplier::float8 AS multiplier,
+              final_points::float8 AS final_points, stats_json
+       FROM scores WHERE user_id = $1 AND player_id = $2 AND week_number = $3`,
+      [userId, playerId, WEEK]
+    );
+    return result.rows[0];
+  }
+
+  it('should score every pick from the recorded weekend', async () => {
+    const response = await request(app)
+      .post('/api/admin/update-live-stats')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ weekNumber: WEEK });
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ success: true, gamesUpdated: 2, totalActiveGames: 2 });
+
+    for (const player of players) {
+      const score = await scoreFor(player.id);
+      expect(score).toBeDefined();
+      expect(score.base_points).toBeCloseTo(await calculateFantasyPoints(score.stats_json), 2);
+      expect(score.final_points).toBeCloseTo(score.base_points * player.multiplier, 2);
+    }
+  });
+
+  it('should merge box score and play-by-play stats', async () => {
+    const qb = await scoreFor(players[0].id);
+    expect(qb.stats_json).toMatchObject({ pass_yd: 175, pass_td: 2, pass_int: 0, pass_2pt: 1, rush_yd: 81 });
+    expect(qb.stats_json.pass_td_yds).toEqual([4, 26]);
+
+    const rb = await scoreFor(players[1].id);
+    expect(rb.stats_json).toMatchObject({ rush_yd: 186, rush_td: 2, rec: 1, rec_yd: 13 });
+    expect(rb.stats_json.rush_td_yds).toEqual([44, 2]);
+
+    const kicker = await scoreFor(players[3].id);
+    expect(kicker.stats_json).toMatchObject({ fg_made: 2, fg_att: 2, xp_made: 3 });
+    expect(kicker.stats_json.fg_kicks).toEqual([{ distance: 48, made: true }, { distance: 39, made: true }]);
+  });
+
+  it('should score the defense from recorded competitor stats', async () => {
+    const defense = await scoreFor('HOU');
+    expect(defense.stats_json).toMatchObject({ def_sack: 2, def_int: 4, def_td: 1, def_pts_allowed: 12 });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Tie-Breaker Tests
+ *
+ * Purpose: Verify the configurable tie-breaker chain
+ * - Equal totals are ordered by the chain, in the configured order
+ * - Entries still equal after the chain share a rank and list each other
+ * - /api/leaderboard and contest settlement rank with the same chain
+ * - The chain is validated when saved through admin settings
+ */
+
+const request = require('supertest');
+const { app, pool } = require('../server');
+const { createTestAdmin } = require('./helpers/admin');
+const contestsService = require('../services/contests.service');
+const tieBreakersService = require('../services/tieBreakers.service');
+
+const HOUR = 60 * 60 * 1000;
+const WEEK = 21;
+
+describe('Tie-Breaker Ranking', () => {
+  const { rankEntries, parseChain, DEFAULT_CHAIN } = tieBreakersService;
+  const byId = entry => entry.id;
+
+  it('should break equal totals with the first tie-breaker that differs', () => {
+    const ranked = rankEntries([
+      { id: 'a', score: 100, tiebreak: { best_week: 60, best_player: 20 } },
+      { id: 'b', score: 100, tiebreak: { best_week: 60, best_player: 35 } },
+      { id: 'c', score: 120, tiebreak: { best_week: 60, best_player: 10 } }
+    ], DEFAULT_CHAIN, byId);
+
+    expect(ranked.map(e => [e.id, e.rank])).toEqual([['c', 1], ['b', 2], ['a', 3]]);
+    expect(ranked.every(e => e.tied_with.length === 0)).toBe(true);
+  });
+
+  it('should apply tie-breakers in the configured order', () => {
+    const entries = [
+      { id: 'a', score: 50, tiebreak: { best_week: 50, super_bowl: 10 } },
+      { id: 'b', score: 50, tiebreak: { best_week: 40, super_bowl: 30 } }
+    ];
+    expect(rankEntries(entries, ['best_week', 'super_bowl'], byId)[0].id).toBe('a');
+    expect(rankEntries(entries, ['super_bowl', 'best_week'], byId)[0].id).toBe('b');
+  });
+
+  it('should rank the earliest lineup submission first', () => {
+    const ranked = rankEntries([
+      { id: 'late', score: 10, tiebreak: { earliest_submission: '2026-01-10T18:00:00Z' } },
+      { id: 'none', score: 10, tiebreak: undefined },
+      { id: 'early', score: 10, tiebreak: { earliest_submission: '2026-01-09T12:00:00Z' } }
+    ], ['earliest_submission'], byId);
+
+    expect(ranked.map(e => e.id)).toEqual(['early', 'late', 'none']);
+  });
+
+  it('should share a rank when the whole chain is equal', () => {
+    const ranked = rankEntries([
+      { id: 'a', score: 80, tiebreak: { best_week: 80 } },
+      { id: 'b', score: 80, tiebreak: { best_week: 80 } },
+      { id: 'c', score: 20, tiebreak: { best_week: 20 } }
+    ], DEFAULT_CHAIN, byId);
+
+    expect(ranked.map(e => e.rank)).toEqual([1, 1, 3]);
+    expect(ranked[0].tied_with).toEqual(['b']);
+    expect(ranked[1].tied_with).toEqual(['a']);
+    expect(ranked[0].tied_count).toBe(2);
+  });
+
+  it('should reject unknown tie-breakers', () => {
+    expect(() => parseChain(['best_week', 'coin_flip'])).toThrow('coin_flip');
+    expect(() => parseChain('best_week')).toThrow(tieBreakersService.TieBreakerError);
+    expect(parseChain(['super_bowl', 'super_bowl'])).toEqual(['super_bowl']);
+  });
+});
+
+describe('Tie-Breakers in Standings', () => {
+  const stamp = Date.now();
+  const playerIds = [`tiebreak_a_${stamp}`, `tiebreak_b_${stamp}`];
+  const users = {};
+  const contestIds = [];
+  const originalFetchEvents = app.locals.fetchScoreboardEvents;
+  let adminId;
+  let adminToken;
+  let originalChain;
+  let originalPayouts;
+
+  // Inserts a paid user with one score per entry in points
+  async function userWithScores(name, points) {
+    const user = await pool.query(
+      'INSERT INTO users (id, username, paid) VALUES (gen_random_uuid(), $1, true) RETURNING id',
+      [`tiebreak_${name}_${stamp}`]
+    );
+    for (let i = 0; i < points.length; i++) {
+      await pool.query(
+        'INSERT INTO scores (user_id, player_id, week_number, final_points) VALUES ($1, $2, $3, $4)',
+        [user.rows[0].id, playerIds[i], WEEK, points[i]]
+      );
+    }
+    return user.rows[0].id;
+  }
+
+  beforeAll(async () => {
+    const settings = await pool.query('SELECT tie_breakers FROM game_settings LIMIT 1');
+    originalChain = settings.rows[0].tie_breakers;
+    await pool.query('UPDATE game_settings SET tie_breakers = $1', [JSON.stringify(tieBreakersService.DEFAULT_CHAIN)]);
+
+    const payouts = await pool.query('SELECT place, percentage, description FROM payouts ORDER BY place');
+    originalPayouts = payouts.rows;
+    await pool.query('DELETE FROM payouts');
+    await pool.query(
+      `INSERT INTO payouts (place, percentage, description)
+       VALUES (1, 50, '1st'), (2, 30, '2nd'), (3, 20, '3rd')`
+    );
+
+    const admin = await createTestAdmin(pool, `tiebreak_admin_${stamp}`, 'superadmin');
+    adminId = admin.id;
+    adminToken = admin.token;
+
+    await pool.query(
+      `INSERT INTO players (id, position, team, full_name)
+       VALUES ($1, 'WR', 'BUF', 'Tie-Break A'), ($2, 'RB', 'KC', 'Tie-Break B')`,
+      playerIds
+    );
+
+    // Same totals: "steady" splits evenly, "star" has the best single player
+    users.steady = await userWithScores('steady', [30, 30]);
+    users.star = await userWithScores('star', [45, 15]);
+    // Equal on every tie-breaker
+    users.twinA = await userWithScores('twin_a', [20]);
+    users.twinB = await userWithScores('twin_b', [20]);
+  });
+
+  afterEach(() => {
+    app.locals.fetchScoreboardEvents = originalFetchEvents;
+  });
+
+  afterAll(async () => {
+    const userIds = [...Object.values(users), adminId];
+    await pool.query('UPDATE game_settings SET tie_breakers = $1', [JSON.stringify(originalChain)]);
+    await pool.query('DELETE FROM contests WHERE id = ANY($1)', [contestIds]);
+    await pool.query('DELETE FROM scores WHERE user_id = ANY($1)', [userIds]);
+    await pool.query('DELETE FROM users WHERE id = ANY($1)', [userIds]);
+    await pool.query('DELETE FROM players WHERE id = ANY($1)', [playerIds]);
+    await pool.query('DELETE FROM payouts');
+    for (const payout of originalPayouts) {
+      await pool.query(
+        'INSERT INTO payouts (place, percentage, description) VALUES ($1, $2, $3)',
+        [payout.place, payout.percentage, payout.description]
+      );
+    }
+  });
+
+  it('should return rank and tied_with from the leaderboard', async () => {
+    const response = await request(app).get(`/api/leaderboard?weekNumber=${WEEK}&mode=week`);
+    expect(response.status).toBe(200);
+
+    const row = id => response.body.find(entry => entry.id === id);
+    expect(row(users.star).rank).toBeLessThan(row(users.steady).rank);
+    expect(row(users.star).tied_with).toEqual([]);
+
+    expect(row(users.twinA).rank).toBe(row(users.twinB).rank);
+    expect(row(users.twinA).tied_with).toContain(users.twinB);
+    expect(row(users.twinB).tied_with).toContain(users.twinA);
+
+    const ranks = response.body.map(entry => entry.rank);
+    expect(ranks).toEqual([...ranks].sort((a, b) => a - b));
+  });
+
+  it('should pay out in the same order as the leaderboard', async () => {
+    const now = Date.now();
+    const contest = await contestsService.createContest(pool, {
+      name: `Tie-Break ${stamp}`,
+      week_number: WEEK,
+      entry_fee: 10,
+      lock_time: new Date(now + HOUR).toISOString(),
+      start_time: new Date(now + 2 * HOUR).toISOString(),
+      end_time: new Date(now + 3 * HOUR).toISOString()
+    });
+    contestIds.push(contest.id);
+    for (const userId of [users.steady, users.star]) {
+      await contestsService.createEntry(pool, contest.id, userId);
+    }
+    await contestsService.transitionContest(pool, contest.id, 'LOCKED');
+    await contestsService.transitionContest(pool, contest.id, 'LIVE');
+    await pool.query(
+      `UPDATE contests
+       SET created_at = $2, lock_time = $3, start_time = $3, end_time = $4
+       WHERE id = $1`,
+      [contest.id, new Date(now - 5 * HOUR), new Date(now - 4 * HOUR), new Date(now - HOUR)]
+    );
+    app.locals.fetchScoreboardEvents = async () => [{
+      id: '501',
+      status: { type: { state: 'post' } },
+      competitions: [{ competitors: [{ team: { abbreviation: 'BUF' } }, { team: { abbreviation: 'KC' } }] }]
+    }];
+
+    const settled = await request(app)
+      .post(`/api/admin/contests/${contest.id}/settle`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(settled.status).toBe(201);
+    expect(settled.body.settlement.tie_breakers).toEqual(tieBreakersService.DEFAULT_CHAIN);
+    expect(settled.body.payouts.map(p => [p.user_id, p.rank, Number(p.amount)])).toEqual([
+      [users.star, 1, 10],
+      [users.steady, 2, 6]
+    ]);
+  });
+
+  it('should save the chain through admin settings', async () => {
+    const response = await request(app)
+      .put('/api/admin/settings')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ adminUserId: adminId, tie_breakers: ['earliest_submission', 'best_week'] });
+    expect(response.status).toBe(200);
+    expect(response.body.tie_breakers).toEqual(['earliest_submission', 'best_week']);
+    expect(await tieBreakersService.getChain(pool)).toEqual(['earliest_submission', 'best_week']);
+
+    const invalid = await request(app)
+      .put('/api/admin/settings')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ adminUserId: adminId, tie_breakers: ['coin_flip'] });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toMatch(/coin_flip/);
+  });
+});
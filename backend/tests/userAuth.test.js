@@ -0,0 +1,296 @@
+/**
+ * Player Session Token Tests
+ *
+ * Purpose: Verify player routes trust signed tokens instead of a bare userId
+ * - /api/auth/login issues access + refresh tokens
+ * - requireUser rejects tokens used against another user's data
+ * - session_tokens clients must send a token; legacy clients keep working
+ * - /api/auth/refresh only accepts refresh tokens
+ * - Sign-out and password reset end every existing session
+ * - Lineup changes only touch the caller's own picks
+ */
+
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+const { app, pool } = require('../server');
+const { issueUserTokens } = require('../auth/userTokens');
+const { createEmailToken } = require('../auth/emailTokens');
+
+describe('Player Session Tokens', () => {
+  const email = `session-test-${Date.now()}@test.com`;
+  const password = 'correct-horse-battery';
+  let userId;
+  let otherUserId;
+
+  beforeAll(async () => {
+    const passwordHash = await bcrypt.hash(password, 4);
+    const user = await pool.query(
+      `INSERT INTO users (id, email, password_hash, username, auth_method)
+       VALUES (gen_random_uuid(), $1, $2, $3, 'email')
+       RETURNING id`,
+      [email, passwordHash, `session_test_${Date.now()}`]
+    );
+    userId = user.rows[0].id;
+
+    const other = await pool.query(
+      `INSERT INTO users (id, username) VALUES (gen_random_uuid(), $1) RETURNING id`,
+      [`session_other_${Date.now()}`]
+    );
+    otherUserId = other.rows[0].id;
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM users WHERE id = ANY($1)', [[userId, otherUserId]]);
+  });
+
+  afterEach(() => {
+    delete process.env.ALLOW_LEGACY_USER_ID;
+  });
+
+  it('POST /api/auth/login should return access and refresh tokens', async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+
+    expect(response.status).toBe(200);
+    expect(response.body.id).toBe(userId);
+    expect(response.body).not.toHaveProperty('password_hash');
+    expect(response.body.token_type).toBe('Bearer');
+    expect(typeof response.body.access_token).toBe('string');
+    expect(typeof response.body.refresh_token).toBe('string');
+  });
+
+  it('GET /api/me/flags should resolve the user from the access token', async () => {
+    const { access_token } = issueUserTokens({ id: userId });
+
+    const response = await request(app)
+      .get('/api/me/flags')
+      .set('Authorization', `Bearer ${access_token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty('requires_tos');
+  });
+
+  it('should reject a token used against another user', async () => {
+    const { access_token } = issueUserTokens({ id: userId });
+
+    const response = await request(app)
+      .put(`/api/users/${otherUserId}`)
+      .set('Authorization', `Bearer ${access_token}`)
+      .send({ name: 'Hijacked' });
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should reject refresh tokens on player routes', async () => {
+    const { refresh_token } = issueUserTokens({ id: userId });
+
+    const response = await request(app)
+      .get('/api/me/flags')
+      .set('Authorization', `Bearer ${refresh_token}`);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should require a token from clients advertising session_tokens', async () => {
+    const response = await request(app)
+      .get(`/api/me/flags?userId=${userId}`)
+      .set('X-Client-Capabilities', 'session_tokens');
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should still accept a bare userId from legacy clients', async () => {
+    const response = await request(app).get(`/api/me/flags?userId=${userId}`);
+
+    expect(response.status).toBe(200);
+  });
+
+  it('should reject a bare userId once legacy access is retired', async () => {
+    process.env.ALLOW_LEGACY_USER_ID = 'false';
+
+    const response = await request(app).get(`/api/me/flags?userId=${userId}`);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('POST /api/auth/refresh should exchange a refresh token but not an access token', async () => {
+    const { access_token, refresh_token } = issueUserTokens({ id: userId });
+
+    const refreshed = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refresh_token });
+
+    expect(refreshed.status).toBe(200);
+    expect(typeof refreshed.body.access_token).toBe('string');
+
+    const rejected = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refresh_token: access_token });
+
+    expect(rejected.status).toBe(401);
+  });
+});
+
+describe('Session Revocation', () => {
+  const stamp = Date.now();
+  // Own address so these auth requests do not share the rate limit with other suites
+  const ip = '203.0.113.21';
+  let userId;
+
+  beforeAll(async () => {
+    const user = await pool.query(
+      `INSERT INTO users (id, email, password_hash, username, auth_method)
+       VALUES (gen_random_uuid(), $1, $2, $3, 'email')
+       RETURNING id`,
+      [`revoke-test-${stamp}@test.com`, await bcrypt.hash('old-password', 4), `revoke_test_${stamp}`]
+    );
+    userId = user.rows[0].id;
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM users WHERE id = $1', [userId]);
+  });
+
+  async function currentTokens() {
+    const user = await pool.query('SELECT id, token_version FROM users WHERE id = $1', [userId]);
+    return issueUserTokens(user.rows[0]);
+  }
+
+  function flags(accessToken) {
+    return request(app).get('/api/me/flags').set('Authorization', `Bearer ${accessToken}`);
+  }
+
+  function refresh(refreshToken) {
+    return request(app).post('/api/auth/refresh').set('X-Forwarded-For', ip).send({ refresh_token: refreshToken });
+  }
+
+  it('POST /api/auth/logout should end every session of the caller', async () => {
+    const first = await currentTokens();
+    const second = await currentTokens();
+
+    const legacy = await request(app).post('/api/auth/logout').send({ userId });
+    expect(legacy.status).toBe(401);
+
+    const logout = await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${first.access_token}`);
+    expect(logout.status).toBe(200);
+
+    expect((await flags(first.access_token)).status).toBe(401);
+    expect((await flags(second.access_token)).status).toBe(401);
+    expect((await refresh(second.refresh_token)).status).toBe(401);
+
+    const fresh = await currentTokens();
+    expect((await flags(fresh.access_token)).status).toBe(200);
+  });
+
+  it('should end every session when the password is reset', async () => {
+    const before = await currentTokens();
+    expect((await refresh(before.refresh_token)).status).toBe(200);
+
+    const { token } = await createEmailToken(pool, userId, 'password_reset');
+    const reset = await request(app)
+      .post('/api/auth/password-reset/confirm')
+      .set('X-Forwarded-For', ip)
+      .send({ token, password: 'new-password' });
+    expect(reset.status).toBe(200);
+
+    expect((await flags(before.access_token)).status).toBe(401);
+    expect((await refresh(before.refresh_token)).status).toBe(401);
+  });
+});
+
+describe('Pick Ownership', () => {
+  const stamp = Date.now();
+  const playerId = `ownership_player_${stamp}`;
+  let ownerId;
+  let otherId;
+  let pickId;
+  let originalWeekActive;
+
+  beforeAll(async () => {
+    const settings = await pool.query('SELECT is_week_active FROM game_settings LIMIT 1');
+    originalWeekActive = settings.rows[0].is_week_active;
+    await pool.query('UPDATE game_settings SET is_week_active = true');
+
+    const owner = await pool.query(
+      'INSERT INTO users (id, username) VALUES (gen_random_uuid(), $1) RETURNING id',
+      [`ownership_owner_${stamp}`]
+    );
+    ownerId = owner.rows[0].id;
+    const other = await pool.query(
+      'INSERT INTO users (id, username) VALUES (gen_random_uuid(), $1) RETURNING id',
+      [`ownership_other_${stamp}`]
+    );
+    otherId = other.rows[0].id;
+
+    await pool.query(
+      `INSERT INTO players (id, position, team, full_name) VALUES ($1, 'WR', 'NYJ', 'Ownership Receiver')`,
+      [playerId]
+    );
+    const pick = await pool.query(
+      `INSERT INTO picks (user_id, player_id, week_number, position, multiplier)
+       VALUES ($1, $2, 19, 'WR', 1)
+       RETURNING id`,
+      [ownerId, playerId]
+    );
+    pickId = pick.rows[0].id;
+  });
+
+  afterAll(async () => {
+    await pool.query('UPDATE game_settings SET is_week_active = $1', [originalWeekActive]);
+    await pool.query('DELETE FROM picks WHERE user_id = ANY($1)', [[ownerId, otherId]]);
+    await pool.query('DELETE FROM players WHERE id = $1', [playerId]);
+    await pool.query('DELETE FROM users WHERE id = ANY($1)', [[ownerId, otherId]]);
+  });
+
+  it('DELETE /api/picks/:pickId should require a user', async () => {
+    const response = await request(app).delete(`/api/picks/${pickId}`);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('DELETE /api/picks/:pickId should not remove another user\'s pick', async () => {
+    const { access_token } = issueUserTokens({ id: otherId });
+
+    const response = await request(app)
+      .delete(`/api/picks/${pickId}`)
+      .set('Authorization', `Bearer ${access_token}`);
+
+    expect(response.status).toBe(404);
+    const remaining = await pool.query('SELECT 1 FROM picks WHERE id = $1', [pickId]);
+    expect(remaining.rows).toHaveLength(1);
+  });
+
+  it('POST /api/picks/replace-player should reject a token used for another user', async () => {
+    const { access_token } = issueUserTokens({ id: otherId });
+
+    const response = await request(app)
+      .post('/api/picks/replace-player')
+      .set('Authorization', `Bearer ${access_token}`)
+      .send({ userId: ownerId, oldPlayerId: playerId, newPlayerId: playerId, position: 'WR', weekNumber: 19 });
+
+    expect(response.status).toBe(403);
+  });
+
+  it('POST /api/picks/replace-player should require a user', async () => {
+    const response = await request(app)
+      .post('/api/picks/replace-player')
+      .send({ oldPlayerId: playerId, newPlayerId: playerId, position: 'WR', weekNumber: 19 });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('DELETE /api/picks/:pickId should remove the caller\'s own pick', async () => {
+    const { access_token } = issueUserTokens({ id: ownerId });
+
+    const response = await request(app)
+      .delete(`/api/picks/${pickId}`)
+      .set('Authorization', `Bearer ${access_token}`);
+
+    expect(response.status).toBe(200);
+    const remaining = await pool.query('SELECT 1 FROM picks WHERE id = $1', [pickId]);
+    expect(remaining.rows).toHaveLength(0);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Scheduled Week Lock Tests
+ *
+ * Purpose: Verify picks lock at the scheduled time without an admin
+ * - Lock time is the last (non Pro Bowl) kickoff unless an admin overrides it
+ * - The scheduler locks once the time passes and records that it did
+ * - An admin unlock after the lock time is not undone by the scheduler
+ * - verify-lock-status reports drift between scheduled and actual lock
+ *
+ * The scoreboard is supplied as a function, so no ESPN calls are made.
+ */
+
+const request = require('supertest');
+const { app, pool } = require('../server');
+const { createTestAdmin } = require('./helpers/admin');
+const weekLockService = require('../services/weekLock.service');
+
+const MINUTE = 60 * 1000;
+
+function event(date, home = 'BUF', away = 'KC') {
+  return {
+    date,
+    competitions: [{ competitors: [{ team: { abbreviation: home } }, { team: { abbreviation: away } }] }]
+  };
+}
+
+describe('Week Lock Rules', () => {
+  it('should use the earliest kickoff and ignore Pro Bowl events', () => {
+    const kickoff = weekLockService.getFirstKickoff([
+      event('2026-01-11T21:30:00Z'),
+      event('2026-01-10T18:00:00Z', 'AFC', 'NFC'),
+      event('2026-01-10T21:30:00Z', 'HOU', 'LAC')
+    ]);
+
+    expect(kickoff.toISOString()).toBe('2026-01-10T21:30:00.000Z');
+  });
+
+  it('should classify lock drift', () => {
+    const scheduled = new Date('2026-01-10T21:30:00Z');
+    const now = new Date('2026-01-10T22:00:00Z');
+    const schedule = { last_kickoff_at: scheduled, lock_override_at: null, locked_at: null };
+
+    expect(weekLockService.getLockDrift(schedule, true, now).status).toBe('missed');
+    expect(weekLockService.getLockDrift(schedule, true, new Date('2026-01-10T20:00:00Z')).status).toBe('pending');
+
+    const late = weekLockService.getLockDrift(
+      { ...schedule, locked_at: new Date(scheduled.getTime() + 10 * MINUTE), locked_by: 'admin' },
+      false,
+      now
+    );
+    expect(late.status).toBe('late');
+    expect(late.drift_seconds).toBe(600);
+  });
+});
+
+describe('Week Lock Scheduler', () => {
+  const stamp = Date.now();
+  let originalSettings;
+  let weekNumber;
+  let adminId;
+  let adminToken;
+
+  beforeAll(async () => {
+    const settings = await pool.query(
+      'SELECT current_playoff_week, playoff_start_week, is_week_active FROM game_settings LIMIT 1'
+    );
+    originalSettings = settings.rows[0];
+
+    // Run against the first playoff week if the season has not started
+    if (!(originalSettings.current_playoff_week > 0)) {
+      await pool.query('UPDATE game_settings SET current_playoff_week = 1');
+    }
+    const current = await pool.query(
+      'SELECT current_playoff_week, playoff_start_week FROM game_settings LIMIT 1'
+    );
+    weekNumber = weekLockService.getCurrentNflWeek(current.rows[0]);
+
+    const admin = await createTestAdmin(pool, `week_lock_admin_${stamp}`);
+    adminId = admin.id;
+    adminToken = admin.token;
+  });
+
+  beforeEach(async () => {
+    await pool.query('DELETE FROM week_lock_schedule WHERE week_number = $1', [weekNumber]);
+    await pool.query('UPDATE game_settings SET is_week_active = true');
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM week_lock_schedule WHERE week_number = $1', [weekNumber]);
+    await pool.query(
+      'UPDATE game_settings SET current_playoff_week = $1, is_week_active = $2',
+      [originalSettings.current_playoff_week, originalSettings.is_week_active]
+    );
+    await pool.query('DELETE FROM users WHERE id = $1', [adminId]);
+  });
+
+  it('should wait before the last kickoff and lock after it', async () => {
+    const kickoff = new Date(Date.now() + 30 * MINUTE);
+    const fetchEvents = async () => [event(kickoff.toISOString())];
+
+    const before = await weekLockService.runScheduledLock(pool, { fetchEvents });
+    expect(before.action).toBe('waiting');
+
+    const lockedAt = new Date(kickoff.getTime() + 30 * 1000);
+    const after = await weekLockService.runScheduledLock(pool, { fetchEvents, now: lockedAt });
+    expect(after.action).toBe('locked');
+
+    const settings = await pool.query('SELECT is_week_active FROM game_settings LIMIT 1');
+    expect(settings.rows[0].is_week_active).toBe(false);
+
+    const response = await request(app)
+      .get('/api/admin/verify-lock-status')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(response.status).toBe(200);
+    expect(response.body.verification.lockSchedule.locked_by).toBe('scheduler');
+    expect(response.body.verification.lockSchedule.status).toBe('on_schedule');
+  });
+
+  it('should lock at the admin override instead of kickoff', async () => {
+    const overrideAt = new Date(Date.now() - MINUTE);
+
+    const response = await request(app)
+      .put('/api/admin/week-lock/override')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ lock_at: overrideAt.toISOString() });
+    expect(response.status).toBe(200);
+    expect(response.body.lockSchedule.lock_source).toBe('override');
+
+    const fetchEvents = async () => [event(new Date(Date.now() + 60 * MINUTE).toISOString())];
+    const result = await weekLockService.runScheduledLock(pool, { fetchEvents });
+    expect(result.action).toBe('locked');
+    expect(result.scheduled_lock_at).toBe(overrideAt.toISOString());
+  });
+
+  it('should record admin locks and respect an admin unlock after lock time', async () => {
+    const fetchEvents = async () => [event(new Date(Date.now() - 10 * MINUTE).toISOString())];
+
+    const locked = await request(app)
+      .post('/api/admin/update-week-status')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ is_week_active: false });
+    expect(locked.status).toBe(200);
+
+    let schedule = await weekLockService.getWeekLockSchedule(pool, weekNumber);
+    expect(schedule.locked_by).toBe('admin');
+    expect(schedule.locked_by_user_id).toBe(adminId);
+
+    await request(app)
+      .post('/api/admin/update-week-status')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ is_week_active: true });
+
+    const result = await weekLockService.runScheduledLock(pool, { fetchEvents });
+    expect(result.action).toBe('manually_unlocked');
+
+    schedule = await weekLockService.getWeekLockSchedule(pool, weekNumber);
+    expect(schedule.locked_at).toBeNull();
+  });
+});
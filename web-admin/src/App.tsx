@@ -9,6 +9,9 @@ import { DiagnosticsUsers } from './pages/DiagnosticsUsers';
 import { DiagnosticsUserDetail } from './pages/DiagnosticsUserDetail';
 import { PicksExplorer } from './pages/PicksExplorer';
 import { Trends } from './pages/Trends';
+import { Settlements } from './pages/Settlements';
+import { ScoringVersions } from './pages/ScoringVersions';
+import { ScoringBonuses } from './pages/ScoringBonuses';
 import { Layout } from './components/Layout';
 import { ProtectedRoute } from './components/ProtectedRoute';
 
@@ -37,13 +40,23 @@ function App() {
           >
             <Route index element={<Navigate to="/dashboard" replace />} />
             <Route path="dashboard" element={<Dashboard />} />
-            <Route path="admin" element={<Admin />} />
+            <Route
+              path="admin"
+              element={
+                <ProtectedRoute permission="week:manage">
+                  <Admin />
+                </ProtectedRoute>
+              }
+            />
             <Route path="users" element={<Users />} />
             <Route path="diagnostics" element={<DiagnosticsDashboard />} />
             <Route path="diagnostics/users" element={<DiagnosticsUsers />} />
             <Route path="diagnostics/users/:userId" element={<DiagnosticsUserDetail />} />
             <Route path="picks" element={<PicksExplorer />} />
             <Route path="trends" element={<Trends />} />
+            <Route path="settlements" element={<Settlements />} />
+            <Route path="scoring" element={<ScoringVersions />} />
+            <Route path="scoring/bonuses" element={<ScoringBonuses />} />
           </Route>
         </Routes>
       </BrowserRouter>
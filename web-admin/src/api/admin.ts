@@ -100,12 +100,33 @@ export interface GameConfig {
 // LOCK VERIFICATION TYPES
 // ============================================
 
+export type LockScheduleStatus =
+  | 'unscheduled'
+  | 'pending'
+  | 'missed'
+  | 'unrecorded'
+  | 'on_schedule'
+  | 'late'
+  | 'early';
+
+// Scheduled week lock (admin override or last kickoff) vs. when picks actually locked
+export interface LockSchedule {
+  status: LockScheduleStatus;
+  scheduled_lock_at: string | null;
+  lock_source: 'override' | 'last_kickoff' | null;
+  actual_lock_at: string | null;
+  locked_by: 'scheduler' | 'admin' | null;
+  locked_by_user_id: string | null;
+  drift_seconds: number | null;
+}
+
 export interface LockVerification {
   isLocked: boolean;
   isWeekActive: boolean;
   currentPlayoffWeek: number;
   effectiveNflWeek: number | null;
   lastUpdated: string;
+  lockSchedule: LockSchedule;
   message: string;
 }
 
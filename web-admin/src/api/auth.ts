@@ -1,5 +1,5 @@
 import { apiRequest } from './client';
-import type { AuthResponse, AppleAuthRequest } from '../types';
+import type { AuthResponse, AppleAuthRequest, AdminProfile, AdminRefreshResponse } from '../types';
 
 export async function loginWithApple(idToken: string): Promise<AuthResponse> {
   const response = await apiRequest<AuthResponse>('/api/admin/auth/apple', {
@@ -10,12 +10,44 @@ export async function loginWithApple(idToken: string): Promise<AuthResponse> {
   if (response.token) {
     localStorage.setItem('admin_token', response.token);
   }
+  if (response.refresh_token) {
+    localStorage.setItem('admin_refresh_token', response.refresh_token);
+  }
+
+  return response;
+}
+
+// Trades the one-time code from the Apple redirect for the session's tokens
+export async function exchangeLoginCode(loginCode: string): Promise<AdminRefreshResponse> {
+  const response = await apiRequest<AdminRefreshResponse>(
+    '/api/admin/auth/exchange',
+    {
+      method: 'POST',
+      body: JSON.stringify({ login_code: loginCode }),
+    },
+    false
+  );
+
+  localStorage.setItem('admin_token', response.token);
+  localStorage.setItem('admin_refresh_token', response.refresh_token);
 
   return response;
 }
 
+export async function getAdminProfile(): Promise<AdminProfile> {
+  return apiRequest<AdminProfile>('/api/admin/me');
+}
+
 export function logout(): void {
+  const token = localStorage.getItem('admin_token');
+
+  // Revoke the server-side session; local sign-out does not wait on it
+  if (token) {
+    apiRequest('/api/admin/auth/logout', { method: 'POST' }, false).catch(() => {});
+  }
+
   localStorage.removeItem('admin_token');
+  localStorage.removeItem('admin_refresh_token');
 }
 
 export function isAuthenticated(): boolean {
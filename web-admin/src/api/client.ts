@@ -1,3 +1,5 @@
+import type { AdminRefreshResponse } from '../types';
+
 const API_URL = import.meta.env.VITE_API_BASE_URL;
 
 export class ApiError extends Error {
@@ -10,9 +12,37 @@ export class ApiError extends Error {
   }
 }
 
+// Shared so concurrent 401s trigger a single refresh (refresh tokens are single-use)
+let refreshInFlight: Promise<boolean> | null = null;
+
+async function refreshAdminToken(): Promise<boolean> {
+  const refreshToken = localStorage.getItem('admin_refresh_token');
+  if (!refreshToken) return false;
+
+  const response = await fetch(`${API_URL}/api/admin/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refresh_token: refreshToken }),
+  });
+
+  if (!response.ok) {
+    // Session expired or revoked: sign out and send the admin back to login
+    localStorage.removeItem('admin_token');
+    localStorage.removeItem('admin_refresh_token');
+    window.location.assign('/login');
+    return false;
+  }
+
+  const data: AdminRefreshResponse = await response.json();
+  localStorage.setItem('admin_token', data.token);
+  localStorage.setItem('admin_refresh_token', data.refresh_token);
+  return true;
+}
+
 export async function apiRequest<T>(
   endpoint: string,
-  options: RequestInit = {}
+  options: RequestInit = {},
+  retryOnUnauthorized = true
 ): Promise<T> {
   const token = localStorage.getItem('admin_token');
 
@@ -30,6 +60,18 @@ export async function apiRequest<T>(
     headers,
   });
 
+  // Access tokens are short-lived: refresh once and retry
+  if (response.status === 401 && retryOnUnauthorized && !endpoint.startsWith('/api/admin/auth/')) {
+    if (!refreshInFlight) {
+      refreshInFlight = refreshAdminToken().finally(() => {
+        refreshInFlight = null;
+      });
+    }
+    if (await refreshInFlight) {
+      return apiRequest<T>(endpoint, options, false);
+    }
+  }
+
   if (!response.ok) {
     const errorText = await response.text();
     throw new ApiError(response.status, errorText || response.statusText);
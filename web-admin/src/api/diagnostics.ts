@@ -14,6 +14,7 @@ import type {
   UserTimelineResponse,
   JobsStatusResponse,
   CacheStatusResponse,
+  AdminSessionsResponse,
 } from '../types';
 
 // ============================================
@@ -56,6 +57,14 @@ export async function getJobsStatus(): Promise<JobsStatusResponse> {
   return apiRequest<JobsStatusResponse>('/api/admin/diagnostics/jobs');
 }
 
+// ============================================
+// ADMIN SESSIONS
+// ============================================
+
+export async function getAdminSessions(): Promise<AdminSessionsResponse> {
+  return apiRequest<AdminSessionsResponse>('/api/admin/diagnostics/sessions');
+}
+
 // ============================================
 // CACHE STATUS
 // ============================================
@@ -1,6 +1,10 @@
 import { apiRequest } from './client';
-import type { Pick } from '../types';
+import type { Pick, PickBreakdown } from '../types';
 
 export async function getUserPicks(userId: string): Promise<Pick[]> {
   return apiRequest<Pick[]>(`/api/picks/user/${userId}`);
 }
+
+export async function getPickBreakdown(pickId: string): Promise<PickBreakdown> {
+  return apiRequest<PickBreakdown>(`/api/admin/picks/${pickId}/breakdown`);
+}
@@ -0,0 +1,54 @@
+/**
+ * Scoring Rules API Module
+ *
+ * Rules version history, retroactive rescoring of a week from stored stats,
+ * and yardage/milestone bonuses. Preview never writes; rescoring and bonus
+ * edits require settings:manage.
+ */
+
+import { apiRequest } from './client';
+import type {
+  ScoringRuleVersionsResponse,
+  RescoreReport,
+  ScoringBonus,
+  ScoringBonusInput,
+} from '../types';
+
+export async function getScoringRuleVersions(): Promise<ScoringRuleVersionsResponse> {
+  return apiRequest<ScoringRuleVersionsResponse>('/api/admin/scoring-rules/versions');
+}
+
+export async function previewRescore(weekNumber: number, versionId: number): Promise<RescoreReport> {
+  return apiRequest<RescoreReport>(
+    `/api/admin/scoring-rules/rescore/preview?weekNumber=${weekNumber}&versionId=${versionId}`
+  );
+}
+
+export async function applyRescore(weekNumber: number, versionId: number): Promise<RescoreReport> {
+  return apiRequest<RescoreReport>('/api/admin/scoring-rules/rescore', {
+    method: 'POST',
+    body: JSON.stringify({ week_number: weekNumber, version_id: versionId }),
+  });
+}
+
+export async function getScoringBonuses(): Promise<ScoringBonus[]> {
+  const data = await apiRequest<{ bonuses: ScoringBonus[] }>('/api/admin/scoring-rules');
+  return data.bonuses;
+}
+
+export async function createScoringBonus(bonus: ScoringBonusInput): Promise<ScoringBonus> {
+  return apiRequest<ScoringBonus>('/api/admin/scoring-rules/bonuses', {
+    method: 'POST',
+    body: JSON.stringify(bonus),
+  });
+}
+
+export async function updateScoringBonus(
+  bonusId: number,
+  fields: Partial<ScoringBonusInput> & { is_active?: boolean }
+): Promise<ScoringBonus> {
+  return apiRequest<ScoringBonus>(`/api/admin/scoring-rules/bonuses/${bonusId}`, {
+    method: 'PATCH',
+    body: JSON.stringify(fields),
+  });
+}
@@ -0,0 +1,13 @@
+/**
+ * Settlements API Module
+ *
+ * Read-only payout report for settled contests.
+ * Settlement records are immutable once written.
+ */
+
+import { apiRequest } from './client';
+import type { SettlementsResponse } from '../types';
+
+export async function getSettlements(): Promise<SettlementsResponse> {
+  return apiRequest<SettlementsResponse>('/api/admin/settlements');
+}
@@ -0,0 +1,27 @@
+/**
+ * Stat Corrections API Module
+ *
+ * Post-game stat corrections found by the reconciliation job, an on-demand
+ * run (data:sync) and the freeze date after which scores stop changing
+ * (settings:manage).
+ */
+
+import { apiRequest } from './client';
+import type { StatCorrectionsResponse, StatCorrectionsFreeze, StatCorrectionsRunSummary } from '../types';
+
+export async function getStatCorrections(): Promise<StatCorrectionsResponse> {
+  return apiRequest<StatCorrectionsResponse>('/api/admin/stat-corrections');
+}
+
+export async function runStatCorrections(): Promise<StatCorrectionsRunSummary> {
+  return apiRequest<StatCorrectionsRunSummary>('/api/admin/stat-corrections/run', {
+    method: 'POST',
+  });
+}
+
+export async function setStatCorrectionsFreeze(frozenAt: string | null): Promise<StatCorrectionsFreeze> {
+  return apiRequest<StatCorrectionsFreeze>('/api/admin/stat-corrections/freeze', {
+    method: 'PUT',
+    body: JSON.stringify({ frozen_at: frozenAt }),
+  });
+}
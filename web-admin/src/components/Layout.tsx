@@ -1,12 +1,18 @@
 import { Outlet, useNavigate, useLocation, Link } from 'react-router-dom';
+import { useQueryClient } from '@tanstack/react-query';
 import { logout } from '../api/auth';
+import { useAdminPermissions } from '../hooks/useAdminPermissions';
 
 export function Layout() {
   const navigate = useNavigate();
   const location = useLocation();
+  const queryClient = useQueryClient();
+  const { profile, can } = useAdminPermissions();
 
   const handleLogout = () => {
     logout();
+    // Drop cached data (including the admin profile) so the next admin starts clean
+    queryClient.clear();
     navigate('/login');
   };
 
@@ -76,18 +82,45 @@ export function Layout() {
                   Trends
                 </Link>
                 <Link
-                  to="/admin"
+                  to="/settlements"
                   className={`inline-flex flex-shrink-0 items-center border-b-2 px-1 pt-1 text-sm font-medium whitespace-nowrap ${
-                    isActive('/admin')
-                      ? 'border-amber-500 text-amber-900'
-                      : 'border-transparent text-amber-600 hover:border-amber-300 hover:text-amber-700'
+                    isActive('/settlements')
+                      ? 'border-indigo-500 text-gray-900'
+                      : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
+                  }`}
+                >
+                  Settlements
+                </Link>
+                <Link
+                  to="/scoring"
+                  className={`inline-flex flex-shrink-0 items-center border-b-2 px-1 pt-1 text-sm font-medium whitespace-nowrap ${
+                    isActivePrefix('/scoring')
+                      ? 'border-indigo-500 text-gray-900'
+                      : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
                   }`}
                 >
-                  Admin
+                  Scoring
                 </Link>
+                {can('week:manage') && (
+                  <Link
+                    to="/admin"
+                    className={`inline-flex flex-shrink-0 items-center border-b-2 px-1 pt-1 text-sm font-medium whitespace-nowrap ${
+                      isActive('/admin')
+                        ? 'border-amber-500 text-amber-900'
+                        : 'border-transparent text-amber-600 hover:border-amber-300 hover:text-amber-700'
+                    }`}
+                  >
+                    Admin
+                  </Link>
+                )}
               </div>
             </div>
             <div className="flex items-center">
+              {profile && (
+                <span className="hidden rounded-full bg-gray-100 px-2.5 py-0.5 text-xs font-medium text-gray-700 sm:inline-flex">
+                  {profile.role}
+                </span>
+              )}
               <button
                 onClick={handleLogout}
                 className="ml-3 inline-flex items-center rounded-md bg-white px-3 py-2 text-sm font-semibold text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 hover:bg-gray-50"
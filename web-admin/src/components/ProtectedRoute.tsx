@@ -1,14 +1,35 @@
 import { Navigate } from 'react-router-dom';
 import { isAuthenticated } from '../api/auth';
+import { useAdminPermissions } from '../hooks/useAdminPermissions';
+import type { AdminPermission } from '../types';
 
 interface ProtectedRouteProps {
   children: React.ReactNode;
+  permission?: AdminPermission;
 }
 
-export function ProtectedRoute({ children }: ProtectedRouteProps) {
+export function ProtectedRoute({ children, permission }: ProtectedRouteProps) {
   if (!isAuthenticated()) {
     return <Navigate to="/login" replace />;
   }
 
+  if (permission) {
+    return <PermissionGate permission={permission}>{children}</PermissionGate>;
+  }
+
+  return <>{children}</>;
+}
+
+function PermissionGate({ children, permission }: Required<ProtectedRouteProps>) {
+  const { isLoading, can } = useAdminPermissions();
+
+  if (isLoading) {
+    return null;
+  }
+
+  if (!can(permission)) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
   return <>{children}</>;
 }
@@ -0,0 +1,171 @@
+/**
+ * Stat Corrections Panel
+ *
+ * Post-game stat corrections applied by the reconciliation job. Each row
+ * shows the stats that changed (before → after) and how many score rows
+ * were rescored. Corrections found after the freeze date are listed as
+ * frozen and did not change scores.
+ */
+
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { getStatCorrections, runStatCorrections, setStatCorrectionsFreeze } from '../api/statCorrections';
+import { useAdminPermissions } from '../hooks/useAdminPermissions';
+import type { StatChange } from '../types';
+
+function formatStatValue(value: StatChange['before']): string {
+  if (value === null) return '0';
+  if (Array.isArray(value)) return `${value.length} kicks`;
+  return String(value);
+}
+
+// datetime-local inputs take local time without a zone
+function toLocalInput(iso: string | null): string {
+  if (!iso) return '';
+  const date = new Date(iso);
+  const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+}
+
+export function StatCorrectionsPanel() {
+  const queryClient = useQueryClient();
+  const { can } = useAdminPermissions();
+  const [freezeInput, setFreezeInput] = useState<string | null>(null);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['statCorrections'],
+    queryFn: getStatCorrections,
+    refetchInterval: 60000,
+  });
+
+  const runMutation = useMutation({
+    mutationFn: runStatCorrections,
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['statCorrections'] }),
+  });
+
+  const freezeMutation = useMutation({
+    mutationFn: (frozenAt: string | null) => setStatCorrectionsFreeze(frozenAt),
+    onSuccess: () => {
+      setFreezeInput(null);
+      queryClient.invalidateQueries({ queryKey: ['statCorrections'] });
+    },
+  });
+
+  const freezeValue = freezeInput ?? toLocalInput(data?.frozen_at ?? null);
+  const mutationError = runMutation.error || freezeMutation.error;
+
+  return (
+    <div className="rounded-lg border border-gray-200 bg-white shadow-sm">
+      <div className="border-b border-gray-200 bg-gray-50 px-4 py-3 flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900">Stat Corrections</h2>
+          <p className="text-sm text-gray-500">
+            Final box score changes for recent rounds
+            {data?.is_frozen && ' • frozen: scores no longer change'}
+          </p>
+        </div>
+        <button
+          onClick={() => runMutation.mutate()}
+          disabled={!can('data:sync') || runMutation.isPending}
+          title={can('data:sync') ? undefined : 'Requires data:sync'}
+          className="rounded-md bg-white px-3 py-1.5 text-sm font-medium text-gray-700 shadow-sm ring-1 ring-inset ring-gray-300 hover:bg-gray-50 disabled:opacity-50"
+        >
+          {runMutation.isPending ? 'Checking...' : 'Check Now'}
+        </button>
+      </div>
+
+      <div className="p-4 space-y-4">
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="text-sm text-gray-700">
+            Freeze corrections after
+            <input
+              type="datetime-local"
+              value={freezeValue}
+              onChange={(e) => setFreezeInput(e.target.value)}
+              disabled={!can('settings:manage')}
+              className="mt-1 block rounded-md border border-gray-300 px-2 py-1 text-sm"
+            />
+          </label>
+          <button
+            onClick={() => freezeMutation.mutate(freezeValue ? new Date(freezeValue).toISOString() : null)}
+            disabled={!can('settings:manage') || freezeMutation.isPending || freezeInput === null}
+            className="rounded-md bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white hover:bg-indigo-500 disabled:opacity-50"
+          >
+            Save
+          </button>
+          {data?.frozen_at && (
+            <button
+              onClick={() => freezeMutation.mutate(null)}
+              disabled={!can('settings:manage') || freezeMutation.isPending}
+              className="text-sm text-gray-600 hover:text-gray-900 disabled:opacity-50"
+            >
+              Clear
+            </button>
+          )}
+        </div>
+
+        {runMutation.data && (
+          <p className="text-sm text-gray-600">
+            Checked weeks {runMutation.data.weeks.join(', ') || 'none'}: {runMutation.data.players_checked} players,{' '}
+            {runMutation.data.corrections} corrections, {runMutation.data.scores_updated} scores updated
+          </p>
+        )}
+        {mutationError && (
+          <p className="text-sm text-red-600">
+            {mutationError instanceof Error ? mutationError.message : 'Request failed'}
+          </p>
+        )}
+
+        {isLoading ? (
+          <div className="animate-pulse h-24 bg-gray-200 rounded"></div>
+        ) : error || !data ? (
+          <p className="text-sm text-red-600">
+            Failed to load corrections: {error instanceof Error ? error.message : 'Unknown error'}
+          </p>
+        ) : data.corrections.length === 0 ? (
+          <p className="text-sm text-gray-500">No stat corrections recorded</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-300">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="py-2 pl-3 pr-3 text-left text-xs font-semibold uppercase tracking-wide text-gray-500">Detected</th>
+                  <th className="px-3 py-2 text-left text-xs font-semibold uppercase tracking-wide text-gray-500">Week</th>
+                  <th className="px-3 py-2 text-left text-xs font-semibold uppercase tracking-wide text-gray-500">Player</th>
+                  <th className="px-3 py-2 text-left text-xs font-semibold uppercase tracking-wide text-gray-500">Changes</th>
+                  <th className="px-3 py-2 text-right text-xs font-semibold uppercase tracking-wide text-gray-500">Scores</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 bg-white">
+                {data.corrections.map((correction) => (
+                  <tr key={correction.id}>
+                    <td className="py-2 pl-3 pr-3 text-sm text-gray-600">{new Date(correction.detected_at).toLocaleString()}</td>
+                    <td className="px-3 py-2 text-sm text-gray-600">{correction.week_number}</td>
+                    <td className="px-3 py-2 text-sm text-gray-900">{correction.player_name || correction.player_id}</td>
+                    <td className="px-3 py-2 text-sm text-gray-600">
+                      {Object.entries(correction.changes).map(([stat, change]) => (
+                        <div key={stat}>
+                          <span className="font-mono text-xs">{stat}</span>{' '}
+                          {formatStatValue(change.before)} → {formatStatValue(change.after)}
+                        </div>
+                      ))}
+                    </td>
+                    <td className="px-3 py-2 text-right text-sm">
+                      {correction.status === 'frozen' ? (
+                        <span className="inline-flex items-center rounded-full bg-amber-100 px-2 py-0.5 text-xs font-medium text-amber-800">
+                          Frozen
+                        </span>
+                      ) : (
+                        <span className="text-gray-900">{correction.scores_updated} rescored</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -177,6 +177,15 @@ function InfrastructureCard({ health, isLoading, error }: InfrastructureCardProp
           </div>
         ))}
       </div>
+      {components.map(({ name, data }) =>
+        data.circuit && data.circuit.state !== 'closed' ? (
+          <p key={`${name}-circuit`} className="mt-2 text-xs text-amber-700">
+            {name}: circuit {data.circuit.state === 'open' ? 'open' : 'half-open'}
+            {data.circuit.retry_at && ` until ${new Date(data.circuit.retry_at).toLocaleTimeString()}`}
+            {data.circuit.last_error && ` (${data.circuit.last_error})`}
+          </p>
+        ) : null
+      )}
       {(database.error || espn_api.error || sleeper_api.error) && (
         <div className="mt-3 space-y-1">
           {database.error && (
@@ -19,6 +19,7 @@ import {
   verifyLockStatus,
   getGameConfig,
   getWeekVerificationStatus,
+  type LockSchedule,
   type LockVerificationResponse,
   type VerificationStatus,
 } from '../api/admin';
@@ -45,6 +46,51 @@ function StatusBadge({ status, label }: { status: 'ok' | 'warning' | 'error'; la
 // LOCK STATUS CARD
 // ============================================
 
+const LOCK_SCHEDULE_BADGES: Record<LockSchedule['status'], { status: 'ok' | 'warning' | 'error'; label: string }> = {
+  unscheduled: { status: 'warning', label: 'No lock time' },
+  pending: { status: 'ok', label: 'Scheduled' },
+  missed: { status: 'error', label: 'Lock missed' },
+  unrecorded: { status: 'warning', label: 'Unrecorded' },
+  on_schedule: { status: 'ok', label: 'On schedule' },
+  late: { status: 'warning', label: 'Locked late' },
+  early: { status: 'warning', label: 'Locked early' },
+};
+
+function formatDrift(seconds: number) {
+  const minutes = Math.round(Math.abs(seconds) / 60);
+  return minutes >= 1 ? `${minutes} min` : `${Math.abs(seconds)}s`;
+}
+
+function LockScheduleRow({ schedule }: { schedule: LockSchedule }) {
+  const badge = LOCK_SCHEDULE_BADGES[schedule.status];
+
+  return (
+    <div className="mt-2 space-y-1 text-xs text-gray-600">
+      <div className="flex items-center gap-2">
+        <StatusBadge status={badge.status} label={badge.label} />
+        {schedule.scheduled_lock_at && (
+          <span>
+            Scheduled {new Date(schedule.scheduled_lock_at).toLocaleString()}
+            {schedule.lock_source === 'override' ? ' (admin override)' : ' (last kickoff)'}
+          </span>
+        )}
+      </div>
+      {schedule.actual_lock_at && (
+        <div>
+          Locked {new Date(schedule.actual_lock_at).toLocaleString()} by {schedule.locked_by ?? 'unknown'}
+          {schedule.drift_seconds !== null && schedule.status !== 'on_schedule' &&
+            ` (${formatDrift(schedule.drift_seconds)} ${schedule.drift_seconds > 0 ? 'after' : 'before'} schedule)`}
+        </div>
+      )}
+      {schedule.status === 'missed' && schedule.drift_seconds !== null && (
+        <div className="text-red-700">
+          Still unlocked {formatDrift(schedule.drift_seconds)} after the scheduled lock.
+        </div>
+      )}
+    </div>
+  );
+}
+
 interface LockStatusCardProps {
   lockData: LockVerificationResponse | undefined;
   isLoading: boolean;
@@ -93,6 +139,7 @@ function LockStatusCard({ lockData, isLoading, error }: LockStatusCardProps) {
           </div>
         </div>
       </div>
+      {verification.lockSchedule && <LockScheduleRow schedule={verification.lockSchedule} />}
       <p className="mt-2 text-xs text-gray-600">{verification.message}</p>
     </div>
   );
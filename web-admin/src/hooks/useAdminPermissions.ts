@@ -0,0 +1,21 @@
+import { useQuery } from '@tanstack/react-query';
+import { getAdminProfile } from '../api/auth';
+import type { AdminPermission } from '../types';
+
+/**
+ * Signed-in admin's role and permissions.
+ * The backend enforces every permission; this only hides actions the role cannot perform.
+ * While the profile is loading, can() returns false so actions never flash into view.
+ */
+export function useAdminPermissions() {
+  const { data: profile, isLoading } = useQuery({
+    queryKey: ['adminProfile'],
+    queryFn: getAdminProfile,
+    staleTime: 5 * 60 * 1000,
+  });
+
+  const can = (permission: AdminPermission) =>
+    profile?.permissions.includes(permission) ?? false;
+
+  return { profile, isLoading, can };
+}
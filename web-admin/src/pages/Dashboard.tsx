@@ -8,6 +8,7 @@ import {
   getIncompleteLineups,
   getAllLineups,
 } from '../api/admin';
+import { StatCorrectionsPanel } from '../components/StatCorrectionsPanel';
 
 type LineupView = 'incomplete' | 'complete' | 'all';
 
@@ -564,6 +565,9 @@ export function Dashboard() {
         </div>
       </div>
 
+      {/* Post-game stat corrections */}
+      <StatCorrectionsPanel />
+
       {/* First Live Score Confirmation - Only shown when first score has been received */}
       {isFirstLiveScoreForCurrentWeek && firstLiveScore && (
         <div className="rounded-lg border-2 border-green-300 bg-green-50 shadow-sm">
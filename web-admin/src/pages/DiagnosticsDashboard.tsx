@@ -5,13 +5,14 @@
  * - Environment health status
  * - User statistics
  * - Background job status
+ * - Active admin sessions
  *
  * No auto-refresh. Manual refresh only.
  */
 
 import { useQuery } from '@tanstack/react-query';
 import { Link } from 'react-router-dom';
-import { getHealthCheck, getUserStats, getJobsStatus } from '../api/diagnostics';
+import { getHealthCheck, getUserStats, getJobsStatus, getAdminSessions } from '../api/diagnostics';
 
 function StatusBadge({ status }: { status: string }) {
   const colors: Record<string, string> = {
@@ -82,12 +83,24 @@ export function DiagnosticsDashboard() {
     staleTime: Infinity,
   });
 
-  const isAnyFetching = healthFetching || statsFetching || jobsFetching;
+  const {
+    data: sessions,
+    isLoading: sessionsLoading,
+    refetch: refetchSessions,
+    isFetching: sessionsFetching,
+  } = useQuery({
+    queryKey: ['diagnostics', 'sessions'],
+    queryFn: getAdminSessions,
+    staleTime: Infinity,
+  });
+
+  const isAnyFetching = healthFetching || statsFetching || jobsFetching || sessionsFetching;
 
   const handleRefreshAll = () => {
     refetchHealth();
     refetchStats();
     refetchJobs();
+    refetchSessions();
   };
 
   return (
@@ -354,6 +367,14 @@ export function DiagnosticsDashboard() {
                       </dd>
                     </div>
                   </dl>
+                  {job.last_run_metrics && (
+                    <p className="mt-2 text-xs text-gray-500">
+                      Last run:{' '}
+                      {Object.entries(job.last_run_metrics)
+                        .map(([key, value]) => `${key.replace(/_/g, ' ')} ${value}`)
+                        .join(' · ')}
+                    </p>
+                  )}
                   {job.last_error_message && (
                     <div className="mt-2 text-xs text-red-600 bg-red-50 rounded p-2">
                       Last error: {job.last_error_message}
@@ -372,6 +393,57 @@ export function DiagnosticsDashboard() {
           )}
         </div>
       </div>
+
+      {/* Admin Sessions Panel */}
+      <div className="rounded-lg border border-gray-200 bg-white shadow-sm">
+        <div className="border-b border-gray-200 bg-gray-50 px-4 py-3">
+          <h2 className="text-lg font-medium text-gray-900">Active Admin Sessions</h2>
+          <p className="text-sm text-gray-500">Signed-in admins (not revoked or expired)</p>
+        </div>
+        <div className="p-4">
+          {sessionsLoading ? (
+            <div className="animate-pulse space-y-3">
+              <div className="h-12 bg-gray-200 rounded"></div>
+            </div>
+          ) : sessions && sessions.sessions.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-xs">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-2 pr-4 font-medium">Admin</th>
+                    <th className="py-2 pr-4 font-medium">Role</th>
+                    <th className="py-2 pr-4 font-medium">IP</th>
+                    <th className="py-2 pr-4 font-medium">Signed In</th>
+                    <th className="py-2 pr-4 font-medium">Last Refresh</th>
+                    <th className="py-2 font-medium">Expires</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {sessions.sessions.map((session) => (
+                    <tr key={session.session_id}>
+                      <td className="py-2 pr-4 text-gray-900">
+                        {session.email || session.username || session.user_id}
+                      </td>
+                      <td className="py-2 pr-4 text-gray-900">{session.admin_role || '—'}</td>
+                      <td className="py-2 pr-4 text-gray-900">{session.ip_address || '—'}</td>
+                      <td className="py-2 pr-4 text-gray-900">{formatTimestamp(session.created_at)}</td>
+                      <td className="py-2 pr-4 text-gray-900">{formatTimestamp(session.last_refreshed_at)}</td>
+                      <td className="py-2 text-gray-900">{formatTimestamp(session.expires_at)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">No active admin sessions</p>
+          )}
+          {sessions && (
+            <p className="text-xs text-gray-400 mt-3">
+              As of: {formatTimestamp(sessions.timestamp)}
+            </p>
+          )}
+        </div>
+      </div>
     </div>
   );
 }
@@ -1,5 +1,6 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
+import { exchangeLoginCode } from '../api/auth';
 
 declare global {
   interface Window {
@@ -25,15 +26,21 @@ export function Login() {
   const [searchParams] = useSearchParams();
   const [error, setError] = useState<string>('');
   const [loading, setLoading] = useState(false);
+  // Login codes are single-use; don't redeem the same one twice
+  const redeemedCode = useRef<string | null>(null);
 
-  // Check for token in URL (from backend redirect after Apple auth)
+  // Exchange the login code from the backend redirect after Apple auth
   useEffect(() => {
-    const token = searchParams.get('token');
-    if (token) {
-      localStorage.setItem('admin_token', token);
-      navigate('/dashboard', { replace: true });
-      return;
-    }
+    const loginCode = searchParams.get('login_code');
+    if (!loginCode || redeemedCode.current === loginCode) return;
+    redeemedCode.current = loginCode;
+
+    exchangeLoginCode(loginCode)
+      .then(() => navigate('/dashboard', { replace: true }))
+      .catch((err) => {
+        setError(err instanceof Error ? err.message : 'Authentication failed');
+        navigate('/login', { replace: true });
+      });
   }, [searchParams, navigate]);
 
   useEffect(() => {
@@ -57,6 +64,8 @@ export function Login() {
     };
   }, []);
 
+  const signingIn = loading || searchParams.has('login_code');
+
   const handleAppleSignIn = async () => {
     try {
       setLoading(true);
@@ -89,10 +98,10 @@ export function Login() {
 
           <button
             onClick={handleAppleSignIn}
-            disabled={loading}
+            disabled={signingIn}
             className="group relative w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-black hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500 disabled:opacity-50 disabled:cursor-not-allowed"
           >
-            {loading ? 'Signing in...' : 'Sign in with Apple'}
+            {signingIn ? 'Signing in...' : 'Sign in with Apple'}
           </button>
         </div>
       </div>
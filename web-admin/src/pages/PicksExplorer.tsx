@@ -1,10 +1,10 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, Fragment } from 'react';
 import { useQuery } from '@tanstack/react-query';
 import { Switch } from '@headlessui/react';
 import { getUsers } from '../api/users';
-import { getUserPicks } from '../api/picks';
+import { getUserPicks, getPickBreakdown } from '../api/picks';
 import { getGameConfig } from '../api/admin';
-import type { User, UserWithPicks, Pick } from '../types';
+import type { User, UserWithPicks, Pick, ScoringLineItem } from '../types';
 
 const BATCH_SIZE = 10;
 const REQUIRED_PICKS_PER_WEEK = 7;
@@ -22,6 +22,96 @@ function groupPicksByWeek(picks: Pick[]): Map<number, Pick[]> {
   return grouped;
 }
 
+function describeLineItem(item: ScoringLineItem): string {
+  if (item.type === 'per_stat') {
+    return `${item.value} × ${item.points_per_unit}`;
+  }
+  if (item.type === 'fg_distance') {
+    return `${item.value} × ${item.points_per_unit} (${item.distances?.join(', ')} yd)`;
+  }
+  if (item.type === 'bonus') {
+    const reached = item.plays ? `${item.plays.join(', ')} yd plays` : `${item.value}`;
+    return `${reached} ≥ ${item.threshold} (${item.stack_mode})`;
+  }
+  const range = item.max_value === null || item.max_value === undefined
+    ? `${item.min_value}+`
+    : `${item.min_value}–${item.max_value}`;
+  return `${item.value} in ${range}`;
+}
+
+// Scoring line items for one pick, loaded when the pick is expanded
+function PickBreakdownPanel({ pickId }: { pickId: string }) {
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['pickBreakdown', pickId],
+    queryFn: () => getPickBreakdown(pickId),
+  });
+
+  if (isLoading) {
+    return <div className="text-xs text-gray-400">Loading breakdown...</div>;
+  }
+
+  if (error || !data) {
+    return (
+      <div className="text-xs text-red-600">
+        Failed to load breakdown: {error instanceof Error ? error.message : 'Unknown error'}
+      </div>
+    );
+  }
+
+  if (!data.has_stats) {
+    return <div className="text-xs text-gray-500">No stats recorded for this week yet.</div>;
+  }
+
+  return (
+    <div className="space-y-2">
+      <table className="min-w-full text-xs">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-1 pr-2 font-medium">Stat</th>
+            <th className="py-1 pr-2 font-medium">Rule</th>
+            <th className="py-1 pr-2 font-medium">Applied</th>
+            <th className="py-1 text-right font-medium">Points</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {data.line_items.map((item, index) => (
+            <tr key={`${item.type}-${item.stat_name}-${index}`}>
+              <td className="py-1 pr-2 font-mono text-gray-900">{item.stat_name}</td>
+              <td className="py-1 pr-2 text-gray-600">
+                {item.description ?? '—'}
+                {item.category === 'bonus' && (
+                  <span className="ml-1 inline-flex items-center rounded bg-green-100 px-1 text-green-800">bonus</span>
+                )}
+              </td>
+              <td className="py-1 pr-2 text-gray-600">{describeLineItem(item)}</td>
+              <td className="py-1 text-right text-gray-900">{item.points.toFixed(2)}</td>
+            </tr>
+          ))}
+          <tr className="font-medium">
+            <td className="py-1 pr-2 text-gray-900" colSpan={3}>Base points</td>
+            <td className="py-1 text-right text-gray-900">{data.base_points.toFixed(2)}</td>
+          </tr>
+          <tr className="font-medium">
+            <td className="py-1 pr-2 text-gray-900" colSpan={3}>× {data.multiplier} multiplier</td>
+            <td className="py-1 text-right text-indigo-700">{data.final_points.toFixed(2)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <div className="flex items-center gap-2 text-xs text-gray-500">
+        <span>
+          Rules version {data.rules_version_id !== null && `v${data.rules_version_id} · `}
+          <span className="font-mono">{data.rules_version}</span>
+        </span>
+        {data.matches_stored === false && data.stored && (
+          <span className="inline-flex items-center rounded-full bg-yellow-100 px-2 py-0.5 font-medium text-yellow-700">
+            Stored score {data.stored.final_points.toFixed(2)} differs — not yet rescored
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
 export function PicksExplorer() {
   const [usersWithPicks, setUsersWithPicks] = useState<UserWithPicks[]>([]);
   const [loadingProgress, setLoadingProgress] = useState<{ loaded: number; total: number } | null>(null);
@@ -29,6 +119,7 @@ export function PicksExplorer() {
   const [hideZeroPicks, setHideZeroPicks] = useState(true);
   // Track expanded weeks per user: Map<userId, Set<weekNumber>>
   const [expandedWeeks, setExpandedWeeks] = useState<Map<string, Set<number>>>(new Map());
+  const [expandedPickId, setExpandedPickId] = useState<string | null>(null);
 
   // Fetch game config to determine current playoff week
   const { data: gameConfig } = useQuery({
@@ -431,23 +522,43 @@ export function PicksExplorer() {
                                           <th className="px-2 py-1.5 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                                             Team
                                           </th>
+                                          <th className="px-2 py-1.5 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Scoring
+                                          </th>
                                         </tr>
                                       </thead>
                                       <tbody className="divide-y divide-gray-100">
                                         {weekPicks.map((pick) => (
-                                          <tr key={pick.id} className="hover:bg-white/50">
-                                            <td className="px-2 py-1.5 text-sm text-gray-900">
-                                              {pick.full_name || 'Unknown Player'}
-                                            </td>
-                                            <td className="px-2 py-1.5 text-sm text-gray-600">
-                                              <span className="inline-flex items-center rounded px-1.5 py-0.5 text-xs font-medium bg-gray-100">
-                                                {pick.player_position || pick.position || '—'}
-                                              </span>
-                                            </td>
-                                            <td className="px-2 py-1.5 text-sm text-gray-600">
-                                              {pick.team || '—'}
-                                            </td>
-                                          </tr>
+                                          <Fragment key={pick.id}>
+                                            <tr className="hover:bg-white/50">
+                                              <td className="px-2 py-1.5 text-sm text-gray-900">
+                                                {pick.full_name || 'Unknown Player'}
+                                              </td>
+                                              <td className="px-2 py-1.5 text-sm text-gray-600">
+                                                <span className="inline-flex items-center rounded px-1.5 py-0.5 text-xs font-medium bg-gray-100">
+                                                  {pick.player_position || pick.position || '—'}
+                                                </span>
+                                              </td>
+                                              <td className="px-2 py-1.5 text-sm text-gray-600">
+                                                {pick.team || '—'}
+                                              </td>
+                                              <td className="px-2 py-1.5 text-right">
+                                                <button
+                                                  onClick={() => setExpandedPickId(expandedPickId === pick.id ? null : pick.id)}
+                                                  className="text-xs text-indigo-600 hover:text-indigo-500"
+                                                >
+                                                  {expandedPickId === pick.id ? 'Hide' : 'Breakdown'}
+                                                </button>
+                                              </td>
+                                            </tr>
+                                            {expandedPickId === pick.id && (
+                                              <tr>
+                                                <td colSpan={4} className="px-2 pb-2">
+                                                  <PickBreakdownPanel pickId={pick.id} />
+                                                </td>
+                                              </tr>
+                                            )}
+                                          </Fragment>
                                         ))}
                                       </tbody>
                                     </table>
@@ -0,0 +1,218 @@
+/**
+ * Scoring Bonuses
+ *
+ * Yardage and milestone bonuses: fixed points when a stat reaches a
+ * threshold. Touchdown length stats (pass_td_yds, rush_td_yds, rec_td_yds)
+ * are checked per play, so a 40-yard threshold pays for every 40+ yard TD.
+ *
+ * Stackable bonuses all pay; of the exclusive bonuses on a stat, only the
+ * highest threshold reached pays. Every change is recorded as a rules version.
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { getScoringBonuses, createScoringBonus, updateScoringBonus } from '../api/scoring';
+import { useAdminPermissions } from '../hooks/useAdminPermissions';
+import type { BonusStackMode, ScoringBonus } from '../types';
+
+const EMPTY_FORM = { stat_name: '', threshold: '', points: '', stack_mode: 'stackable' as BonusStackMode, description: '' };
+
+function BonusRow({ bonus, canEdit }: { bonus: ScoringBonus; canEdit: boolean }) {
+  const queryClient = useQueryClient();
+  const [points, setPoints] = useState(String(bonus.points));
+
+  const updateMutation = useMutation({
+    mutationFn: (fields: Parameters<typeof updateScoringBonus>[1]) => updateScoringBonus(bonus.id, fields),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['scoringBonuses'] }),
+  });
+
+  return (
+    <tr className={bonus.is_active ? '' : 'opacity-50'}>
+      <td className="py-2 pl-4 pr-3 text-sm font-mono text-gray-900">{bonus.stat_name}</td>
+      <td className="px-3 py-2 text-right text-sm text-gray-600">{bonus.threshold}+</td>
+      <td className="px-3 py-2 text-right text-sm">
+        <input
+          type="number"
+          value={points}
+          onChange={(e) => setPoints(e.target.value)}
+          disabled={!canEdit || !bonus.is_active}
+          className="w-20 rounded-md border border-gray-300 px-2 py-1 text-right text-sm"
+        />
+      </td>
+      <td className="px-3 py-2 text-sm text-gray-600">{bonus.stack_mode}</td>
+      <td className="px-3 py-2 text-sm text-gray-600">{bonus.description || '—'}</td>
+      <td className="px-3 py-2 text-right text-sm whitespace-nowrap">
+        {canEdit && bonus.is_active && Number(points) !== bonus.points && (
+          <button
+            onClick={() => updateMutation.mutate({ points: Number(points) })}
+            disabled={updateMutation.isPending}
+            className="mr-3 font-medium text-indigo-600 hover:text-indigo-500 disabled:opacity-50"
+          >
+            Save
+          </button>
+        )}
+        {canEdit && (
+          <button
+            onClick={() => updateMutation.mutate({ is_active: !bonus.is_active })}
+            disabled={updateMutation.isPending}
+            className="text-gray-600 hover:text-gray-900 disabled:opacity-50"
+          >
+            {bonus.is_active ? 'Deactivate' : 'Activate'}
+          </button>
+        )}
+        {updateMutation.error && (
+          <div className="text-xs text-red-600">
+            {updateMutation.error instanceof Error ? updateMutation.error.message : 'Update failed'}
+          </div>
+        )}
+      </td>
+    </tr>
+  );
+}
+
+export function ScoringBonuses() {
+  const queryClient = useQueryClient();
+  const { can } = useAdminPermissions();
+  const canEdit = can('settings:manage');
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const { data: bonuses, isLoading, error } = useQuery({
+    queryKey: ['scoringBonuses'],
+    queryFn: getScoringBonuses,
+  });
+
+  const createMutation = useMutation({
+    mutationFn: () => createScoringBonus({
+      stat_name: form.stat_name.trim(),
+      threshold: Number(form.threshold),
+      points: Number(form.points),
+      stack_mode: form.stack_mode,
+      description: form.description || undefined,
+    }),
+    onSuccess: () => {
+      setForm(EMPTY_FORM);
+      queryClient.invalidateQueries({ queryKey: ['scoringBonuses'] });
+    },
+  });
+
+  const canCreate = canEdit && form.stat_name.trim() !== '' && form.threshold !== '' && form.points !== '';
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div>
+          <h1 className="text-2xl font-semibold text-gray-900">Scoring Bonuses</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Points when a stat reaches a threshold. Touchdown lengths (pass_td_yds, rush_td_yds, rec_td_yds) are checked per play.
+            Stackable bonuses all pay; only the highest exclusive bonus on a stat pays.
+          </p>
+        </div>
+        <Link to="/scoring" className="text-sm font-medium text-indigo-600 hover:text-indigo-500">
+          ← Versions
+        </Link>
+      </div>
+
+      {canEdit && (
+        <div className="rounded-lg border border-gray-200 bg-white shadow-sm">
+          <div className="border-b border-gray-200 bg-gray-50 px-4 py-3">
+            <h2 className="text-lg font-medium text-gray-900">Add Bonus</h2>
+          </div>
+          <div className="p-4 flex flex-wrap items-end gap-4">
+            <label className="text-sm text-gray-700">
+              Stat
+              <input
+                value={form.stat_name}
+                onChange={(e) => setForm({ ...form, stat_name: e.target.value })}
+                placeholder="rush_yd"
+                className="mt-1 block w-36 rounded-md border border-gray-300 px-2 py-1 text-sm font-mono"
+              />
+            </label>
+            <label className="text-sm text-gray-700">
+              Threshold
+              <input
+                type="number"
+                value={form.threshold}
+                onChange={(e) => setForm({ ...form, threshold: e.target.value })}
+                placeholder="100"
+                className="mt-1 block w-24 rounded-md border border-gray-300 px-2 py-1 text-sm"
+              />
+            </label>
+            <label className="text-sm text-gray-700">
+              Points
+              <input
+                type="number"
+                value={form.points}
+                onChange={(e) => setForm({ ...form, points: e.target.value })}
+                placeholder="2"
+                className="mt-1 block w-20 rounded-md border border-gray-300 px-2 py-1 text-sm"
+              />
+            </label>
+            <label className="text-sm text-gray-700">
+              Stacking
+              <select
+                value={form.stack_mode}
+                onChange={(e) => setForm({ ...form, stack_mode: e.target.value as BonusStackMode })}
+                className="mt-1 block rounded-md border border-gray-300 px-2 py-1 text-sm"
+              >
+                <option value="stackable">Stackable</option>
+                <option value="exclusive">Exclusive</option>
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              Description
+              <input
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+                placeholder="100+ rushing yards"
+                className="mt-1 block w-56 rounded-md border border-gray-300 px-2 py-1 text-sm"
+              />
+            </label>
+            <button
+              onClick={() => createMutation.mutate()}
+              disabled={!canCreate || createMutation.isPending}
+              className="rounded-md bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white hover:bg-indigo-500 disabled:opacity-50"
+            >
+              {createMutation.isPending ? 'Adding...' : 'Add'}
+            </button>
+          </div>
+          {createMutation.error && (
+            <div className="px-4 pb-4 text-sm text-red-600">
+              {createMutation.error instanceof Error ? createMutation.error.message : 'Request failed'}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="rounded-lg border border-gray-200 bg-white shadow-sm overflow-hidden">
+        {isLoading ? (
+          <div className="animate-pulse h-32 bg-gray-200"></div>
+        ) : error || !bonuses ? (
+          <div className="p-4 text-sm text-red-600">
+            Failed to load bonuses: {error instanceof Error ? error.message : 'Unknown error'}
+          </div>
+        ) : bonuses.length === 0 ? (
+          <div className="px-4 py-6 text-sm text-gray-500">No bonuses configured</div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-300">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="py-3 pl-4 pr-3 text-left text-xs font-semibold uppercase tracking-wide text-gray-500">Stat</th>
+                <th className="px-3 py-3 text-right text-xs font-semibold uppercase tracking-wide text-gray-500">Threshold</th>
+                <th className="px-3 py-3 text-right text-xs font-semibold uppercase tracking-wide text-gray-500">Points</th>
+                <th className="px-3 py-3 text-left text-xs font-semibold uppercase tracking-wide text-gray-500">Stacking</th>
+                <th className="px-3 py-3 text-left text-xs font-semibold uppercase tracking-wide text-gray-500">Description</th>
+                <th className="px-3 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 bg-white">
+              {bonuses.map((bonus) => (
+                <BonusRow key={bonus.id} bonus={bonus} canEdit={canEdit} />
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
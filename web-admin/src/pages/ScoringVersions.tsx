@@ -0,0 +1,251 @@
+/**
+ * Scoring Versions
+ *
+ * Scoring rules history and retroactive rescoring. Every committed rules
+ * change (admin edit or direct SQL) is a version. Pick a week and a version,
+ * preview whose totals and ranks would move, then commit the rescore.
+ *
+ * Rescoring uses the stored stats only; ESPN is not called.
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import { getScoringRuleVersions, previewRescore, applyRescore } from '../api/scoring';
+import { useAdminPermissions } from '../hooks/useAdminPermissions';
+import type { RescoreReport } from '../types';
+
+function formatDelta(delta: number): string {
+  return delta > 0 ? `+${delta.toFixed(2)}` : delta.toFixed(2);
+}
+
+function RescoreTable({ report }: { report: RescoreReport }) {
+  if (report.users.length === 0) {
+    return <div className="px-4 py-6 text-sm text-gray-500">No totals or ranks would change</div>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-300">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="py-3 pl-4 pr-3 text-left text-xs font-semibold uppercase tracking-wide text-gray-500">User</th>
+            <th className="px-3 py-3 text-right text-xs font-semibold uppercase tracking-wide text-gray-500">Week</th>
+            <th className="px-3 py-3 text-right text-xs font-semibold uppercase tracking-wide text-gray-500">Total</th>
+            <th className="px-3 py-3 text-right text-xs font-semibold uppercase tracking-wide text-gray-500">Change</th>
+            <th className="px-3 py-3 text-right text-xs font-semibold uppercase tracking-wide text-gray-500">Rank</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200 bg-white">
+          {report.users.map((user) => (
+            <tr key={user.user_id}>
+              <td className="py-2 pl-4 pr-3 text-sm text-gray-900">{user.username || user.user_id}</td>
+              <td className="px-3 py-2 text-right text-sm text-gray-600">
+                {user.old_week_total.toFixed(2)} → {user.new_week_total.toFixed(2)}
+              </td>
+              <td className="px-3 py-2 text-right text-sm text-gray-600">
+                {user.old_total.toFixed(2)} → {user.new_total.toFixed(2)}
+              </td>
+              <td className={`px-3 py-2 text-right text-sm font-medium ${
+                user.delta > 0 ? 'text-green-700' : user.delta < 0 ? 'text-red-700' : 'text-gray-500'
+              }`}>
+                {formatDelta(user.delta)}
+              </td>
+              <td className="px-3 py-2 text-right text-sm text-gray-900">
+                {user.old_rank === user.new_rank ? user.new_rank : `${user.old_rank} → ${user.new_rank}`}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export function ScoringVersions() {
+  const { can } = useAdminPermissions();
+  const [weekNumber, setWeekNumber] = useState('');
+  const [versionId, setVersionId] = useState<number | null>(null);
+  const [preview, setPreview] = useState<RescoreReport | null>(null);
+  const [applied, setApplied] = useState<RescoreReport | null>(null);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['scoringRuleVersions'],
+    queryFn: getScoringRuleVersions,
+  });
+
+  const selectedVersionId = versionId ?? data?.versions.find(v => v.in_effect)?.id ?? null;
+  const week = Number(weekNumber);
+  const canPreview = Number.isInteger(week) && week > 0 && selectedVersionId !== null;
+
+  const previewMutation = useMutation({
+    mutationFn: () => previewRescore(week, selectedVersionId!),
+    onSuccess: (report) => {
+      setPreview(report);
+      setApplied(null);
+    },
+  });
+
+  const applyMutation = useMutation({
+    mutationFn: () => applyRescore(preview!.week_number, preview!.version_id),
+    onSuccess: (report) => {
+      setApplied(report);
+      setPreview(null);
+    },
+  });
+
+  if (isLoading) {
+    return (
+      <div className="space-y-6">
+        <h1 className="text-2xl font-semibold text-gray-900">Scoring Versions</h1>
+        <div className="animate-pulse h-64 bg-gray-200 rounded"></div>
+      </div>
+    );
+  }
+
+  if (error || !data) {
+    return (
+      <div className="space-y-6">
+        <h1 className="text-2xl font-semibold text-gray-900">Scoring Versions</h1>
+        <div className="rounded-md bg-red-50 border border-red-200 p-4">
+          <p className="text-sm text-red-800">
+            Failed to load versions: {error instanceof Error ? error.message : 'Unknown error'}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const mutationError = previewMutation.error || applyMutation.error;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div>
+          <h1 className="text-2xl font-semibold text-gray-900">Scoring Versions</h1>
+          <p className="mt-1 text-sm text-gray-600">
+            Rescore a week from stored stats against any rules version. Preview first; nothing changes until you commit.
+          </p>
+        </div>
+        <Link to="/scoring/bonuses" className="text-sm font-medium text-indigo-600 hover:text-indigo-500">
+          Bonuses →
+        </Link>
+      </div>
+
+      <div className="rounded-lg border border-gray-200 bg-white shadow-sm">
+        <div className="border-b border-gray-200 bg-gray-50 px-4 py-3">
+          <h2 className="text-lg font-medium text-gray-900">Rescore a Week</h2>
+        </div>
+        <div className="p-4 flex flex-wrap items-end gap-4">
+          <label className="text-sm text-gray-700">
+            NFL week
+            <input
+              type="number"
+              value={weekNumber}
+              onChange={(e) => setWeekNumber(e.target.value)}
+              placeholder="19"
+              className="mt-1 block w-24 rounded-md border border-gray-300 px-2 py-1 text-sm"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Rules version
+            <select
+              value={selectedVersionId ?? ''}
+              onChange={(e) => setVersionId(Number(e.target.value))}
+              className="mt-1 block rounded-md border border-gray-300 px-2 py-1 text-sm"
+            >
+              {data.versions.map((version) => (
+                <option key={version.id} value={version.id}>
+                  v{version.id} · {version.fingerprint} · {new Date(version.effective_from).toLocaleDateString()}
+                  {version.in_effect ? ' (in effect)' : ''}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={() => previewMutation.mutate()}
+            disabled={!canPreview || previewMutation.isPending}
+            className="rounded-md bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white hover:bg-indigo-500 disabled:opacity-50"
+          >
+            {previewMutation.isPending ? 'Previewing...' : 'Preview'}
+          </button>
+        </div>
+        {mutationError && (
+          <div className="px-4 pb-4 text-sm text-red-600">
+            {mutationError instanceof Error ? mutationError.message : 'Request failed'}
+          </div>
+        )}
+      </div>
+
+      {preview && (
+        <div className="rounded-lg border border-amber-200 bg-white shadow-sm overflow-hidden">
+          <div className="border-b border-amber-200 bg-amber-50 px-4 py-3 flex flex-wrap items-center justify-between gap-2">
+            <p className="text-sm text-amber-900">
+              Week {preview.week_number} against v{preview.version_id}: {preview.rows_changed} of {preview.rows_total} scores
+              change, {preview.users_affected} users move
+              {preview.rows_skipped > 0 && ` • ${preview.rows_skipped} scores have no stored stats and are skipped`}
+            </p>
+            <button
+              onClick={() => applyMutation.mutate()}
+              disabled={!can('settings:manage') || applyMutation.isPending || preview.rows_changed === 0}
+              title={can('settings:manage') ? undefined : 'Requires settings:manage'}
+              className="rounded-md bg-amber-600 px-3 py-1.5 text-sm font-medium text-white hover:bg-amber-500 disabled:opacity-50"
+            >
+              {applyMutation.isPending ? 'Rescoring...' : 'Commit Rescore'}
+            </button>
+          </div>
+          <RescoreTable report={preview} />
+        </div>
+      )}
+
+      {applied && (
+        <div className="rounded-md bg-green-50 border border-green-200 p-4">
+          <p className="text-sm text-green-800">
+            Rescored week {applied.week_number} against v{applied.version_id}: {applied.rows_changed} scores updated,{' '}
+            {applied.users_affected} users affected.
+          </p>
+        </div>
+      )}
+
+      <div className="rounded-lg border border-gray-200 bg-white shadow-sm overflow-hidden">
+        <div className="border-b border-gray-200 bg-gray-50 px-4 py-3">
+          <h2 className="text-lg font-medium text-gray-900">History</h2>
+        </div>
+        <table className="min-w-full divide-y divide-gray-300">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="py-3 pl-4 pr-3 text-left text-xs font-semibold uppercase tracking-wide text-gray-500">Version</th>
+              <th className="px-3 py-3 text-left text-xs font-semibold uppercase tracking-wide text-gray-500">Effective</th>
+              <th className="px-3 py-3 text-left text-xs font-semibold uppercase tracking-wide text-gray-500">Source</th>
+              <th className="px-3 py-3 text-left text-xs font-semibold uppercase tracking-wide text-gray-500">Rules</th>
+              <th className="px-3 py-3 text-left text-xs font-semibold uppercase tracking-wide text-gray-500">Note</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 bg-white">
+            {data.versions.map((version) => (
+              <tr key={version.id}>
+                <td className="py-2 pl-4 pr-3 text-sm text-gray-900">
+                  v{version.id} <span className="font-mono text-xs text-gray-500">{version.fingerprint}</span>
+                  {version.in_effect && (
+                    <span className="ml-2 inline-flex items-center rounded-full bg-green-100 px-2 py-0.5 text-xs font-medium text-green-800">
+                      In effect
+                    </span>
+                  )}
+                </td>
+                <td className="px-3 py-2 text-sm text-gray-600">{new Date(version.effective_from).toLocaleString()}</td>
+                <td className="px-3 py-2 text-sm text-gray-600">
+                  {version.source}
+                  {version.created_by_username && ` (${version.created_by_username})`}
+                </td>
+                <td className="px-3 py-2 text-sm text-gray-600">
+                  {version.rule_count} rules, {version.tier_count} tiers, {version.bonus_count} bonuses
+                </td>
+                <td className="px-3 py-2 text-sm text-gray-600">{version.note || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+/**
+ * Settlements
+ *
+ * Read-only payout report: what each winner of a settled contest is owed.
+ * Tied entries share the places they occupy, so amounts may differ from
+ * the payout percentages.
+ *
+ * No auto-refresh. No actions.
+ */
+
+import { useQuery } from '@tanstack/react-query';
+import { getSettlements } from '../api/settlements';
+import type { SettlementReport } from '../types';
+
+function formatMoney(amount: string | number): string {
+  return `$${Number(amount).toFixed(2)}`;
+}
+
+function formatRank(rank: number, tiedCount: number): string {
+  return tiedCount > 1 ? `T-${rank}` : `${rank}`;
+}
+
+function SettlementCard({ settlement }: { settlement: SettlementReport }) {
+  return (
+    <div className="rounded-lg border border-gray-200 bg-white shadow-sm overflow-hidden">
+      <div className="border-b border-gray-200 bg-gray-50 px-4 py-3">
+        <div className="flex flex-wrap items-baseline justify-between gap-2">
+          <h2 className="text-base font-semibold text-gray-900">{settlement.contest_name}</h2>
+          <span className="text-xs text-gray-500">
+            Settled {new Date(settlement.settled_at).toLocaleString()} by {settlement.triggered_by}
+          </span>
+        </div>
+        <p className="mt-1 text-sm text-gray-600">
+          {settlement.entry_count} entries × {formatMoney(settlement.entry_fee)} ={' '}
+          {formatMoney(settlement.total_pot)} pot • Weeks {settlement.weeks.join(', ')} •{' '}
+          <span className="font-medium text-gray-900">{formatMoney(settlement.total_owed)} owed</span>
+        </p>
+      </div>
+      {settlement.winners.length === 0 ? (
+        <div className="px-4 py-6 text-sm text-gray-500">No payouts owed for this contest</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-300">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="py-3 pl-4 pr-3 text-left text-xs font-semibold uppercase tracking-wide text-gray-500">
+                  Rank
+                </th>
+                <th className="px-3 py-3 text-left text-xs font-semibold uppercase tracking-wide text-gray-500">
+                  Winner
+                </th>
+                <th className="px-3 py-3 text-right text-xs font-semibold uppercase tracking-wide text-gray-500">
+                  Score
+                </th>
+                <th className="px-3 py-3 text-right text-xs font-semibold uppercase tracking-wide text-gray-500">
+                  Owed
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 bg-white">
+              {settlement.winners.map((winner) => (
+                <tr key={winner.contest_entry_id}>
+                  <td className="whitespace-nowrap py-3 pl-4 pr-3 text-sm font-medium text-gray-900">
+                    {formatRank(winner.rank, winner.tied_count)}
+                  </td>
+                  <td className="whitespace-nowrap px-3 py-3">
+                    <div className="text-sm font-medium text-gray-900">
+                      {winner.username || 'No username'}
+                    </div>
+                    <div className="text-xs text-gray-500">{winner.email || '—'}</div>
+                  </td>
+                  <td className="whitespace-nowrap px-3 py-3 text-right text-sm text-gray-500">
+                    {Number(winner.score).toFixed(2)}
+                  </td>
+                  <td className="whitespace-nowrap px-3 py-3 text-right text-sm font-semibold text-green-700">
+                    {formatMoney(winner.amount)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function Settlements() {
+  const {
+    data,
+    isLoading,
+    error,
+    refetch,
+    isFetching,
+  } = useQuery({
+    queryKey: ['settlements'],
+    queryFn: getSettlements,
+    staleTime: Infinity,
+  });
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-semibold text-gray-900">Settlements</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Final standings and what each winner is owed
+          </p>
+        </div>
+        <button
+          onClick={() => refetch()}
+          disabled={isFetching}
+          className="inline-flex items-center rounded-md bg-white px-3 py-2 text-sm font-medium text-gray-700 shadow-sm ring-1 ring-inset ring-gray-300 hover:bg-gray-50 disabled:opacity-50"
+        >
+          {isFetching ? 'Refreshing...' : 'Refresh'}
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="animate-pulse space-y-4">
+          {[1, 2, 3].map((i) => (
+            <div key={i} className="h-24 bg-gray-200 rounded"></div>
+          ))}
+        </div>
+      ) : error ? (
+        <div className="text-red-600">Failed to load settlements</div>
+      ) : data && data.settlements.length === 0 ? (
+        <div className="rounded-lg border border-gray-200 bg-white p-6 text-sm text-gray-500 shadow-sm">
+          No contests have been settled yet
+        </div>
+      ) : data ? (
+        data.settlements.map((settlement) => (
+          <SettlementCard key={settlement.id} settlement={settlement} />
+        ))
+      ) : null}
+
+      {data && (
+        <p className="text-xs text-gray-400">
+          Data as of: {new Date(data.timestamp).toLocaleString()}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -1,11 +1,15 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { getUsers, updateUserEligibility, updateUserNotes } from '../api/users';
+import { useAdminPermissions } from '../hooks/useAdminPermissions';
 import { Switch } from '@headlessui/react';
 import type { User } from '../types';
 
 export function Users() {
   const queryClient = useQueryClient();
+  const { can } = useAdminPermissions();
+  const canManagePayments = can('payments:manage');
+  const canEditNotes = can('users:notes');
   const [mutatingUserId, setMutatingUserId] = useState<string | null>(null);
   const [successUserId, setSuccessUserId] = useState<string | null>(null);
   const [copiedEmailId, setCopiedEmailId] = useState<string | null>(null);
@@ -334,11 +338,11 @@ export function Users() {
                           <Switch
                             checked={user.paid}
                             onChange={() => handleToggleEligibility(user.id, user.paid)}
-                            disabled={isMutating}
+                            disabled={isMutating || !canManagePayments}
                             className={`${
                               user.paid ? 'bg-green-600' : 'bg-gray-400'
                             } ${
-                              isMutating ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'
+                              isMutating ? 'opacity-50 cursor-not-allowed' : canManagePayments ? 'cursor-pointer' : 'cursor-default'
                             } relative inline-flex h-5 w-9 flex-shrink-0 items-center rounded-full transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 ${
                               user.paid ? 'focus:ring-green-500' : 'focus:ring-gray-400'
                             }`}
@@ -393,7 +397,7 @@ export function Users() {
                               autoFocus
                             />
                           </div>
-                        ) : (
+                        ) : canEditNotes ? (
                           <button
                             type="button"
                             onClick={() => handleNotesClick(user)}
@@ -401,6 +405,8 @@ export function Users() {
                           >
                             {user.admin_notes || <span className="text-gray-400 italic">Add note</span>}
                           </button>
+                        ) : (
+                          user.admin_notes || <span className="text-gray-400">—</span>
                         )}
                       </td>
                     </tr>
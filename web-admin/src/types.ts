@@ -9,25 +9,62 @@ export interface User {
   apple_id: string | null;
   created_at: string | null;
   admin_notes: string | null;
+  admin_role: AdminRole | null;
 }
 
 export interface AuthResponse {
   token: string;
+  refresh_token?: string;
+}
+
+export interface AdminRefreshResponse {
+  token: string;
+  refresh_token: string;
+  expires_in: number;
 }
 
 export interface AppleAuthRequest {
   id_token: string;
 }
 
+export type AdminRole = 'viewer' | 'operator' | 'finance' | 'superadmin';
+
+export type AdminPermission =
+  | 'admin:read'
+  | 'week:manage'
+  | 'data:sync'
+  | 'settings:manage'
+  | 'payments:manage'
+  | 'users:notes'
+  | 'users:delete'
+  | 'roles:manage';
+
+export interface AdminProfile {
+  id: string;
+  email: string | null;
+  role: AdminRole;
+  permissions: AdminPermission[];
+}
+
 // ============================================
 // DIAGNOSTICS TYPES (Read-Only)
 // ============================================
 
+export interface CircuitState {
+  state: 'closed' | 'open' | 'half_open';
+  consecutive_failures: number;
+  opened_at: string | null;
+  retry_at: string | null;
+  last_error: string | null;
+}
+
 export interface HealthCheckResult {
   status: 'healthy' | 'degraded' | 'unhealthy' | 'unknown';
   latency_ms?: number;
   error?: string;
   http_status?: number;
+  // Outbound HTTP client circuit breaker (ESPN and Sleeper only)
+  circuit?: CircuitState;
 }
 
 export interface ApiProcessHealth {
@@ -129,6 +166,8 @@ export interface JobStatus {
   status: 'registered' | 'running' | 'healthy' | 'error';
   interval_ms: number | null;
   description?: string;
+  // Counters from the last run (e.g. duration_ms, provider call counts)
+  last_run_metrics?: Record<string, number> | null;
 }
 
 export interface JobsStatusResponse {
@@ -137,6 +176,25 @@ export interface JobsStatusResponse {
   jobs: JobStatus[];
 }
 
+export interface AdminSession {
+  session_id: string;
+  user_id: string;
+  email: string | null;
+  username: string | null;
+  admin_role: string | null;
+  ip_address: string | null;
+  user_agent: string | null;
+  created_at: string;
+  last_refreshed_at: string | null;
+  expires_at: string;
+}
+
+export interface AdminSessionsResponse {
+  timestamp: string;
+  count: number;
+  sessions: AdminSession[];
+}
+
 export interface GameUpdateTime {
   gameId: string;
   lastUpdate: string;
@@ -176,3 +234,204 @@ export interface UserWithPicks {
   loading: boolean;
   error: string | null;
 }
+
+// ============================================
+// PICK SCORING BREAKDOWN TYPES
+// ============================================
+
+export type ScoringLineItemType = 'per_stat' | 'fg_distance' | 'tier' | 'bonus';
+
+export type BonusStackMode = 'stackable' | 'exclusive';
+
+export interface ScoringLineItem {
+  type: ScoringLineItemType;
+  category: string | null;
+  stat_name: string;
+  value: number;
+  points: number;
+  description: string | null;
+  points_per_unit?: number;
+  min_value?: number;
+  max_value?: number | null;
+  distances?: number[];
+  threshold?: number;
+  stack_mode?: BonusStackMode;
+  plays?: number[];
+}
+
+export interface PickBreakdown {
+  pick_id: string;
+  user_id: string;
+  week_number: number;
+  slot: string | null;
+  player: {
+    id: string;
+    full_name: string | null;
+    position: string | null;
+    team: string | null;
+  };
+  rules_version: string;
+  // scoring_rule_versions id the score was explained against (null before versioning)
+  rules_version_id: number | null;
+  has_stats: boolean;
+  stats: Record<string, unknown>;
+  line_items: ScoringLineItem[];
+  base_points: number;
+  multiplier: number;
+  final_points: number;
+  stored: {
+    base_points: number;
+    multiplier: number;
+    final_points: number;
+    scored_at: string;
+  } | null;
+  matches_stored: boolean | null;
+}
+
+// ============================================
+// SCORING RULE VERSION TYPES
+// ============================================
+
+export interface ScoringRuleVersion {
+  id: number;
+  effective_from: string;
+  source: 'admin' | 'sql' | 'migration';
+  created_by: string | null;
+  created_by_username: string | null;
+  note: string | null;
+  created_at: string;
+  fingerprint: string;
+  rule_count: number;
+  tier_count: number;
+  bonus_count: number;
+  in_effect: boolean;
+}
+
+export interface ScoringBonus {
+  id: number;
+  category: string;
+  stat_name: string;
+  threshold: number;
+  points: number;
+  stack_mode: BonusStackMode;
+  description: string | null;
+  is_active: boolean;
+  display_order: number;
+  updated_at: string;
+}
+
+export interface ScoringBonusInput {
+  stat_name: string;
+  threshold: number;
+  points: number;
+  stack_mode: BonusStackMode;
+  description?: string;
+}
+
+export interface ScoringRuleVersionsResponse {
+  versions: ScoringRuleVersion[];
+  count: number;
+}
+
+export interface RescoreUserChange {
+  user_id: string;
+  username: string | null;
+  old_week_total: number;
+  new_week_total: number;
+  old_total: number;
+  new_total: number;
+  delta: number;
+  old_rank: number;
+  new_rank: number;
+}
+
+export interface RescoreReport {
+  version_id: number;
+  fingerprint: string;
+  week_number: number;
+  rows_total: number;
+  rows_changed: number;
+  rows_skipped: number;
+  users_affected: number;
+  users: RescoreUserChange[];
+  rescore_id?: number;
+}
+
+// ============================================
+// SETTLEMENT TYPES
+// ============================================
+
+// NUMERIC columns (score, amount, entry_fee, total_pot) arrive as strings
+export interface SettlementWinner {
+  contest_entry_id: string;
+  user_id: string;
+  username: string | null;
+  email: string | null;
+  score: string;
+  rank: number;
+  tied_count: number;
+  amount: string;
+}
+
+export interface SettlementReport {
+  id: string;
+  contest_id: string;
+  contest_name: string;
+  settled_at: string;
+  triggered_by: 'system' | 'admin';
+  actor_user_id: string | null;
+  entry_fee: string;
+  entry_count: number;
+  total_pot: string;
+  payout_structure: Array<{ place: number; percentage: number; description: string | null }>;
+  weeks: number[];
+  total_owed: number;
+  winners: SettlementWinner[];
+}
+
+export interface SettlementsResponse {
+  timestamp: string;
+  count: number;
+  settlements: SettlementReport[];
+}
+
+// ============================================
+// STAT CORRECTION TYPES
+// ============================================
+
+export interface StatChange {
+  before: number | unknown[] | null;
+  after: number | unknown[] | null;
+}
+
+export interface StatCorrection {
+  id: number;
+  week_number: number;
+  player_id: string;
+  player_name: string | null;
+  changes: Record<string, StatChange>;
+  before_stats: Record<string, unknown>;
+  after_stats: Record<string, unknown>;
+  status: 'applied' | 'frozen';
+  scores_updated: number;
+  detected_at: string;
+}
+
+export interface StatCorrectionsFreeze {
+  frozen_at: string | null;
+  is_frozen: boolean;
+}
+
+export interface StatCorrectionsResponse extends StatCorrectionsFreeze {
+  timestamp: string;
+  count: number;
+  corrections: StatCorrection[];
+}
+
+export interface StatCorrectionsRunSummary {
+  weeks: number[];
+  frozen: boolean;
+  players_checked: number;
+  corrections: number;
+  scores_updated: number;
+}